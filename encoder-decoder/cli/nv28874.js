@@ -0,0 +1,844 @@
+#!/usr/bin/env node
+/**
+ * nv28874 - Command-line interface
+ *
+ * Headless access to the decoder, encoder, validation and diff modules:
+ *   nv28874 decode <file> [-o out.txt|out.json]
+ *   nv28874 encode <file> -o out.bin [--compress] [--descriptor-type auto|137|201|333] ...
+ *   nv28874 validate <file> [--profile generic-cat18] [--interference] [--rules rules.json]
+ *   nv28874 fallbacks <file> [--fill -o out.txt]
+ *   nv28874 set difference <a> <b> [--identity dl|dl-ul|exact] [--superset-bands] -o out.txt
+ *   nv28874 diff <a> <b> [--superset-bands]
+ *   nv28874 stats <file>
+ *   nv28874 earfcn <earfcn|MHz> [file]
+ *   nv28874 endc <endc-list> <file>
+ *
+ * Inputs are detected by content: NV binaries (raw or zlib), TXT combo lists
+ * ("COMBO STREAMS[*]" lines), 3GPP CA configuration lists (CA_1A-3A-7C),
+ * UE-EUTRA-Capability text dumps or UPER hex and JSON (decode --format json
+ * output, or an array of combo strings). Diag logs (.dlf,
+ * .isf, .qmdl) are recognized by extension. "-" reads stdin / writes stdout.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import { decodeFile, formatDecodeResults } from '../src/decoder/28874decoder';
+import {
+  encodeToBuffer,
+  compressZlib,
+  parseComboFile,
+  decodedCombosToEntries,
+  combosToEntries,
+  validateForEncoding,
+  createEntry,
+  setDebugLogging
+} from '../src/encoder/28874encoder';
+import { loadDiffSource, diffComboSources, formatComboDiff, looksLikeText } from '../src/diff/comboDiff.js';
+import { isUeCapability, parseUeCapability, isDiagLogName, parseDiagLog } from '../src/capability/index.js';
+import {
+  DEFAULT_PROFILE,
+  DEVICE_PROFILES,
+  validateComboList,
+  parseValidationRules,
+  ERROR_CODES,
+  getComboKey,
+  isCaNotation,
+  parseCaNotationList,
+  parseBandMimoRules,
+  formatCaNotation,
+  comboToString,
+  analyzeFallbacks,
+  insertFallbacks,
+  applySetOperation,
+  SET_OPERATION,
+  COMBO_IDENTITY,
+  estimateThroughput,
+  summarizeThroughput,
+  findCombosForEarfcn,
+  findBandsByFrequency,
+  parseEndcList,
+  validateEndcAnchors
+} from '../src/shared/index.js';
+
+// ==================== CONSTANTS ====================
+
+/**
+ * Process exit codes
+ */
+const EXIT_CODE = {
+  OK: 0,
+  FAILED: 1,  // Validation errors, differences found, or a decoded file with errors
+  USAGE: 2,   // Bad command line
+  ERROR: 3    // Unreadable input, decode/encode failure
+};
+
+const INPUT_KIND = {
+  BINARY: 'binary',
+  TEXT: 'text',
+  CAPABILITY: 'capability',  // UE-EUTRA-Capability text dump or UPER hex
+  DIAG_LOG: 'diag-log',      // UECapabilityInformation from a DLF/ISF/QMDL log
+  CA_NOTATION: 'ca-notation', // 3GPP CA configuration names (CA_1A-3A-7C)
+  JSON: 'json'
+};
+
+const DESCRIPTOR_TYPES = ['137', '201', '333'];
+
+const USAGE = `Usage: nv28874 <command> [options]
+
+Commands:
+  decode <file>        Decode an NV 00028874 binary to TXT, JSON or 3GPP CA names
+  encode <file>        Encode a TXT, 3GPP CA list, JSON, UE capability, diag log or binary combo list to a binary
+  validate <file>      Validate combos (exit code 1 if any has errors)
+  fallbacks <file>     Check fallback combos (exit code 1 if any is missing); --fill writes the completed TXT
+  set <op> <a> <b>     union, intersection or difference (A without B) of two combo lists as TXT or JSON
+  diff <a> <b>         Compare binaries, TXT files, UE capabilities or diag logs (exit code 1 if they differ)
+  stats <file>         Show combo statistics
+  earfcn <n> [file]    Band and frequency of an EARFCN and the combos of a file using it (exit code 1 if
+                       unknown); "<freq>MHz" lists the bands and EARFCNs of a frequency
+  endc <list> <file>   Check that the LTE part of every EN-DC combo of a list (DC_3A-7A_n78A, 3A-7A+n78A)
+                       is an LTE CA combo of a file (exit code 1 if any is missing)
+
+Options:
+  -o, --output <file>          Output file (default: stdout)
+  -f, --format <txt|json>      Output format (default: from the output extension, else txt);
+                               decode also writes 3gpp (CA_1A-3A-7C names)
+      --lenient                Recovery mode for corrupted binaries
+      --recalculate            Recalculate streams and UL CA from the combo strings
+  -t, --descriptor-type <type> auto (default), 137, 201 or 333 (encode)
+      --format-version <n>     Header format version (encode, default: from input or 7)
+      --optimize-grouping      Share DL descriptors between combos (encode, default)
+      --no-optimize-grouping   One DL descriptor per combo (encode)
+      --preserve-grouping      Keep the DL groups of a binary/JSON input (encode)
+  -c, --compress               zlib-compress the output binary (encode)
+      --mimo-dl <n>            DL MIMO for 3GPP CA names (default 2)
+      --band-mimo <rules>      DL MIMO per band for 3GPP CA names, e.g. "1:4,3:4"
+      --interference           Warn about UL harmonics/IMD landing in a DL carrier of the combo (validate)
+      --rules <file>           JSON rule config: user rules and rule overrides (validate, encode)
+      --fill                   Insert the missing fallbacks after their combo (fallbacks)
+      --identity <id>          Same combo for set: dl (DL carriers, default), dl-ul (DL and UL, any order) or exact
+      --superset-bands         Compare bands as their outermost superset, e.g. B4 as B66, B2 as B25 (set, diff)
+  -p, --profile <name>         Device profile: ${Object.keys(DEVICE_PROFILES).join(', ')}
+  -v, --verbose                Print encoder/decoder diagnostics to stderr
+  -h, --help                   Show this help
+
+Exit codes: 0 ok, 1 check failed, 2 usage error, 3 input/processing error`;
+
+const OPTIONS = {
+  output: { type: 'string', short: 'o' },
+  format: { type: 'string', short: 'f' },
+  lenient: { type: 'boolean' },
+  recalculate: { type: 'boolean' },
+  'descriptor-type': { type: 'string', short: 't' },
+  'format-version': { type: 'string' },
+  'optimize-grouping': { type: 'boolean' },
+  'no-optimize-grouping': { type: 'boolean' },
+  'preserve-grouping': { type: 'boolean' },
+  compress: { type: 'boolean', short: 'c' },
+  'mimo-dl': { type: 'string' },
+  'band-mimo': { type: 'string' },
+  interference: { type: 'boolean' },
+  rules: { type: 'string' },
+  fill: { type: 'boolean' },
+  identity: { type: 'string' },
+  'superset-bands': { type: 'boolean' },
+  profile: { type: 'string', short: 'p' },
+  verbose: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// ==================== ERRORS ====================
+
+/**
+ * Error that ends the CLI with a specific exit code
+ */
+class CliError extends Error {
+  constructor(message, exitCode = EXIT_CODE.ERROR) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+const usageError = (message) => new CliError(message, EXIT_CODE.USAGE);
+
+// ==================== INPUT / OUTPUT ====================
+
+const readInput = (path) => {
+  let buf;
+  try {
+    buf = readFileSync(path === '-' ? 0 : path);
+  } catch (e) {
+    throw new CliError(`Cannot read ${path}: ${e.message}`);
+  }
+  return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+};
+
+const writeOutput = (path, data) => {
+  if (!path || path === '-') {
+    process.stdout.write(typeof data === 'string' ? data : Buffer.from(data));
+    return;
+  }
+  try {
+    writeFileSync(path, typeof data === 'string' ? data : Buffer.from(data));
+  } catch (e) {
+    throw new CliError(`Cannot write ${path}: ${e.message}`);
+  }
+};
+
+const detectInputKind = (path, arrayBuffer) => {
+  if (isDiagLogName(path)) return INPUT_KIND.DIAG_LOG;
+  if (!looksLikeText(arrayBuffer)) return INPUT_KIND.BINARY;
+  if (extname(path).toLowerCase() === '.json') return INPUT_KIND.JSON;
+  const text = new TextDecoder('utf-8').decode(arrayBuffer);
+  if (isUeCapability(text)) return INPUT_KIND.CAPABILITY;
+  if (isCaNotation(text)) return INPUT_KIND.CA_NOTATION;
+  const start = text.slice(0, 64).trimStart();
+  return start.startsWith('{') || start.startsWith('[') ? INPUT_KIND.JSON : INPUT_KIND.TEXT;
+};
+
+/**
+ * Output format: --format, else the output file extension, else txt
+ */
+const getOutputFormat = (values, formats = ['txt', 'json']) => {
+  const format = values.format || (extname(values.output || '').toLowerCase() === '.json' ? 'json' : 'txt');
+  if (!formats.includes(format)) {
+    throw usageError(`Unknown format "${format}" (expected ${formats.join(', ')})`);
+  }
+  return format;
+};
+
+/**
+ * MIMO options for 3GPP CA names (--mimo-dl, --band-mimo)
+ */
+const getCaNotationOptions = (values) => {
+  const mimoDl = values['mimo-dl'] !== undefined ? parseInt(values['mimo-dl'], 10) : 2;
+  if (!Number.isInteger(mimoDl) || mimoDl < 1) {
+    throw usageError(`Invalid --mimo-dl "${values['mimo-dl']}"`);
+  }
+  try {
+    return { mimoDl, bandMimoDl: parseBandMimoRules(values['band-mimo'] || '') };
+  } catch (e) {
+    throw usageError(`--band-mimo: ${e.message}`);
+  }
+};
+
+const toJson = (value) => `${JSON.stringify(value, null, 2)}\n`;
+
+const toText = (lines) => `${lines.join('\n')}\n`;
+
+/**
+ * Write encoder entries as a TXT combo list ("COMBO STREAMS[*]") or JSON
+ */
+const writeEntries = (values, entries) => {
+  writeOutput(values.output, getOutputFormat(values) === 'json'
+    ? toJson(entries.map(e => ({ text: e.text, streams: e.streams, hasULCA: e.hasULCA })))
+    : toText(entries.map(e => `${e.text} ${e.streams}${e.hasULCA ? '*' : ''}`)));
+};
+
+// ==================== COMBO SOURCES ====================
+
+/**
+ * @typedef {Object} ComboInput
+ * @property {string} kind - One of INPUT_KIND
+ * @property {Object[]} entries - Encoder entries
+ * @property {Object[]|null} groups - Original DL groups (binary and decode JSON only)
+ * @property {number|null} formatVersion - Header format version of the source
+ * @property {Object|null} decodeResults - decodeFile output (binary only)
+ */
+
+const decodeBinary = (path, arrayBuffer, values) => {
+  try {
+    return decodeFile(arrayBuffer, { lenient: !!values.lenient });
+  } catch (e) {
+    throw new CliError(`${path}: ${e.message}`);
+  }
+};
+
+/**
+ * Load combos from a binary, TXT, 3GPP CA list, UE capability, diag log or JSON file
+ *
+ * @returns {ComboInput}
+ */
+const loadComboInput = (path, values) => {
+  const arrayBuffer = readInput(path);
+  const kind = detectInputKind(path, arrayBuffer);
+  const recalculate = !!values.recalculate;
+
+  if (kind === INPUT_KIND.BINARY) {
+    const decodeResults = decodeBinary(path, arrayBuffer, values);
+    decodeResults.errors.forEach(err => console.error(`${path}: ${err}`));
+    return {
+      kind,
+      entries: decodedCombosToEntries(decodeResults.combos, recalculate),
+      groups: decodeResults.groups,
+      formatVersion: decodeResults.formatVersion,
+      decodeResults
+    };
+  }
+
+  if (kind === INPUT_KIND.DIAG_LOG) {
+    let capability;
+    try {
+      capability = parseDiagLog(arrayBuffer);
+    } catch (e) {
+      throw new CliError(`${path}: ${e.message}`);
+    }
+    capability.warnings.forEach(warning => console.error(`${path}: ${warning}`));
+    if (capability.combos.length === 0) {
+      throw new CliError(`${path}: no band combinations found in UECapabilityInformation`);
+    }
+    return { kind, entries: combosToEntries(capability.combos), groups: null, formatVersion: null, decodeResults: null };
+  }
+
+  const text = new TextDecoder('utf-8').decode(arrayBuffer);
+
+  if (kind === INPUT_KIND.CA_NOTATION) {
+    const { combos, errors } = parseCaNotationList(text, getCaNotationOptions(values));
+    errors.forEach(err => console.error(`${path}: ${err}`));
+    if (combos.length === 0) {
+      throw new CliError(`${path}: no valid 3GPP CA configurations found`);
+    }
+    return { kind, entries: combosToEntries(combos), groups: null, formatVersion: null, decodeResults: null };
+  }
+
+  if (kind === INPUT_KIND.TEXT) {
+    const entries = parseComboFile(text, recalculate);
+    if (entries.length === 0) {
+      throw new CliError(`${path}: no valid combos found`);
+    }
+    return { kind, entries, groups: null, formatVersion: null, decodeResults: null };
+  }
+
+  if (kind === INPUT_KIND.CAPABILITY) {
+    let capability;
+    try {
+      capability = parseUeCapability(text);
+    } catch (e) {
+      throw new CliError(`${path}: ${e.message}`);
+    }
+    const { combos, warnings } = capability;
+    warnings.forEach(warning => console.error(`${path}: ${warning}`));
+    if (combos.length === 0) {
+      throw new CliError(`${path}: no band combinations found in UE capability`);
+    }
+    return { kind, entries: combosToEntries(combos), groups: null, formatVersion: null, decodeResults: null };
+  }
+
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    throw new CliError(`${path}: invalid JSON: ${e.message}`);
+  }
+
+  // decode --format json output, or a plain array of combo strings/objects
+  const combos = (Array.isArray(json) ? json : json.combos || [])
+    .map(c => (typeof c === 'string' ? { text: c } : c))
+    .filter(c => c && typeof c.text === 'string');
+  const entries = decodedCombosToEntries(combos, recalculate || combos.some(c => c.streams === undefined));
+  if (entries.length === 0) {
+    throw new CliError(`${path}: no valid combos found`);
+  }
+
+  return {
+    kind,
+    entries,
+    groups: Array.isArray(json.groups) && json.groups.length > 0 ? json.groups : null,
+    formatVersion: Number.isInteger(json.formatVersion) ? json.formatVersion : null,
+    decodeResults: null
+  };
+};
+
+const getProfile = (values) => {
+  if (!values.profile) return null;
+  const profile = DEVICE_PROFILES[values.profile];
+  if (!profile) {
+    throw usageError(`Unknown profile "${values.profile}" (available: ${Object.keys(DEVICE_PROFILES).join(', ')})`);
+  }
+  return profile;
+};
+
+/**
+ * Rule config of --rules (user rules and overrides), null without
+ */
+const getRules = (values) => {
+  if (!values.rules) return null;
+  try {
+    return parseValidationRules(new TextDecoder('utf-8').decode(readInput(values.rules)));
+  } catch (e) {
+    throw e instanceof CliError ? e : new CliError(`${values.rules}: ${e.message}`);
+  }
+};
+
+/**
+ * Validate entries: NV encoding limits, the device profile and the rules of
+ * the rule config, optionally UL harmonics/IMD
+ *
+ * @returns {{valid: boolean, results: Object[], errors: Object[], warnings: Object[]}} results with
+ *   the entry text, errors and warnings of the whole list (list rules)
+ */
+const validateEntries = (entries, profile, options = {}) => {
+  const limits = profile || DEFAULT_PROFILE;
+  const report = validateComboList(entries, {
+    validate: validateForEncoding,
+    maxDLCC: limits.maxDLCC,
+    maxULSCell: limits.maxULSCell,
+    maxTotalUL: limits.maxTotalUL,
+    profile,
+    checkInterference: !!options.checkInterference,
+    rules: options.rules || null
+  });
+  return { ...report, results: report.results.map((result, i) => ({ text: entries[i].text, ...result })) };
+};
+
+// ==================== COMMANDS ====================
+
+const decodeCommand = (positionals, values) => {
+  const [input] = positionals;
+  if (!input) throw usageError('decode: missing input file');
+
+  const arrayBuffer = readInput(input);
+  if (detectInputKind(input, arrayBuffer) !== INPUT_KIND.BINARY) {
+    throw usageError(`decode: ${input} is not an NV binary`);
+  }
+
+  const results = decodeBinary(input, arrayBuffer, values);
+  results.errors.forEach(err => console.error(`${input}: ${err}`));
+
+  const format = getOutputFormat(values, ['txt', 'json', '3gpp']);
+  if (format === 'json') {
+    const { bytes: _bytes, layout: _layout, ...serializable } = results;
+    writeOutput(values.output, toJson(serializable));
+  } else if (format === '3gpp') {
+    const names = decodedCombosToEntries(results.combos, false).map(e => formatCaNotation(e.carriers));
+    writeOutput(values.output, toText([...new Set(names)]));
+  } else {
+    writeOutput(values.output, toText(formatDecodeResults(results)));
+  }
+
+  return results.errors.length === 0 && results.integrity.ok ? EXIT_CODE.OK : EXIT_CODE.FAILED;
+};
+
+const encodeCommand = (positionals, values) => {
+  const [input] = positionals;
+  if (!input) throw usageError('encode: missing input file');
+
+  const descriptorType = values['descriptor-type'] || 'auto';
+  if (descriptorType !== 'auto' && !DESCRIPTOR_TYPES.includes(descriptorType)) {
+    throw usageError(`encode: unknown descriptor type "${descriptorType}" (expected auto, 137, 201 or 333)`);
+  }
+  if (values['optimize-grouping'] && values['no-optimize-grouping']) {
+    throw usageError('encode: --optimize-grouping and --no-optimize-grouping are exclusive');
+  }
+  let formatVersion = null;
+  if (values['format-version'] !== undefined) {
+    formatVersion = parseInt(values['format-version'], 10);
+    if (!Number.isInteger(formatVersion) || formatVersion < 0 || formatVersion > 0xFFFF) {
+      throw usageError(`encode: invalid format version "${values['format-version']}"`);
+    }
+  }
+  const profile = getProfile(values);
+  const rules = getRules(values);
+
+  const source = loadComboInput(input, values);
+  if (values['preserve-grouping'] && !source.groups) {
+    throw usageError('encode: --preserve-grouping needs a binary or decode JSON input with DL groups');
+  }
+
+  if (profile || rules) {
+    const report = validateEntries(source.entries, profile, { rules });
+    const invalid = report.results.filter(r => !r.valid);
+    if (invalid.length > 0 || report.errors.length > 0) {
+      report.errors.forEach(err => console.error(err.message));
+      invalid.forEach(r => r.errors.forEach(err => console.error(`${r.text}: ${err.message}`)));
+      console.error(`encode: ${invalid.length} combo(s) not valid for ${profile ? `profile ${profile.name}` : values.rules}` +
+        `${report.errors.length > 0 ? ` and ${report.errors.length} list rule error(s)` : ''}, nothing written`);
+      return EXIT_CODE.FAILED;
+    }
+  }
+
+  const warnings = [];
+  let buffer;
+  try {
+    buffer = encodeToBuffer({
+      encodeEntries: source.entries,
+      formatVersion: formatVersion ?? source.formatVersion ?? 7,
+      descriptorType: descriptorType === 'auto' ? 201 : parseInt(descriptorType, 10),
+      optimizeGrouping: !values['no-optimize-grouping'],
+      autoDescriptorType: descriptorType === 'auto',
+      preserveOriginalGrouping: !!values['preserve-grouping'],
+      originalGroups: values['preserve-grouping'] ? source.groups : null,
+      warnings
+    });
+    if (values.compress) buffer = compressZlib(buffer);
+  } catch (e) {
+    throw new CliError(`encode: ${e.message}`);
+  }
+
+  writeOutput(values.output, new Uint8Array(buffer));
+  if (values.verbose) warnings.forEach(w => console.error(`${w.code}: ${w.message}`));
+  console.error(`Encoded ${source.entries.length} combos, ${buffer.byteLength} bytes${values.compress ? ' (zlib)' : ''}` +
+    (warnings.length > 0 ? `, ${warnings.length} warning(s)${values.verbose ? '' : ' (-v lists them)'}` : ''));
+  return EXIT_CODE.OK;
+};
+
+const validateCommand = (positionals, values) => {
+  const [input] = positionals;
+  if (!input) throw usageError('validate: missing input file');
+
+  const profile = getProfile(values);
+  const rules = getRules(values);
+  const source = loadComboInput(input, values);
+  const report = validateEntries(source.entries, profile, { checkInterference: values.interference, rules });
+  const results = report.results.filter(Boolean);
+  const integrity = source.decodeResults ? source.decodeResults.integrity : null;
+
+  const summary = {
+    combos: results.length,
+    invalid: results.filter(r => !r.valid).length,
+    withWarnings: results.filter(r => r.warnings.length > 0).length,
+    interference: values.interference
+      ? results.filter(r => r.warnings.some(w => w.code === ERROR_CODES.UL_HARMONIC_INTERFERENCE || w.code === ERROR_CODES.UL_IMD_INTERFERENCE)).length
+      : null,
+    listErrors: report.errors.length,
+    integrityOk: integrity ? integrity.ok : null
+  };
+  const ok = summary.invalid === 0 && summary.listErrors === 0 && summary.integrityOk !== false;
+
+  if (getOutputFormat(values) === 'json') {
+    writeOutput(values.output, toJson({
+      profile: (profile || DEFAULT_PROFILE).name,
+      summary,
+      integrity,
+      combos: results,
+      listErrors: report.errors,
+      listWarnings: report.warnings
+    }));
+  } else {
+    const lines = [];
+    for (const r of results) {
+      r.errors.forEach(err => lines.push(`ERROR    ${r.text}: ${err.message}`));
+      r.warnings.forEach(warn => lines.push(`WARNING  ${r.text}: ${warn.message}`));
+    }
+    report.errors.forEach(err => lines.push(`ERROR    ${err.message}`));
+    report.warnings.forEach(warn => lines.push(`WARNING  ${warn.message}`));
+    if (integrity) {
+      integrity.issues
+        .filter(issue => issue.severity !== 'info')
+        .forEach(issue => lines.push(`${issue.severity.toUpperCase().padEnd(8)} ${issue.message}`));
+    }
+    if (lines.length > 0) lines.push('');
+    lines.push(
+      `Profile: ${(profile || DEFAULT_PROFILE).name}`,
+      `Combos: ${summary.combos}, invalid: ${summary.invalid}, with warnings: ${summary.withWarnings}` +
+        (summary.interference !== null ? `, with UL harmonics/IMD: ${summary.interference}` : '') +
+        (summary.listErrors > 0 ? `, list rule errors: ${summary.listErrors}` : '') +
+        (integrity ? `, integrity: ${integrity.ok ? 'OK' : 'FAILED'}` : ''),
+      ok ? 'Result: OK' : 'Result: FAILED'
+    );
+    writeOutput(values.output, toText(lines));
+  }
+
+  return ok ? EXIT_CODE.OK : EXIT_CODE.FAILED;
+};
+
+const fallbacksCommand = (positionals, values) => {
+  const [input] = positionals;
+  if (!input) throw usageError('fallbacks: missing input file');
+
+  const profile = getProfile(values) || DEFAULT_PROFILE;
+  const source = loadComboInput(input, values);
+  const analysis = analyzeFallbacks(source.entries, { profile });
+
+  // Completed list: missing fallbacks inserted right after their combo
+  if (values.fill) {
+    writeEntries(values, insertFallbacks(source.entries, analysis, combo => createEntry(combo)));
+    if (values.verbose) console.error(`Inserted ${analysis.summary.missing} fallbacks`);
+    return EXIT_CODE.OK;
+  }
+
+  const { summary } = analysis;
+  const ok = summary.missing === 0;
+
+  if (getOutputFormat(values) === 'json') {
+    writeOutput(values.output, toJson({
+      profile: analysis.profile,
+      summary,
+      combos: analysis.reports.map(r => ({
+        index: r.index,
+        text: r.text,
+        missing: r.missing.map(combo => comboToString(combo)),
+        blocked: r.blocked.map(({ combo, errors }) => ({ text: comboToString(combo), errors })),
+        duplicates: r.duplicates,
+        worseMimo: r.worseMimo.map(({ combo, indices }) => ({ text: comboToString(combo), indices }))
+      }))
+    }));
+  } else {
+    const lines = [];
+    for (const r of analysis.reports) {
+      r.missing.forEach(combo => lines.push(`MISSING  ${r.text}: ${comboToString(combo)}`));
+      r.blocked.forEach(({ combo, errors }) => lines.push(
+        `BLOCKED  ${r.text}: ${comboToString(combo)} (${errors.map(e => e.message).join('; ')})`
+      ));
+      r.duplicates.forEach(d => lines.push(`DUPLICATE ${r.text}: ${d.text} x${d.indices.length}`));
+      r.worseMimo.forEach(({ combo, indices }) => lines.push(
+        `MIMO     ${r.text}: ${comboToString(combo)} only as ${indices.map(i => source.entries[i].text).join(', ')}`
+      ));
+    }
+    if (lines.length > 0) lines.push('');
+    lines.push(
+      `Profile: ${analysis.profile}`,
+      `Combos: ${summary.combos}, incomplete: ${summary.incomplete}, missing: ${summary.missing}, ` +
+        `outside the profile: ${summary.blocked}, duplicated: ${summary.duplicates}, worse MIMO: ${summary.worseMimo}`,
+      ok ? 'Result: OK' : 'Result: FAILED'
+    );
+    writeOutput(values.output, toText(lines));
+  }
+
+  return ok ? EXIT_CODE.OK : EXIT_CODE.FAILED;
+};
+
+const setCommand = (positionals, values) => {
+  const [operation, inputA, inputB] = positionals;
+  if (!Object.values(SET_OPERATION).includes(operation)) {
+    throw usageError(`set: unknown operation "${operation || ''}" (expected ${Object.values(SET_OPERATION).join(', ')})`);
+  }
+  if (!inputA || !inputB) throw usageError('set: two input files are required');
+
+  const identity = values.identity || COMBO_IDENTITY.DL;
+  if (!Object.values(COMBO_IDENTITY).includes(identity)) {
+    throw usageError(`Unknown identity "${identity}" (expected ${Object.values(COMBO_IDENTITY).join(', ')})`);
+  }
+
+  const a = loadComboInput(inputA, values);
+  const b = loadComboInput(inputB, values);
+  const entries = applySetOperation(operation, a.entries, b.entries, {
+    identity,
+    supersetBands: Boolean(values['superset-bands'])
+  });
+  writeEntries(values, entries);
+  if (values.verbose) console.error(`${operation}: ${a.entries.length} and ${b.entries.length} → ${entries.length} combos`);
+
+  return EXIT_CODE.OK;
+};
+
+const diffCommand = (positionals, values) => {
+  const [inputA, inputB] = positionals;
+  if (!inputA || !inputB) throw usageError('diff: two input files are required');
+
+  const load = (path) => {
+    const arrayBuffer = readInput(path);
+    if (detectInputKind(path, arrayBuffer) === INPUT_KIND.JSON) {
+      throw usageError(`diff: ${path}: only binary and TXT files can be compared`);
+    }
+    try {
+      return loadDiffSource(path, arrayBuffer);
+    } catch (e) {
+      throw new CliError(e.message);
+    }
+  };
+
+  const diff = diffComboSources(load(inputA), load(inputB), { supersetBands: Boolean(values['superset-bands']) });
+  writeOutput(values.output, getOutputFormat(values) === 'json' ? toJson(diff) : toText(formatComboDiff(diff)));
+
+  return diff.summary.identical ? EXIT_CODE.OK : EXIT_CODE.FAILED;
+};
+
+const statsCommand = (positionals, values) => {
+  const [input] = positionals;
+  if (!input) throw usageError('stats: missing input file');
+
+  const source = loadComboInput(input, values);
+  const { entries, decodeResults } = source;
+
+  const byCarrierCount = {};
+  const bandUsage = {};
+  for (const entry of entries) {
+    const count = entry.carriers.length;
+    byCarrierCount[count] = (byCarrierCount[count] || 0) + 1;
+    for (const band of new Set(entry.carriers.map(c => c.band))) {
+      bandUsage[band] = (bandUsage[band] || 0) + 1;
+    }
+  }
+
+  const stats = {
+    input: source.kind,
+    combos: entries.length,
+    uniqueDLCombos: new Set(entries.map(e => getComboKey(e.carriers))).size,
+    ulcaCombos: entries.filter(e => e.hasULCA).length,
+    maxStreams: entries.reduce((max, e) => Math.max(max, e.streams || 0), 0),
+    // Default assumptions: 20 MHz per CC, DL 256QAM, UL 64QAM, TDD configuration 2
+    throughput: summarizeThroughput(entries.map(e => estimateThroughput(e))),
+    byCarrierCount,
+    bandUsage,
+    formatVersion: source.formatVersion,
+    dlGroups: source.groups ? source.groups.length : null,
+    descriptorStats: decodeResults ? decodeResults.descriptorStats : null,
+    fileSize: decodeResults ? decodeResults.fileSize : null,
+    compressed: decodeResults ? decodeResults.wasCompressed : null
+  };
+
+  if (getOutputFormat(values) === 'json') {
+    writeOutput(values.output, toJson(stats));
+    return EXIT_CODE.OK;
+  }
+
+  const lines = [`Input: ${input} (${stats.input})`];
+  if (decodeResults) {
+    lines.push(
+      `File size: ${stats.fileSize} bytes${stats.compressed ? ' (decompressed from zlib)' : ''}`,
+      `Format version: ${stats.formatVersion}`,
+      `DL groups: ${stats.dlGroups}`,
+      `Descriptors: ${Object.entries(stats.descriptorStats).filter(([, n]) => n > 0).map(([t, n]) => `${t}: ${n}`).join(', ')}`
+    );
+  }
+  lines.push(
+    `Combos: ${stats.combos} (${stats.uniqueDLCombos} unique DL)`,
+    `UL CA combos: ${stats.ulcaCombos}`,
+    `Max streams: ${stats.maxStreams}`,
+    `Max DL/UL throughput: ${stats.throughput.maxDl} / ${stats.throughput.maxUl} Mbps` +
+      ` (DL Cat ${stats.throughput.dlCategory ?? '>14'}, UL Cat ${stats.throughput.ulCategory ?? '>8'})`,
+    `By carrier count: ${Object.entries(byCarrierCount).map(([n, c]) => `${n}CC: ${c}`).join(', ')}`,
+    `Band usage: ${Object.entries(bandUsage).sort((a, b) => b[1] - a[1] || a[0] - b[0]).map(([b, c]) => `B${b}: ${c}`).join(', ')}`
+  );
+  writeOutput(values.output, toText(lines));
+  return EXIT_CODE.OK;
+};
+
+const earfcnCommand = (positionals, values) => {
+  const [value, input] = positionals;
+  if (!value) throw usageError('earfcn: missing EARFCN or frequency');
+  const json = getOutputFormat(values) === 'json';
+
+  const mhz = value.match(/^(\d+(?:\.\d+)?)mhz$/i);
+  if (mhz) {
+    const frequency = parseFloat(mhz[1]);
+    const bands = findBandsByFrequency(frequency);
+    writeOutput(values.output, json ? toJson({ frequency, bands }) : toText([
+      `${frequency} MHz:${bands.length > 0 ? '' : ' not in any band'}`,
+      ...bands.map(b => `  B${b.band} ${b.link}  EARFCN ${b.earfcn ?? '- (band edge or off the 100 kHz raster)'}`)
+    ]));
+    return bands.length > 0 ? EXIT_CODE.OK : EXIT_CODE.FAILED;
+  }
+
+  if (!/^\d+$/.test(value)) throw usageError(`earfcn: "${value}" is neither an EARFCN nor a frequency like 1815MHz`);
+  const earfcn = parseInt(value, 10);
+  const entries = input ? loadComboInput(input, values).entries : [];
+  const result = findCombosForEarfcn(entries, earfcn);
+
+  if (json) {
+    const { channel = null, bands = [], matches } = result || {};
+    writeOutput(values.output, toJson(input ? { earfcn, channel, bands, matches: matches || [] } : { earfcn, channel, bands }));
+  } else if (!result) {
+    writeOutput(values.output, toText([`EARFCN ${earfcn}: not in any band`]));
+  } else {
+    const { channel, bands, matches } = result;
+    const lines = [
+      `EARFCN ${earfcn}: B${channel.band} ${channel.link} ${channel.frequency.toFixed(1)} MHz`,
+      `Bands with ${channel.frequency.toFixed(1)} MHz (${channel.link}): ${bands.map(b => `B${b}`).join(', ')}`
+    ];
+    if (input) {
+      lines.push('', `Combos of ${input}: ${matches.length} of ${entries.length}`);
+      matches.forEach(match => lines.push(`  #${match.index + 1} ${match.text}`));
+    }
+    writeOutput(values.output, toText(lines));
+  }
+
+  return result ? EXIT_CODE.OK : EXIT_CODE.FAILED;
+};
+
+const endcCommand = (positionals, values) => {
+  const [list, input] = positionals;
+  if (!list) throw usageError('endc: missing EN-DC combo list');
+  if (!input) throw usageError('endc: missing LTE combo file');
+
+  const parsed = parseEndcList(new TextDecoder('utf-8').decode(readInput(list)));
+  if (parsed.combos.length === 0 && parsed.errors.length === 0) {
+    throw new CliError(`${list}: no EN-DC combos (DC_3A-7A_n78A or 3A-7A+n78A)`);
+  }
+  const source = loadComboInput(input, values);
+  const results = validateEndcAnchors(parsed.combos, source.entries);
+
+  const summary = {
+    endcCombos: results.length,
+    lteCombos: source.entries.length,
+    missingAnchors: results.filter(r => r.errors.some(e => e.code === ERROR_CODES.ENDC_ANCHOR_MISSING)).length,
+    parseErrors: parsed.errors.length,
+    duplicates: parsed.duplicates
+  };
+  const ok = summary.missingAnchors === 0 && summary.parseErrors === 0;
+
+  if (getOutputFormat(values) === 'json') {
+    writeOutput(values.output, toJson({ summary, errors: parsed.errors, combos: results }));
+  } else {
+    const lines = parsed.errors.map(err => `ERROR    ${err}`);
+    for (const r of results) {
+      r.errors.forEach(err => lines.push(`ERROR    ${r.text}: ${err.message}`));
+      r.warnings.forEach(warn => lines.push(`WARNING  ${r.text}: ${warn.message}`));
+    }
+    if (lines.length > 0) lines.push('');
+    lines.push(
+      `EN-DC combos: ${summary.endcCombos}, LTE combos: ${summary.lteCombos}, without LTE CA anchor: ${summary.missingAnchors}` +
+        (summary.parseErrors > 0 ? `, unparsable: ${summary.parseErrors}` : ''),
+      ok ? 'Result: OK' : 'Result: FAILED'
+    );
+    writeOutput(values.output, toText(lines));
+  }
+
+  return ok ? EXIT_CODE.OK : EXIT_CODE.FAILED;
+};
+
+const COMMANDS = {
+  decode: decodeCommand,
+  encode: encodeCommand,
+  validate: validateCommand,
+  fallbacks: fallbacksCommand,
+  set: setCommand,
+  diff: diffCommand,
+  stats: statsCommand,
+  earfcn: earfcnCommand,
+  endc: endcCommand
+};
+
+// ==================== MAIN ====================
+
+/**
+ * Run the CLI
+ *
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @returns {number} Exit code
+ */
+const run = (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (e) {
+    console.error(`${e.message}\nRun "nv28874 --help" for usage.`);
+    return EXIT_CODE.USAGE;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...args] = positionals;
+
+  if (values.help || !command) {
+    (values.help ? console.info : console.error)(USAGE);
+    return values.help ? EXIT_CODE.OK : EXIT_CODE.USAGE;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command "${command}"\nRun "nv28874 --help" for usage.`);
+    return EXIT_CODE.USAGE;
+  }
+
+  // Encoder diagnostics go to stderr, stdout is kept for the command output
+  setDebugLogging(values.verbose && console.error);
+
+  try {
+    return COMMANDS[command](args, values);
+  } catch (e) {
+    console.error(e instanceof CliError ? e.message : `${command}: ${e.stack || e.message}`);
+    return e instanceof CliError ? e.exitCode : EXIT_CODE.ERROR;
+  }
+};
+
+process.exitCode = run(process.argv.slice(2));
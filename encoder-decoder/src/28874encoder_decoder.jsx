@@ -1,9 +1,29 @@
-import React, { useState, useCallback } from 'react';
-import { decodeFile } from './decoder/28874decoder';
-import { encodeToBuffer } from './encoder/28874encoder';
-import { useEncoderTableHandlers, useExportHandlers, useFileHandlers } from './utils/utils';
+import React, { useState, useCallback, useMemo } from 'react';
+import { decodeFile, CONFIDENCE } from './decoder/28874decoder';
+import HexViewer from './decoder/HexViewer';
+import ItemVariants from './decoder/ItemVariants';
+import { INTEGRITY_SEVERITY } from './decoder/integrity.js';
+import { verifyRoundTrip } from './decoder/roundTrip.js';
+import { encodeToBuffer, createEntry, determineMinimumFormat } from './encoder/28874encoder';
+import {
+  useEncoderTableHandlers, useExportHandlers, useFileHandlers, useQueryFilter, useThroughput, useSortedRows, getNewEntries
+} from './utils/utils';
 import ComboBuilder from './builder/ComboBuilder';
-import { getDLKey, sortCarriersByBand } from './shared/index.js';
+import ComboDiff from './diff/ComboDiff';
+import ComboSets from './sets/ComboSets';
+import PasteCombos from './encoder/PasteCombos';
+import FallbackPanel from './encoder/FallbackPanel';
+import InterferencePanel from './encoder/InterferencePanel';
+import BandMappingPanel from './encoder/BandMappingPanel';
+import RulesPanel from './encoder/RulesPanel';
+import QueryBar from './query/QueryBar';
+import EarfcnPanel from './earfcn/EarfcnPanel';
+import EndcPanel from './endc/EndcPanel';
+import ThroughputPanel from './throughput/ThroughputPanel';
+import ThroughputHeader from './throughput/ThroughputHeader';
+import {
+  parseBandMimoRules, parseBandwidthRules, parseValidationRules, getPCellIndex, PCELL_MARKER, DEFAULT_THROUGHPUT_OPTIONS
+} from './shared/index.js';
 
 export default function NVItemEncoderDecoder() {
   const [activeTab, setActiveTab] = useState('decoder');
@@ -11,6 +31,16 @@ export default function NVItemEncoderDecoder() {
   // Decoder state
   const [decodeResults, setDecodeResults] = useState(null);
   const [decodeError, setDecodeError] = useState(null);
+  const [decodeSource, setDecodeSource] = useState(null); // Raw data of the last decoded file
+  const [recoveryMode, setRecoveryMode] = useState(false); // Lenient decoding of corrupted files
+  const [showHexView, setShowHexView] = useState(false);
+  const [hoveredComboIdx, setHoveredComboIdx] = useState(null); // Combo row hovered in the table
+  const [hoveredLayoutIdx, setHoveredLayoutIdx] = useState(null); // Byte map entry hovered in the hex view
+  const [qcnSource, setQcnSource] = useState(null); // { fileName, qcn, instanceIdx } when a QCN backup was loaded
+  const [archiveSource, setArchiveSource] = useState(null); // { name, format, items, activeIdx } for EFS archives/directories
+  const [roundTrip, setRoundTrip] = useState(null); // { source, result } of the last round-trip check
+  const [decodeQuery, setDecodeQuery] = useState(''); // Filter of the combo table
+  const [decodeSort, setDecodeSort] = useState({ key: null, desc: true }); // Throughput column sort
   
   // Encoder state
   const [encodeEntries, setEncodeEntries] = useState([]);
@@ -23,6 +53,24 @@ export default function NVItemEncoderDecoder() {
   const [preserveOriginalGrouping, setPreserveOriginalGrouping] = useState(false);
   const [originalGroups, setOriginalGroups] = useState(null); // Stored from decoder
   const [useCompression, setUseCompression] = useState(false); // Compress with zlib
+  const [showPaste, setShowPaste] = useState(false);
+  const [showEarfcn, setShowEarfcn] = useState(false);
+  const [showEndc, setShowEndc] = useState(false);
+  const [showFallbacks, setShowFallbacks] = useState(false);
+  const [showInterference, setShowInterference] = useState(false);
+  const [showBandMapping, setShowBandMapping] = useState(false);
+  const [showRules, setShowRules] = useState(false);
+  const [ruleConfig, setRuleConfig] = useState(''); // Rule config of the project (JSON), see shared/rules.js
+  const [caMimo, setCaMimo] = useState({ mimoDl: 2, bandRules: '' }); // MIMO for 3GPP CA names
+  const [encodeQuery, setEncodeQuery] = useState(''); // Filter of the combo table
+  const [encodeSort, setEncodeSort] = useState({ key: null, desc: true });
+  const [bulkMimo, setBulkMimo] = useState({ band: '', mimoDl: 4 }); // DL MIMO for the filtered entries, empty band = all
+
+  // Combos sent from the builder to the Sets tab
+  const [builderCombos, setBuilderCombos] = useState([]);
+
+  // Throughput estimate assumptions, shared by the decoder and encoder tables
+  const [throughputSettings, setThroughputSettings] = useState({ ...DEFAULT_THROUGHPUT_OPTIONS, bandRules: '' });
   
   const [isDragging, setIsDragging] = useState(false);
   const buildEncodeBuffer = useCallback(() => (
@@ -45,22 +93,114 @@ export default function NVItemEncoderDecoder() {
     originalGroups
   ]);
 
+  const decodeOptions = useMemo(() => ({ lenient: recoveryMode }), [recoveryMode]);
+
+  const decodeFilter = useQueryFilter(decodeResults ? decodeResults.combos : null, decodeQuery);
+  const encodeFilter = useQueryFilter(encodeEntries, encodeQuery);
+
+  // Invalid per-band bandwidths are flagged in the throughput panel and ignored here
+  const throughputOptions = useMemo(() => {
+    const { bandRules, ...options } = throughputSettings;
+    try {
+      return { ...options, bandBandwidth: parseBandwidthRules(bandRules) };
+    } catch {
+      return options;
+    }
+  }, [throughputSettings]);
+
+  const decodeThroughput = useThroughput(decodeResults ? decodeResults.combos : null, throughputOptions);
+  const encodeThroughput = useThroughput(encodeEntries, throughputOptions);
+  const decodeRows = useSortedRows(
+    decodeResults ? decodeResults.combos.length : 0, decodeFilter.indices, decodeThroughput.rates, decodeSort
+  );
+  const encodeRows = useSortedRows(encodeEntries.length, encodeFilter.indices, encodeThroughput.rates, encodeSort);
+
+  // Invalid per-band rules are flagged in the paste panel and ignored here
+  const caNotationOptions = useMemo(() => {
+    try {
+      return { mimoDl: caMimo.mimoDl, bandMimoDl: parseBandMimoRules(caMimo.bandRules) };
+    } catch {
+      return { mimoDl: caMimo.mimoDl };
+    }
+  }, [caMimo]);
+
+  // An invalid rule config is flagged in the rules panel, the builder then uses the built-in rules
+  const validationRules = useMemo(() => {
+    try {
+      return parseValidationRules(ruleConfig);
+    } catch {
+      return null;
+    }
+  }, [ruleConfig]);
+
+  // Re-decode the current file when the recovery mode is toggled
+  const handleRecoveryModeChange = useCallback((enabled) => {
+    setRecoveryMode(enabled);
+    if (!decodeSource) return;
+    try {
+      setDecodeError(null);
+      setDecodeResults(decodeFile(decodeSource, { lenient: enabled }));
+    } catch (err) {
+      setDecodeError(err.message);
+    }
+  }, [decodeSource]);
+
+  // Decode another 00028874 instance of the loaded QCN file
+  const handleQcnInstanceChange = useCallback((instanceIdx) => {
+    if (!qcnSource) return;
+    const data = qcnSource.qcn.instances[instanceIdx].data;
+    setQcnSource({ ...qcnSource, instanceIdx });
+    setDecodeSource(data);
+    setHoveredComboIdx(null);
+    try {
+      setDecodeError(null);
+      setDecodeResults(decodeFile(data, decodeOptions));
+    } catch (err) {
+      setDecodeResults(null);
+      setDecodeError(err.message);
+    }
+  }, [decodeOptions, qcnSource]);
+
+  // Show another 00028874 file of the loaded archive/directory in the main view
+  const handleArchiveItemOpen = useCallback((activeIdx) => {
+    if (!archiveSource) return;
+    const data = archiveSource.items[activeIdx].data;
+    setArchiveSource({ ...archiveSource, activeIdx });
+    setDecodeSource(data);
+    setHoveredComboIdx(null);
+    try {
+      setDecodeError(null);
+      setDecodeResults(decodeFile(data, decodeOptions));
+    } catch (err) {
+      setDecodeResults(null);
+      setDecodeError(err.message);
+    }
+  }, [archiveSource, decodeOptions]);
+
   const {
     handleDecodeFile,
+    handleDecodeDirectory,
     handleEncodeFile,
+    handleEncodeText,
     handleDrop,
     handleDragOver,
     handleDragLeave
   } = useFileHandlers({
     activeTab,
     decodeFile,
+    decodeOptions,
     recalculateStreams,
+    caNotationOptions,
+    encodeEntries,
     setDecodeError,
     setDecodeResults,
+    setDecodeSource,
     setEncodeEntries,
     setEncodeError,
     setIsDragging,
-    setOriginalGroups
+    setArchiveSource,
+    setOriginalGroups,
+    setQcnSource
   });
 
   const {
@@ -68,10 +208,16 @@ export default function NVItemEncoderDecoder() {
     updateEntryText,
     updateEntryStreams,
     updateEntryULCA,
+    updateEntryULMimo,
+    updateEntryPCell,
     deleteEntry,
+    deleteEntries,
+    updateEntriesMimo,
     startEditing,
     clearAllEntries,
-    recalculateAllStreams
+    recalculateAllStreams,
+    insertMissingFallbacks,
+    rewriteEntryBands
   } = useEncoderTableHandlers({
     setEncodeEntries,
     setOriginalGroups
@@ -80,9 +226,12 @@ export default function NVItemEncoderDecoder() {
   const {
     handleDecodeExport,
     handleEncodeExport,
+    handleQcnExport,
     handleExportTxt,
+    handleExport3gpp,
     handleCopyToClipboard,
-    transferToEncoder
+    transferToEncoder,
+    transferSelectionToEncoder
   } = useExportHandlers({
     decodeResults,
     encodeEntries,
@@ -97,8 +246,33 @@ export default function NVItemEncoderDecoder() {
     setFormatVersion,
     setOriginalGroups,
     setPreserveOriginalGrouping,
+    qcnSource,
     useCompression
   });
+
+  // Byte ranges of the hovered combo: its UL descriptor plus the DL descriptor of its group
+  const hexHighlight = useMemo(() => {
+    if (!decodeResults || hoveredComboIdx === null) return [];
+    const combo = decodeResults.combos[hoveredComboIdx];
+    if (!combo) return [];
+
+    const ranges = [];
+    const group = decodeResults.groups[combo.groupIdx];
+    if (group && group.layoutIdx !== undefined) ranges.push(decodeResults.layout[group.layoutIdx]);
+    if (combo.layoutIdx !== undefined) ranges.push(decodeResults.layout[combo.layoutIdx]);
+    return ranges.filter(Boolean);
+  }, [decodeResults, hoveredComboIdx]);
+
+  // Combo rows belonging to the byte map entry hovered in the hex view
+  const highlightedCombos = useMemo(() => {
+    if (!decodeResults || hoveredLayoutIdx === null) return new Set();
+    const entry = decodeResults.layout[hoveredLayoutIdx];
+    if (!entry) return new Set();
+    if (entry.comboIdx !== null) return new Set([entry.comboIdx]);
+    const group = decodeResults.groups[entry.groupIdx];
+    return new Set(group ? group.combos : []);
+  }, [decodeResults, hoveredLayoutIdx]);
+
 // ==================== RENDER ====================
 
   return (
@@ -141,10 +315,61 @@ export default function NVItemEncoderDecoder() {
           >
             🔧 Combo Builder
           </button>
+          <button
+            onClick={() => setActiveTab('diff')}
+            className={`px-6 py-2 rounded-lg font-medium transition-colors ${
+              activeTab === 'diff'
+                ? 'bg-yellow-600 text-white'
+                : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+            }`}
+          >
+            🔀 Diff
+          </button>
+          <button
+            onClick={() => setActiveTab('sets')}
+            className={`px-6 py-2 rounded-lg font-medium transition-colors ${
+              activeTab === 'sets'
+                ? 'bg-teal-600 text-white'
+                : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+            }`}
+          >
+            🧮 Sets
+          </button>
+          <button
+            onClick={() => setShowEarfcn(v => !v)}
+            title="EARFCN ↔ frequency calculator and the combos using a channel"
+            className={`ml-auto px-4 py-2 rounded-lg font-medium transition-colors ${
+              showEarfcn ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+            }`}
+          >
+            📻 EARFCN
+          </button>
+          <button
+            onClick={() => setShowEndc(v => !v)}
+            title="Check the LTE anchors of EN-DC combos against the current combo list"
+            className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+              showEndc ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+            }`}
+          >
+            📡 EN-DC
+          </button>
         </div>
 
+        {showEarfcn && (
+          <EarfcnPanel
+            combos={activeTab === 'decoder' ? decodeResults?.combos ?? null : activeTab === 'encoder' ? encodeEntries : null}
+            onFilter={activeTab === 'decoder' ? setDecodeQuery : activeTab === 'encoder' ? setEncodeQuery : null}
+          />
+        )}
+
+        {showEndc && (
+          <EndcPanel
+            combos={activeTab === 'decoder' ? decodeResults?.combos ?? null : activeTab === 'encoder' ? encodeEntries : null}
+          />
+        )}
+
         {/* File Upload Area - only show for decoder and encoder tabs */}
-        {activeTab !== 'builder' && (
+        {(activeTab === 'decoder' || activeTab === 'encoder') && (
           <>
             <div
               onDrop={handleDrop}
@@ -174,11 +399,41 @@ export default function NVItemEncoderDecoder() {
                 <div className="text-4xl mb-3">📁</div>
                 <p className="text-gray-300">Drop file here or click to select</p>
                 <p className="text-gray-500 text-sm mt-1">
-                  {activeTab === 'decoder' ? 'Binary NV item file' : 'Text file with combo list (replaces current)'}
+                  {activeTab === 'decoder'
+                    ? 'Binary NV item file, QCN backup, EFS dump (zip/tar) or EFS directory'
+                    : 'Text file with combo list, UE capability dump or UPER hex, or a diag log (replaces current)'}
                 </p>
               </label>
             </div>
 
+            {/* Decoder: EFS directory picker */}
+            {activeTab === 'decoder' && (
+              <div className="mt-2 flex gap-2">
+                <input
+                  type="file"
+                  id="directoryInput"
+                  className="hidden"
+                  webkitdirectory=""
+                  onChange={(e) => {
+                    const files = Array.from(e.target.files || []);
+                    if (files.length > 0) {
+                      handleDecodeDirectory(
+                        files[0].webkitRelativePath.split('/')[0],
+                        files.map(file => ({ path: file.webkitRelativePath, file }))
+                      );
+                    }
+                    e.target.value = '';
+                  }}
+                />
+                <label
+                  htmlFor="directoryInput"
+                  className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded cursor-pointer text-sm"
+                >
+                  📂 Open EFS directory
+                </label>
+              </div>
+            )}
+
             {/* Encoder: Add file button */}
             {activeTab === 'encoder' && encodeEntries.length > 0 && (
               <div className="mt-2 flex gap-2">
@@ -206,6 +461,49 @@ export default function NVItemEncoderDecoder() {
         {/* ==================== DECODER TAB ==================== */}
         {activeTab === 'decoder' && (
           <>
+            <label className="mt-3 flex items-center gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={recoveryMode}
+                onChange={(e) => handleRecoveryModeChange(e.target.checked)}
+                className="w-4 h-4 accent-orange-500"
+              />
+              <span className="text-orange-300 font-medium">Recovery mode</span>
+              <span className="text-gray-500 text-xs">(skip corrupted regions and salvage as many combos as possible)</span>
+            </label>
+
+            {archiveSource && (
+              <div className="mt-4">
+                <ItemVariants
+                  key={archiveSource.name}
+                  source={archiveSource}
+                  decodeOptions={decodeOptions}
+                  activeIdx={archiveSource.activeIdx}
+                  onOpen={handleArchiveItemOpen}
+                />
+              </div>
+            )}
+
+            {qcnSource && (
+              <div className="mt-4 bg-gray-800 rounded-lg p-4">
+                <h2 className="text-lg font-semibold mb-3 text-blue-300">QCN Backup</h2>
+                <div className="text-sm text-gray-400 mb-2">
+                  {qcnSource.fileName}: {qcnSource.qcn.instances.length} instance(s) of 00028874 found
+                </div>
+                <select
+                  value={qcnSource.instanceIdx}
+                  onChange={(e) => handleQcnInstanceChange(parseInt(e.target.value, 10))}
+                  className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-sm font-mono"
+                >
+                  {qcnSource.qcn.instances.map((instance, idx) => (
+                    <option key={instance.entryId} value={idx}>
+                      {instance.label}{instance.compressed ? ' (zlib)' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             {decodeError && (
               <div className="mt-4 p-4 bg-red-900/50 border border-red-700 rounded-lg text-red-300">
                 {decodeError}
@@ -237,6 +535,15 @@ export default function NVItemEncoderDecoder() {
                     <div className="text-yellow-400 font-semibold">{decodeResults.maxStreams}</div>
                     <div className="text-gray-400">DL groups:</div>
                     <div>{decodeResults.groups?.length || 0}</div>
+                    {decodeResults.recovery?.enabled && (
+                      <>
+                        <div className="text-gray-400">Recovery:</div>
+                        <div className={decodeResults.recovery.resyncs > 0 ? 'text-orange-300' : 'text-gray-300'}>
+                          {decodeResults.recovery.resyncs} resync(s), {decodeResults.recovery.skippedBytes} bytes skipped,{' '}
+                          {decodeResults.recovery.salvagedCombos} combo(s) with reduced confidence
+                        </div>
+                      </>
+                    )}
                   </div>
                   
                   {/* Descriptor statistics */}
@@ -263,8 +570,80 @@ export default function NVItemEncoderDecoder() {
                       )}
                     </div>
                   </div>
+
+                  {/* Estimated peak throughput */}
+                  <div className="mt-3 pt-3 border-t border-gray-700">
+                    <ThroughputPanel
+                      summary={decodeThroughput.summary}
+                      settings={throughputSettings}
+                      onSettingsChange={setThroughputSettings}
+                    />
+                  </div>
                 </div>
 
+                {decodeResults.integrity && (
+                  <div className={`rounded-lg p-4 border ${
+                    decodeResults.integrity.ok
+                      ? 'bg-gray-800 border-gray-700'
+                      : 'bg-red-900/30 border-red-800'
+                  }`}>
+                    <h2 className={`text-lg font-semibold mb-2 ${decodeResults.integrity.ok ? 'text-green-400' : 'text-red-400'}`}>
+                      Integrity: {decodeResults.integrity.ok ? 'OK' : 'FAILED'}
+                      <span className="ml-3 text-sm font-normal text-gray-400">
+                        {decodeResults.integrity.counts.error} error(s), {decodeResults.integrity.counts.warning} warning(s),{' '}
+                        {decodeResults.integrity.counts.info} info
+                      </span>
+                    </h2>
+                    {decodeResults.integrity.issues.length > 0 && (
+                      <div className="max-h-48 overflow-y-auto space-y-1">
+                        {decodeResults.integrity.issues.map((issue, i) => (
+                          <div key={i} className="text-sm flex gap-2">
+                            <span className={`w-16 shrink-0 text-xs font-semibold uppercase ${
+                              issue.severity === INTEGRITY_SEVERITY.ERROR
+                                ? 'text-red-400'
+                                : issue.severity === INTEGRITY_SEVERITY.WARNING ? 'text-yellow-400' : 'text-blue-300'
+                            }`}>
+                              {issue.severity}
+                            </span>
+                            <span className="text-gray-300">{issue.message}</span>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {roundTrip && roundTrip.source === decodeResults && (
+                  <div className={`rounded-lg p-4 border ${
+                    roundTrip.result.identical
+                      ? 'bg-gray-800 border-gray-700'
+                      : 'bg-red-900/30 border-red-800'
+                  }`}>
+                    <h2 className={`text-lg font-semibold mb-2 ${roundTrip.result.identical ? 'text-green-400' : 'text-red-400'}`}>
+                      Round-trip: {roundTrip.result.identical ? 'byte-exact' : 'MISMATCH'}
+                      <span className="ml-3 text-sm font-normal text-gray-400">
+                        {roundTrip.result.expectedSize} bytes decoded, {roundTrip.result.actualSize} bytes re-encoded
+                      </span>
+                    </h2>
+                    {roundTrip.result.error && (
+                      <div className="text-sm text-red-300">Encoding failed: {roundTrip.result.error}</div>
+                    )}
+                    {roundTrip.result.mismatch && (
+                      <div className="text-sm text-gray-300 font-mono">
+                        First difference at 0x{roundTrip.result.mismatch.offset.toString(16).toUpperCase()}:{' '}
+                        expected {roundTrip.result.mismatch.expected ?? 'EOF'}, got {roundTrip.result.mismatch.actual ?? 'EOF'}
+                        {roundTrip.result.mismatch.entry && (
+                          <span className="text-gray-400">
+                            {' '}({roundTrip.result.mismatch.entry.kind}
+                            {roundTrip.result.mismatch.entry.descType !== null && ` ${roundTrip.result.mismatch.entry.descType}`}
+                            {roundTrip.result.mismatch.field && `, ${roundTrip.result.mismatch.field}`})
+                          </span>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 {decodeResults.errors.length > 0 && (
                   <div className="bg-red-900/30 border border-red-800 rounded-lg p-4">
                     <h2 className="text-lg font-semibold mb-2 text-red-400">Errors</h2>
@@ -279,6 +658,37 @@ export default function NVItemEncoderDecoder() {
                     <h2 className="text-lg font-semibold mb-3 text-blue-300">
                       Band Combinations ({decodeResults.combos.length})
                     </h2>
+                    <QueryBar
+                      query={decodeQuery}
+                      onQueryChange={setDecodeQuery}
+                      error={decodeFilter.error}
+                      matched={decodeFilter.indices ? decodeFilter.indices.length : 0}
+                      total={decodeResults.combos.length}
+                    >
+                      {decodeFilter.indices && (
+                        <>
+                          <button
+                            onClick={() => handleExportTxt(decodeFilter.indices.map(i => decodeResults.combos[i]))}
+                            className="px-3 py-1 bg-blue-600 hover:bg-blue-500 rounded text-xs font-medium transition-colors"
+                          >
+                            💾 Export
+                          </button>
+                          <button
+                            onClick={() => handleCopyToClipboard(decodeFilter.indices.map(i => decodeResults.combos[i]))}
+                            className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-xs font-medium transition-colors"
+                          >
+                            📋 Copy
+                          </button>
+                          <button
+                            onClick={() => transferSelectionToEncoder(decodeFilter.indices)}
+                            title="Replace the encoder list with the matching combos (without the original grouping)"
+                            className="px-3 py-1 bg-green-600 hover:bg-green-500 rounded text-xs font-medium transition-colors"
+                          >
+                            ➡️ To Encoder
+                          </button>
+                        </>
+                      )}
+                    </QueryBar>
                     <div className="max-h-96 overflow-y-auto">
                       <table className="w-full text-sm">
                         <thead className="sticky top-0 bg-gray-800">
@@ -287,19 +697,38 @@ export default function NVItemEncoderDecoder() {
                             <th className="pb-2 pr-4">Combination</th>
                             <th className="pb-2 pr-4 w-20">Streams</th>
                             <th className="pb-2 pr-4 w-16">UL CA</th>
-                            <th className="pb-2 w-16">Type</th>
+                            <ThroughputHeader sort={decodeSort} onSortChange={setDecodeSort} className="pb-2 pr-4 w-36" />
+                            <th className="pb-2 pr-4 w-16">Type</th>
+                            <th className="pb-2 w-20">Confidence</th>
                           </tr>
                         </thead>
                         <tbody>
-                          {decodeResults.combos.map((combo, i) => (
-                            <tr key={i} className="border-b border-gray-700/50 hover:bg-gray-700/30">
+                          {decodeRows.map(i => [decodeResults.combos[i], i]).map(([combo, i]) => (
+                            <tr
+                              key={i}
+                              onMouseEnter={() => setHoveredComboIdx(i)}
+                              onMouseLeave={() => setHoveredComboIdx(null)}
+                              className={`border-b border-gray-700/50 hover:bg-gray-700/30 ${
+                                highlightedCombos.has(i) ? 'bg-yellow-900/40' : ''
+                              }`}
+                            >
                               <td className="py-2 pr-4 text-gray-500">{i + 1}</td>
                               <td className="py-2 pr-4 font-mono text-green-300">{combo.text}</td>
                               <td className="py-2 pr-4 text-yellow-300">{combo.streams}</td>
                               <td className="py-2 pr-4">
                                 {combo.hasULCA && <span className="text-blue-400">*</span>}
                               </td>
-                              <td className="py-2 text-gray-500 text-xs">{combo.descType}</td>
+                              <td className="py-2 pr-4 text-gray-300 text-xs">
+                                {decodeThroughput.rates[i].dl ?? '—'} / {decodeThroughput.rates[i].ul || '—'}
+                              </td>
+                              <td className="py-2 pr-4 text-gray-500 text-xs">{combo.descType}</td>
+                              <td className={`py-2 text-xs ${
+                                combo.confidence === CONFIDENCE.LOW
+                                  ? 'text-red-400'
+                                  : combo.confidence === CONFIDENCE.MEDIUM ? 'text-orange-300' : 'text-gray-500'
+                              }`}>
+                                {combo.confidence}
+                              </td>
                             </tr>
                           ))}
                         </tbody>
@@ -308,6 +737,34 @@ export default function NVItemEncoderDecoder() {
                   </div>
                 )}
 
+                {decodeResults.layout && decodeResults.bytes && (
+                  <div className="bg-gray-800 rounded-lg p-4">
+                    <div className="flex justify-between items-center">
+                      <h2 className="text-lg font-semibold text-blue-300">Hex View</h2>
+                      <button
+                        onClick={() => setShowHexView(v => !v)}
+                        className="px-4 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm font-medium transition-colors"
+                      >
+                        {showHexView ? 'Hide' : 'Show'}
+                      </button>
+                    </div>
+                    {showHexView && (
+                      <div className="mt-3">
+                        <p className="text-gray-500 text-xs mb-2">
+                          Hover a combo to highlight its descriptors, or hover bytes to find the combo they belong to.
+                          {decodeResults.wasCompressed && ' Offsets refer to the decompressed data.'}
+                        </p>
+                        <HexViewer
+                          bytes={decodeResults.bytes}
+                          layout={decodeResults.layout}
+                          highlight={hexHighlight}
+                          onHoverEntry={setHoveredLayoutIdx}
+                        />
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 {decodeResults.combos.length > 0 && (
                   <div className="flex gap-3 flex-wrap">
                     <button
@@ -317,7 +774,7 @@ export default function NVItemEncoderDecoder() {
                       💾 Export TXT
                     </button>
                     <button
-                      onClick={handleCopyToClipboard}
+                      onClick={() => handleCopyToClipboard()}
                       className="flex-1 min-w-32 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg font-medium transition-colors"
                     >
                       📋 Copy
@@ -328,6 +785,13 @@ export default function NVItemEncoderDecoder() {
                     >
                       ➡️ To Encoder
                     </button>
+                    <button
+                      onClick={() => setRoundTrip({ source: decodeResults, result: verifyRoundTrip(decodeResults) })}
+                      title="Re-encode with the original grouping and compare with the decoded bytes"
+                      className="flex-1 min-w-32 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg font-medium transition-colors"
+                    >
+                      🔁 Verify round-trip
+                    </button>
                   </div>
                 )}
               </div>
@@ -450,8 +914,53 @@ export default function NVItemEncoderDecoder() {
                     >
                       + Add
                     </button>
+                    <button
+                      onClick={() => setShowPaste(v => !v)}
+                      className={`px-4 py-1 rounded text-sm font-medium transition-colors ${
+                        showPaste ? 'bg-blue-600 hover:bg-blue-500' : 'bg-gray-700 hover:bg-gray-600'
+                      }`}
+                      title="Paste 3GPP CA names (CA_1A-3A-7C), combo strings or a UE capability"
+                    >
+                      📋 Paste
+                    </button>
                     {encodeEntries.length > 0 && (
                       <>
+                        <button
+                          onClick={() => setShowFallbacks(v => !v)}
+                          className={`px-4 py-1 rounded text-sm font-medium transition-colors ${
+                            showFallbacks ? 'bg-blue-600 hover:bg-blue-500' : 'bg-gray-700 hover:bg-gray-600'
+                          }`}
+                          title="Missing, duplicated and lower MIMO fallbacks (sub-combinations and lower classes)"
+                        >
+                          🧩 Fallbacks
+                        </button>
+                        <button
+                          onClick={() => setShowInterference(v => !v)}
+                          className={`px-4 py-1 rounded text-sm font-medium transition-colors ${
+                            showInterference ? 'bg-blue-600 hover:bg-blue-500' : 'bg-gray-700 hover:bg-gray-600'
+                          }`}
+                          title="UL harmonics and IMD products landing in a DL carrier of the same combo"
+                        >
+                          📡 Interference
+                        </button>
+                        <button
+                          onClick={() => setShowBandMapping(v => !v)}
+                          className={`px-4 py-1 rounded text-sm font-medium transition-colors ${
+                            showBandMapping ? 'bg-blue-600 hover:bg-blue-500' : 'bg-gray-700 hover:bg-gray-600'
+                          }`}
+                          title="Rewrite a band to its superset band (B4 → B66, B2 → B25, B12 → B85)"
+                        >
+                          🔀 Band mapping
+                        </button>
+                        <button
+                          onClick={() => setShowRules(v => !v)}
+                          className={`px-4 py-1 rounded text-sm font-medium transition-colors ${
+                            showRules ? 'bg-blue-600 hover:bg-blue-500' : 'bg-gray-700 hover:bg-gray-600'
+                          }`}
+                          title="Validation rules of the project: user rules, enable/disable and severity overrides"
+                        >
+                          📏 Rules
+                        </button>
                         <button
                           onClick={recalculateAllStreams}
                           className="px-4 py-1 bg-yellow-600 hover:bg-yellow-500 rounded text-sm font-medium transition-colors"
@@ -470,6 +979,97 @@ export default function NVItemEncoderDecoder() {
                   </div>
                 </div>
 
+                {showPaste && (
+                  <PasteCombos caMimo={caMimo} onCaMimoChange={setCaMimo} onAdd={handleEncodeText} />
+                )}
+
+                {showFallbacks && encodeEntries.length > 0 && (
+                  <FallbackPanel entries={encodeEntries} onInsert={insertMissingFallbacks} />
+                )}
+
+                {showInterference && encodeEntries.length > 0 && (
+                  <InterferencePanel entries={encodeEntries} onDelete={deleteEntries} />
+                )}
+
+                {showBandMapping && encodeEntries.length > 0 && (
+                  <BandMappingPanel entries={encodeEntries} onRewrite={rewriteEntryBands} />
+                )}
+
+                {showRules && encodeEntries.length > 0 && (
+                  <RulesPanel entries={encodeEntries} config={ruleConfig} onConfigChange={setRuleConfig} />
+                )}
+
+                {encodeEntries.length > 0 && (
+                  <div className="mb-3">
+                    <ThroughputPanel
+                      summary={encodeThroughput.summary}
+                      settings={throughputSettings}
+                      onSettingsChange={setThroughputSettings}
+                    />
+                  </div>
+                )}
+
+                {encodeEntries.length > 0 && (
+                  <QueryBar
+                    query={encodeQuery}
+                    onQueryChange={setEncodeQuery}
+                    error={encodeFilter.error}
+                    matched={encodeFilter.indices ? encodeFilter.indices.length : 0}
+                    total={encodeEntries.length}
+                  >
+                    {encodeFilter.indices && (
+                      <>
+                        <button
+                          onClick={() => handleExportTxt(encodeFilter.indices.map(i => encodeEntries[i]))}
+                          className="px-3 py-1 bg-blue-600 hover:bg-blue-500 rounded text-xs font-medium transition-colors"
+                        >
+                          💾 Export
+                        </button>
+                        <button
+                          onClick={() => {
+                            if (window.confirm(`Delete ${encodeFilter.indices.length} matching combinations?`)) {
+                              deleteEntries(encodeFilter.indices);
+                            }
+                          }}
+                          className="px-3 py-1 bg-red-700 hover:bg-red-600 rounded text-xs font-medium transition-colors"
+                        >
+                          🗑️ Delete
+                        </button>
+                        <span className="flex items-center gap-1 text-xs text-gray-400">
+                          DL MIMO of band
+                          <input
+                            type="number"
+                            value={bulkMimo.band}
+                            onChange={(e) => setBulkMimo(prev => ({ ...prev, band: e.target.value }))}
+                            placeholder="all"
+                            className="w-16 bg-gray-700 border border-gray-600 rounded px-1 py-0.5 text-white"
+                          />
+                          →
+                          <select
+                            value={bulkMimo.mimoDl}
+                            onChange={(e) => setBulkMimo(prev => ({ ...prev, mimoDl: parseInt(e.target.value, 10) }))}
+                            className="bg-gray-700 border border-gray-600 rounded px-1 py-0.5 text-white"
+                          >
+                            {[1, 2, 4, 8].map(layers => (
+                              <option key={layers} value={layers}>{layers}</option>
+                            ))}
+                          </select>
+                          <button
+                            onClick={() => updateEntriesMimo(
+                              encodeFilter.indices,
+                              bulkMimo.band === '' ? null : parseInt(bulkMimo.band, 10),
+                              bulkMimo.mimoDl
+                            )}
+                            className="px-3 py-1 bg-yellow-600 hover:bg-yellow-500 rounded text-xs font-medium text-white transition-colors"
+                          >
+                            Apply
+                          </button>
+                        </span>
+                      </>
+                    )}
+                  </QueryBar>
+                )}
+
                 {encodeEntries.length === 0 ? (
                   <div className="text-center py-8 text-gray-500">
                     <p>No combinations yet.</p>
@@ -484,11 +1084,13 @@ export default function NVItemEncoderDecoder() {
                           <th className="pb-2 pr-2">Combination</th>
                           <th className="pb-2 pr-2 w-20">Streams</th>
                           <th className="pb-2 pr-2 w-16">UL CA</th>
+                          <ThroughputHeader sort={encodeSort} onSortChange={setEncodeSort} className="pb-2 pr-2 w-36" />
+                          <th className="pb-2 pr-2" title="Click a band to make it the PCell (UL slot 0); UL MIMO layers per UL carrier (202/334 only)">PCell / UL MIMO</th>
                           <th className="pb-2 w-20">Actions</th>
                         </tr>
                       </thead>
                       <tbody>
-                        {encodeEntries.map((entry, index) => (
+                        {encodeRows.map(index => [encodeEntries[index], index]).map(([entry, index]) => (
                           <tr key={index} className="border-b border-gray-700/50 hover:bg-gray-700/30">
                             <td className="py-2 pr-2 text-gray-500">{index + 1}</td>
                             <td className="py-2 pr-2">
@@ -532,6 +1134,33 @@ export default function NVItemEncoderDecoder() {
                                 className="w-4 h-4 accent-blue-500"
                               />
                             </td>
+                            <td className="py-2 pr-2 text-gray-300 text-xs">
+                              {encodeThroughput.rates[index].dl ?? '—'} / {encodeThroughput.rates[index].ul || '—'}
+                            </td>
+                            <td className="py-2 pr-2">
+                              <div className="flex flex-wrap gap-1">
+                                {(entry.carriers || []).map((carrier, carrierIdx) => carrier.ulClass && (
+                                  <label key={carrierIdx} className="flex items-center gap-1 text-xs text-gray-400">
+                                    <button
+                                      onClick={() => updateEntryPCell(index, carrierIdx)}
+                                      title="Make PCell (UL slot 0)"
+                                      className={getPCellIndex(entry.carriers, entry.pcellIndex) === carrierIdx ? 'text-yellow-300 font-semibold' : 'hover:text-white'}
+                                    >
+                                      {carrier.band}{getPCellIndex(entry.carriers, entry.pcellIndex) === carrierIdx && PCELL_MARKER}
+                                    </button>
+                                    <select
+                                      value={carrier.mimoUl}
+                                      onChange={(e) => updateEntryULMimo(index, carrierIdx, e.target.value)}
+                                      className="bg-gray-700 border border-gray-600 rounded px-1 py-0.5 text-blue-300"
+                                    >
+                                      {[...new Set([1, 2, 4, carrier.mimoUl])].map(layers => (
+                                        <option key={layers} value={layers}>{layers}</option>
+                                      ))}
+                                    </select>
+                                  </label>
+                                ))}
+                              </div>
+                            </td>
                             <td className="py-2">
                               <button
                                 onClick={() => deleteEntry(index)}
@@ -568,12 +1197,28 @@ export default function NVItemEncoderDecoder() {
                     >
                       📦 Export Binary (00028874)
                     </button>
+                    {qcnSource && (
+                      <button
+                        onClick={handleQcnExport}
+                        title={`Replace ${qcnSource.qcn.instances[qcnSource.instanceIdx].label} in a copy of ${qcnSource.fileName}`}
+                        className="flex-1 py-3 bg-blue-600 hover:bg-blue-500 rounded-lg font-medium transition-colors"
+                      >
+                        🗂️ Export QCN
+                      </button>
+                    )}
                     <button
-                      onClick={handleExportTxt}
+                      onClick={() => handleExportTxt()}
                       className="flex-1 py-3 bg-gray-700 hover:bg-gray-600 rounded-lg font-medium transition-colors"
                     >
                       💾 Export TXT
                     </button>
+                    <button
+                      onClick={handleExport3gpp}
+                      title="3GPP CA configuration names (CA_1A-3A-7C), one per line"
+                      className="flex-1 py-3 bg-gray-700 hover:bg-gray-600 rounded-lg font-medium transition-colors"
+                    >
+                      📋 Export 3GPP
+                    </button>
                   </div>
                 </div>
               )}
@@ -581,43 +1226,34 @@ export default function NVItemEncoderDecoder() {
           </>
         )}
 
+        {/* ==================== DIFF TAB ==================== */}
+        {activeTab === 'diff' && <ComboDiff />}
+
+        {/* ==================== SETS TAB ==================== */}
+        {activeTab === 'sets' && (
+          <ComboSets
+            decodeResults={decodeResults}
+            encodeEntries={encodeEntries}
+            builderCombos={builderCombos}
+            caNotationOptions={caNotationOptions}
+            onSendToEncoder={(entries, append) => {
+              setEncodeEntries(append ? [...encodeEntries, ...getNewEntries(encodeEntries, entries)] : entries);
+              // Entries of several files: their DL groups do not belong together
+              setOriginalGroups(null);
+              setActiveTab('encoder');
+            }}
+          />
+        )}
+
         {/* ==================== BUILDER TAB ==================== */}
         {activeTab === 'builder' && (
           <ComboBuilder
             onAddToEncoder={(combos) => {
-              // Convert generated combos to encoder entry format
-              const newEntries = combos.map(combo => {
-                try {
-                  // Clone carriers to avoid reference issues
-                  const carriers = (combo.carriers || []).map(c => ({
-                    band: c.band,
-                    bclass: c.bclass,
-                    ant: c.ant,
-                    ulclass: c.ulclass || 0,
-                    dlClass: c.dlClass,
-                    mimoDl: c.mimoDl,
-                    ulClass: c.ulClass
-                  }));
-
-                  // Use proper getDLKey with sorted carriers for consistency
-                  const sortedCarriers = sortCarriersByBand(carriers);
-                  const dlKey = getDLKey(sortedCarriers);
-
-                  return {
-                    text: combo.text,
-                    carriers,
-                    streams: combo.streams,
-                    hasULCA: combo.hasULCA,
-                    dlKey,
-                    descType: carriers.some(c => c.ant !== 2 && c.ant !== 0) ? 201 : 137
-                  };
-                } catch (e) {
-                  console.error('Error converting combo:', e);
-                  return null;
-                }
-              }).filter(Boolean);
-
-              // Add to encoder entries
+              const newEntries = getNewEntries(encodeEntries, combos.map(combo => (
+                createEntry(combo, { descType: determineMinimumFormat(combo.carriers) })
+              )));
+
+              // Add to encoder entries, combos already in the list are skipped
               setEncodeEntries(prev => [...prev, ...newEntries]);
 
               // Clear original groups when adding from builder
@@ -627,8 +1263,14 @@ export default function NVItemEncoderDecoder() {
               setActiveTab('encoder');
 
               // Show confirmation
-              alert(`Added ${newEntries.length} combinations to encoder`);
+              alert(`Added ${newEntries.length} combinations to encoder` +
+                (newEntries.length < combos.length ? ` (${combos.length - newEntries.length} already in the list)` : ''));
+            }}
+            onSendToSets={(combos) => {
+              setBuilderCombos(combos);
+              setActiveTab('sets');
             }}
+            rules={validationRules}
           />
         )}
 
@@ -1,12 +1,16 @@
 import React, { useState, useMemo, useCallback } from 'react';
 import {
   classToCC,
-  classLetterToNum,
   classNumToLetter,
+  calculateCarrierStreams,
   calculateStreams,
   hasULCA,
   getComboKey,
   sortCarriersByBand,
+  createCarrier,
+  createCombo,
+  comboToString,
+  PCELL_MARKER,
   validateCombo,
   getValidationSummary,
   DEVICE_PROFILES,
@@ -60,62 +64,24 @@ const generateAllPermutations = (arr) => {
   return result;
 };
 
-/**
- * Calculate streams using unified formula: sum(CC_count * MIMO)
- */
-const calculateStreamsFromConfigs = (configs) => {
-  return configs.reduce((total, config) => {
-    const ccCount = classToCC(config.bclass);
-    return total + ccCount * config.mimo;
-  }, 0);
-};
-
-/**
- * Build combo string from configs (without PCell marker in string)
- */
-const buildComboString = (configs, includeUL = true) => {
-  return configs.map(c => {
-    let str = `${c.band}${c.bclass}${c.mimo}`;
-    if (includeUL && c.ulca) {
-      str += 'A'; // UL class A
-    }
-    return str;
-  }).join('-');
-};
-
-/**
- * Convert configs to carriers for encoder
- */
-const configsToCarriers = (configs) => {
-  return configs.map(c => ({
-    band: c.band,
-    bclass: classLetterToNum(c.bclass),
-    ant: c.mimo,
-    ulclass: c.ulca ? 1 : 0, // UL class A = 1
-    // New format fields
-    dlClass: c.bclass,
-    mimoDl: c.mimo,
-    ulClass: c.ulca ? 'A' : null
-  }));
-};
-
 // ==================== MAIN COMPONENT ====================
 
-export default function ComboBuilder({ onAddToEncoder }) {
+export default function ComboBuilder({ onAddToEncoder, onSendToSets, rules = null }) {
   // Band selection and configuration
   const [selectedBandConfigs, setSelectedBandConfigs] = useState([]);
-  // Config for next band to add
+  // Config for next band to add (carrier fields, see createCarrier)
   const [newBandConfig, setNewBandConfig] = useState({
     band: 3,
-    bclass: 'A',
-    mimo: 2,
-    ulca: false
+    dlClass: 'A',
+    mimoDl: 2,
+    ulClass: null
   });
 
   // Generation options
   const [generateAllLengths, setGenerateAllLengths] = useState(false);
   const [shouldGeneratePermutations, setShouldGeneratePermutations] = useState(false); // Off by default
   const [generatePCellVariants, setGeneratePCellVariants] = useState(true);
+  const [checkInterference, setCheckInterference] = useState(false); // Warn about UL harmonics/IMD
 
   // Results
   const [generatedCombos, setGeneratedCombos] = useState([]);
@@ -169,7 +135,7 @@ export default function ComboBuilder({ onAddToEncoder }) {
   const duplicateBandConfig = useCallback((id) => {
     const config = selectedBandConfigs.find(c => c.id === id);
     if (config) {
-      setSelectedBandConfigs(prev => [...prev, { ...config, id: Date.now(), bclass: 'A' }]);
+      setSelectedBandConfigs(prev => [...prev, { ...config, id: Date.now(), dlClass: 'A' }]);
     }
   }, [selectedBandConfigs]);
 
@@ -183,7 +149,7 @@ export default function ComboBuilder({ onAddToEncoder }) {
     // For single band with class > A, it's intra-band CA
     if (selectedBandConfigs.length === 1) {
       const config = selectedBandConfigs[0];
-      const ccCount = classToCC(config.bclass);
+      const ccCount = classToCC(config.dlClass);
       if (ccCount === 1) {
         alert('Single band with Class A is not CA. Use Class B or higher for intra-band CA, or add more bands.');
         return;
@@ -230,14 +196,14 @@ export default function ComboBuilder({ onAddToEncoder }) {
 
       for (const configs of configSets) {
         // Check if single-band config has class A (not CA)
-        if (configs.length === 1 && classToCC(configs[0].bclass) === 1) {
+        if (configs.length === 1 && classToCC(configs[0].dlClass) === 1) {
           continue; // Skip non-CA single band
         }
 
         // Normalize for canonical key (sort by band)
         const sortedConfigs = [...configs].sort((a, b) => a.band - b.band);
         const canonicalKey = sortedConfigs.map(c =>
-          `${c.band}:${c.bclass}:${c.mimo}`
+          `${c.band}:${c.dlClass}:${c.mimoDl}`
         ).join('|');
 
         // In unique mode, skip if we've seen this combo
@@ -246,33 +212,35 @@ export default function ComboBuilder({ onAddToEncoder }) {
         }
         seenKeys.add(canonicalKey);
 
-        // Generate PCell variants if enabled
-        const pcellVariants = generatePCellVariants
-          ? Array.from({ length: configs.length }, (_, i) => i)
-          : [null]; // null = no PCell specified
+        // PCell variants: the PCell carries UL, so only UL bands can take it,
+        // and with a single UL band there is nothing to vary
+        const ulIndices = configs.flatMap((c, i) => (c.ulClass ? [i] : []));
+        const pcellVariants = generatePCellVariants && ulIndices.length > 1
+          ? ulIndices
+          : [null]; // null = first UL carrier is the PCell
 
-        for (const pcellIdx of pcellVariants) {
-          const carriers = configsToCarriers(configs);
-          const streams = calculateStreamsFromConfigs(configs);
-          const ulCarriers = configs.filter(c => c.ulca);
+        const carriers = configs.map(config => createCarrier(config));
 
-          // Build combo string
-          const comboStr = buildComboString(configs);
+        for (const pcellIdx of pcellVariants) {
+          const combo = createCombo({ carriers, pcellIndex: pcellIdx });
 
           // Validate combo
-          const validation = validateCombo(carriers, {
+          const validation = validateCombo(combo.carriers, {
             maxDLCC: currentProfile.maxDLCC,
             maxULSCell: currentProfile.maxULSCell,
             maxTotalUL: currentProfile.maxTotalUL,
-            pcellIndex: pcellIdx || 0
+            pcellIndex: pcellIdx,
+            checkInterference,
+            rules,
+            combo
           });
 
           combos.push({
-            text: comboStr,
-            streams,
-            hasULCA: ulCarriers.length > 1,
+            combo,
+            text: comboToString(combo),
+            streams: calculateStreams(combo.carriers),
+            hasULCA: hasULCA(combo.carriers),
             bandConfigs: configs,
-            carriers,
             pcellIndex: pcellIdx,
             validation,
             canonicalKey
@@ -282,7 +250,7 @@ export default function ComboBuilder({ onAddToEncoder }) {
     }
 
     setGeneratedCombos(combos);
-  }, [selectedBandConfigs, generateAllLengths, shouldGeneratePermutations, generatePCellVariants, currentProfile]);
+  }, [selectedBandConfigs, generateAllLengths, shouldGeneratePermutations, generatePCellVariants, checkInterference, currentProfile, rules]);
 
   // Add generated combos to encoder
   const addToEncoder = useCallback(() => {
@@ -299,41 +267,14 @@ export default function ComboBuilder({ onAddToEncoder }) {
       return;
     }
 
-    // Convert to encoder format
-    const entries = validCombos.map(combo => {
-      // Clone carriers to avoid mutation
-      const carriers = combo.carriers.map(c => ({ ...c }));
-
-      // Build combo string with PCell marker for display
-      let displayText = combo.text;
-      if (combo.pcellIndex !== null && combo.pcellIndex >= 0) {
-        // Add PCell marker to the display string
-        const parts = displayText.split('-');
-        if (parts[combo.pcellIndex]) {
-          parts[combo.pcellIndex] += 'A';
-          displayText = parts.join('-');
-
-          // IMPORTANT: Also update the carrier's ulclass to match the text
-          // The 'A' suffix in NV format represents UL class A, not just PCell marker
-          if (carriers[combo.pcellIndex]) {
-            carriers[combo.pcellIndex].ulclass = 1;
-            carriers[combo.pcellIndex].ulClass = 'A';
-          }
-        }
-      }
-
-      return {
-        text: displayText,
-        carriers,  // Now synchronized with text
-        streams: combo.streams,
-        hasULCA: combo.hasULCA,
-        pcellIndex: combo.pcellIndex
-      };
-    });
-
-    onAddToEncoder(entries);
+    onAddToEncoder(validCombos.map(c => c.combo));
   }, [generatedCombos, onAddToEncoder]);
 
+  // Use the valid combos as an operand of the set operations
+  const sendToSets = useCallback(() => {
+    onSendToSets(generatedCombos.filter(c => c.validation.valid).map(c => c.combo));
+  }, [generatedCombos, onSendToSets]);
+
   // Statistics
   const comboStats = useMemo(() => {
     if (generatedCombos.length === 0) return null;
@@ -407,8 +348,8 @@ export default function ComboBuilder({ onAddToEncoder }) {
           <div>
             <label className="block text-gray-400 text-xs mb-1">Class</label>
             <select
-              value={newBandConfig.bclass}
-              onChange={(e) => setNewBandConfig(prev => ({ ...prev, bclass: e.target.value }))}
+              value={newBandConfig.dlClass}
+              onChange={(e) => setNewBandConfig(prev => ({ ...prev, dlClass: e.target.value }))}
               className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-2 text-white text-sm"
             >
               {classOptions.map(cls => (
@@ -420,8 +361,8 @@ export default function ComboBuilder({ onAddToEncoder }) {
           <div>
             <label className="block text-gray-400 text-xs mb-1">MIMO</label>
             <select
-              value={newBandConfig.mimo}
-              onChange={(e) => setNewBandConfig(prev => ({ ...prev, mimo: parseInt(e.target.value) }))}
+              value={newBandConfig.mimoDl}
+              onChange={(e) => setNewBandConfig(prev => ({ ...prev, mimoDl: parseInt(e.target.value) }))}
               className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-2 text-white text-sm"
             >
               {mimoOptions.map(mimo => (
@@ -434,8 +375,8 @@ export default function ComboBuilder({ onAddToEncoder }) {
             <label className="flex items-center gap-2 cursor-pointer pb-2">
               <input
                 type="checkbox"
-                checked={newBandConfig.ulca}
-                onChange={(e) => setNewBandConfig(prev => ({ ...prev, ulca: e.target.checked }))}
+                checked={!!newBandConfig.ulClass}
+                onChange={(e) => setNewBandConfig(prev => ({ ...prev, ulClass: e.target.checked ? 'A' : null }))}
                 className="w-4 h-4 accent-purple-500"
               />
               <span className="text-gray-300 text-sm">UL CA</span>
@@ -464,7 +405,7 @@ export default function ComboBuilder({ onAddToEncoder }) {
           <div className="space-y-2">
             <h3 className="text-gray-300 font-medium">
               Selected Bands ({selectedBandConfigs.length})
-              {selectedBandConfigs.length === 1 && classToCC(selectedBandConfigs[0].bclass) > 1 && (
+              {selectedBandConfigs.length === 1 && classToCC(selectedBandConfigs[0].dlClass) > 1 && (
                 <span className="text-purple-400 ml-2 text-sm">→ Intra-band CA</span>
               )}
             </h3>
@@ -474,12 +415,12 @@ export default function ComboBuilder({ onAddToEncoder }) {
                   B{config.band}
                 </span>
                 <span className="text-gray-300">
-                  Class {config.bclass} ({classToCC(config.bclass)} CC)
+                  Class {config.dlClass} ({classToCC(config.dlClass)} CC)
                 </span>
-                <span className="text-gray-300">{config.mimo}x{config.mimo} MIMO</span>
-                {config.ulca && <span className="text-blue-400">UL CA</span>}
+                <span className="text-gray-300">{config.mimoDl}x{config.mimoDl} MIMO</span>
+                {config.ulClass && <span className="text-blue-400">UL CA</span>}
                 <span className="text-gray-500 text-sm">
-                  = {classToCC(config.bclass) * config.mimo} streams
+                  = {calculateCarrierStreams(config)} streams
                 </span>
                 <div className="ml-auto flex gap-2">
                   <button
@@ -503,11 +444,11 @@ export default function ComboBuilder({ onAddToEncoder }) {
             <div className="mt-2 p-2 bg-gray-700/50 rounded text-sm">
               <span className="text-gray-400">Total: </span>
               <span className="text-yellow-300">
-                {selectedBandConfigs.reduce((sum, c) => sum + classToCC(c.bclass), 0)} CC
+                {selectedBandConfigs.reduce((sum, c) => sum + classToCC(c.dlClass), 0)} CC
               </span>
               <span className="text-gray-400"> / </span>
               <span className="text-green-300">
-                {calculateStreamsFromConfigs(selectedBandConfigs)} streams max
+                {calculateStreams(selectedBandConfigs)} streams max
               </span>
             </div>
           </div>
@@ -544,7 +485,22 @@ export default function ComboBuilder({ onAddToEncoder }) {
             <div>
               <span className="text-gray-300">Generate PCell variants</span>
               <p className="text-gray-500 text-xs">
-                Creates variants with each band as PCell (Primary Cell).
+                Creates variants with each UL band as PCell (Primary Cell, UL slot 0), marked with {PCELL_MARKER}.
+              </p>
+            </div>
+          </label>
+
+          <label className="flex items-center gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={checkInterference}
+              onChange={(e) => setCheckInterference(e.target.checked)}
+              className="w-4 h-4 accent-purple-500"
+            />
+            <div>
+              <span className="text-gray-300">Check UL harmonics / IMD</span>
+              <p className="text-gray-500 text-xs">
+                Warns when a 2nd/3rd harmonic or IMD product of the UL bands can land in a DL band of the combo.
               </p>
             </div>
           </label>
@@ -589,17 +545,27 @@ export default function ComboBuilder({ onAddToEncoder }) {
             <h2 className="text-lg font-semibold text-purple-300">
               Generated Combinations
             </h2>
-            <button
-              onClick={addToEncoder}
-              disabled={comboStats && comboStats.valid === 0}
-              className={`px-6 py-2 rounded-lg font-medium transition-colors ${
-                comboStats && comboStats.valid > 0
-                  ? 'bg-green-600 hover:bg-green-500'
-                  : 'bg-gray-600 cursor-not-allowed'
-              }`}
-            >
-              Add {comboStats?.valid || 0} Valid to Encoder
-            </button>
+            <div className="flex gap-2">
+              <button
+                onClick={sendToSets}
+                disabled={comboStats && comboStats.valid === 0}
+                title="Use the valid combos as A or B of a set operation"
+                className="px-4 py-2 bg-gray-700 hover:bg-gray-600 disabled:cursor-not-allowed rounded-lg font-medium transition-colors"
+              >
+                🧮 Use in Sets
+              </button>
+              <button
+                onClick={addToEncoder}
+                disabled={comboStats && comboStats.valid === 0}
+                className={`px-6 py-2 rounded-lg font-medium transition-colors ${
+                  comboStats && comboStats.valid > 0
+                    ? 'bg-green-600 hover:bg-green-500'
+                    : 'bg-gray-600 cursor-not-allowed'
+                }`}
+              >
+                Add {comboStats?.valid || 0} Valid to Encoder
+              </button>
+            </div>
           </div>
 
           {/* Statistics */}
@@ -654,9 +620,6 @@ export default function ComboBuilder({ onAddToEncoder }) {
                     <td className="py-2 pr-2 text-gray-500">{i + 1}</td>
                     <td className="py-2 pr-4 font-mono text-green-300">
                       {combo.text}
-                      {combo.pcellIndex !== null && (
-                        <span className="text-purple-400 ml-1">[P{combo.pcellIndex + 1}]</span>
-                      )}
                     </td>
                     <td className="py-2 pr-4 text-yellow-300">{combo.streams}</td>
                     <td className="py-2 pr-4">
@@ -698,7 +661,7 @@ export default function ComboBuilder({ onAddToEncoder }) {
           <li>For <strong>intra-band CA</strong>: Add one band with Class B+ or add same band twice (+CC button)</li>
           <li>By default, generates <strong>unique combos</strong> (order doesn't matter)</li>
           <li>Enable "permutations" only if band order matters for your use case</li>
-          <li>PCell variants mark which band is the Primary Cell</li>
+          <li>PCell variants mark which UL band is the Primary Cell (<code>3A2A-7A2A^</code>); they differ only in UL slot order</li>
           <li><span className="text-purple-400">Purple</span> = FDD, <span className="text-orange-400">Orange</span> = TDD, <span className="text-yellow-400">Yellow</span> = SDL</li>
           <li>Streams = sum(CC_count × MIMO) for each band</li>
           <li>Invalid combos (FDD+TDD mix, CC limits exceeded) are marked and excluded from export</li>
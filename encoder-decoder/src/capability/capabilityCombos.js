@@ -0,0 +1,125 @@
+/**
+ * UE Capability Combos
+ *
+ * Shared by the UE capability importers (text dump and UPER): turns the band
+ * parameters of one BandCombinationParameters into combos of the shared model
+ * and collects them into a UeCapabilityImport.
+ */
+
+import { createCarrier, createCombo, comboToString } from '../shared/index.js';
+
+// ==================== CONSTANTS ====================
+
+export const UE_CAPABILITY_SOURCE = 'ue-capability';
+
+// Per carrier flags carried in combo meta when any carrier has them
+const CARRIER_FLAGS = ['fourLayerTM3TM4', 'dl256QAM', 'dl1024QAM', 'ul64QAM', 'ul256QAM'];
+
+// ==================== TYPES ====================
+
+/**
+ * @typedef {Object} CapabilityClass
+ * @property {string} cls - Bandwidth class letter (A-F)
+ * @property {number} mimo - MIMO layers
+ * @property {boolean} [fourLayerTM3TM4] - 4 layers also in TM3/TM4 (DL only)
+ */
+
+/**
+ * @typedef {Object} CapabilityBand
+ * @property {number} band - E-UTRA band
+ * @property {CapabilityClass[]} dl - DL bandwidth classes (one combo per class)
+ * @property {CapabilityClass[]} ul - UL bandwidth classes (empty if no UL)
+ * @property {boolean} [dl256QAM] - dl-256QAM-r12
+ * @property {boolean} [dl1024QAM] - dl-1024QAM-r15
+ * @property {boolean} [ul64QAM] - ul-64QAM-r12
+ * @property {boolean} [ul256QAM] - ul-256QAM-r14
+ */
+
+/**
+ * @typedef {Object} UeCapabilityImport
+ * @property {Object[]} combos - Unique combos (shared Combo model) in message order;
+ *   meta is { source, list, index } with index into the list, plus
+ *   bandwidthCombinationSet and per carrier flag arrays (fourLayerTM3TM4,
+ *   dl256QAM, dl1024QAM, ul64QAM, ul256QAM) when the capability carries them;
+ *   UL flags are false for carriers without UL
+ * @property {Object.<string, number>} lists - Combos read per list name
+ * @property {number} duplicates - Combos dropped as exact duplicates
+ * @property {string[]} warnings
+ */
+
+// ==================== COMBOS ====================
+
+const cartesian = (options) => options.reduce(
+  (acc, choices) => acc.flatMap(prefix => choices.map(choice => [...prefix, choice])),
+  [[]]
+);
+
+/**
+ * Combos of one BandCombinationParameters: every DL class of a band with every
+ * UL class (or no UL); empty if a band has no DL class
+ *
+ * @param {CapabilityBand[]} bands
+ * @param {string} list - List name (e.g. supportedBandCombination-r10)
+ * @param {number} index - Index into the list
+ * @param {Object} [meta] - Additional meta (e.g. bandwidthCombinationSet)
+ * @returns {Object[]} Combos
+ */
+export const createCapabilityCombos = (bands, list, index, meta = {}) => {
+  if (bands.length === 0 || bands.some(b => b.dl.length === 0)) return [];
+
+  const options = bands.map(b => b.dl.flatMap(d => (b.ul.length > 0 ? b.ul : [null]).map(u => ({
+    carrier: createCarrier({
+      band: b.band,
+      dlClass: d.cls,
+      mimoDl: d.mimo,
+      ulClass: u ? u.cls : null,
+      mimoUl: u ? u.mimo : 0
+    }),
+    flags: {
+      fourLayerTM3TM4: !!d.fourLayerTM3TM4,
+      dl256QAM: !!b.dl256QAM,
+      dl1024QAM: !!b.dl1024QAM,
+      ul64QAM: !!(u && b.ul64QAM),
+      ul256QAM: !!(u && b.ul256QAM)
+    }
+  }))));
+
+  return cartesian(options).map(choice => {
+    const flags = {};
+    for (const name of CARRIER_FLAGS) {
+      const values = choice.map(c => c.flags[name]);
+      if (values.some(Boolean)) flags[name] = values;
+    }
+    return createCombo({
+      carriers: choice.map(c => c.carrier),
+      meta: { source: UE_CAPABILITY_SOURCE, list, index, ...meta, ...flags }
+    });
+  });
+};
+
+/**
+ * Count combos per list and drop exact duplicates (same string incl. UL)
+ *
+ * @param {Object[]} found - Combos in message order
+ * @param {string[]} warnings
+ * @returns {UeCapabilityImport}
+ */
+export const collectCapabilityCombos = (found, warnings) => {
+  const combos = [];
+  const lists = {};
+  const seen = new Set();
+  let duplicates = 0;
+
+  for (const combo of found) {
+    lists[combo.meta.list] = (lists[combo.meta.list] || 0) + 1;
+    const key = comboToString(combo);
+    if (seen.has(key)) {
+      duplicates++;
+      continue;
+    }
+    seen.add(key);
+    combos.push(combo);
+  }
+
+  return { combos, lists, duplicates, warnings: [...new Set(warnings)] };
+};
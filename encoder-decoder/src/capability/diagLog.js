@@ -0,0 +1,251 @@
+/**
+ * Diagnostic Log Import
+ *
+ * Reads the advertised CA combos from modem diagnostic logs (DLF, ISF, QMDL):
+ * finds the LTE RRC OTA log packets (log code 0xB0C0) carrying a UL-DCCH
+ * UECapabilityInformation and decodes them with the UPER decoder.
+ *
+ * Log records are [length:2][log code:2][timestamp:8][payload], length
+ * including the record header. They are taken from:
+ * - HDLC framed diag streams (QMDL): one DIAG_LOG_F (0x10) command per frame
+ * - any other file (DLF, ISF): records found by scanning for the LTE RRC OTA
+ *   log code with a consistent packet length, so container headers between
+ *   records are skipped
+ * gzip compressed logs are inflated first.
+ */
+
+import pako from 'pako';
+import { collectCapabilityCombos } from './capabilityCombos.js';
+import { readUeCapabilityInformation } from './ueCapabilityUper.js';
+
+// ==================== CONSTANTS ====================
+
+export const DIAG_LOG_EXTENSIONS = ['.dlf', '.isf', '.qmdl'];
+
+const LOG_CODE_LTE_RRC_OTA = 0xB0C0;
+const LOG_RECORD_HEADER = 12;
+
+const DIAG_LOG_F = 0x10;
+const DIAG_LOG_F_HEADER = 4;  // cmd_code, more, length
+
+const HDLC_FLAG = 0x7E;
+const HDLC_ESCAPE = 0x7D;
+const HDLC_ESCAPE_XOR = 0x20;
+const CRC16_GOOD = 0xF0B8;
+
+// PDU number of UL-DCCH: 8 in older LTE RRC OTA packet versions, 9 once SC-MCCH/BR channels were added
+const UL_DCCH_PDU_NUMBERS = [8, 9];
+
+/**
+ * LTE RRC OTA packet header layouts (after version, release, rb id, pci):
+ * EARFCN grew to 32 bits, later versions add a SIB mask before the length
+ */
+const RRC_OTA_LAYOUTS = [
+  { earfcn: 2, sibMask: 0 },
+  { earfcn: 4, sibMask: 0 },
+  { earfcn: 4, sibMask: 4 }
+];
+
+// ==================== TYPES ====================
+
+/**
+ * @typedef {Object} RrcOtaPacket
+ * @property {number} version - Packet version
+ * @property {number} pci - Physical cell id
+ * @property {number} earfcn
+ * @property {number} pduNumber - Logical channel (version dependent)
+ * @property {Uint8Array} message - RRC message (UPER)
+ */
+
+/**
+ * @typedef {Object} DiagLogImport
+ * UeCapabilityImport (see capabilityCombos.js) over all UECapabilityInformation
+ * messages of the log, plus:
+ * @property {number} rrcPackets - LTE RRC OTA packets found
+ * @property {number} capabilityMessages - UECapabilityInformation messages decoded
+ * @property {string|null} accessStratumRelease - Of the last decoded capability
+ * @property {number|null} ueCategory - Of the last decoded capability
+ */
+
+// ==================== FRAMING ====================
+
+const readU16 = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8);
+
+const readU32 = (bytes, offset) => (readU16(bytes, offset) + readU16(bytes, offset + 2) * 0x10000);
+
+/**
+ * CRC-16/X.25 residue check of an unescaped HDLC frame (data + CRC)
+ */
+const hasValidCrc = (frame) => {
+  let crc = 0xFFFF;
+  for (const byte of frame) {
+    crc ^= byte;
+    for (let i = 0; i < 8; i++) crc = crc & 1 ? (crc >>> 1) ^ 0x8408 : crc >>> 1;
+  }
+  return crc === CRC16_GOOD;
+};
+
+/**
+ * Unescaped HDLC frames with a valid CRC (CRC removed)
+ */
+const readHdlcFrames = (bytes) => {
+  const frames = [];
+  let frame = [];
+  let escaped = false;
+
+  for (const byte of bytes) {
+    if (byte === HDLC_FLAG) {
+      if (frame.length > 2 && hasValidCrc(frame)) frames.push(Uint8Array.from(frame.slice(0, -2)));
+      frame = [];
+      escaped = false;
+    } else if (byte === HDLC_ESCAPE) {
+      escaped = true;
+    } else {
+      frame.push(escaped ? byte ^ HDLC_ESCAPE_XOR : byte);
+      escaped = false;
+    }
+  }
+
+  return frames;
+};
+
+/**
+ * Diag streams start with an HDLC frame: flag-terminated, valid CRC
+ */
+const isHdlcStream = (bytes) => {
+  const end = bytes.indexOf(HDLC_FLAG);
+  return end > 2 && readHdlcFrames(bytes.subarray(0, end + 1)).length === 1;
+};
+
+// ==================== LTE RRC OTA ====================
+
+/**
+ * Parse an LTE RRC OTA payload, null if no header layout matches its length
+ *
+ * @param {Uint8Array} payload - Log record payload (after the 12 byte record header)
+ * @returns {RrcOtaPacket|null}
+ */
+const parseRrcOta = (payload) => {
+  for (const { earfcn, sibMask } of RRC_OTA_LAYOUTS) {
+    const pduOffset = 6 + earfcn + 2;
+    const lengthOffset = pduOffset + 1 + sibMask;
+    const headerSize = lengthOffset + 2;
+    if (payload.length < headerSize) continue;
+    if (headerSize + readU16(payload, lengthOffset) !== payload.length) continue;
+
+    return {
+      version: payload[0],
+      pci: readU16(payload, 4),
+      earfcn: earfcn === 2 ? readU16(payload, 6) : readU32(payload, 6),
+      pduNumber: payload[pduOffset],
+      message: payload.subarray(headerSize)
+    };
+  }
+  return null;
+};
+
+/**
+ * LTE RRC OTA packet of a log record at offset, null if there is none
+ */
+const readRrcOtaRecord = (bytes, offset, limit) => {
+  if (offset + LOG_RECORD_HEADER > limit) return null;
+  const length = readU16(bytes, offset);
+  if (readU16(bytes, offset + 2) !== LOG_CODE_LTE_RRC_OTA) return null;
+  if (length <= LOG_RECORD_HEADER || offset + length > limit) return null;
+  const packet = parseRrcOta(bytes.subarray(offset + LOG_RECORD_HEADER, offset + length));
+  return packet ? { packet, length } : null;
+};
+
+/**
+ * LTE RRC OTA packets of a diag log, in file order
+ *
+ * @param {Uint8Array} bytes
+ * @returns {RrcOtaPacket[]}
+ */
+const readRrcOtaPackets = (bytes) => {
+  if (isHdlcStream(bytes)) {
+    return readHdlcFrames(bytes)
+      .filter(frame => frame[0] === DIAG_LOG_F)
+      .map(frame => readRrcOtaRecord(frame, DIAG_LOG_F_HEADER, frame.length))
+      .filter(Boolean)
+      .map(record => record.packet);
+  }
+
+  const packets = [];
+  let offset = 0;
+  while (offset + LOG_RECORD_HEADER <= bytes.length) {
+    const record = readRrcOtaRecord(bytes, offset, bytes.length);
+    if (record) {
+      packets.push(record.packet);
+      offset += record.length;
+    } else {
+      offset++;
+    }
+  }
+  return packets;
+};
+
+// ==================== PUBLIC API ====================
+
+/**
+ * Check whether a file name is a diag log (by extension)
+ *
+ * @param {string} name
+ * @returns {boolean}
+ */
+export const isDiagLogName = (name) => DIAG_LOG_EXTENSIONS.some(ext => name.toLowerCase().endsWith(ext));
+
+/**
+ * Read the advertised CA combos from the UECapabilityInformation messages of a diag log
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer - DLF, ISF or QMDL content (optionally gzip compressed)
+ * @returns {DiagLogImport}
+ */
+export const parseDiagLog = (buffer) => {
+  let bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  if (bytes[0] === 0x1F && bytes[1] === 0x8B) {
+    bytes = pako.ungzip(bytes);
+  }
+
+  const packets = readRrcOtaPackets(bytes);
+  if (packets.length === 0) {
+    throw new Error('No LTE RRC OTA packets found in diag log');
+  }
+
+  const warnings = [];
+  const found = [];
+  let capabilityMessages = 0;
+  let accessStratumRelease = null;
+  let ueCategory = null;
+
+  packets
+    .filter(packet => UL_DCCH_PDU_NUMBERS.includes(packet.pduNumber))
+    .forEach(packet => {
+      try {
+        const decoded = readUeCapabilityInformation(packet.message, warnings);
+        if (!decoded) return;
+        capabilityMessages++;
+        if (decoded.found.length === 0) {
+          warnings.push(`UECapabilityInformation (PCI ${packet.pci}, EARFCN ${packet.earfcn}) without E-UTRA band combinations`);
+          return;
+        }
+        found.push(...decoded.found);
+        accessStratumRelease = decoded.accessStratumRelease;
+        ueCategory = decoded.ueCategory;
+      } catch (e) {
+        warnings.push(`UECapabilityInformation (PCI ${packet.pci}, EARFCN ${packet.earfcn}) skipped: ${e.message}`);
+      }
+    });
+
+  if (capabilityMessages === 0) {
+    throw new Error(`No UECapabilityInformation in ${packets.length} LTE RRC OTA packets`);
+  }
+
+  return {
+    ...collectCapabilityCombos(found, warnings),
+    rrcPackets: packets.length,
+    capabilityMessages,
+    accessStratumRelease,
+    ueCategory
+  };
+};
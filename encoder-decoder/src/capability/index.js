@@ -0,0 +1,33 @@
+/**
+ * UE Capability Import
+ *
+ * Advertised CA combos of a UE capability, given as a text dump
+ * (ueCapabilityText.js), as UPER hex (ueCapabilityUper.js) or inside a
+ * diag log (diagLog.js, binary files recognized by name).
+ */
+
+import { isUeCapabilityText, parseUeCapabilityText } from './ueCapabilityText.js';
+import { isUeCapabilityHex, parseUeCapabilityHex } from './ueCapabilityUper.js';
+
+export { UE_CAPABILITY_SOURCE } from './capabilityCombos.js';
+export { isUeCapabilityText, parseUeCapabilityText };
+export { isUeCapabilityHex, parseUeCapabilityHex, decodeUeCapabilityPdu } from './ueCapabilityUper.js';
+export { DIAG_LOG_EXTENSIONS, isDiagLogName, parseDiagLog } from './diagLog.js';
+
+/**
+ * Check whether a text is a UE capability (text dump or UPER hex)
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export const isUeCapability = (text) => isUeCapabilityText(text) || isUeCapabilityHex(text);
+
+/**
+ * Read the advertised CA combos from a UE capability text dump or UPER hex
+ *
+ * @param {string} text
+ * @returns {Object} UeCapabilityImport (see capabilityCombos.js)
+ */
+export const parseUeCapability = (text) => (
+  isUeCapabilityText(text) ? parseUeCapabilityText(text) : parseUeCapabilityHex(text)
+);
@@ -0,0 +1,280 @@
+/**
+ * UE-EUTRA-Capability Text Importer
+ *
+ * Reads the CA band combinations a modem advertises from the text form of a
+ * UE capability message, as printed by protocol analyzers:
+ * - ASN.1 value notation with braces (QCAT, Amarisoft, asn1 tools):
+ *     bandEUTRA-r10 3,
+ *     bandParametersDL-r10 { { ca-BandwidthClassDL-r10 a, supportedMIMO-CapabilityDL-r10 fourLayers } }
+ * - Indented tree (Wireshark "packet details" export):
+ *     bandEUTRA-r10: 3
+ *     ca-BandwidthClassDL-r10: a (0)
+ *
+ * Lists read: supportedBandCombination-r10, supportedBandCombinationAdd-r11,
+ * supportedBandCombinationReduced-r13 (and bandCombinationList-*). Band numbers
+ * above 64 are taken from supportedBandCombination-v1090 for the r10 list.
+ *
+ * Each BandCombinationParameters becomes a combo of the shared model
+ * (shared/combo.js). A band listing several DL (or UL) bandwidth classes
+ * yields one combo per class.
+ */
+
+import { createCapabilityCombos, collectCapabilityCombos } from './capabilityCombos.js';
+
+// ==================== CONSTANTS ====================
+
+// Lists holding BandCombinationParameters
+const COMBINATION_LIST = /^(supportedBandCombination(Add|Reduced)?|bandCombinationList)-r1\d$/;
+
+// r10 extension carrying bands above maxFBI (64)
+const BAND_EXTENSION_LIST = 'supportedBandCombination-v1090';
+const MAX_FBI = 64;
+
+const MIMO_LAYERS = {
+  oneLayer: 1,
+  twoLayers: 2,
+  fourLayers: 4,
+  eightLayers: 8
+};
+
+const DEFAULT_MIMO_DL = 2;
+const DEFAULT_MIMO_UL = 1;
+
+// ==================== TYPES ====================
+
+/**
+ * @typedef {Object} CapabilityNode
+ * @property {string|null} key - Component name (null for SEQUENCE OF items)
+ * @property {string} value - Value text ('' for constructed values)
+ * @property {CapabilityNode[]} children
+ */
+
+// ==================== TEXT PARSING ====================
+
+const createNode = (key, value = '') => ({ key, value, children: [] });
+
+/**
+ * Split ASN.1 value notation into '{', '}', ',' and words (quoted strings kept whole)
+ */
+const tokenize = (text) => text.match(/'[^']*'[BH]?|"[^"]*"|[{},]|[^\s{},]+/g) || [];
+
+/**
+ * Parse ASN.1 value notation into a node tree
+ */
+const parseBraces = (text) => {
+  const tokens = tokenize(text);
+  let pos = 0;
+
+  // Items of a constructed value, up to the closing brace (or end of text)
+  const parseItems = (parent) => {
+    while (pos < tokens.length) {
+      const token = tokens[pos];
+      if (token === '}') {
+        pos++;
+        return;
+      }
+      if (token === ',') {
+        pos++;
+        continue;
+      }
+      if (token === '{') {
+        pos++;
+        const item = createNode(null);
+        parseItems(item);
+        parent.children.push(item);
+        continue;
+      }
+
+      // "key value words" up to ',' / '}' or "key [words] { ... }"
+      pos++;
+      const words = [];
+      while (pos < tokens.length && !['{', '}', ','].includes(tokens[pos])) {
+        words.push(tokens[pos++]);
+      }
+      const constructed = tokens[pos] === '{';
+      const node = words.length > 0 || constructed ? createNode(token, words.join(' ')) : createNode(null, token);
+      if (constructed) {
+        pos++;
+        parseItems(node);
+      }
+      parent.children.push(node);
+    }
+  };
+
+  const root = createNode(null);
+  parseItems(root);
+  return root;
+};
+
+/**
+ * Parse an indented "key: value" tree into a node tree
+ */
+const parseIndented = (text) => {
+  const root = createNode(null);
+  const stack = [{ indent: -1, node: root }];
+
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const indent = line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+    const trimmed = line.trim();
+    const sep = trimmed.indexOf(': ');
+    const node = sep === -1
+      ? createNode(trimmed.replace(/:$/, ''))
+      : createNode(trimmed.slice(0, sep), trimmed.slice(sep + 2));
+
+    while (stack[stack.length - 1].indent >= indent) stack.pop();
+    stack[stack.length - 1].node.children.push(node);
+    stack.push({ indent, node });
+  }
+
+  return root;
+};
+
+// ==================== TREE HELPERS ====================
+
+const keyMatches = (node, prefix) => node.key !== null && node.key.startsWith(prefix);
+
+// Enumerated value without the "(n)" index Wireshark appends: "fourLayers (1)" → "fourLayers"
+const enumValue = (node) => (node ? node.value.replace(/\s*\(\d+\)$/, '').trim() : null);
+
+const findChild = (node, prefix) => node.children.find(child => keyMatches(child, prefix)) || null;
+
+/**
+ * Nodes with a direct child whose key starts with prefix (not searched below a match)
+ */
+const collectOwners = (node, prefix, result = []) => {
+  if (findChild(node, prefix)) {
+    result.push(node);
+    return result;
+  }
+  node.children.forEach(child => collectOwners(child, prefix, result));
+  return result;
+};
+
+/**
+ * Items of a SEQUENCE OF: anonymous children in brace notation, "Item n" in Wireshark
+ */
+const listItems = (node) => node.children.filter(child => child.key === null || /^Item \d+$/.test(child.key));
+
+/**
+ * Wireshark nests a SEQUENCE OF one level deeper ("Item 0" → "BandCombinationParameters-r10: 2 items" → items)
+ */
+const unwrapList = (node) => {
+  if (listItems(node).length > 0 || node.children.length !== 1) return node;
+  return unwrapList(node.children[0]);
+};
+
+const readBand = (node, prefix) => {
+  const owner = collectOwners(node, prefix)[0];
+  const band = owner ? parseInt(enumValue(findChild(owner, prefix)), 10) : NaN;
+  return Number.isInteger(band) && band > 0 ? band : null;
+};
+
+// ==================== EXTRACTION ====================
+
+const parseMimo = (node, fallback, warnings) => {
+  if (!node) return fallback;
+  const value = enumValue(node);
+  if (value in MIMO_LAYERS) return MIMO_LAYERS[value];
+  warnings.push(`Unknown MIMO capability "${value}", using ${fallback} layers`);
+  return fallback;
+};
+
+const parseClass = (node) => {
+  const value = enumValue(node);
+  return /^[a-f]$/i.test(value) ? value.toUpperCase() : null;
+};
+
+/**
+ * Bandwidth classes of one band for DL or UL (CapabilityClass[])
+ */
+const readClasses = (bandNode, direction, warnings) => {
+  const defaultMimo = direction === 'DL' ? DEFAULT_MIMO_DL : DEFAULT_MIMO_UL;
+  return collectOwners(bandNode, `ca-BandwidthClass${direction}`)
+    .map(owner => ({
+      cls: parseClass(findChild(owner, `ca-BandwidthClass${direction}`)),
+      mimo: parseMimo(findChild(owner, `supportedMIMO-Capability${direction}`), defaultMimo, warnings)
+    }))
+    .filter(option => option.cls !== null);
+};
+
+/**
+ * Band overrides from supportedBandCombination-v1090: combo index → band index → band
+ */
+const readBandExtensions = (root) => {
+  const extensions = [];
+  const visit = (node) => {
+    if (node.key === BAND_EXTENSION_LIST) {
+      extensions.push(...listItems(unwrapList(node)).map(item => (
+        listItems(unwrapList(item)).map(bandNode => readBand(bandNode, 'bandEUTRA-v1090'))
+      )));
+      return;
+    }
+    node.children.forEach(visit);
+  };
+  visit(root);
+  return extensions;
+};
+
+/**
+ * Find the band combination lists of a node tree and read their combos
+ */
+const extractCombos = (root, warnings) => {
+  const bandExtensions = readBandExtensions(root);
+  const found = [];
+
+  const visit = (node) => {
+    if (node.key !== null && COMBINATION_LIST.test(node.key)) {
+      const extended = node.key === 'supportedBandCombination-r10';
+      listItems(unwrapList(node)).forEach((item, index) => {
+        const bands = collectOwners(item, 'bandEUTRA').map((bandNode, bandIdx) => {
+          const override = extended && bandExtensions[index] ? bandExtensions[index][bandIdx] : null;
+          const band = override || readBand(bandNode, 'bandEUTRA');
+          if (band === MAX_FBI && extended && !override) {
+            warnings.push(`Band ${MAX_FBI} in ${node.key} without ${BAND_EXTENSION_LIST}, the real band may be above ${MAX_FBI}`);
+          }
+          return {
+            band,
+            dl: band ? readClasses(bandNode, 'DL', warnings) : [],
+            ul: band ? readClasses(bandNode, 'UL', warnings) : []
+          };
+        });
+        const combos = createCapabilityCombos(bands, node.key, index);
+        if (combos.length === 0) {
+          if (bands.length > 0) warnings.push(`${node.key} #${index}: band without DL bandwidth class, skipped`);
+          return;
+        }
+        found.push(...combos);
+      });
+      return;
+    }
+    node.children.forEach(visit);
+  };
+
+  visit(root);
+  return found;
+};
+
+// ==================== PUBLIC API ====================
+
+/**
+ * Check whether a text looks like a UE-EUTRA-Capability dump with band combinations
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export const isUeCapabilityText = (text) => (
+  /(supportedBandCombination(Add|Reduced)?|bandCombinationList)-r1\d/.test(text) && /bandEUTRA-r1\d/.test(text)
+);
+
+/**
+ * Read the advertised CA combos from a UE capability text dump
+ *
+ * @param {string} text - Brace (ASN.1 value notation) or indented (Wireshark) dump
+ * @returns {UeCapabilityImport} See capabilityCombos.js
+ */
+export const parseUeCapabilityText = (text) => {
+  const warnings = [];
+  const root = text.includes('{') ? parseBraces(text) : parseIndented(text);
+  return collectCapabilityCombos(extractCombos(root, warnings), warnings);
+};
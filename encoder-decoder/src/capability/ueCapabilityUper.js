@@ -0,0 +1,1242 @@
+/**
+ * UE-EUTRA-Capability UPER Decoder
+ *
+ * Decodes the band combination parts of a UE capability from its ASN.1 UPER
+ * encoding (3GPP TS 36.331), fully offline. Input is the hex of either a
+ * UL-DCCH-Message carrying UECapabilityInformation or of a bare
+ * UE-EUTRA-Capability (the ueCapabilityRAT-Container content).
+ *
+ * Read from the nonCriticalExtension chain:
+ * - v1020: supportedBandCombination-r10
+ * - v1060: supportedBandCombinationExt-r10 (supportedBandwidthCombinationSet)
+ * - v1090: supportedBandCombination-v1090 (bands above 64)
+ * - v1180: supportedBandCombinationAdd-r11 (with supportedBandwidthCombinationSet)
+ * - lateNonCriticalExtension v9e0: bands above 64 of supportedBandListEUTRA,
+ *   v10i0: fourLayerTM3-TM4-r10 per DL bandwidth class
+ * - v1250: dl-256QAM-r12 / ul-64QAM-r12 per band (supportedBandListEUTRA-v1250)
+ * - v1270: per CC MIMO and fourLayerTM3-TM4 of intra-band contiguous classes
+ *   (r10 and Add-r11 lists)
+ * - v1310: supportedBandCombinationReduced-r13 (MIMO, fourLayerTM3-TM4-r13 and
+ *   per CC MIMO per band)
+ * - v1430: ul-256QAM-r14 per band of the r10, Add-r11 and Reduced-r13 lists
+ * - v1530: dl-1024QAM-r15 per band of the same lists
+ * The other IEs up to v1530 are read over. Decoding ends with
+ * rf-Parameters-v1530; sTTI/SPT parameters (phyLayerParameters-v1530,
+ * stti-SPT-BandParameters-r15) are not decoded. A Rel-12 or later extension
+ * that fails to decode ends decoding with a warning, the lists read so far are
+ * kept.
+ *
+ * Combos have the shape of the text importer (shared Combo model, see
+ * capabilityCombos.js). Per CC MIMO counts as the highest value of the class.
+ */
+
+import { createCapabilityCombos, collectCapabilityCombos } from './capabilityCombos.js';
+
+// ==================== CONSTANTS ====================
+
+const MAX_BANDS = 64;
+const MAX_FBI = 64;
+const MAX_FBI2 = 256;
+const MAX_BAND_COMB_R10 = 128;
+const MAX_BAND_COMB_R11 = 256;
+const MAX_BAND_COMB_R13 = 384;
+const MAX_SIMULTANEOUS_BANDS = 64;
+const MAX_BANDWIDTH_CLASS = 16;
+const MAX_BANDWIDTH_COMB_SET = 32;
+const MAX_CDMA_BAND_CLASS = 32;
+const MAX_SERV_CELL_R10 = 5;
+const MAX_SERV_CELL_R13 = 32;
+const MAX_NAICS_ENTRIES = 8;
+const MAX_CSI_RS_NZP = 24;
+const MAX_WLAN_BANDS = 8;
+const MAX_BAND_COMB_SIDELINK = 384;
+const MAX_REQUESTED_BAND_COMB = 16;
+const MAX_FEATURE_SETS = 256;
+const MAX_PER_CC_FEATURE_SETS = 32;
+const MAX_BANDS_NR = 1024;
+
+const BANDWIDTH_CLASSES = ['A', 'B', 'C', 'D', 'E', 'F'];
+const MIMO_DL = [2, 4, 8];
+const MIMO_UL = [2, 4];
+
+// UL-DCCH-MessageType c1 alternative of UECapabilityInformation
+const UL_DCCH_UE_CAPABILITY_INFORMATION = 7;
+const RAT_TYPE_EUTRA = 0;
+
+const LIST_R10 = 'supportedBandCombination-r10';
+const LIST_ADD_R11 = 'supportedBandCombinationAdd-r11';
+const LIST_REDUCED_R13 = 'supportedBandCombinationReduced-r13';
+
+// Base list → name prefix and size of its -vXXXX extension lists
+const LIST_EXTENSIONS = {
+  [LIST_R10]: { prefix: 'supportedBandCombination', size: MAX_BAND_COMB_R10 },
+  [LIST_ADD_R11]: { prefix: 'supportedBandCombinationAdd', size: MAX_BAND_COMB_R11 },
+  [LIST_REDUCED_R13]: { prefix: 'supportedBandCombinationReduced', size: MAX_BAND_COMB_R13 }
+};
+
+// ==================== BIT READER ====================
+
+const bitWidth = (range) => {
+  let width = 0;
+  while (range > 0) {
+    width++;
+    range = Math.floor(range / 2);
+  }
+  return width;
+};
+
+/**
+ * UPER primitives over a byte array (X.691, unaligned)
+ */
+const createBitReader = (bytes) => {
+  const total = bytes.length * 8;
+  let pos = 0;
+
+  const bits = (n) => {
+    if (pos + n > total) throw new Error(`Unexpected end of data at bit ${pos}`);
+    let value = 0;
+    for (let i = 0; i < n; i++, pos++) {
+      value = value * 2 + ((bytes[pos >> 3] >> (7 - (pos & 7))) & 1);
+    }
+    return value;
+  };
+
+  const bool = () => bits(1) === 1;
+
+  // Constrained whole number
+  const int = (lo, hi) => lo + bits(bitWidth(hi - lo));
+
+  // Presence bitmap of OPTIONAL components
+  const preamble = (n) => Array.from({ length: n }, bool);
+
+  // Normally small non-negative whole number (extension counts and enum indices)
+  const smallNumber = () => {
+    if (!bool()) return bits(6);
+    return bits(8 * bits(8));
+  };
+
+  const enumerated = (count, extensible = false) => {
+    if (extensible && bool()) return count + smallNumber();
+    return int(0, count - 1);
+  };
+
+  const sequenceOf = (lo, hi, readItem) => Array.from({ length: int(lo, hi) }, readItem);
+
+  // Unconstrained length determinant, fragmented in 16K blocks
+  const octets = () => {
+    const out = [];
+    for (;;) {
+      // 0xxxxxxx: < 128, 10xxxxxx xxxxxxxx: < 16K, 11xxxxxx: xxxxxx blocks of 16K follow
+      const form = bool() ? 2 + bits(1) : 0;
+      const fragment = form === 3;
+      let n;
+      if (form === 0) n = bits(7);
+      else if (form === 2) n = bits(14);
+      else n = bits(6) * 16384;
+      for (let i = 0; i < n; i++) out.push(bits(8));
+      if (!fragment) return new Uint8Array(out);
+    }
+  };
+
+  const bitString = (lo, hi) => {
+    const n = lo === hi ? lo : int(lo, hi);
+    let value = '';
+    for (let i = 0; i < n; i++) value += bits(1);
+    return value;
+  };
+
+  // Extension additions of an extensible SEQUENCE (each an open type)
+  const skipExtensions = () => {
+    const present = preamble(smallNumber() + 1);
+    present.filter(Boolean).forEach(octets);
+  };
+
+  return { bits, bool, int, preamble, enumerated, sequenceOf, octets, bitString, skipExtensions };
+};
+
+// ==================== COMMON IEs ====================
+
+const readBandInfoEUTRA = (r) => {
+  const [hasInterRat] = r.preamble(1);
+  r.sequenceOf(1, MAX_BANDS, r.bool); // interFreqBandList
+  if (hasInterRat) r.sequenceOf(1, MAX_BANDS, r.bool);
+};
+
+const readBandwidthClass = (r) => {
+  const idx = r.enumerated(BANDWIDTH_CLASSES.length, true);
+  return BANDWIDTH_CLASSES[idx] || null;
+};
+
+// CA-MIMO-ParametersUL-r10
+const readMimoParametersUL = (r) => {
+  const [hasMimo] = r.preamble(1);
+  const cls = readBandwidthClass(r);
+  return { cls, mimo: hasMimo ? MIMO_UL[r.enumerated(MIMO_UL.length)] : 1 };
+};
+
+// CA-MIMO-ParametersDL-r10
+const readMimoParametersDL = (r) => {
+  const [hasMimo] = r.preamble(1);
+  const cls = readBandwidthClass(r);
+  return { cls, mimo: hasMimo ? MIMO_DL[r.enumerated(MIMO_DL.length)] : 2 };
+};
+
+const readBandParametersR10 = (r) => {
+  const [hasUL, hasDL] = r.preamble(2);
+  const band = r.int(1, MAX_FBI);
+  const ul = hasUL ? r.sequenceOf(1, MAX_BANDWIDTH_CLASS, () => readMimoParametersUL(r)) : [];
+  const dl = hasDL ? r.sequenceOf(1, MAX_BANDWIDTH_CLASS, () => readMimoParametersDL(r)) : [];
+  return { band, ul, dl };
+};
+
+const readBandParametersR11 = (r) => {
+  const [hasUL, hasDL, hasCsiProc] = r.preamble(3);
+  const band = r.int(1, MAX_FBI2);
+  const ul = hasUL ? r.sequenceOf(1, MAX_BANDWIDTH_CLASS, () => readMimoParametersUL(r)) : [];
+  const dl = hasDL ? r.sequenceOf(1, MAX_BANDWIDTH_CLASS, () => readMimoParametersDL(r)) : [];
+  if (hasCsiProc) r.enumerated(3);
+  return { band, ul, dl };
+};
+
+const readBandCombinationR11 = (r) => {
+  const extended = r.bool();
+  const [hasBandwidthSet] = r.preamble(3);
+  const bands = r.sequenceOf(1, MAX_SIMULTANEOUS_BANDS, () => readBandParametersR11(r));
+  const bandwidthCombinationSet = hasBandwidthSet ? r.bitString(1, MAX_BANDWIDTH_COMB_SET) : null;
+  readBandInfoEUTRA(r);
+  if (extended) r.skipExtensions();
+  return { bands, bandwidthCombinationSet };
+};
+
+const readPhyLayerParametersV1020 = (r) => {
+  const present = r.preamble(7);
+  if (present[6]) r.sequenceOf(1, MAX_BANDS, () => r.bits(1));
+};
+
+// IntraBandContiguousCC-Info-r12
+const readContiguousCC = (r) => {
+  const [fourLayer, hasMimo, hasCsiProc] = r.preamble(3);
+  const mimo = hasMimo ? MIMO_DL[r.enumerated(MIMO_DL.length)] : null;
+  if (hasCsiProc) r.enumerated(3);
+  return { mimo, fourLayerTM3TM4: fourLayer };
+};
+
+// dc-Support-r12 / dc-Support-r13
+const readDcSupport = (r) => {
+  const [, hasGrouping] = r.preamble(2);
+  if (hasGrouping) r.bits([3, 7, 15][r.int(0, 2)]); // three/four/fiveEntries
+};
+
+const readBandParametersR13 = (r) => {
+  const [hasUL, hasDL, hasCsiProc] = r.preamble(3);
+  const band = r.int(1, MAX_FBI2);
+  const ul = hasUL ? [readMimoParametersUL(r)] : [];
+  const dl = [];
+  if (hasDL) {
+    // CA-MIMO-ParametersDL-r13: a single class, per CC info for intra-band contiguous CA
+    const [hasMimo, fourLayer] = r.preamble(2);
+    const cls = readBandwidthClass(r);
+    const mimo = hasMimo ? MIMO_DL[r.enumerated(MIMO_DL.length)] : 2;
+    const contiguousCCs = r.sequenceOf(1, MAX_SERV_CELL_R13, () => readContiguousCC(r));
+    dl.push({ cls, mimo, fourLayerTM3TM4: fourLayer, contiguousCCs });
+  }
+  if (hasCsiProc) r.enumerated(3);
+  return { band, ul, dl };
+};
+
+const readBandCombinationR13 = (r) => {
+  const [, hasBandwidthSet, , , hasNaics, hasCommBands] = r.preamble(6);
+  const bands = r.sequenceOf(1, MAX_SIMULTANEOUS_BANDS, () => readBandParametersR13(r));
+  const bandwidthCombinationSet = hasBandwidthSet ? r.bitString(1, MAX_BANDWIDTH_COMB_SET) : null;
+  readBandInfoEUTRA(r);
+  readDcSupport(r);
+  if (hasNaics) r.bitString(1, MAX_NAICS_ENTRIES);
+  if (hasCommBands) r.bitString(1, MAX_BANDS);
+  return { bands, bandwidthCombinationSet };
+};
+
+const readBandCombinationV1250 = (r) => {
+  const extended = r.bool();
+  const [hasDc, hasNaics, hasCommBands] = r.preamble(3);
+  if (hasDc) readDcSupport(r);
+  if (hasNaics) r.bitString(1, MAX_NAICS_ENTRIES);
+  if (hasCommBands) r.bitString(1, MAX_BANDS);
+  if (extended) r.skipExtensions();
+};
+
+// BandCombinationParameters-v1270: per band, per DL class, per CC
+const readBandCombinationV1270 = (r) => {
+  const [hasList] = r.preamble(1);
+  return hasList
+    ? r.sequenceOf(1, MAX_SIMULTANEOUS_BANDS, () => r.sequenceOf(1, MAX_BANDWIDTH_CLASS, () => (
+      r.sequenceOf(1, MAX_SERV_CELL_R10, () => readContiguousCC(r))
+    )))
+    : null;
+};
+
+// parametersTM9 and parametersTM10 of the MIMO parameter IEs
+const readPerTM = (r, readTM) => {
+  const [tm9, tm10] = r.preamble(2);
+  if (tm9) readTM(r);
+  if (tm10) readTM(r);
+};
+
+const readBeamformedCapabilityList = (r) => r.sequenceOf(1, MAX_CSI_RS_NZP, () => {
+  const [hasNMax] = r.preamble(1);
+  r.int(1, 8); // k-Max-r13
+  if (hasNMax) r.bitString(1, 7);
+});
+
+// MIMO-CA-ParametersPerBoBCPerTM-r13 (3 fields) / -r15 (5 fields)
+const readMimoCaParametersPerTM = (r, fields) => {
+  const [nonPrecoded, beamformed] = r.preamble(fields);
+  if (nonPrecoded) r.preamble(4);
+  if (beamformed) readBeamformedCapabilityList(r);
+};
+
+// MIMO-UE-ParametersPerTM-r13
+const readMimoUeParametersPerTM = (r) => {
+  const [nonPrecoded, beamformed] = r.preamble(5);
+  if (nonPrecoded) r.preamble(4);
+  if (beamformed) {
+    r.preamble(1); // altCodebook-r13
+    readBeamformedCapabilityList(r);
+  }
+};
+
+// MIMO-UE-ParametersPerTM-v1430
+const readMimoUeParametersPerTMV1430 = (r) => {
+  const [aperiodic, periodic] = r.preamble(10);
+  if (aperiodic) {
+    r.int(5, 32); // nMaxProc-r14
+    r.enumerated(4);
+  }
+  if (periodic) r.enumerated(4);
+};
+
+const readNaicsCapabilityList = (r) => r.sequenceOf(1, MAX_NAICS_ENTRIES, () => {
+  const extended = r.bool();
+  r.int(1, 5); // numberOfNAICS-CapableCC-r12
+  r.enumerated(16); // numberOfAggregatedPRB-r12
+  if (extended) r.skipExtensions();
+});
+
+const readPhyLayerParametersV1250 = (r) => {
+  const present = r.preamble(11);
+  if (present[2]) r.bits(2); // tdd-FDD-CA-PCellDuplex-r12
+  if (present[10]) readNaicsCapabilityList(r);
+};
+
+const readPhyLayerParametersV1310 = (r) => {
+  const present = r.preamble(13);
+  if (present[0]) r.bits(2); // aperiodicCSI-Reporting-r13
+  if (present[1]) r.bits(2); // codebook-HARQ-ACK-r13
+  if (present[4]) r.int(5, 32); // maxNumberUpdatedCSI-Proc-r13
+  if (present[9]) {
+    const [hasMaxDecoding] = r.preamble(3); // supportedBlindDecoding-r13
+    if (hasMaxDecoding) r.int(1, 32);
+  }
+};
+
+const readPhyLayerParametersV1320 = (r) => {
+  const [hasMimo] = r.preamble(1);
+  if (!hasMimo) return;
+  const [tm9, tm10] = r.preamble(5); // mimo-UE-Parameters-r13
+  if (tm9) readMimoUeParametersPerTM(r);
+  if (tm10) readMimoUeParametersPerTM(r);
+};
+
+const readPhyLayerParametersV1430 = (r) => {
+  const present = r.preamble(16);
+  if (present[1]) r.enumerated(2); // ce-PDSCH-PUSCH-MaxBandwidth-r14
+  if (present[4]) r.enumerated(2); // ce-RetuningSymbols-r14
+  if (present[13]) readPerTM(r, readMimoUeParametersPerTMV1430);
+  if (present[15]) r.preamble(2); // feMBMS-Unicast-Parameters-r14
+};
+
+const readSlParametersR12 = (r) => {
+  const [, commBands, discBands, , , , discProc] = r.preamble(7);
+  if (commBands) r.sequenceOf(1, MAX_BANDS, () => r.int(1, MAX_FBI2));
+  if (discBands) r.sequenceOf(1, MAX_BANDS, () => r.preamble(1));
+  if (discProc) r.enumerated(2);
+};
+
+const readV2xBandwidthClasses = (r) => r.sequenceOf(1, MAX_BANDWIDTH_CLASS, () => r.enumerated(6, true));
+
+const readSlParametersV1430 = (r) => {
+  const present = r.preamble(9);
+  if (present[5]) r.int(1, 16); // v2x-numberTxRxTiming-r14
+  if (present[8]) {
+    r.sequenceOf(1, MAX_BAND_COMB_SIDELINK, () => r.sequenceOf(1, MAX_SIMULTANEOUS_BANDS, () => {
+      const [tx, rx] = r.preamble(2);
+      r.int(1, MAX_FBI2);
+      if (tx) {
+        r.preamble(2);
+        readV2xBandwidthClasses(r);
+      }
+      if (rx) {
+        r.preamble(1);
+        readV2xBandwidthClasses(r);
+      }
+    }));
+  }
+};
+
+// BandCombinationParameters-v1430: ul-256QAM-r14 per band
+const readBandCombinationV1430 = (r) => {
+  const [hasList, hasTxList, hasRxList] = r.preamble(3);
+  const bands = hasList
+    ? r.sequenceOf(1, MAX_SIMULTANEOUS_BANDS, () => {
+      const [hasMimo, ul256QAM, hasPerCC, hasSrs] = r.preamble(4);
+      if (hasMimo) readPerTM(r, () => r.preamble(2));
+      const perCC = hasPerCC ? r.sequenceOf(2, MAX_SERV_CELL_R13, () => r.preamble(1)[0]) : [];
+      if (hasSrs) {
+        r.sequenceOf(1, MAX_SIMULTANEOUS_BANDS, () => {
+          const [dl, ul] = r.preamble(2); // rf-RetuningTimeDL/UL-r14
+          if (dl) r.enumerated(16);
+          if (ul) r.enumerated(16);
+        });
+      }
+      return { ul256QAM: ul256QAM || perCC.some(Boolean) };
+    })
+    : null;
+  if (hasTxList) r.bitString(1, MAX_BAND_COMB_SIDELINK);
+  if (hasRxList) r.bitString(1, MAX_BAND_COMB_SIDELINK);
+  return bands;
+};
+
+// BandCombinationParameters-v1530: dl-1024QAM-r15 per band
+const readBandCombinationV1530 = (r) => {
+  const [hasList, hasSpt] = r.preamble(2);
+  const bands = hasList
+    ? r.sequenceOf(1, MAX_SIMULTANEOUS_BANDS, () => {
+      const present = r.preamble(7);
+      if (present[6]) throw new Error('stti-SPT-BandParameters-r15 is not supported');
+      return { dl1024QAM: present[3] };
+    })
+    : null;
+  if (hasSpt) {
+    const [frameStructure, maxCCs] = r.preamble(2);
+    if (frameStructure) r.bits(3);
+    if (maxCCs) r.int(1, MAX_SERV_CELL_R13);
+  }
+  return bands;
+};
+
+const readFeatureSetsEUTRA = (r) => {
+  const extended = r.bool();
+  const [dl, dlPerCC, ul, ulPerCC] = r.preamble(4);
+  const readPerCCIds = () => r.sequenceOf(1, MAX_SERV_CELL_R13, () => r.int(0, MAX_PER_CC_FEATURE_SETS));
+  if (dl) {
+    r.sequenceOf(1, MAX_FEATURE_SETS, () => {
+      const [hasMimo] = r.preamble(1);
+      if (hasMimo) readPerTM(r, () => readMimoCaParametersPerTM(r, 5));
+      readPerCCIds();
+    });
+  }
+  if (dlPerCC) {
+    r.sequenceOf(1, MAX_PER_CC_FEATURE_SETS, () => {
+      const [, mimo, csiProc] = r.preamble(3);
+      if (mimo) r.enumerated(MIMO_DL.length);
+      if (csiProc) r.enumerated(3);
+    });
+  }
+  if (ul) r.sequenceOf(1, MAX_FEATURE_SETS, readPerCCIds);
+  if (ulPerCC) {
+    r.sequenceOf(1, MAX_PER_CC_FEATURE_SETS, () => {
+      const [mimo] = r.preamble(2);
+      if (mimo) r.enumerated(MIMO_UL.length);
+    });
+  }
+  if (extended) r.skipExtensions();
+};
+
+const readPdcpParametersNR = (r) => {
+  const [hasMaxRohc] = r.preamble(6);
+  r.bits(9); // rohc-Profiles-r15
+  if (hasMaxRohc) r.enumerated(16);
+  r.bits(1); // rohc-ProfilesUL-Only-r15
+};
+
+/**
+ * -vXXXX extensions of the band combination lists, one per present base list:
+ * base list name → items (in the order of the base list)
+ */
+const readListExtensions = (r, present, lists, readItem) => {
+  const extensions = {};
+  lists.forEach((list, i) => {
+    if (present[i]) extensions[list] = r.sequenceOf(1, LIST_EXTENSIONS[list].size, () => readItem(r));
+  });
+  return extensions;
+};
+
+// ==================== UE-EUTRA-Capability ====================
+
+const readPdcpParameters = (r) => {
+  const extended = r.bool();
+  const [hasMaxRohc] = r.preamble(1);
+  r.bits(9); // supportedROHC-Profiles
+  if (hasMaxRohc) r.enumerated(16);
+  if (extended) r.skipExtensions();
+};
+
+const readInterRatParameters = (r) => {
+  const [utraFdd, utraTdd128, utraTdd384, utraTdd768, geran, hrpd, oneXrtt] = r.preamble(7);
+  const readBandList = () => r.sequenceOf(1, MAX_BANDS, () => r.enumerated(16, true));
+  if (utraFdd) readBandList();
+  if (utraTdd128) readBandList();
+  if (utraTdd384) readBandList();
+  if (utraTdd768) readBandList();
+  if (geran) {
+    readBandList();
+    r.bool(); // interRAT-PS-HO-ToGERAN
+  }
+  for (const present of [hrpd, oneXrtt]) {
+    if (!present) continue;
+    r.sequenceOf(1, MAX_CDMA_BAND_CLASS, () => r.enumerated(32, true));
+    r.bits(2); // tx/rx config
+  }
+};
+
+/**
+ * UE-EUTRA-Capability and its nonCriticalExtension chain up to v11a0, then
+ * the Rel-12+ extensions (EXTENSIONS_REL12)
+ */
+const readUeEutraCapability = (r, warnings) => {
+  const result = {
+    accessStratumRelease: null,
+    ueCategory: null,
+    supportedBands: null,   // rf-Parameters: bandEUTRA per supported band
+    bandsV9e0: null,        // v9e0, aligned with supportedBands
+    bandsV1250: null,       // v1250, aligned with supportedBands
+    r10: null,              // [{ bands }]
+    bandwidthSetsR10: null, // v1060, aligned with r10
+    bandsV1090: null,       // v1090, aligned with r10
+    fourLayerV10i0: null,   // v10i0, aligned with r10
+    addR11: null,           // [{ bands, bandwidthCombinationSet }]
+    reducedR13: null,       // v1310, [{ bands, bandwidthCombinationSet }]
+    extensionsV1270: null,  // { list: per CC info }, aligned with the base lists
+    extensionsV1430: null,  // { list: ul-256QAM-r14 }
+    extensionsV1530: null   // { list: dl-1024QAM-r15 }
+  };
+
+  const [hasFgi, hasV920] = r.preamble(2);
+  result.accessStratumRelease = `rel${8 + r.enumerated(8, true)}`;
+  result.ueCategory = r.int(1, 5);
+  readPdcpParameters(r);
+  r.bits(2); // phyLayerParameters
+  result.supportedBands = r.sequenceOf(1, MAX_BANDS, () => { // rf-Parameters
+    const band = r.int(1, MAX_FBI);
+    r.bool(); // halfDuplex
+    return band;
+  });
+  r.sequenceOf(1, MAX_BANDS, () => readBandInfoEUTRA(r)); // measParameters
+  if (hasFgi) r.bits(32);
+  readInterRatParameters(r);
+  if (!hasV920) return result;
+
+  // v920
+  const [, cdmaV920, , hasV940] = r.preamble(4); // utra-v920 and deviceType-r9 have no bits
+  r.bits(2); // phyLayerParameters-v920
+  r.bits(2); // interRAT-ParametersGERAN-v920
+  if (cdmaV920) r.bits(1);
+  r.bits(3 + 3 + 1); // csg-ProximityIndication, neighCellSI-Acquisition, son-Parameters
+  if (!hasV940) return result;
+
+  // v940
+  const [hasLate, hasV1020] = r.preamble(2);
+  if (hasLate) {
+    const late = r.octets();
+    try {
+      Object.assign(result, readLateExtensions(createBitReader(late)));
+    } catch (e) {
+      warnings.push(`lateNonCriticalExtension not decoded: ${e.message}`);
+    }
+  }
+  if (!hasV1020) return result;
+
+  // v1020
+  const [catV1020, phyV1020, rfV1020, measV1020, fgiRel10, , netwPerf, , hasV1060] = r.preamble(9);
+  if (catV1020) result.ueCategory = r.int(6, 8);
+  if (phyV1020) readPhyLayerParametersV1020(r);
+  if (rfV1020) {
+    result.r10 = r.sequenceOf(1, MAX_BAND_COMB_R10, () => ({
+      bands: r.sequenceOf(1, MAX_SIMULTANEOUS_BANDS, () => readBandParametersR10(r))
+    }));
+  }
+  if (measV1020) r.sequenceOf(1, MAX_BAND_COMB_R10, () => readBandInfoEUTRA(r));
+  if (fgiRel10) r.bits(32);
+  if (netwPerf) r.bits(2);
+  if (!hasV1060) return result;
+
+  // v1060
+  const [fddV1060, tddV1060, rfV1060, hasV1090] = r.preamble(4);
+  for (const present of [fddV1060, tddV1060]) {
+    if (!present) continue;
+    const extended = r.bool();
+    const [phy, fgi] = r.preamble(4);
+    if (phy) readPhyLayerParametersV1020(r);
+    if (fgi) r.bits(32);
+    if (extended) r.skipExtensions();
+  }
+  if (rfV1060) {
+    result.bandwidthSetsR10 = r.sequenceOf(1, MAX_BAND_COMB_R10, () => {
+      const [hasSet] = r.preamble(1);
+      return hasSet ? r.bitString(1, MAX_BANDWIDTH_COMB_SET) : null;
+    });
+  }
+  if (!hasV1090) return result;
+
+  // v1090
+  const [rfV1090, hasV1130] = r.preamble(2);
+  if (rfV1090) {
+    const [hasList] = r.preamble(1);
+    if (hasList) {
+      result.bandsV1090 = r.sequenceOf(1, MAX_BAND_COMB_R10, () => r.sequenceOf(1, MAX_SIMULTANEOUS_BANDS, () => {
+        const extended = r.bool();
+        const [hasBand] = r.preamble(1);
+        const band = hasBand ? r.int(MAX_FBI + 1, MAX_FBI2) : null;
+        if (extended) r.skipExtensions();
+        return band;
+      }));
+    }
+  }
+  if (!hasV1130) return result;
+
+  // v1130
+  const [phyV1130, fddV1130, tddV1130, hasV1170] = r.preamble(4);
+  r.bits(2); // pdcp-Parameters-v1130
+  if (phyV1130) r.bits(7);
+  const [hasBandCombV1130] = r.preamble(1); // rf-Parameters-v1130
+  if (hasBandCombV1130) {
+    r.sequenceOf(1, MAX_BAND_COMB_R10, () => {
+      const extended = r.bool();
+      const [, , hasList] = r.preamble(3);
+      if (hasList) r.sequenceOf(1, MAX_SIMULTANEOUS_BANDS, () => r.enumerated(3));
+      if (extended) r.skipExtensions();
+    });
+  }
+  r.bits(1 + 1 + 3); // measParameters-v1130, interRAT-ParametersCDMA2000-v1130, otherParameters-r11
+  for (const present of [fddV1130, tddV1130]) {
+    if (!present) continue;
+    const extended = r.bool();
+    const [phy, meas, other] = r.preamble(3);
+    if (phy) r.bits(7);
+    if (meas) r.bits(1);
+    if (other) r.bits(3);
+    if (extended) r.skipExtensions();
+  }
+  if (!hasV1170) return result;
+
+  // v1170
+  const [phyV1170, catV1170, hasV1180] = r.preamble(3);
+  if (phyV1170) {
+    const [hasTddConfig] = r.preamble(1);
+    if (hasTddConfig) r.bits(2);
+  }
+  if (catV1170) result.ueCategory = r.int(9, 10);
+  if (!hasV1180) return result;
+
+  // v1180
+  const [rfV1180, mbmsV1180, fddV1180, tddV1180, hasV11a0] = r.preamble(5);
+  if (rfV1180) {
+    const [, hasRequested, hasAdd] = r.preamble(3);
+    if (hasRequested) r.sequenceOf(1, MAX_BANDS, () => r.int(1, MAX_FBI2));
+    if (hasAdd) result.addR11 = r.sequenceOf(1, MAX_BAND_COMB_R11, () => readBandCombinationR11(r));
+  }
+  if (mbmsV1180) r.bits(2);
+  if (fddV1180) r.bits(2);
+  if (tddV1180) r.bits(2);
+  if (!hasV11a0) return result;
+
+  // v11a0
+  const [catV11a0, measV11a0, hasV1250] = r.preamble(3);
+  if (catV11a0) result.ueCategory = r.int(11, 12);
+  if (measV11a0) r.preamble(1);
+  if (!hasV1250) return result;
+
+  for (const [release, readRelease] of EXTENSIONS_REL12) {
+    try {
+      if (!readRelease(r, result)) break;
+    } catch (e) {
+      warnings.push(`UE-EUTRA-Capability-${release}-IEs not decoded: ${e.message}`);
+      break;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * lateNonCriticalExtension of v940: v9a0 ... v10i0, returns bandsV9e0 (bands
+ * above 64 of supportedBandListEUTRA) and fourLayerV10i0 (fourLayerTM3-TM4-r10
+ * per combo / band / DL bandwidth class of the r10 list), null if absent
+ */
+const readLateExtensions = (r) => {
+  const late = { bandsV9e0: null, fourLayerV10i0: null };
+
+  // v9a0
+  const [fgiRel9Add, fddR9, tddR9, hasV9c0] = r.preamble(4);
+  if (fgiRel9Add) r.bits(32);
+  for (const present of [fddR9, tddR9]) {
+    if (!present) continue;
+    const extended = r.bool();
+    const [phy, fgi, fgiAdd, geran, , cdma, neighCellSI] = r.preamble(7);
+    if (phy) r.bits(2);
+    if (fgi) r.bits(32);
+    if (fgiAdd) r.bits(32);
+    if (geran) {
+      r.sequenceOf(1, MAX_BANDS, () => r.enumerated(16, true));
+      r.bool();
+    }
+    if (cdma) r.bits(1);
+    if (neighCellSI) r.bits(3);
+    if (extended) r.skipExtensions();
+  }
+  if (!hasV9c0) return late;
+
+  // v9c0
+  const [utraV9c0, hasV9d0] = r.preamble(2);
+  if (utraV9c0) r.bits(6);
+  if (!hasV9d0) return late;
+
+  // v9d0
+  const [phyV9d0, hasV9e0] = r.preamble(2);
+  if (phyV9d0) r.bits(2);
+  if (!hasV9e0) return late;
+
+  // v9e0
+  const [rfV9e0, hasV9h0] = r.preamble(2);
+  if (rfV9e0) {
+    const [hasList] = r.preamble(1);
+    if (hasList) {
+      late.bandsV9e0 = r.sequenceOf(1, MAX_BANDS, () => {
+        const [hasBand] = r.preamble(1);
+        return hasBand ? r.int(MAX_FBI + 1, MAX_FBI2) : null;
+      });
+    }
+  }
+  if (!hasV9h0) return late;
+
+  // v9h0
+  const [, lateV9h0, hasV10c0] = r.preamble(3);
+  if (lateV9h0) r.octets();
+  if (!hasV10c0) return late;
+
+  // v10c0
+  const [otdoa, hasV10f0] = r.preamble(2);
+  if (otdoa) r.bits(1);
+  if (!hasV10f0) return late;
+
+  // v10f0
+  const [rfV10f0, hasV10i0] = r.preamble(2);
+  if (rfV10f0) {
+    const [hasMpr] = r.preamble(1);
+    if (hasMpr) r.bits(32);
+  }
+  if (!hasV10i0) return late;
+
+  // v10i0
+  const [rfV10i0] = r.preamble(3);
+  if (!rfV10i0) return late;
+  const [hasList] = r.preamble(1);
+  if (!hasList) return late;
+
+  late.fourLayerV10i0 = r.sequenceOf(1, MAX_BAND_COMB_R10, () => {
+    const [hasBands] = r.preamble(1);
+    return hasBands
+      ? r.sequenceOf(1, MAX_SIMULTANEOUS_BANDS, () => r.sequenceOf(1, MAX_BANDWIDTH_CLASS, () => r.preamble(1)[0]))
+      : null;
+  });
+  return late;
+};
+
+// ==================== Rel-12+ EXTENSIONS ====================
+
+// UE-EUTRA-Capability-vXXXX-IEs from v1250 on: each reader stores what it
+// decodes in the result and returns whether a nonCriticalExtension follows
+
+// Optional fields of an fdd-/tdd-Add-UE-EUTRA-Capabilities IE, in order
+const readXddAdd = (r, readers) => {
+  const present = r.preamble(readers.length);
+  readers.forEach((read, i) => present[i] && read(r));
+};
+
+const readV1250 = (r, result) => {
+  // rlc-Parameters-r12 and ue-BasedNetwPerfMeasParameters-v1250 have no bits
+  const [phy, rf, , , catDL, catUL, wlan, meas, dc, mbms, mac, fdd, tdd, sl, hasNext] = r.preamble(15);
+  if (phy) readPhyLayerParametersV1250(r);
+  if (rf) {
+    const present = r.preamble(4);
+    if (present[0]) {
+      result.bandsV1250 = r.sequenceOf(1, MAX_BANDS, () => {
+        const [dl256QAM, ul64QAM] = r.preamble(2);
+        return { dl256QAM, ul64QAM };
+      });
+    }
+    readListExtensions(r, present.slice(1), [LIST_R10, LIST_ADD_R11], readBandCombinationV1250);
+  }
+  if (catDL) r.int(0, 14);
+  if (catUL) r.int(0, 13);
+  if (wlan) r.preamble(2);
+  if (meas) r.preamble(9);
+  if (dc) r.preamble(2);
+  if (mbms) r.preamble(1);
+  if (mac) r.preamble(2);
+  for (const present of [fdd, tdd]) {
+    if (present) readXddAdd(r, [readPhyLayerParametersV1250, () => r.preamble(9)]);
+  }
+  if (sl) readSlParametersR12(r);
+  return hasNext;
+};
+
+const readV1260 = (r) => {
+  const [catDL, hasNext] = r.preamble(2);
+  if (catDL) r.int(15, 16);
+  return hasNext;
+};
+
+const readV1270 = (r, result) => {
+  const [rf, hasNext] = r.preamble(2);
+  if (rf) result.extensionsV1270 = readListExtensions(r, r.preamble(2), [LIST_R10, LIST_ADD_R11], readBandCombinationV1270);
+  return hasNext;
+};
+
+const readV1280 = (r) => {
+  const [phy, hasNext] = r.preamble(2);
+  if (phy) r.preamble(1);
+  return hasNext;
+};
+
+const readV1310 = (r, result) => {
+  const [
+    catDL, catUL, mac, phy, rf, meas, dc, sl, scptm, ce, laa, lwa, wlanIw, lwip, fdd, tdd, hasNext
+  ] = r.preamble(17);
+  if (catDL) r.enumerated(2);
+  if (catUL) r.enumerated(2);
+  r.preamble(1); // pdcp-Parameters-v1310
+  r.preamble(1); // rlc-Parameters-v1310
+  if (mac) r.preamble(2);
+  if (phy) readPhyLayerParametersV1310(r);
+  if (rf) {
+    const [requested, , , , bandList, hasReduced] = r.preamble(6);
+    if (requested) {
+      const present = r.preamble(4);
+      if (present[1]) r.int(2, MAX_SERV_CELL_R13); // requestedCCsDL-r13
+      if (present[2]) r.int(2, MAX_SERV_CELL_R13); // requestedCCsUL-r13
+    }
+    if (bandList) r.sequenceOf(1, MAX_BANDS, () => r.preamble(1));
+    if (hasReduced) result.reducedR13 = r.sequenceOf(1, MAX_BAND_COMB_R13, () => readBandCombinationR13(r));
+  }
+  if (meas) r.preamble(7);
+  if (dc) r.preamble(2);
+  if (sl) r.preamble(4);
+  if (scptm) r.preamble(4);
+  if (ce) r.preamble(2);
+  const [hasWlanBands] = r.preamble(1); // interRAT-ParametersWLAN-r13
+  if (hasWlanBands) r.sequenceOf(1, MAX_WLAN_BANDS, () => r.enumerated(8, true));
+  if (laa) r.preamble(7);
+  if (lwa) {
+    const present = r.preamble(4);
+    if (present[2]) r.bits(48); // wlan-MAC-Address-r13
+  }
+  if (wlanIw) r.preamble(1);
+  if (lwip) r.preamble(1);
+  for (const present of [fdd, tdd]) {
+    if (present) readXddAdd(r, [readPhyLayerParametersV1310]);
+  }
+  return hasNext;
+};
+
+const readV1320 = (r) => {
+  const [ce, phy, rf, fdd, tdd, hasNext] = r.preamble(6);
+  if (ce) r.preamble(4);
+  if (phy) readPhyLayerParametersV1320(r);
+  if (rf) {
+    readListExtensions(r, r.preamble(3), [LIST_R10, LIST_ADD_R11, LIST_REDUCED_R13], () => {
+      const [hasList] = r.preamble(1);
+      if (hasList) r.sequenceOf(1, MAX_SIMULTANEOUS_BANDS, () => readPerTM(r, () => readMimoCaParametersPerTM(r, 3)));
+    });
+  }
+  for (const present of [fdd, tdd]) {
+    if (present) readXddAdd(r, [readPhyLayerParametersV1320, () => r.preamble(4)]);
+  }
+  return hasNext;
+};
+
+const readV1330 = (r) => {
+  const [catDL, phy, , hasNext] = r.preamble(4); // ue-CE-NeedULGaps-r13 has no bits
+  if (catDL) r.int(18, 19);
+  if (phy) {
+    const present = r.preamble(4);
+    if (present[2]) r.int(1, MAX_SERV_CELL_R13); // cch-InterfMitigation-MaxNumCCs-r13
+    if (present[3]) r.int(1, MAX_SERV_CELL_R13); // crs-InterfMitigationTM1toTM9-r13
+  }
+  return hasNext;
+};
+
+const readV1340 = (r) => {
+  const [, hasNext] = r.preamble(2); // ue-CategoryUL-v1340 has no bits
+  return hasNext;
+};
+
+const readV1350 = (r) => {
+  const [, , ce, hasNext] = r.preamble(4); // ue-CategoryDL/UL-v1350 have no bits
+  if (ce) r.preamble(1);
+  return hasNext;
+};
+
+const readV1360 = (r) => {
+  const [other, hasNext] = r.preamble(2);
+  if (other) r.preamble(1);
+  return hasNext;
+};
+
+const readV1430 = (r, result) => {
+  const [
+    phy, , catUL, , mac, meas, pdcp, rf, laa, lwa, lwip, mmtel, mobility, fdd, tdd, mbms, sl, netwPerf, highSpeed, hasNext
+  ] = r.preamble(20); // ue-CategoryDL-v1430 and ue-CategoryUL-v1430b have no bits
+  if (phy) readPhyLayerParametersV1430(r);
+  if (catUL) r.enumerated(6);
+  if (mac) r.preamble(5);
+  if (meas) r.preamble(5);
+  if (pdcp) {
+    const [hasMaxRohc] = r.preamble(1);
+    r.bits(1); // supportedUplinkOnlyROHC-Profiles-r14
+    if (hasMaxRohc) r.enumerated(16);
+  }
+  r.preamble(1); // rlc-Parameters-v1430
+  if (rf) {
+    const present = r.preamble(5);
+    result.extensionsV1430 = readListExtensions(
+      r, present, [LIST_R10, LIST_ADD_R11, LIST_REDUCED_R13], readBandCombinationV1430
+    );
+    if (present[3]) {
+      // eNB-RequestedParameters-v1430: requestedDiffFallbackCombList-r14
+      r.sequenceOf(1, MAX_REQUESTED_BAND_COMB, () => r.sequenceOf(1, MAX_SIMULTANEOUS_BANDS, () => {
+        const [hasUL] = r.preamble(1);
+        r.int(1, MAX_FBI2);
+        readBandwidthClass(r);
+        if (hasUL) readBandwidthClass(r);
+      }));
+    }
+  }
+  if (laa) {
+    const present = r.preamble(6);
+    if (present[2]) r.enumerated(3);
+  }
+  if (lwa) {
+    const present = r.preamble(5);
+    if (present[4]) r.int(1, 2048);
+  }
+  if (lwip) r.preamble(2);
+  r.preamble(2); // otherParameters-v1430
+  if (mmtel) r.preamble(4);
+  if (mobility) r.preamble(2);
+  r.preamble(1); // ce-Parameters-v1430
+  for (const present of [fdd, tdd]) {
+    if (present) readXddAdd(r, [readPhyLayerParametersV1430, () => r.preamble(4)]);
+  }
+  if (mbms) r.preamble(4);
+  if (sl) readSlParametersV1430(r);
+  if (netwPerf) r.preamble(1);
+  if (highSpeed) r.preamble(3);
+  return hasNext;
+};
+
+const readV1440 = (r) => {
+  const [lwa, mac, hasNext] = r.preamble(3);
+  if (lwa) r.preamble(1);
+  if (mac) r.preamble(1);
+  return hasNext;
+};
+
+const readV1450 = (r) => {
+  const [phy, rf, , hasNext] = r.preamble(4); // ue-CategoryDL-v1450 has no bits
+  if (phy) r.preamble(2);
+  if (rf) {
+    readListExtensions(r, r.preamble(3), [LIST_R10, LIST_ADD_R11, LIST_REDUCED_R13], () => {
+      const [hasSrsCCs] = r.preamble(1);
+      if (hasSrsCCs) r.int(1, MAX_SERV_CELL_R13); // srs-MaxSimultaneousCCs-r14
+    });
+  }
+  r.preamble(1); // otherParameters-v1450
+  return hasNext;
+};
+
+const readV1460 = (r) => {
+  const [, hasNext] = r.preamble(2); // ue-CategoryDL-v1460 has no bits
+  r.preamble(1); // otherParameters-v1460
+  return hasNext;
+};
+
+const readV1510 = (r) => {
+  const [nr, featureSets, pdcpNR, fdd, tdd, hasNext] = r.preamble(6);
+  if (nr) {
+    const present = r.preamble(3);
+    if (present[2]) r.sequenceOf(1, MAX_BANDS_NR, () => r.int(1, MAX_BANDS_NR)); // supportedBandListEN-DC-r15
+  }
+  if (featureSets) readFeatureSetsEUTRA(r);
+  if (pdcpNR) readPdcpParametersNR(r);
+  for (const present of [fdd, tdd]) {
+    if (present) readXddAdd(r, [readPdcpParametersNR]);
+  }
+  return hasNext;
+};
+
+const readV1520 = (r) => {
+  const [hasNext] = r.preamble(1);
+  const [hasGapPatterns] = r.preamble(1); // measParameters-v1520
+  if (hasGapPatterns) r.bits(8);
+  return hasNext;
+};
+
+// Decoding ends with rf-Parameters-v1530
+const readV1530 = (r, result) => {
+  const [meas, other, neighCellSI, mac, phy, rf] = r.preamble(18);
+  if (meas) r.preamble(6);
+  if (other) r.preamble(2);
+  if (neighCellSI) r.preamble(2);
+  if (mac) {
+    const present = r.preamble(8);
+    if (present[0]) r.sequenceOf(1, 3, () => r.enumerated(2)); // min-Proc-TimelineSubslot-r15
+    if (present[1]) r.preamble(4).filter(Boolean).forEach(() => r.int(0, 3)); // skipSubframeProcessing-r15
+  }
+  if (phy) throw new Error('phyLayerParameters-v1530 (sTTI/SPT) is not supported');
+  if (rf) {
+    const present = r.preamble(5);
+    result.extensionsV1530 = readListExtensions(
+      r, present.slice(1), [LIST_R10, LIST_ADD_R11, LIST_REDUCED_R13], readBandCombinationV1530
+    );
+  }
+  return false;
+};
+
+const EXTENSIONS_REL12 = [
+  ['v1250', readV1250], ['v1260', readV1260], ['v1270', readV1270], ['v1280', readV1280],
+  ['v1310', readV1310], ['v1320', readV1320], ['v1330', readV1330], ['v1340', readV1340],
+  ['v1350', readV1350], ['v1360', readV1360], ['v1430', readV1430], ['v1440', readV1440],
+  ['v1450', readV1450], ['v1460', readV1460], ['v1510', readV1510], ['v1520', readV1520],
+  ['v1530', readV1530]
+];
+
+
+// ==================== COMBOS ====================
+
+/**
+ * Lists aligned with a base list are only used when their shape matches
+ * (same number of entries)
+ */
+const alignedWith = (base, list, name, warnings, unit = 'combos') => {
+  if (!list) return null;
+  if (list.length !== base.length) {
+    warnings.push(`${name}: ${list.length} entries for ${base.length} ${unit}, ignored`);
+    return null;
+  }
+  return list;
+};
+
+// Entry of an aligned list per combo and band (null if absent)
+const perBand = (list, index, bandIdx) => (list && list[index] ? list[index][bandIdx] || null : null);
+
+/**
+ * dl-256QAM-r12 / ul-64QAM-r12 per band (supportedBandListEUTRA-v1250, aligned
+ * with supportedBandListEUTRA and its v9e0 bands above 64)
+ */
+const bandQamFlags = (capability, warnings) => {
+  const flags = new Map();
+  const { supportedBands } = capability;
+  if (!supportedBands) return flags;
+
+  const bandsV9e0 = alignedWith(supportedBands, capability.bandsV9e0, 'supportedBandListEUTRA-v9e0', warnings, 'bands');
+  const bandsV1250 = alignedWith(supportedBands, capability.bandsV1250, 'supportedBandListEUTRA-v1250', warnings, 'bands');
+  if (!bandsV1250) return flags;
+
+  supportedBands.forEach((band, i) => flags.set((bandsV9e0 && bandsV9e0[i]) || band, bandsV1250[i]));
+  return flags;
+};
+
+// supportedBandCombination-r10 with its v1060, v1090 and v10i0 extensions applied
+const normalizeR10 = (capability, warnings) => {
+  const { r10 } = capability;
+  const bandwidthSets = alignedWith(r10, capability.bandwidthSetsR10, 'supportedBandCombinationExt-r10', warnings);
+  const bandsV1090 = alignedWith(r10, capability.bandsV1090, 'supportedBandCombination-v1090', warnings);
+  const fourLayer = alignedWith(r10, capability.fourLayerV10i0, 'supportedBandCombination-v10i0', warnings);
+
+  return r10.map(({ bands }, index) => ({
+    bands: bands.map((b, bandIdx) => {
+      const override = perBand(bandsV1090, index, bandIdx);
+      const classFlags = perBand(fourLayer, index, bandIdx);
+      if (b.band === MAX_FBI && !override) {
+        warnings.push(`Band ${MAX_FBI} in ${LIST_R10} without supportedBandCombination-v1090, the real band may be above ${MAX_FBI}`);
+      }
+      return {
+        ...b,
+        band: override || b.band,
+        dl: b.dl.map((d, i) => ({ ...d, fourLayerTM3TM4: !!(classFlags && classFlags[i]) }))
+      };
+    }),
+    bandwidthCombinationSet: bandwidthSets ? bandwidthSets[index] : null
+  }));
+};
+
+// Highest MIMO and any fourLayerTM3-TM4 over the CCs of a DL class
+const withContiguousCCs = (d, ccs) => (ccs ? {
+  ...d,
+  mimo: Math.max(d.mimo, ...ccs.map(cc => cc.mimo || 0)),
+  fourLayerTM3TM4: !!d.fourLayerTM3TM4 || ccs.some(cc => cc.fourLayerTM3TM4)
+} : d);
+
+const toCapabilityBand = ({ band, ul, dl }, { perCC, ul256QAM, dl1024QAM }, qamFlags) => {
+  const flags = qamFlags.get(band) || {};
+  return {
+    band,
+    dl: dl
+      .map((d, i) => withContiguousCCs(d, d.contiguousCCs || (perCC && perCC[i])))
+      .filter(d => d.cls)
+      .map(({ cls, mimo, fourLayerTM3TM4 }) => ({ cls, mimo, fourLayerTM3TM4: !!fourLayerTM3TM4 })),
+    ul: ul.filter(u => u.cls),
+    dl256QAM: !!flags.dl256QAM,
+    dl1024QAM: !!dl1024QAM,
+    ul64QAM: !!flags.ul64QAM,
+    ul256QAM: !!ul256QAM
+  };
+};
+
+const capabilityToCombos = (capability, warnings) => {
+  const qamFlags = bandQamFlags(capability, warnings);
+  const baseLists = [
+    [LIST_R10, capability.r10 && normalizeR10(capability, warnings)],
+    [LIST_ADD_R11, capability.addR11],
+    [LIST_REDUCED_R13, capability.reducedR13]
+  ];
+
+  const found = [];
+  for (const [list, combos] of baseLists) {
+    if (!combos) continue;
+    const extension = (extensions, release) => alignedWith(
+      combos, extensions && extensions[list], `${LIST_EXTENSIONS[list].prefix}-${release}`, warnings
+    );
+    const perCC = extension(capability.extensionsV1270, 'v1270');
+    const ul256QAM = extension(capability.extensionsV1430, 'v1430');
+    const dl1024QAM = extension(capability.extensionsV1530, 'v1530');
+
+    combos.forEach(({ bands, bandwidthCombinationSet }, index) => {
+      const capabilityBands = bands.map((b, bandIdx) => toCapabilityBand(b, {
+        perCC: perBand(perCC, index, bandIdx),
+        ul256QAM: (perBand(ul256QAM, index, bandIdx) || {}).ul256QAM,
+        dl1024QAM: (perBand(dl1024QAM, index, bandIdx) || {}).dl1024QAM
+      }, qamFlags));
+      const meta = bandwidthCombinationSet ? { bandwidthCombinationSet } : {};
+      found.push(...createCapabilityCombos(capabilityBands, list, index, meta));
+    });
+  }
+
+  return found;
+};
+
+// ==================== PUBLIC API ====================
+
+// Hex tokens: optional 0x prefix, whole bytes, separated by whitespace or ':'
+const hexTokens = (text) => text.trim().split(/[\s:]+/).map(token => token.replace(/^0x/i, ''));
+
+/**
+ * Check whether a text is a hex blob (whitespace or ':' separated bytes, optional "0x")
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export const isUeCapabilityHex = (text) => {
+  const tokens = hexTokens(text);
+  return tokens.every(token => /^([0-9a-f]{2})+$/i.test(token)) && tokens.join('').length >= 8;
+};
+
+const hexToBytes = (text) => {
+  const tokens = hexTokens(text);
+  if (!tokens.every(token => /^([0-9a-f]{2})+$/i.test(token))) {
+    throw new Error('Invalid hex string');
+  }
+  const hex = tokens.join('');
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  return bytes;
+};
+
+/**
+ * E-UTRA capability containers of a UL-DCCH-Message (UECapabilityInformation-r8),
+ * or null if the data does not start like one
+ */
+const readUlDcchContainers = (bytes) => {
+  const r = createBitReader(bytes);
+  if (r.bits(1) !== 0 || r.bits(4) !== UL_DCCH_UE_CAPABILITY_INFORMATION) return null;
+  r.bits(2); // rrc-TransactionIdentifier
+  if (r.bits(1) !== 0 || r.bits(3) !== 0) return null; // criticalExtensions c1: ueCapabilityInformation-r8
+  r.preamble(1); // nonCriticalExtension
+  const containers = r.sequenceOf(0, 8, () => ({ ratType: r.enumerated(8, true), data: r.octets() }));
+  return containers.filter(c => c.ratType === RAT_TYPE_EUTRA).map(c => c.data);
+};
+
+const readCapabilities = (containers, warnings) => {
+  const decoded = { found: [], accessStratumRelease: null, ueCategory: null };
+  for (const data of containers) {
+    let capability;
+    try {
+      capability = readUeEutraCapability(createBitReader(data), warnings);
+    } catch (e) {
+      throw new Error(`UE-EUTRA-Capability decoding failed: ${e.message}`);
+    }
+    decoded.accessStratumRelease = capability.accessStratumRelease;
+    decoded.ueCategory = capability.ueCategory;
+    decoded.found.push(...capabilityToCombos(capability, warnings));
+  }
+  return decoded;
+};
+
+/**
+ * Combos of a UL-DCCH-Message, null if it is not a UECapabilityInformation
+ * (found is empty if the message has no E-UTRA container)
+ *
+ * @param {Uint8Array} bytes - UL-DCCH-Message
+ * @param {string[]} warnings
+ * @returns {{found: Object[], accessStratumRelease: string|null, ueCategory: number|null}|null}
+ */
+export const readUeCapabilityInformation = (bytes, warnings) => {
+  let containers;
+  try {
+    containers = readUlDcchContainers(bytes);
+  } catch {
+    return null;
+  }
+  return containers ? readCapabilities(containers, warnings) : null;
+};
+
+/**
+ * Decode the band combinations of a UE capability PDU
+ *
+ * @param {Uint8Array} bytes - UL-DCCH-Message (UECapabilityInformation) or UE-EUTRA-Capability
+ * @returns {UeCapabilityImport} See capabilityCombos.js, plus accessStratumRelease and ueCategory
+ */
+export const decodeUeCapabilityPdu = (bytes) => {
+  const warnings = [];
+
+  let containers = null;
+  try {
+    containers = readUlDcchContainers(bytes);
+  } catch {
+    containers = null;
+  }
+  if (containers && containers.length === 0) {
+    throw new Error('UECapabilityInformation without an E-UTRA capability container');
+  }
+
+  const { found, accessStratumRelease, ueCategory } = readCapabilities(containers || [bytes], warnings);
+  return { ...collectCapabilityCombos(found, warnings), accessStratumRelease, ueCategory };
+};
+
+/**
+ * Decode the band combinations of a UE capability given as hex
+ *
+ * @param {string} text - Hex of a UL-DCCH-Message or UE-EUTRA-Capability
+ * @returns {UeCapabilityImport}
+ */
+export const parseUeCapabilityHex = (text) => decodeUeCapabilityPdu(hexToBytes(text));
@@ -1,10 +1,12 @@
 // ==================== DECODER LOGIC ====================
 
 import pako from 'pako';
-import { classToCC } from '../shared/index.js';
+import { BANDS, PCELL_MARKER, legacyToCarrier, calculateStreams, DEFAULT_UL_MIMO_202 } from '../shared/index.js';
+import { LAYOUT_KIND } from './layout.js';
+import { buildIntegrityReport, formatIntegrityReport } from './integrity.js';
 
 // Check if data is zlib compressed
-const isZlibCompressed = (data) => {
+export const isZlibCompressed = (data) => {
   if (data.byteLength < 2) return false;
   const view = new DataView(data);
   const firstByte = view.getUint8(0);
@@ -25,7 +27,99 @@ const decompressZlib = (arrayBuffer) => {
   }
 };
 
-export const decodeFile = (arrayBuffer) => {
+// Descriptor tags understood by the decoder
+const DESCRIPTOR_TYPES = [137, 138, 201, 202, 333, 334];
+
+// DL descriptor sizes in bytes (tag included), used when resynchronizing
+const DL_DESCRIPTOR_SIZE = { 137: 20, 201: 26, 333: 68 };
+
+/**
+ * Confidence of a decoded combo
+ * - HIGH: parsed in the normal descriptor flow
+ * - MEDIUM: its DL descriptor was found by recovery mode after skipping bytes
+ * - LOW: its UL descriptor is truncated or references a band missing from the DL set
+ */
+export const CONFIDENCE = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low'
+};
+
+/**
+ * Check whether a plausible DL descriptor (137/201/333) starts at the given offset
+ * Every band slot must be empty or a known band with class A-F, MIMO must be sane,
+ * and the descriptor must be followed by another descriptor tag or the end of file.
+ *
+ * @param {DataView} data - File data
+ * @param {number} offset - Candidate offset
+ * @returns {boolean}
+ */
+const isPlausibleDLDescriptor = (data, offset) => {
+  const fileSize = data.byteLength;
+  if (offset + 2 > fileSize) return false;
+
+  const tag = data.getUint16(offset, true);
+  const size = DL_DESCRIPTOR_SIZE[tag];
+  if (!size || offset + size > fileSize) return false;
+
+  let p = offset + 2;
+  let hasBand = false;
+
+  for (let i = 0; i < 6; i++) {
+    const band = data.getUint16(p, true);
+    const bclass = data.getUint8(p + 2);
+    p += 3;
+
+    if (band === 0) {
+      if (bclass !== 0) return false;
+    } else {
+      if (!BANDS[band] || bclass < 1 || bclass > 6) return false;
+      hasBand = true;
+    }
+
+    if (tag === 201) {
+      const mimo = data.getUint8(p);
+      p += 1;
+      if (band === 0 ? mimo !== 0 : ![1, 2, 4, 8].includes(mimo)) return false;
+    } else if (tag === 333) {
+      for (let j = 0; j < 8; j++) {
+        if (data.getUint8(p + j) > 9) return false;
+      }
+      p += 8;
+    }
+  }
+
+  if (!hasBand) return false;
+  if (p === fileSize) return true;
+  return p + 2 <= fileSize && DESCRIPTOR_TYPES.includes(data.getUint16(p, true));
+};
+
+/**
+ * Find the next plausible DL descriptor at or after the given offset
+ *
+ * @param {DataView} data - File data
+ * @param {number} from - Offset to start scanning at
+ * @returns {number} Offset of the descriptor or -1
+ */
+const findNextDLDescriptor = (data, from) => {
+  for (let offset = from; offset + 2 <= data.byteLength; offset++) {
+    if (isPlausibleDLDescriptor(data, offset)) return offset;
+  }
+  return -1;
+};
+
+/**
+ * Decode an NV 00028874 file
+ *
+ * @param {ArrayBuffer} arrayBuffer - Raw or zlib compressed file content
+ * @param {Object} [options]
+ * @param {boolean} [options.lenient=false] - Recovery mode: skip corrupted regions and
+ *   resynchronize on the next plausible DL descriptor instead of stopping at the first error;
+ *   a UL descriptor cut by the end of file keeps its combo with LOW confidence
+ * @returns {Object} Decode result
+ */
+export const decodeFile = (arrayBuffer, options = {}) => {
+  const { lenient = false } = options;
   let processedBuffer = arrayBuffer;
   let wasCompressed = false;
   let originalSize = arrayBuffer.byteLength;
@@ -56,31 +150,143 @@ export const decodeFile = (arrayBuffer) => {
     errors: [],
     descriptorStats: { 137: 0, 138: 0, 201: 0, 202: 0, 333: 0, 334: 0 },
     // Store original grouping info
-    groups: [] // Array of { descType, dlData, combos: [...] }
+    groups: [], // Array of { descType, dlData, combos: [...] }
+    // Byte-level map of the (decompressed) file, see LAYOUT_KIND
+    layout: [],
+    bytes: new Uint8Array(processedBuffer),
+    recovery: {
+      enabled: lenient,
+      resyncs: 0,
+      skippedBytes: 0,
+      salvagedCombos: 0
+    }
+  };
+
+  // Layout entry currently being filled by the read helpers
+  let current = null;
+
+  const addField = (name, start, length, value, reserved = false) => {
+    if (!current) return;
+    current.fields.push({ name, start, length, value, reserved });
   };
 
-  const readUint16 = () => {
+  const readUint16 = (name) => {
     if (fptr + 2 > fileSize) throw new Error('Unexpected end of file');
     const val = data.getUint16(fptr, true) & 0xffff;
+    if (name) addField(name, fptr, 2, val);
     fptr += 2;
     return val;
   };
 
-  const readUint8 = () => {
+  const readUint8 = (name) => {
     if (fptr + 1 > fileSize) throw new Error('Unexpected end of file');
     const val = data.getUint8(fptr) & 0xff;
+    if (name) addField(name, fptr, 1, val);
     fptr += 1;
     return val;
   };
 
-  const skipBytes = (n) => {
+  // Skip a region the decoder does not interpret; returns its bytes (zero-padded past EOF)
+  // so the encoder can write them back unchanged
+  const skipBytes = (n, name = 'reserved') => {
+    const available = Math.max(0, Math.min(n, fileSize - fptr));
+    addField(name, fptr, available, null, true);
+    const bytes = new Array(n).fill(0);
+    for (let i = 0; i < available; i++) bytes[i] = data.getUint8(fptr + i);
+    fptr += n;
+    return bytes;
+  };
+
+  // Read MIMO bytes as digits (8 digit bytes in 333/334, one byte in 202): [4, 0, ...] → 4
+  // Returns the value and the bytes as stored (zero-padded past EOF)
+  const readMimoDigits = (n, name) => {
+    const available = Math.max(0, Math.min(n, fileSize - fptr));
+    const bytes = new Array(n).fill(0);
+    for (let i = 0; i < available; i++) bytes[i] = data.getUint8(fptr + i);
+    const value = bytes.reduce((val, b) => (b !== 0 ? val * 10 + b : val), 0);
+    addField(name, fptr, available, value);
+    fptr += n;
+    return { value, bytes };
+  };
+
+  // UL descriptor fields: recovery mode reads them zero-padded past EOF (like skipBytes),
+  // so a UL descriptor cut by the end of file still gives its combo (LOW confidence)
+  const readULField = (n, name) => {
+    if (!lenient) return n === 2 ? readUint16(name) : readUint8(name);
+    const available = Math.max(0, Math.min(n, fileSize - fptr));
+    let val = 0;
+    for (let i = available - 1; i >= 0; i--) val = (val << 8) | data.getUint8(fptr + i);
+    addField(name, fptr, available, val);
     fptr += n;
+    return val;
+  };
+
+  const beginEntry = (kind, start, descType = null) => {
+    current = { kind, descType, start, length: 0, fields: [], groupIdx: null, comboIdx: null };
+    return current;
+  };
+
+  const endEntry = () => {
+    if (!current) return;
+    if (fptr > fileSize) current.truncated = true;
+    current.length = Math.min(fptr, fileSize) - current.start;
+    output.layout.push(current);
+    current = null;
+  };
+
+  // Set when recovery mode skipped bytes; the next DL group is marked as recovered
+  let resynced = false;
+
+  // Recovery mode: jump to the next plausible DL descriptor, marking the gap as skipped
+  const resync = (from) => {
+    const next = findNextDLDescriptor(data, from);
+    if (next === -1) return false;
+
+    beginEntry(LAYOUT_KIND.SKIPPED, from);
+    fptr = next;
+    endEntry();
+    output.recovery.resyncs++;
+    output.recovery.skippedBytes += next - from;
+    output.errors.push(`Recovery: skipped ${next - from} bytes at offset 0x${from.toString(16)}, resuming at 0x${next.toString(16)}.`);
+    resynced = true;
+    return true;
   };
 
-  const buildCombo = (band, bclass, ant, ulclass, ulca, showMimo, descType, groupIdx) => {
+  // Confidence of the combo described by the UL descriptor being read
+  const getComboConfidence = (band, groupIdx) => {
+    const unmatchedUL = current.fields.some(f =>
+      f.name.startsWith('ulBand') && f.value !== 0 && !band.includes(f.value)
+    );
+    if (fptr > fileSize || unmatchedUL) return CONFIDENCE.LOW;
+    if (output.groups[groupIdx].recovered) return CONFIDENCE.MEDIUM;
+    return CONFIDENCE.HIGH;
+  };
+
+  // Count a combo below HIGH confidence; a UL descriptor cut by the end of file gets a recovery entry
+  const countSalvaged = (combo) => {
+    if (combo.confidence === CONFIDENCE.HIGH) return;
+    output.recovery.salvagedCombos++;
+    if (lenient && fptr > fileSize) {
+      output.errors.push(
+        `Recovery: UL descriptor at offset 0x${current.start.toString(16)} is cut by the end of file, combo ${combo.text} kept with low confidence.`
+      );
+    }
+  };
+
+  // Carrier of UL slot 0 (the PCell) when another UL carrier precedes it, -1 otherwise:
+  // by default the first UL carrier is the PCell, so only a later one needs the marker
+  const findExplicitPCell = (band, ulclass, pcellBand) => {
+    const pcell = band.findIndex((b, i) => b !== 0 && b === pcellBand && ulclass[i] !== 0);
+    if (pcell === -1) return -1;
+    return ulclass.some((cls, i) => i < pcell && band[i] !== 0 && cls !== 0) ? pcell : -1;
+  };
+
+  const buildCombo = (band, bclass, ant, ulclass, ulmimo, ulca, showMimo, descType, groupIdx, pcellBand = 0) => {
     let comboStr = '';
-    let st = 0;
     let hasCarrier = false;
+    const explicitPCell = findExplicitPCell(band, ulclass, pcellBand);
+    let pcellIndex = null;
+    const slots = [];
 
     for (let i = 0; i < 6; i++) {
       if (band[i] === 0) continue;
@@ -96,20 +302,31 @@ export const decodeFile = (arrayBuffer) => {
 
       if (ulclass[i] !== 0) {
         comboStr += String.fromCharCode(ulclass[i] + 0x40);
+        // UL MIMO is only written for more than one layer (see carriersToString)
+        if (ulmimo[i] > 1) comboStr += ulmimo[i];
       }
 
-      // CORRECT formula: streams = CC_count * MIMO
-      // CC_count = bclass (A=1, B=2, C=3, etc.)
-      // OLD WRONG formula was: (bclass-1)*ant for bclass > 1
-      const ccCount = classToCC(bclass[i]);
-      const mimo = ant[i] || 2;
-      st += ccCount * mimo;
+      if (i === explicitPCell) {
+        comboStr += PCELL_MARKER;
+        pcellIndex = slots.length;
+      }
+      slots.push(i);
 
       hasCarrier = true;
     }
 
     if (!hasCarrier) return null;
 
+    // Slots with a class outside A-F have no Carrier form, such combos only keep their text
+    let carriers = null;
+    try {
+      carriers = slots.map(i => legacyToCarrier({
+        band: band[i], bclass: bclass[i], ant: ant[i], ulclass: ulclass[i], ulmimo: ulmimo[i]
+      }));
+    } catch {
+      carriers = null;
+    }
+
     // Determine hasULCA: UL CA exists when more than one carrier has UL
     // OLD WRONG logic: ulca > 0 (which was set by ulClass > 2 condition)
     // CORRECT logic: count carriers with ulclass > 0, UL CA if count > 1
@@ -121,73 +338,100 @@ export const decodeFile = (arrayBuffer) => {
 
     return {
       text: comboStr,
-      streams: st,
+      carriers,
+      streams: carriers ? calculateStreams(carriers) : 0,
       hasULCA: hasULCA,
+      pcellIndex,
       descType: descType,
       groupIdx: groupIdx,
       dlKey: band.map((b, i) => `${b}:${bclass[i]}:${ant[i]}`).join('|'),
       rawBand: [...band],
       rawBclass: [...bclass],
       rawAnt: [...ant],
-      rawUlclass: [...ulclass]
+      rawUlclass: [...ulclass],
+      rawUlmimo: [...ulmimo]
     };
   };
 
   try {
-    output.formatVersion = readUint16();
-    output.numDescriptors = readUint16();
+    beginEntry(LAYOUT_KIND.HEADER, 0);
+    output.formatVersion = readUint16('formatVersion');
+    output.numDescriptors = readUint16('numDescriptors');
+    endEntry();
 
     let band = [0, 0, 0, 0, 0, 0];
     let bclass = [0, 0, 0, 0, 0, 0];
     let ulclass = [0, 0, 0, 0, 0, 0];
+    let ulmimo = [0, 0, 0, 0, 0, 0]; // UL MIMO layers (202/334), 0 = not stored
     let ant = [0, 0, 0, 0, 0, 0];
     let currentDescType = 137;
     let currentGroupIdx = -1;
 
     while (fptr < fileSize) {
+      const descStart = fptr;
       const item16 = readUint16();
 
+      if (DESCRIPTOR_TYPES.includes(item16)) {
+        beginEntry(LAYOUT_KIND.DESCRIPTOR, descStart, item16);
+        addField('descriptorType', descStart, 2, item16);
+      }
+
       if (item16 === 333) {
         output.descriptorStats[333]++;
         currentDescType = 333;
         band = [0, 0, 0, 0, 0, 0];
         bclass = [0, 0, 0, 0, 0, 0];
         ulclass = [0, 0, 0, 0, 0, 0];
+        ulmimo = [0, 0, 0, 0, 0, 0];
         ant = [0, 0, 0, 0, 0, 0];
+        const rawMimo = [];
         let descok = false;
 
         for (let i = 0; i < 6; i++) {
-          const bandVal = readUint16();
+          const bandVal = readUint16(`band[${i}]`);
           if (bandVal !== 0) {
             band[i] = bandVal;
             descok = true;
           }
-          bclass[i] = readUint8();
+          bclass[i] = readUint8(`class[${i}]`);
 
+          const antStart = fptr;
+          const antBytes = [];
           let antVal = 0;
           for (let j = 0; j < 8; j++) {
             const antByte = readUint8();
+            antBytes.push(antByte);
             if (antByte !== 0) {
               antVal = antVal * 10 + antByte;
             }
           }
           ant[i] = antVal;
+          rawMimo.push(antBytes);
+          addField(`mimo[${i}]`, antStart, 8, antVal);
         }
 
         if (!descok) {
+          endEntry();
           output.errors.push('Incorrect format: no any downlink carrier in combo');
+          if (lenient && resync(fptr)) continue;
           break;
         }
 
         // Start new group
         currentGroupIdx = output.groups.length;
+        current.groupIdx = currentGroupIdx;
+        endEntry();
         output.groups.push({
           descType: 333,
           band: [...band],
           bclass: [...bclass],
           ant: [...ant],
-          combos: []
+          rawMimo, // MIMO digit bytes as stored, written back for an unchanged group
+          combos: [],
+          layoutIdx: output.layout.length - 1,
+          recovered: resynced
         });
+        resynced = false;
         continue;
       }
 
@@ -195,37 +439,60 @@ export const decodeFile = (arrayBuffer) => {
         output.descriptorStats[334]++;
         let ulca = 0;
         ulclass = [0, 0, 0, 0, 0, 0];
+        ulmimo = [0, 0, 0, 0, 0, 0];
 
-        let ulBand = readUint16();
-        let ulClass = readUint8();
-        skipBytes(8);
+        const reservedBytes = [[], [], []];
+        const ulSlots = [];
+
+        let ulBand = readULField(2, 'ulBand[0]');
+        let ulClass = readULField(1, 'ulClass[0]');
+        ulSlots.push({ band: ulBand, ulclass: ulClass });
+        let ulMimo = readMimoDigits(8, 'ulMimo[0]');
+        reservedBytes[0] = ulMimo.bytes;
 
         for (let i = 0; i < 6; i++) {
           if (ulBand === band[i] && bclass[i] >= 0) {
             ulclass[i] = ulClass;
+            ulmimo[i] = ulMimo.value;
             if (ulClass > 2) ulca = 1;
             break;
           }
         }
 
-        ulBand = readUint16();
-        ulClass = readUint8();
-        skipBytes(8);
+        ulBand = readULField(2, 'ulBand[1]');
+        ulClass = readULField(1, 'ulClass[1]');
+        ulSlots.push({ band: ulBand, ulclass: ulClass });
+        ulMimo = readMimoDigits(8, 'ulMimo[1]');
+        reservedBytes[1] = ulMimo.bytes;
 
         if (ulBand !== 0) {
           for (let i = 0; i < 6; i++) {
             if (ulBand === band[i] && bclass[i] >= 0) {
               ulclass[i] = ulClass;
+              ulmimo[i] = ulMimo.value;
               ulca++;
               break;
             }
           }
         }
 
-        skipBytes(44);
+        reservedBytes[2] = skipBytes(44);
 
-        const combo = buildCombo(band, bclass, ant, ulclass, ulca, true, 333, currentGroupIdx);
+        const combo = buildCombo(band, bclass, ant, ulclass, ulmimo, ulca, true, 333, currentGroupIdx, ulSlots[0].band);
+        current.groupIdx = currentGroupIdx;
+        if (currentGroupIdx === -1) {
+          // UL descriptor without a preceding DL descriptor (reported by the integrity check)
+          endEntry();
+          continue;
+        }
         if (combo) {
+          combo.ulDescType = item16;
+          combo.rawUlSlots = ulSlots;
+          combo.reservedBytes = reservedBytes;
+          combo.confidence = getComboConfidence(band, currentGroupIdx);
+          countSalvaged(combo);
+          current.comboIdx = output.numCombos;
+          combo.layoutIdx = output.layout.length;
           output.combos.push(combo);
           output.groups[currentGroupIdx].combos.push(output.numCombos);
           output.numCombos++;
@@ -233,6 +500,7 @@ export const decodeFile = (arrayBuffer) => {
             output.maxStreams = combo.streams;
           }
         }
+        endEntry();
         continue;
       }
 
@@ -242,33 +510,41 @@ export const decodeFile = (arrayBuffer) => {
         band = [0, 0, 0, 0, 0, 0];
         bclass = [0, 0, 0, 0, 0, 0];
         ulclass = [0, 0, 0, 0, 0, 0];
+        ulmimo = [0, 0, 0, 0, 0, 0];
         ant = [0, 0, 0, 0, 0, 0];
         let descok = false;
 
         for (let i = 0; i < 6; i++) {
-          const bandVal = readUint16();
+          const bandVal = readUint16(`band[${i}]`);
           if (bandVal !== 0) {
             band[i] = bandVal;
             descok = true;
           }
-          bclass[i] = readUint8();
-          ant[i] = readUint8();
+          bclass[i] = readUint8(`class[${i}]`);
+          ant[i] = readUint8(`mimo[${i}]`);
         }
 
         if (!descok) {
+          endEntry();
           output.errors.push('Incorrect format: no any downlink carrier in combo');
+          if (lenient && resync(fptr)) continue;
           break;
         }
 
         // Start new group
         currentGroupIdx = output.groups.length;
+        current.groupIdx = currentGroupIdx;
+        endEntry();
         output.groups.push({
           descType: 201,
           band: [...band],
           bclass: [...bclass],
           ant: [...ant],
-          combos: []
+          combos: [],
+          layoutIdx: output.layout.length - 1,
+          recovered: resynced
         });
+        resynced = false;
         continue;
       }
 
@@ -276,37 +552,62 @@ export const decodeFile = (arrayBuffer) => {
         output.descriptorStats[202]++;
         let ulca = 0;
         ulclass = [0, 0, 0, 0, 0, 0];
+        ulmimo = [0, 0, 0, 0, 0, 0];
 
-        let ulBand = readUint16();
-        let ulClass = readUint8();
-        skipBytes(1);
+        // A UL MIMO byte of 2 is the single-layer default (DEFAULT_UL_MIMO_202);
+        // the raw bytes stay in reservedBytes for byte-exact writes
+        const reservedBytes = [[], [], []];
+        const ulSlots = [];
+
+        let ulBand = readULField(2, 'ulBand[0]');
+        let ulClass = readULField(1, 'ulClass[0]');
+        ulSlots.push({ band: ulBand, ulclass: ulClass });
+        let ulMimo = readMimoDigits(1, 'ulMimo[0]');
+        reservedBytes[0] = ulMimo.bytes;
 
         for (let i = 0; i < 6; i++) {
           if (ulBand === band[i] && bclass[i] >= 0) {
             ulclass[i] = ulClass;
+            ulmimo[i] = ulMimo.value > DEFAULT_UL_MIMO_202 ? ulMimo.value : 0;
             if (ulClass > 2) ulca = 1;
             break;
           }
         }
 
-        ulBand = readUint16();
-        ulClass = readUint8();
-        skipBytes(1);
+        ulBand = readULField(2, 'ulBand[1]');
+        ulClass = readULField(1, 'ulClass[1]');
+        ulSlots.push({ band: ulBand, ulclass: ulClass });
+        ulMimo = readMimoDigits(1, 'ulMimo[1]');
+        reservedBytes[1] = ulMimo.bytes;
 
         if (ulBand !== 0) {
           for (let i = 0; i < 6; i++) {
             if (ulBand === band[i] && bclass[i] >= 0) {
               ulclass[i] = ulClass;
+              ulmimo[i] = ulMimo.value > DEFAULT_UL_MIMO_202 ? ulMimo.value : 0;
               ulca++;
               break;
             }
           }
         }
 
-        skipBytes(16);
+        reservedBytes[2] = skipBytes(16);
 
-        const combo = buildCombo(band, bclass, ant, ulclass, ulca, true, 201, currentGroupIdx);
+        const combo = buildCombo(band, bclass, ant, ulclass, ulmimo, ulca, true, 201, currentGroupIdx, ulSlots[0].band);
+        current.groupIdx = currentGroupIdx;
+        if (currentGroupIdx === -1) {
+          // UL descriptor without a preceding DL descriptor (reported by the integrity check)
+          endEntry();
+          continue;
+        }
         if (combo) {
+          combo.ulDescType = item16;
+          combo.rawUlSlots = ulSlots;
+          combo.reservedBytes = reservedBytes;
+          combo.confidence = getComboConfidence(band, currentGroupIdx);
+          countSalvaged(combo);
+          current.comboIdx = output.numCombos;
+          combo.layoutIdx = output.layout.length;
           output.combos.push(combo);
           output.groups[currentGroupIdx].combos.push(output.numCombos);
           output.numCombos++;
@@ -314,6 +615,7 @@ export const decodeFile = (arrayBuffer) => {
             output.maxStreams = combo.streams;
           }
         }
+        endEntry();
         continue;
       }
 
@@ -323,33 +625,41 @@ export const decodeFile = (arrayBuffer) => {
         band = [0, 0, 0, 0, 0, 0];
         bclass = [0, 0, 0, 0, 0, 0];
         ulclass = [0, 0, 0, 0, 0, 0];
+        ulmimo = [0, 0, 0, 0, 0, 0];
         ant = [0, 0, 0, 0, 0, 0];
         let descok = false;
 
         for (let i = 0; i < 6; i++) {
-          const bandVal = readUint16();
+          const bandVal = readUint16(`band[${i}]`);
           if (bandVal !== 0) {
             band[i] = bandVal;
             ant[i] = 2;
             descok = true;
           }
-          bclass[i] = readUint8();
+          bclass[i] = readUint8(`class[${i}]`);
         }
 
         if (!descok) {
+          endEntry();
           output.errors.push('Incorrect format: no any downlink carrier in combo');
+          if (lenient && resync(fptr)) continue;
           break;
         }
 
         // Start new group
         currentGroupIdx = output.groups.length;
+        current.groupIdx = currentGroupIdx;
+        endEntry();
         output.groups.push({
           descType: 137,
           band: [...band],
           bclass: [...bclass],
           ant: [...ant],
-          combos: []
+          combos: [],
+          layoutIdx: output.layout.length - 1,
+          recovered: resynced
         });
+        resynced = false;
         continue;
       }
 
@@ -357,9 +667,14 @@ export const decodeFile = (arrayBuffer) => {
         output.descriptorStats[138]++;
         let ulca = 0;
         ulclass = [0, 0, 0, 0, 0, 0];
+        ulmimo = [0, 0, 0, 0, 0, 0];
 
-        let ulBand = readUint16();
-        let ulClass = readUint8();
+        const reservedBytes = [[], [], []];
+        const ulSlots = [];
+
+        let ulBand = readULField(2, 'ulBand[0]');
+        let ulClass = readULField(1, 'ulClass[0]');
+        ulSlots.push({ band: ulBand, ulclass: ulClass });
 
         for (let i = 0; i < 6; i++) {
           if (ulBand === band[i] && bclass[i] >= 0) {
@@ -369,8 +684,9 @@ export const decodeFile = (arrayBuffer) => {
           }
         }
 
-        ulBand = readUint16();
-        ulClass = readUint8();
+        ulBand = readULField(2, 'ulBand[1]');
+        ulClass = readULField(1, 'ulClass[1]');
+        ulSlots.push({ band: ulBand, ulclass: ulClass });
 
         if (ulBand !== 0) {
           for (let i = 0; i < 6; i++) {
@@ -382,10 +698,23 @@ export const decodeFile = (arrayBuffer) => {
           }
         }
 
-        skipBytes(12);
+        reservedBytes[2] = skipBytes(12);
 
-        const combo = buildCombo(band, bclass, ant, ulclass, ulca, true, 137, currentGroupIdx);
+        const combo = buildCombo(band, bclass, ant, ulclass, ulmimo, ulca, true, 137, currentGroupIdx, ulSlots[0].band);
+        current.groupIdx = currentGroupIdx;
+        if (currentGroupIdx === -1) {
+          // UL descriptor without a preceding DL descriptor (reported by the integrity check)
+          endEntry();
+          continue;
+        }
         if (combo) {
+          combo.ulDescType = item16;
+          combo.rawUlSlots = ulSlots;
+          combo.reservedBytes = reservedBytes;
+          combo.confidence = getComboConfidence(band, currentGroupIdx);
+          countSalvaged(combo);
+          current.comboIdx = output.numCombos;
+          combo.layoutIdx = output.layout.length;
           output.combos.push(combo);
           output.groups[currentGroupIdx].combos.push(output.numCombos);
           output.numCombos++;
@@ -393,17 +722,67 @@ export const decodeFile = (arrayBuffer) => {
             output.maxStreams = combo.streams;
           }
         }
+        endEntry();
         continue;
       }
 
       output.errors.push(
         `Incorrect format: incorrect descriptor type ${item16} (137, 138, 201, 202, 333 or 334 expected). File offset=0x${(fptr - 2).toString(16)}.`
       );
+      fptr = descStart;
+      if (lenient && resync(descStart)) continue;
       break;
     }
   } catch (e) {
     output.errors.push(e.message);
+    // Keep the partially read entry so its bytes stay visible in the map
+    if (current) {
+      current.truncated = true;
+      fptr = fileSize;
+      endEntry();
+    }
   }
 
+  // Everything after the last parsed entry is reported as one unparsed region
+  const parsedEnd = Math.min(fptr, fileSize);
+  if (parsedEnd < fileSize) {
+    beginEntry(LAYOUT_KIND.UNPARSED, parsedEnd);
+    fptr = fileSize;
+    endEntry();
+  }
+
+  output.integrity = buildIntegrityReport(output);
+
   return output;
 };
+
+/**
+ * Format a decode result as the TXT export: header, one "COMBO STREAMS[*]" line
+ * per combo, totals and the integrity report
+ *
+ * @param {Object} results - decodeFile output
+ * @returns {string[]}
+ */
+export const formatDecodeResults = (results) => {
+  const lines = [
+    `Input file size: ${results.fileSize} bytes`,
+    `Format verson: ${results.formatVersion}`,
+    `Number of descriptors: ${results.numDescriptors}`,
+    ''
+  ];
+
+  results.combos.forEach(c => {
+    lines.push(`${c.text} ${c.streams}${c.hasULCA ? '*' : ' '}`);
+  });
+
+  lines.push('');
+  lines.push(`Number of combos: ${results.numCombos}`);
+  lines.push(`Max streams per combo: ${results.maxStreams}`);
+
+  if (results.integrity) {
+    lines.push('');
+    lines.push(...formatIntegrityReport(results.integrity));
+  }
+
+  return lines;
+};
@@ -0,0 +1,212 @@
+import React, { useState, useMemo, useRef, useEffect, useCallback } from 'react';
+import { LAYOUT_KIND } from './layout.js';
+
+// ==================== CONSTANTS ====================
+
+const BYTES_PER_ROW = 16;
+const ROW_HEIGHT = 20; // px, must match the row className below
+const VIEW_HEIGHT = 384; // px, same as max-h-96 used by the combo tables
+const OVERSCAN_ROWS = 8;
+
+const DL_TYPES = [137, 201, 333];
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Build per-byte lookup tables: layout entry index and field index for every byte
+ */
+const buildByteIndex = (size, layout) => {
+  const entryIdx = new Int32Array(size).fill(-1);
+  const fieldIdx = new Int32Array(size).fill(-1);
+
+  layout.forEach((entry, li) => {
+    const end = Math.min(entry.start + entry.length, size);
+    for (let o = entry.start; o < end; o++) entryIdx[o] = li;
+
+    entry.fields.forEach((field, fi) => {
+      const fieldEnd = Math.min(field.start + field.length, size);
+      for (let o = field.start; o < fieldEnd; o++) fieldIdx[o] = fi;
+    });
+  });
+
+  return { entryIdx, fieldIdx };
+};
+
+/**
+ * Tailwind color for a byte based on the entry and field it belongs to
+ */
+const getByteColorClass = (entry, field) => {
+  if (!entry) return 'text-gray-600';
+  if (entry.kind === LAYOUT_KIND.HEADER) return 'text-gray-300';
+  if (entry.kind === LAYOUT_KIND.UNPARSED) return 'text-red-400';
+  if (entry.kind === LAYOUT_KIND.SKIPPED) return 'text-orange-400';
+  if (field && field.reserved) return 'text-gray-500';
+  if (field && field.name === 'descriptorType') return 'text-purple-300';
+  return DL_TYPES.includes(entry.descType) ? 'text-blue-300' : 'text-green-300';
+};
+
+/**
+ * Human-readable description of a layout entry
+ */
+const describeLayoutEntry = (entry) => {
+  if (!entry) return '';
+  if (entry.kind === LAYOUT_KIND.HEADER) return 'Header';
+  if (entry.kind === LAYOUT_KIND.UNPARSED) return `Unparsed data (${entry.length} bytes)`;
+  if (entry.kind === LAYOUT_KIND.SKIPPED) return `Skipped by recovery mode (${entry.length} bytes)`;
+
+  let text = `Descriptor ${entry.descType}`;
+  if (entry.groupIdx !== null && entry.groupIdx >= 0) text += `, group ${entry.groupIdx + 1}`;
+  if (entry.comboIdx !== null) text += `, combo #${entry.comboIdx + 1}`;
+  if (entry.truncated) text += ' (truncated)';
+  return text;
+};
+
+const toHex = (value, width) => value.toString(16).toUpperCase().padStart(width, '0');
+
+// ==================== MAIN COMPONENT ====================
+
+/**
+ * Annotated hex view of a decoded file
+ *
+ * @param {Object} props
+ * @param {Uint8Array} props.bytes - Decompressed file data
+ * @param {Object[]} props.layout - Byte map from decodeFile
+ * @param {{start: number, length: number}[]} [props.highlight] - Byte ranges to highlight
+ * @param {Function} [props.onHoverEntry] - Called with the hovered layout index (or null)
+ */
+export default function HexViewer({ bytes, layout, highlight = [], onHoverEntry }) {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [hoveredOffset, setHoveredOffset] = useState(null);
+
+  const totalRows = Math.ceil(bytes.length / BYTES_PER_ROW);
+  const offsetWidth = Math.max(4, bytes.length.toString(16).length);
+
+  const byteIndex = useMemo(() => buildByteIndex(bytes.length, layout), [bytes, layout]);
+
+  const isHighlighted = useCallback((offset) => (
+    highlight.some(r => offset >= r.start && offset < r.start + r.length)
+  ), [highlight]);
+
+  // Scroll the first highlighted range into view when it is outside the visible rows
+  const highlightStart = highlight.length > 0 ? highlight[0].start : null;
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container || highlightStart === null) return;
+
+    const row = Math.floor(highlightStart / BYTES_PER_ROW);
+    const firstVisible = Math.ceil(container.scrollTop / ROW_HEIGHT);
+    const lastVisible = Math.floor((container.scrollTop + VIEW_HEIGHT) / ROW_HEIGHT) - 2;
+    if (row < firstVisible || row > lastVisible) {
+      container.scrollTop = Math.max(0, (row - 2) * ROW_HEIGHT);
+    }
+  }, [highlightStart]);
+
+  const handleMouseOver = useCallback((e) => {
+    const offsetAttr = e.target.dataset ? e.target.dataset.offset : undefined;
+    if (offsetAttr === undefined) return;
+
+    const offset = parseInt(offsetAttr, 10);
+    setHoveredOffset(offset);
+    if (onHoverEntry) {
+      const li = byteIndex.entryIdx[offset];
+      onHoverEntry(li >= 0 ? li : null);
+    }
+  }, [byteIndex, onHoverEntry]);
+
+  const handleMouseLeave = useCallback(() => {
+    setHoveredOffset(null);
+    if (onHoverEntry) onHoverEntry(null);
+  }, [onHoverEntry]);
+
+  // Visible window (simple virtualization, files can be several hundred KB)
+  const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+  const lastRow = Math.min(totalRows, Math.ceil((scrollTop + VIEW_HEIGHT) / ROW_HEIGHT) + OVERSCAN_ROWS);
+
+  // Status line for the hovered byte
+  let status = 'Hover a byte to see its field';
+  if (hoveredOffset !== null) {
+    const entry = layout[byteIndex.entryIdx[hoveredOffset]];
+    const field = entry ? entry.fields[byteIndex.fieldIdx[hoveredOffset]] : null;
+    status = `0x${toHex(hoveredOffset, offsetWidth)}: ${describeLayoutEntry(entry) || 'Not mapped'}`;
+    if (field) {
+      status += ` → ${field.name}`;
+      if (field.value !== null && field.value !== undefined) status += ` = ${field.value}`;
+      status += ` [0x${toHex(field.start, offsetWidth)}, ${field.length} byte${field.length === 1 ? '' : 's'}]`;
+    }
+  }
+
+  const rows = [];
+  for (let row = firstRow; row < lastRow; row++) {
+    const rowStart = row * BYTES_PER_ROW;
+    const hexCells = [];
+    const asciiCells = [];
+
+    for (let col = 0; col < BYTES_PER_ROW; col++) {
+      const offset = rowStart + col;
+      if (offset >= bytes.length) break;
+
+      const value = bytes[offset];
+      const entry = layout[byteIndex.entryIdx[offset]];
+      const field = entry ? entry.fields[byteIndex.fieldIdx[offset]] : null;
+      const colorClass = getByteColorClass(entry, field);
+      const bgClass = isHighlighted(offset)
+        ? 'bg-yellow-600/60'
+        : offset === hoveredOffset ? 'bg-gray-600' : '';
+
+      hexCells.push(
+        <span
+          key={col}
+          data-offset={offset}
+          className={`inline-block w-6 text-center ${colorClass} ${bgClass} ${col === 8 ? 'ml-2' : ''}`}
+        >
+          {toHex(value, 2)}
+        </span>
+      );
+      asciiCells.push(
+        <span key={col} data-offset={offset} className={`${colorClass} ${bgClass}`}>
+          {value >= 0x20 && value < 0x7f ? String.fromCharCode(value) : '.'}
+        </span>
+      );
+    }
+
+    rows.push(
+      <div
+        key={row}
+        className="h-5 leading-5 whitespace-pre flex gap-4"
+        style={{ position: 'absolute', top: row * ROW_HEIGHT, left: 0, right: 0 }}
+      >
+        <span className="text-gray-500">{toHex(rowStart, offsetWidth)}</span>
+        <span>{hexCells}</span>
+        <span>{asciiCells}</span>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div
+        ref={containerRef}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        onMouseOver={handleMouseOver}
+        onMouseLeave={handleMouseLeave}
+        className="overflow-y-auto font-mono text-xs bg-gray-900 rounded p-2"
+        style={{ height: VIEW_HEIGHT }}
+      >
+        <div style={{ position: 'relative', height: totalRows * ROW_HEIGHT }}>
+          {rows}
+        </div>
+      </div>
+      <div className="mt-2 text-xs font-mono text-gray-400 truncate" title={status}>{status}</div>
+      <div className="mt-2 flex flex-wrap gap-3 text-xs">
+        <span className="text-gray-300">■ Header</span>
+        <span className="text-purple-300">■ Descriptor tag</span>
+        <span className="text-blue-300">■ DL (137/201/333)</span>
+        <span className="text-green-300">■ UL (138/202/334)</span>
+        <span className="text-gray-500">■ Reserved/skipped</span>
+        <span className="text-orange-400">■ Skipped (recovery)</span>
+        <span className="text-red-400">■ Unparsed</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,146 @@
+import React, { useState, useMemo } from 'react';
+import { decodeFile } from './28874decoder';
+
+// ==================== CONSTANTS ====================
+
+const MAX_DEFAULT_SELECTED = 4;
+
+const FORMAT_LABELS = {
+  zip: 'ZIP archive',
+  tar: 'TAR archive',
+  'tar.gz': 'TAR.GZ archive',
+  directory: 'Directory'
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+const decodeItem = (item, decodeOptions) => {
+  try {
+    return { result: decodeFile(item.data, decodeOptions), error: null };
+  } catch (err) {
+    return { result: null, error: err.message };
+  }
+};
+
+// ==================== SUB-COMPONENTS ====================
+
+/**
+ * One decoded item in the side-by-side view
+ */
+function VariantColumn({ item, decoded }) {
+  const { result, error } = decoded;
+
+  return (
+    <div className="bg-gray-900 rounded-lg p-3 min-w-0">
+      <div className="font-mono text-xs text-blue-300 break-all mb-2" title={item.path}>{item.path}</div>
+
+      {error && <div className="text-sm text-red-400">{error}</div>}
+
+      {result && (
+        <>
+          <div className="grid grid-cols-2 gap-1 text-xs mb-2">
+            <div className="text-gray-400">Size:</div>
+            <div>{result.fileSize} bytes{result.wasCompressed ? ' (zlib)' : ''}</div>
+            <div className="text-gray-400">Format:</div>
+            <div>{result.formatVersion}</div>
+            <div className="text-gray-400">Descriptors:</div>
+            <div>{result.numDescriptors}</div>
+            <div className="text-gray-400">Combos:</div>
+            <div className="text-green-400 font-semibold">{result.numCombos}</div>
+            <div className="text-gray-400">Max streams:</div>
+            <div className="text-yellow-400">{result.maxStreams}</div>
+            <div className="text-gray-400">Integrity:</div>
+            <div className={result.integrity.ok ? 'text-green-400' : 'text-red-400'}>
+              {result.integrity.ok ? 'OK' : `${result.integrity.counts.error} error(s)`}
+            </div>
+          </div>
+          <div className="max-h-96 overflow-y-auto font-mono text-xs border-t border-gray-700 pt-2">
+            {result.combos.map((combo, idx) => (
+              <div key={idx} className="flex justify-between gap-2 py-0.5">
+                <span className="text-green-300 truncate" title={combo.text}>{combo.text}</span>
+                <span className="text-yellow-400">{combo.streams}{combo.hasULCA ? '*' : ''}</span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ==================== MAIN COMPONENT ====================
+
+/**
+ * Matching 00028874 files from an archive or a dropped directory,
+ * with a side-by-side view of the selected ones
+ *
+ * @param {Object} props
+ * @param {{name: string, format: string, items: {path: string, data: ArrayBuffer}[]}} props.source
+ * @param {Object} props.decodeOptions - Options passed to decodeFile
+ * @param {number} props.activeIdx - Item shown in the main decoder view
+ * @param {Function} props.onOpen - Called with the item index to show it in the main decoder view
+ */
+export default function ItemVariants({ source, decodeOptions, activeIdx, onOpen }) {
+  const [selected, setSelected] = useState(() => (
+    source.items.length > 1 ? source.items.slice(0, MAX_DEFAULT_SELECTED).map((_, idx) => idx) : []
+  ));
+
+  const decoded = useMemo(() => (
+    selected.map(idx => decodeItem(source.items[idx], decodeOptions))
+  ), [selected, source, decodeOptions]);
+
+  const toggleSelected = (idx) => {
+    setSelected(prev => (
+      prev.includes(idx) ? prev.filter(i => i !== idx) : [...prev, idx].sort((a, b) => a - b)
+    ));
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4">
+      <h2 className="text-lg font-semibold mb-1 text-blue-300">
+        {FORMAT_LABELS[source.format] || 'Archive'}: {source.name}
+      </h2>
+      <div className="text-sm text-gray-400 mb-3">
+        {source.items.length} matching file(s). Check files to compare them side by side.
+      </div>
+
+      <div className="space-y-1 mb-4">
+        {source.items.map((item, idx) => (
+          <div
+            key={item.path}
+            className={`flex items-center gap-3 px-2 py-1 rounded text-sm ${idx === activeIdx ? 'bg-blue-900/40' : ''}`}
+          >
+            <input
+              type="checkbox"
+              checked={selected.includes(idx)}
+              onChange={() => toggleSelected(idx)}
+              className="w-4 h-4 accent-blue-500"
+            />
+            <span className="flex-1 font-mono text-xs break-all">{item.path}</span>
+            <span className="text-gray-500 text-xs">{item.data.byteLength} bytes</span>
+            <button
+              onClick={() => onOpen(idx)}
+              disabled={idx === activeIdx}
+              className="px-2 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded text-xs"
+            >
+              {idx === activeIdx ? 'Opened' : 'Open'}
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {selected.length > 0 && (
+        <div className="overflow-x-auto">
+          <div
+            className="grid gap-3"
+            style={{ gridTemplateColumns: `repeat(${selected.length}, minmax(14rem, 1fr))` }}
+          >
+            {selected.map((itemIdx, i) => (
+              <VariantColumn key={itemIdx} item={source.items[itemIdx]} decoded={decoded[i]} />
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,307 @@
+/**
+ * EFS Dump Archives
+ *
+ * In-browser readers for EFS dumps delivered as archives:
+ * - ZIP (stored and deflate entries, zip64 sizes)
+ * - TAR (ustar/GNU long names/pax paths), optionally gzip-compressed
+ *
+ * Only the entry list is built up front; entry data is extracted on demand
+ * so large dumps are not inflated completely.
+ */
+
+import pako from 'pako';
+
+// ==================== CONSTANTS ====================
+
+export const ARCHIVE_FORMAT = {
+  ZIP: 'zip',
+  TAR: 'tar',
+  TAR_GZ: 'tar.gz'
+};
+
+/** Matches nv/item_files/rfnv/00028874 and its variants (e.g. 00028874_Subscription01) */
+export const NV_ITEM_PATH_PATTERN = /(^|\/)nv\/item_files\/rfnv\/00028874[^/]*$/i;
+
+const TAR_BLOCK = 512;
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL_DIR = 0x06054b50;
+const ZIP64_EXTRA_ID = 0x0001;
+
+// ==================== TYPES ====================
+
+/**
+ * @typedef {Object} ArchiveEntry
+ * @property {string} path - Entry path, always with forward slashes
+ * @property {number} size - Uncompressed size in bytes
+ * @property {Function} getData - Returns the entry content as an ArrayBuffer
+ */
+
+/**
+ * @typedef {Object} NvItemFile
+ * @property {string} path - Path of the item inside the archive/directory
+ * @property {ArrayBuffer} data - Item content (raw or zlib, as stored)
+ */
+
+// ==================== HELPERS ====================
+
+const normalizePath = (path) => path.replace(/\\/g, '/').replace(/^\.?\//, '');
+
+const decodeUtf8 = (bytes) => new TextDecoder('utf-8').decode(bytes);
+
+const readCString = (bytes, offset, length) => {
+  let end = offset;
+  while (end < offset + length && bytes[end] !== 0) end++;
+  return decodeUtf8(bytes.subarray(offset, end));
+};
+
+const readOctal = (bytes, offset, length) => {
+  const text = readCString(bytes, offset, length).trim();
+  return text ? parseInt(text, 8) : 0;
+};
+
+const toArrayBuffer = (bytes) => bytes.slice().buffer;
+
+// ==================== DETECTION ====================
+
+const isZip = (bytes) => (
+  bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4B &&
+  ((bytes[2] === 0x03 && bytes[3] === 0x04) || (bytes[2] === 0x05 && bytes[3] === 0x06))
+);
+
+const isGzip = (bytes) => bytes.length >= 2 && bytes[0] === 0x1F && bytes[1] === 0x8B;
+
+/**
+ * A tar header is recognised by the ustar magic or, for old v7 archives,
+ * by a valid header checksum
+ */
+const isTar = (bytes) => {
+  if (bytes.length < TAR_BLOCK) return false;
+  if (readCString(bytes, 257, 5) === 'ustar') return true;
+
+  const stored = readOctal(bytes, 148, 8);
+  let sum = 0;
+  for (let i = 0; i < TAR_BLOCK; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : bytes[i];
+  }
+  return stored === sum && bytes[0] !== 0;
+};
+
+/**
+ * Detect the archive format of a buffer
+ *
+ * @param {ArrayBuffer} arrayBuffer
+ * @returns {string|null} One of ARCHIVE_FORMAT or null
+ */
+export const detectArchiveFormat = (arrayBuffer) => {
+  const bytes = new Uint8Array(arrayBuffer);
+  if (isZip(bytes)) return ARCHIVE_FORMAT.ZIP;
+  if (isGzip(bytes)) return ARCHIVE_FORMAT.TAR_GZ;
+  if (isTar(bytes)) return ARCHIVE_FORMAT.TAR;
+  return null;
+};
+
+// ==================== TAR ====================
+
+/**
+ * List the files of a tar archive
+ *
+ * @param {Uint8Array} bytes
+ * @returns {ArchiveEntry[]}
+ */
+const readTarEntries = (bytes) => {
+  const entries = [];
+  let offset = 0;
+  let longName = null;
+  let paxPath = null;
+
+  while (offset + TAR_BLOCK <= bytes.length) {
+    // Two zero blocks mark the end, one is enough to stop
+    if (bytes.subarray(offset, offset + TAR_BLOCK).every(b => b === 0)) break;
+
+    const name = readCString(bytes, offset, 100);
+    const size = readOctal(bytes, offset + 124, 12);
+    const type = String.fromCharCode(bytes[offset + 156] || 0x30);
+    const prefix = readCString(bytes, offset + 257, 6) === 'ustar'
+      ? readCString(bytes, offset + 345, 155)
+      : '';
+    const dataStart = offset + TAR_BLOCK;
+    const data = bytes.subarray(dataStart, Math.min(dataStart + size, bytes.length));
+
+    if (type === 'L') {
+      // GNU long name for the next entry
+      longName = readCString(data, 0, data.length);
+    } else if (type === 'x') {
+      // pax extended header: "<len> key=value\n" records
+      const match = decodeUtf8(data).match(/(?:^|\n)\d+ path=([^\n]*)\n/);
+      paxPath = match ? match[1] : null;
+    } else {
+      if (type === '0' || type === '7' || type === '\0') {
+        const path = paxPath || longName || (prefix ? `${prefix}/${name}` : name);
+        entries.push({
+          path: normalizePath(path),
+          size,
+          getData: () => toArrayBuffer(data)
+        });
+      }
+      longName = null;
+      paxPath = null;
+    }
+
+    offset = dataStart + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+  }
+
+  return entries;
+};
+
+// ==================== ZIP ====================
+
+/**
+ * List the files of a zip archive using its central directory
+ *
+ * @param {Uint8Array} bytes
+ * @returns {ArchiveEntry[]}
+ */
+const readZipEntries = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // End of central directory record: last 22 bytes plus up to 64 KB of comment
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+    if (view.getUint32(i, true) === ZIP_END_OF_CENTRAL_DIR) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('ZIP end of central directory not found');
+  }
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const entries = [];
+
+  for (let n = 0; n < count; n++) {
+    if (offset + 46 > bytes.length || view.getUint32(offset, true) !== ZIP_CENTRAL_HEADER) {
+      throw new Error(`Broken ZIP central directory at 0x${offset.toString(16)}`);
+    }
+
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    let compressedSize = view.getUint32(offset + 20, true);
+    let size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    let localOffset = view.getUint32(offset + 42, true);
+    const path = decodeUtf8(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    // zip64: 32-bit fields set to 0xFFFFFFFF are stored in the extra field
+    let extra = offset + 46 + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+      const id = view.getUint16(extra, true);
+      const length = view.getUint16(extra + 2, true);
+      if (id === ZIP64_EXTRA_ID) {
+        let field = extra + 4;
+        const read64 = () => {
+          const value = Number(view.getBigUint64(field, true));
+          field += 8;
+          return value;
+        };
+        if (size === 0xFFFFFFFF) size = read64();
+        if (compressedSize === 0xFFFFFFFF) compressedSize = read64();
+        if (localOffset === 0xFFFFFFFF) localOffset = read64();
+      }
+      extra += 4 + length;
+    }
+
+    offset = extraEnd + commentLength;
+    if (path.endsWith('/')) continue;
+
+    entries.push({
+      path: normalizePath(path),
+      size,
+      getData: () => {
+        if (flags & 0x1) {
+          throw new Error(`${path}: encrypted ZIP entries are not supported`);
+        }
+        if (view.getUint32(localOffset, true) !== ZIP_LOCAL_HEADER) {
+          throw new Error(`${path}: bad ZIP local header`);
+        }
+        const dataStart = localOffset + 30 +
+          view.getUint16(localOffset + 26, true) +
+          view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) return toArrayBuffer(data);
+        if (method === 8) return pako.inflateRaw(data).buffer;
+        throw new Error(`${path}: unsupported ZIP compression method ${method}`);
+      }
+    });
+  }
+
+  return entries;
+};
+
+// ==================== PUBLIC API ====================
+
+/**
+ * List the files of a zip, tar or tar.gz archive
+ *
+ * @param {ArrayBuffer} arrayBuffer - Archive content
+ * @returns {{format: string, entries: ArchiveEntry[]}}
+ */
+export const readArchive = (arrayBuffer) => {
+  const format = detectArchiveFormat(arrayBuffer);
+  const bytes = new Uint8Array(arrayBuffer);
+
+  switch (format) {
+    case ARCHIVE_FORMAT.ZIP:
+      return { format, entries: readZipEntries(bytes) };
+    case ARCHIVE_FORMAT.TAR:
+      return { format, entries: readTarEntries(bytes) };
+    case ARCHIVE_FORMAT.TAR_GZ: {
+      let tar;
+      try {
+        tar = pako.ungzip(bytes);
+      } catch (e) {
+        throw new Error(`Gzip decompression failed: ${e.message}`);
+      }
+      if (!isTar(tar)) {
+        throw new Error('Gzip file does not contain a tar archive');
+      }
+      return { format, entries: readTarEntries(tar) };
+    }
+    default:
+      throw new Error('Unsupported archive format (expected zip, tar or tar.gz)');
+  }
+};
+
+/**
+ * Check whether a path points to the 00028874 item (or one of its variants)
+ *
+ * @param {string} path
+ * @returns {boolean}
+ */
+export const isNvItemPath = (path) => NV_ITEM_PATH_PATTERN.test(normalizePath(path));
+
+/**
+ * Extract every 00028874 item file from an archive
+ *
+ * @param {ArrayBuffer} arrayBuffer - Archive content
+ * @returns {{format: string, items: NvItemFile[]}}
+ */
+export const extractNvItemFiles = (arrayBuffer) => {
+  const { format, entries } = readArchive(arrayBuffer);
+  const items = entries
+    .filter(e => isNvItemPath(e.path))
+    .map(e => ({ path: e.path, data: e.getData() }));
+
+  if (items.length === 0) {
+    throw new Error('No nv/item_files/rfnv/00028874 found in archive');
+  }
+
+  return { format, items };
+};
@@ -0,0 +1,466 @@
+/**
+ * OLE2 Compound File (CFB) Reader/Writer
+ *
+ * Minimal in-browser implementation of the Compound File Binary format
+ * (MS-CFB) used by QCN backups:
+ * - Reads the FAT/DIFAT/mini FAT and the directory tree
+ * - Extracts every stream with its full storage path
+ * - Writes a complete compound file back, keeping the original directory
+ *   entries (names, tree, CLSIDs, timestamps) and sector sizes
+ */
+
+// ==================== CONSTANTS ====================
+
+export const CFB_SIGNATURE = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
+
+// Special sector numbers
+const MAXREGSECT = 0xFFFFFFFA;
+const DIFSECT = 0xFFFFFFFC;
+const FATSECT = 0xFFFFFFFD;
+const ENDOFCHAIN = 0xFFFFFFFE;
+const FREESECT = 0xFFFFFFFF;
+const NOSTREAM = 0xFFFFFFFF;
+
+const HEADER_SIZE = 512;
+const HEADER_DIFAT_ENTRIES = 109;
+const DIR_ENTRY_SIZE = 128;
+
+/** Directory entry object types */
+export const CFB_ENTRY_TYPE = {
+  EMPTY: 0,
+  STORAGE: 1,
+  STREAM: 2,
+  ROOT: 5
+};
+
+// ==================== TYPES ====================
+
+/**
+ * @typedef {Object} CompoundFileEntry
+ * @property {number} id - Directory entry index
+ * @property {string} name - Entry name
+ * @property {number} type - One of CFB_ENTRY_TYPE
+ * @property {string} path - Full path from the root, e.g. "00000000/default/NV_Items/00028874"
+ * @property {number|null} parentId - Directory index of the parent storage
+ * @property {Uint8Array} raw - Original 128-byte directory entry
+ * @property {Uint8Array|null} data - Stream content (streams only)
+ */
+
+/**
+ * @typedef {Object} CompoundFile
+ * @property {number} majorVersion - 3 (512-byte sectors) or 4 (4096-byte sectors)
+ * @property {number} sectorSize
+ * @property {number} miniSectorSize
+ * @property {number} miniStreamCutoff
+ * @property {Uint8Array} headerClsid - 16-byte CLSID from the header
+ * @property {CompoundFileEntry[]} entries - Directory entries by index
+ */
+
+// ==================== READING ====================
+
+/**
+ * Check whether a buffer starts with the compound file signature
+ *
+ * @param {ArrayBuffer} arrayBuffer
+ * @returns {boolean}
+ */
+export const isCompoundFile = (arrayBuffer) => {
+  if (arrayBuffer.byteLength < HEADER_SIZE) return false;
+  const bytes = new Uint8Array(arrayBuffer, 0, CFB_SIGNATURE.length);
+  return CFB_SIGNATURE.every((b, i) => bytes[i] === b);
+};
+
+/**
+ * Parse a compound file
+ *
+ * @param {ArrayBuffer} arrayBuffer - File content
+ * @returns {CompoundFile}
+ */
+export const parseCompoundFile = (arrayBuffer) => {
+  if (!isCompoundFile(arrayBuffer)) {
+    throw new Error('Not an OLE2 compound file (bad signature)');
+  }
+
+  const view = new DataView(arrayBuffer);
+  const bytes = new Uint8Array(arrayBuffer);
+  const u32 = (offset) => view.getUint32(offset, true);
+
+  const majorVersion = view.getUint16(0x1A, true);
+  const sectorSize = 1 << view.getUint16(0x1E, true);
+  const miniSectorSize = 1 << view.getUint16(0x20, true);
+  const numFatSectors = u32(0x2C);
+  const firstDirSector = u32(0x30);
+  const miniStreamCutoff = u32(0x38);
+  const firstMiniFatSector = u32(0x3C);
+  const firstDifatSector = u32(0x44);
+  const numDifatSectors = u32(0x48);
+
+  if (sectorSize !== 512 && sectorSize !== 4096) {
+    throw new Error(`Unsupported compound file sector size ${sectorSize}`);
+  }
+
+  const entriesPerSector = sectorSize / 4;
+  const sectorOffset = (sector) => (sector + 1) * sectorSize;
+
+  const readSector = (sector) => {
+    const start = sectorOffset(sector);
+    if (sector > MAXREGSECT || start + sectorSize > arrayBuffer.byteLength) {
+      throw new Error(`Compound file sector ${sector} is out of range`);
+    }
+    return bytes.subarray(start, start + sectorSize);
+  };
+
+  // DIFAT: FAT sector locations (109 in the header, the rest in DIFAT sectors)
+  const fatSectors = [];
+  for (let i = 0; i < HEADER_DIFAT_ENTRIES; i++) {
+    const sector = u32(0x4C + i * 4);
+    if (sector <= MAXREGSECT) fatSectors.push(sector);
+  }
+
+  let difatSector = firstDifatSector;
+  for (let n = 0; n < numDifatSectors && difatSector <= MAXREGSECT; n++) {
+    const start = sectorOffset(difatSector);
+    for (let i = 0; i < entriesPerSector - 1; i++) {
+      const sector = u32(start + i * 4);
+      if (sector <= MAXREGSECT) fatSectors.push(sector);
+    }
+    difatSector = u32(start + (entriesPerSector - 1) * 4);
+  }
+
+  if (fatSectors.length < numFatSectors) {
+    throw new Error(`Compound file lists ${fatSectors.length} of ${numFatSectors} FAT sectors`);
+  }
+
+  // FAT
+  const fat = new Uint32Array(fatSectors.length * entriesPerSector);
+  fatSectors.forEach((sector, i) => {
+    const start = sectorOffset(sector);
+    for (let j = 0; j < entriesPerSector; j++) {
+      fat[i * entriesPerSector + j] = u32(start + j * 4);
+    }
+  });
+
+  // Follow a sector chain, guarding against loops
+  const getChain = (start, table) => {
+    const chain = [];
+    let sector = start;
+    while (sector !== ENDOFCHAIN && sector !== FREESECT) {
+      if (sector >= table.length || chain.length > table.length) {
+        throw new Error(`Broken compound file sector chain at ${sector}`);
+      }
+      chain.push(sector);
+      sector = table[sector];
+    }
+    return chain;
+  };
+
+  const readChain = (start, size = null) => {
+    const chain = getChain(start, fat);
+    const out = new Uint8Array(chain.length * sectorSize);
+    chain.forEach((sector, i) => out.set(readSector(sector), i * sectorSize));
+    return size === null ? out : out.subarray(0, size);
+  };
+
+  // Directory
+  const dirData = readChain(firstDirSector);
+  const dirView = new DataView(dirData.buffer, dirData.byteOffset, dirData.byteLength);
+  const entries = [];
+
+  for (let offset = 0; offset + DIR_ENTRY_SIZE <= dirData.length; offset += DIR_ENTRY_SIZE) {
+    const nameLength = dirView.getUint16(offset + 64, true);
+    let name = '';
+    for (let i = 0; i + 2 < nameLength && i < 64; i += 2) {
+      name += String.fromCharCode(dirView.getUint16(offset + i, true));
+    }
+
+    entries.push({
+      id: entries.length,
+      name,
+      type: dirView.getUint8(offset + 66),
+      leftId: dirView.getUint32(offset + 68, true),
+      rightId: dirView.getUint32(offset + 72, true),
+      childId: dirView.getUint32(offset + 76, true),
+      startSector: dirView.getUint32(offset + 116, true),
+      size: dirView.getUint32(offset + 120, true),
+      path: '',
+      parentId: null,
+      raw: dirData.slice(offset, offset + DIR_ENTRY_SIZE),
+      data: null
+    });
+  }
+
+  const root = entries[0];
+  if (!root || root.type !== CFB_ENTRY_TYPE.ROOT) {
+    throw new Error('Compound file has no root entry');
+  }
+
+  // Mini stream (stored in the root entry) and mini FAT
+  const miniStream = root.startSector <= MAXREGSECT ? readChain(root.startSector, root.size) : new Uint8Array(0);
+  const miniFatData = firstMiniFatSector <= MAXREGSECT ? readChain(firstMiniFatSector) : new Uint8Array(0);
+  const miniFat = new Uint32Array(miniFatData.length / 4);
+  const miniFatView = new DataView(miniFatData.buffer, miniFatData.byteOffset, miniFatData.byteLength);
+  for (let i = 0; i < miniFat.length; i++) miniFat[i] = miniFatView.getUint32(i * 4, true);
+
+  const readMiniChain = (start, size) => {
+    const chain = getChain(start, miniFat);
+    const out = new Uint8Array(chain.length * miniSectorSize);
+    chain.forEach((sector, i) => {
+      const from = sector * miniSectorSize;
+      out.set(miniStream.subarray(from, from + miniSectorSize), i * miniSectorSize);
+    });
+    return out.slice(0, size);
+  };
+
+  // Stream data
+  for (const entry of entries) {
+    if (entry.type !== CFB_ENTRY_TYPE.STREAM) continue;
+    if (entry.size === 0) {
+      entry.data = new Uint8Array(0);
+    } else if (entry.size < miniStreamCutoff) {
+      entry.data = readMiniChain(entry.startSector, entry.size);
+    } else {
+      entry.data = readChain(entry.startSector, entry.size).slice();
+    }
+  }
+
+  // Paths: walk the red-black sibling trees below each storage
+  const visited = new Set();
+  const walkSiblings = (id, parent) => {
+    if (id === NOSTREAM || id >= entries.length || visited.has(id)) return;
+    visited.add(id);
+    const entry = entries[id];
+    entry.parentId = parent.id;
+    entry.path = parent.path ? `${parent.path}/${entry.name}` : entry.name;
+    walkSiblings(entry.leftId, parent);
+    walkSiblings(entry.rightId, parent);
+    if (entry.type === CFB_ENTRY_TYPE.STORAGE) walkSiblings(entry.childId, entry);
+  };
+  visited.add(0);
+  walkSiblings(root.childId, root);
+
+  return {
+    majorVersion,
+    sectorSize,
+    miniSectorSize,
+    miniStreamCutoff,
+    headerClsid: bytes.slice(0x08, 0x18),
+    entries
+  };
+};
+
+/**
+ * Get all stream entries of a compound file
+ *
+ * @param {CompoundFile} cfb
+ * @returns {CompoundFileEntry[]}
+ */
+export const getCompoundFileStreams = (cfb) => (
+  cfb.entries.filter(e => e.type === CFB_ENTRY_TYPE.STREAM && e.path)
+);
+
+// ==================== WRITING ====================
+
+/**
+ * Return a copy of the compound file with one stream replaced
+ *
+ * @param {CompoundFile} cfb
+ * @param {number} entryId - Directory index of the stream
+ * @param {Uint8Array} data - New stream content
+ * @returns {CompoundFile}
+ */
+export const setCompoundFileStream = (cfb, entryId, data) => {
+  const entry = cfb.entries[entryId];
+  if (!entry || entry.type !== CFB_ENTRY_TYPE.STREAM) {
+    throw new Error(`Compound file entry ${entryId} is not a stream`);
+  }
+
+  return {
+    ...cfb,
+    entries: cfb.entries.map(e => (e.id === entryId ? { ...e, data, size: data.length } : e))
+  };
+};
+
+/**
+ * Serialize a compound file
+ * All streams are laid out again from scratch; directory entries keep their
+ * original bytes except for the start sector and size fields.
+ *
+ * @param {CompoundFile} cfb
+ * @returns {ArrayBuffer}
+ */
+export const writeCompoundFile = (cfb) => {
+  const { sectorSize, miniSectorSize, miniStreamCutoff, majorVersion } = cfb;
+  const entriesPerSector = sectorSize / 4;
+
+  const dirEntries = cfb.entries.map(e => ({ ...e, raw: e.raw.slice() }));
+
+  // Mini stream for small streams
+  const miniFat = [];
+  const miniChunks = [];
+  const largeStreams = [];
+
+  for (const entry of dirEntries) {
+    if (entry.type !== CFB_ENTRY_TYPE.STREAM) continue;
+    const size = entry.data ? entry.data.length : 0;
+    entry.size = size;
+
+    if (size === 0) {
+      entry.startSector = ENDOFCHAIN;
+    } else if (size < miniStreamCutoff) {
+      const count = Math.ceil(size / miniSectorSize);
+      entry.startSector = miniFat.length;
+      for (let i = 0; i < count; i++) {
+        miniFat.push(i < count - 1 ? entry.startSector + i + 1 : ENDOFCHAIN);
+      }
+      const padded = new Uint8Array(count * miniSectorSize);
+      padded.set(entry.data);
+      miniChunks.push(padded);
+    } else {
+      largeStreams.push(entry);
+    }
+  }
+
+  const miniStream = concatBytes(miniChunks);
+  const root = dirEntries[0];
+  root.size = miniStream.length;
+
+  // Blobs stored in regular sectors, in file order
+  const dirBytes = new Uint8Array(Math.ceil(dirEntries.length * DIR_ENTRY_SIZE / sectorSize) * sectorSize);
+  const miniFatBytes = u32ArrayToBytes(miniFat, Math.ceil(miniFat.length * 4 / sectorSize) * sectorSize, FREESECT);
+
+  const blobs = [
+    { bytes: dirBytes, target: 'directory' },
+    { bytes: miniFatBytes, target: 'miniFat' },
+    { bytes: miniStream, target: root },
+    ...largeStreams.map(entry => ({ bytes: entry.data, target: entry }))
+  ];
+
+  const sectorsFor = (length) => Math.ceil(length / sectorSize);
+  const dataSectors = blobs.reduce((sum, b) => sum + sectorsFor(b.bytes.length), 0);
+
+  // FAT and DIFAT sector counts depend on each other and on themselves
+  let numFat = 0;
+  let numDifat = 0;
+  for (;;) {
+    const nextFat = Math.ceil((dataSectors + numFat + numDifat) / entriesPerSector);
+    const nextDifat = nextFat > HEADER_DIFAT_ENTRIES
+      ? Math.ceil((nextFat - HEADER_DIFAT_ENTRIES) / (entriesPerSector - 1))
+      : 0;
+    if (nextFat === numFat && nextDifat === numDifat) break;
+    numFat = nextFat;
+    numDifat = nextDifat;
+  }
+
+  const totalSectors = numFat + numDifat + dataSectors;
+  const fat = new Array(numFat * entriesPerSector).fill(FREESECT);
+  for (let i = 0; i < numFat; i++) fat[i] = FATSECT;
+  for (let i = 0; i < numDifat; i++) fat[numFat + i] = DIFSECT;
+
+  // Assign sectors to blobs
+  let nextSector = numFat + numDifat;
+  const placements = [];
+  let firstDirSector = ENDOFCHAIN;
+  let firstMiniFatSector = ENDOFCHAIN;
+
+  for (const blob of blobs) {
+    const count = sectorsFor(blob.bytes.length);
+    const start = count > 0 ? nextSector : ENDOFCHAIN;
+    for (let i = 0; i < count; i++) {
+      fat[nextSector + i] = i < count - 1 ? nextSector + i + 1 : ENDOFCHAIN;
+    }
+    placements.push({ blob, start });
+    nextSector += count;
+
+    if (blob.target === 'directory') firstDirSector = start;
+    else if (blob.target === 'miniFat') firstMiniFatSector = start;
+    else blob.target.startSector = start;
+  }
+
+  // Directory entries: patch start sector and size into the original bytes
+  dirEntries.forEach((entry, i) => {
+    const raw = entry.raw;
+    const rawView = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+    if (entry.type === CFB_ENTRY_TYPE.STREAM || entry.type === CFB_ENTRY_TYPE.ROOT) {
+      rawView.setUint32(116, entry.startSector, true);
+      rawView.setUint32(120, entry.size, true);
+      rawView.setUint32(124, 0, true);
+    }
+    dirBytes.set(raw, i * DIR_ENTRY_SIZE);
+  });
+  // Unused directory slots must be empty entries with no siblings/children
+  for (let offset = dirEntries.length * DIR_ENTRY_SIZE; offset < dirBytes.length; offset += DIR_ENTRY_SIZE) {
+    const slotView = new DataView(dirBytes.buffer, offset, DIR_ENTRY_SIZE);
+    slotView.setUint32(68, NOSTREAM, true);
+    slotView.setUint32(72, NOSTREAM, true);
+    slotView.setUint32(76, NOSTREAM, true);
+  }
+
+  // Output buffer: header sector + all sectors
+  const headerSectorSize = Math.max(HEADER_SIZE, sectorSize);
+  const out = new Uint8Array(headerSectorSize + totalSectors * sectorSize);
+  const view = new DataView(out.buffer);
+
+  out.set(CFB_SIGNATURE, 0);
+  out.set(cfb.headerClsid || new Uint8Array(16), 0x08);
+  view.setUint16(0x18, 0x003E, true);
+  view.setUint16(0x1A, majorVersion, true);
+  view.setUint16(0x1C, 0xFFFE, true);
+  view.setUint16(0x1E, Math.log2(sectorSize), true);
+  view.setUint16(0x20, Math.log2(miniSectorSize), true);
+  view.setUint32(0x28, majorVersion === 4 ? sectorsFor(dirBytes.length) : 0, true);
+  view.setUint32(0x2C, numFat, true);
+  view.setUint32(0x30, firstDirSector, true);
+  view.setUint32(0x34, 0, true);
+  view.setUint32(0x38, miniStreamCutoff, true);
+  view.setUint32(0x3C, firstMiniFatSector, true);
+  view.setUint32(0x40, sectorsFor(miniFatBytes.length), true);
+  view.setUint32(0x44, numDifat > 0 ? numFat : ENDOFCHAIN, true);
+  view.setUint32(0x48, numDifat, true);
+  for (let i = 0; i < HEADER_DIFAT_ENTRIES; i++) {
+    view.setUint32(0x4C + i * 4, i < numFat ? i : FREESECT, true);
+  }
+
+  const sectorOffset = (sector) => headerSectorSize + sector * sectorSize;
+
+  // FAT sectors
+  out.set(u32ArrayToBytes(fat, numFat * sectorSize, FREESECT), sectorOffset(0));
+
+  // DIFAT sectors: remaining FAT sector numbers, last slot links to the next DIFAT sector
+  for (let d = 0; d < numDifat; d++) {
+    const start = sectorOffset(numFat + d);
+    for (let i = 0; i < entriesPerSector - 1; i++) {
+      const fatIndex = HEADER_DIFAT_ENTRIES + d * (entriesPerSector - 1) + i;
+      view.setUint32(start + i * 4, fatIndex < numFat ? fatIndex : FREESECT, true);
+    }
+    view.setUint32(start + (entriesPerSector - 1) * 4, d < numDifat - 1 ? numFat + d + 1 : ENDOFCHAIN, true);
+  }
+
+  // Data sectors
+  for (const { blob, start } of placements) {
+    if (start !== ENDOFCHAIN) out.set(blob.bytes, sectorOffset(start));
+  }
+
+  return out.buffer;
+};
+
+// ==================== HELPERS ====================
+
+const concatBytes = (chunks) => {
+  const total = chunks.reduce((sum, c) => sum + c.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+};
+
+const u32ArrayToBytes = (values, byteLength, fill) => {
+  const out = new Uint8Array(byteLength);
+  const view = new DataView(out.buffer);
+  for (let i = 0; i * 4 < byteLength; i++) {
+    view.setUint32(i * 4, i < values.length ? values[i] : fill, true);
+  }
+  return out;
+};
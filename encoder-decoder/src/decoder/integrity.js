@@ -0,0 +1,241 @@
+/**
+ * Structural Integrity Report
+ *
+ * Checks the structure of a decoded NV 00028874 file against what the
+ * device NV loader expects:
+ * - Truncated or missing header
+ * - Header descriptor count vs. descriptors actually present
+ * - UL descriptors without a preceding DL descriptor (orphans)
+ * - UL bands missing from the DL set of their group
+ * - UL descriptor family not matching the DL group (e.g. 202 after 137)
+ * - DL groups without any UL descriptor
+ * - Truncated descriptors, skipped and trailing data
+ * - Duplicate combos
+ */
+
+import { LAYOUT_KIND } from './layout.js';
+
+// ==================== CONSTANTS ====================
+
+export const INTEGRITY_SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+export const INTEGRITY_CODES = {
+  DESCRIPTOR_COUNT_MISMATCH: 'DESCRIPTOR_COUNT_MISMATCH',
+  ORPHAN_UL_DESCRIPTOR: 'ORPHAN_UL_DESCRIPTOR',
+  UL_BAND_NOT_IN_DL: 'UL_BAND_NOT_IN_DL',
+  UL_TYPE_MISMATCH: 'UL_TYPE_MISMATCH',
+  EMPTY_DL_GROUP: 'EMPTY_DL_GROUP',
+  TRUNCATED_HEADER: 'TRUNCATED_HEADER',
+  TRUNCATED_DESCRIPTOR: 'TRUNCATED_DESCRIPTOR',
+  SKIPPED_DATA: 'SKIPPED_DATA',
+  TRAILING_DATA: 'TRAILING_DATA',
+  DUPLICATE_COMBO: 'DUPLICATE_COMBO'
+};
+
+// UL descriptor type expected after each DL descriptor type
+const UL_TYPE_FOR_DL = { 137: 138, 201: 202, 333: 334 };
+
+const UL_TYPES = [138, 202, 334];
+
+// formatVersion + numDescriptors
+const HEADER_SIZE = 4;
+
+// ==================== TYPES ====================
+
+/**
+ * @typedef {Object} IntegrityIssue
+ * @property {string} code - One of INTEGRITY_CODES
+ * @property {string} severity - One of INTEGRITY_SEVERITY
+ * @property {string} message - Human-readable message
+ * @property {Object} [details] - Additional details (offset, length, ...)
+ */
+
+/**
+ * @typedef {Object} IntegrityReport
+ * @property {boolean} ok - True if there are no errors (warnings and info are OK)
+ * @property {IntegrityIssue[]} issues - Issues sorted by file offset
+ * @property {{error: number, warning: number, info: number}} counts - Issue count per severity
+ */
+
+// ==================== HELPERS ====================
+
+const createIssue = (code, severity, message, details = {}) => ({
+  code,
+  severity,
+  message,
+  details
+});
+
+const hex = (offset) => `0x${offset.toString(16)}`;
+
+// ==================== REPORT ====================
+
+/**
+ * Build the structural integrity report for a decodeFile result
+ *
+ * @param {Object} result - decodeFile output (uses layout, groups, combos, numDescriptors)
+ * @returns {IntegrityReport}
+ */
+export const buildIntegrityReport = (result) => {
+  const issues = [];
+  const { layout = [], groups = [], combos = [] } = result;
+
+  const descriptors = layout.filter(e => e.kind === LAYOUT_KIND.DESCRIPTOR);
+  const complete = descriptors.filter(e => !e.truncated);
+
+  // Without a complete header there is no declared count to compare with
+  const header = layout.find(e => e.kind === LAYOUT_KIND.HEADER);
+  const headerRead = !!header && !header.truncated;
+  if (!headerRead) {
+    const length = header ? header.length : 0;
+    issues.push(createIssue(
+      INTEGRITY_CODES.TRUNCATED_HEADER,
+      INTEGRITY_SEVERITY.ERROR,
+      `Header is truncated by the end of file (${length} of ${HEADER_SIZE} bytes).`,
+      { offset: 0, length }
+    ));
+  }
+
+  // Header count vs. parsed descriptors
+  if (headerRead && result.numDescriptors !== complete.length) {
+    issues.push(createIssue(
+      INTEGRITY_CODES.DESCRIPTOR_COUNT_MISMATCH,
+      INTEGRITY_SEVERITY.ERROR,
+      `Header declares ${result.numDescriptors} descriptors, but ${complete.length} complete descriptors were found.`,
+      { offset: 2, declared: result.numDescriptors, found: complete.length }
+    ));
+  }
+
+  for (const entry of layout) {
+    if (entry.kind === LAYOUT_KIND.SKIPPED) {
+      issues.push(createIssue(
+        INTEGRITY_CODES.SKIPPED_DATA,
+        INTEGRITY_SEVERITY.ERROR,
+        `${entry.length} bytes at ${hex(entry.start)} could not be parsed and were skipped.`,
+        { offset: entry.start, length: entry.length }
+      ));
+      continue;
+    }
+
+    if (entry.kind === LAYOUT_KIND.UNPARSED) {
+      issues.push(createIssue(
+        INTEGRITY_CODES.TRAILING_DATA,
+        INTEGRITY_SEVERITY.ERROR,
+        `${entry.length} bytes of trailing data after the last complete descriptor at ${hex(entry.start)}.`,
+        { offset: entry.start, length: entry.length }
+      ));
+      continue;
+    }
+
+    if (entry.kind !== LAYOUT_KIND.DESCRIPTOR) continue;
+
+    if (entry.truncated) {
+      issues.push(createIssue(
+        INTEGRITY_CODES.TRUNCATED_DESCRIPTOR,
+        INTEGRITY_SEVERITY.ERROR,
+        `Descriptor ${entry.descType} at ${hex(entry.start)} is truncated by the end of file.`,
+        { offset: entry.start, length: entry.length, descType: entry.descType }
+      ));
+    }
+
+    if (!UL_TYPES.includes(entry.descType)) continue;
+
+    const group = entry.groupIdx !== null && entry.groupIdx >= 0 ? groups[entry.groupIdx] : null;
+    if (!group) {
+      issues.push(createIssue(
+        INTEGRITY_CODES.ORPHAN_UL_DESCRIPTOR,
+        INTEGRITY_SEVERITY.ERROR,
+        `UL descriptor ${entry.descType} at ${hex(entry.start)} appears before any DL descriptor.`,
+        { offset: entry.start, descType: entry.descType }
+      ));
+      continue;
+    }
+
+    if (UL_TYPE_FOR_DL[group.descType] !== entry.descType) {
+      issues.push(createIssue(
+        INTEGRITY_CODES.UL_TYPE_MISMATCH,
+        INTEGRITY_SEVERITY.WARNING,
+        `UL descriptor ${entry.descType} at ${hex(entry.start)} follows DL descriptor ${group.descType} (${UL_TYPE_FOR_DL[group.descType]} expected).`,
+        { offset: entry.start, descType: entry.descType, dlDescType: group.descType }
+      ));
+    }
+
+    const missingBands = entry.fields
+      .filter(f => f.name.startsWith('ulBand') && f.value !== 0 && !group.band.includes(f.value))
+      .map(f => f.value);
+    if (missingBands.length > 0) {
+      issues.push(createIssue(
+        INTEGRITY_CODES.UL_BAND_NOT_IN_DL,
+        INTEGRITY_SEVERITY.ERROR,
+        `UL descriptor ${entry.descType} at ${hex(entry.start)} references band(s) ${missingBands.join(', ')} not present in its DL set.`,
+        { offset: entry.start, bands: missingBands, groupIdx: entry.groupIdx }
+      ));
+    }
+  }
+
+  // DL groups without UL descriptors
+  groups.forEach((group, idx) => {
+    if (group.combos.length > 0) return;
+    const dlEntry = layout[group.layoutIdx];
+    issues.push(createIssue(
+      INTEGRITY_CODES.EMPTY_DL_GROUP,
+      INTEGRITY_SEVERITY.WARNING,
+      `DL descriptor ${group.descType}${dlEntry ? ` at ${hex(dlEntry.start)}` : ''} (group ${idx + 1}) is not followed by any UL descriptor.`,
+      { offset: dlEntry ? dlEntry.start : null, groupIdx: idx }
+    ));
+  });
+
+  // Duplicate combos (same DL and UL configuration)
+  const seen = new Map();
+  combos.forEach((combo, idx) => {
+    const key = `${combo.dlKey}/${combo.rawUlclass ? combo.rawUlclass.join(',') : ''}`;
+    if (seen.has(key)) {
+      const entry = layout[combo.layoutIdx];
+      issues.push(createIssue(
+        INTEGRITY_CODES.DUPLICATE_COMBO,
+        INTEGRITY_SEVERITY.INFO,
+        `Combo #${idx + 1} (${combo.text}) duplicates combo #${seen.get(key) + 1}.`,
+        { offset: entry ? entry.start : null, comboIdx: idx, duplicateOf: seen.get(key) }
+      ));
+    } else {
+      seen.set(key, idx);
+    }
+  });
+
+  const position = (issue) => issue.details.offset ?? Number.MAX_SAFE_INTEGER;
+  issues.sort((a, b) => position(a) - position(b));
+
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const issue of issues) counts[issue.severity]++;
+
+  return {
+    ok: counts.error === 0,
+    issues,
+    counts
+  };
+};
+
+/**
+ * Format an integrity report as text lines (used by the TXT export)
+ *
+ * @param {IntegrityReport} report
+ * @returns {string[]}
+ */
+export const formatIntegrityReport = (report) => {
+  const lines = [
+    `Integrity: ${report.ok ? 'OK' : 'FAILED'} (errors: ${report.counts.error}, warnings: ${report.counts.warning}, info: ${report.counts.info})`
+  ];
+
+  for (const issue of report.issues) {
+    const offset = issue.details.offset !== null && issue.details.offset !== undefined
+      ? ` @${hex(issue.details.offset)}`
+      : '';
+    lines.push(`[${issue.severity.toUpperCase()}]${offset} ${issue.code}: ${issue.message}`);
+  }
+
+  return lines;
+};
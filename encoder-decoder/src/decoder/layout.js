@@ -0,0 +1,43 @@
+/**
+ * Decoder Byte Map
+ *
+ * Shared definitions for the byte-level layout produced by decodeFile.
+ */
+
+/**
+ * Kinds of entries in the decoder byte map (output.layout)
+ *
+ * Every entry is { kind, descType, start, length, fields, groupIdx, comboIdx }
+ * where fields is an array of { name, start, length, value, reserved }.
+ * Offsets refer to the decompressed data (output.bytes).
+ */
+export const LAYOUT_KIND = {
+  HEADER: 'header',
+  DESCRIPTOR: 'descriptor',
+  SKIPPED: 'skipped',  // Bytes jumped over by recovery mode
+  UNPARSED: 'unparsed'
+};
+
+/**
+ * Find the layout entry covering a byte offset (binary search, layout is sorted by start)
+ *
+ * @param {Object[]} layout - output.layout from decodeFile
+ * @param {number} offset - Byte offset
+ * @returns {number} Index into layout or -1
+ */
+export const findLayoutIndex = (layout, offset) => {
+  let lo = 0;
+  let hi = layout.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    const entry = layout[mid];
+    if (offset < entry.start) {
+      hi = mid - 1;
+    } else if (offset >= entry.start + entry.length) {
+      lo = mid + 1;
+    } else {
+      return mid;
+    }
+  }
+  return -1;
+};
@@ -0,0 +1,191 @@
+/**
+ * QCN Backup Support
+ *
+ * QCN files (QPST/QFIL NV backups) are OLE2 compound files. The 00028874
+ * EFS item can be stored in several ways depending on the tool version:
+ * - A stream named after the item (e.g. ".../00028874" or "00028874_Subscription01")
+ * - An EFS_Dir/EFS_Data pair: the EFS_Dir stream holds the item path, the
+ *   EFS_Data stream with the same name holds the content
+ * - A stream that starts with the item path (NUL-terminated), followed by the content
+ *
+ * Every match is returned as an instance (one per subscription/copy). The
+ * content may be zlib-compressed; decodeFile handles both.
+ */
+
+import {
+  parseCompoundFile,
+  getCompoundFileStreams,
+  setCompoundFileStream,
+  writeCompoundFile
+} from './compoundFile.js';
+import { isZlibCompressed } from './28874decoder.jsx';
+import { compressZlib } from '../encoder/28874encoder.jsx';
+
+// ==================== CONSTANTS ====================
+
+export const NV_ITEM_ID = '00028874';
+
+const NV_ITEM_PATH = `nv/item_files/rfnv/${NV_ITEM_ID}`;
+
+export const QCN_ITEM_SOURCE = {
+  STREAM_NAME: 'stream-name',
+  EFS_DIR: 'efs-dir',
+  EMBEDDED_PATH: 'embedded-path'
+};
+
+// ==================== TYPES ====================
+
+/**
+ * @typedef {Object} QcnItemInstance
+ * @property {number} entryId - Directory index of the stream holding the item
+ * @property {string} path - Storage path of that stream
+ * @property {string} label - Short label for the UI
+ * @property {string} source - One of QCN_ITEM_SOURCE
+ * @property {number} dataOffset - Bytes before the item content inside the stream
+ * @property {boolean} compressed - Item content is zlib-compressed
+ * @property {ArrayBuffer} data - Item content (as stored, possibly compressed)
+ */
+
+/**
+ * @typedef {Object} QcnFile
+ * @property {Object} cfb - Parsed compound file
+ * @property {QcnItemInstance[]} instances - Every 00028874 copy found
+ */
+
+// ==================== HELPERS ====================
+
+const decodeAscii = (bytes) => {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) {
+    text += bytes[i] >= 0x20 && bytes[i] < 0x7f ? String.fromCharCode(bytes[i]) : '\0';
+  }
+  return text;
+};
+
+/**
+ * Find the item path in a stream; returns the offset just past the path
+ * and its NUL terminator, or -1
+ */
+const findEmbeddedPath = (bytes) => {
+  const text = decodeAscii(bytes.subarray(0, Math.min(bytes.length, 512)));
+  const idx = text.indexOf(NV_ITEM_PATH);
+  if (idx === -1) return -1;
+
+  let end = idx + NV_ITEM_PATH.length;
+  // Per-subscription names continue the path (e.g. "00028874_Subscription01")
+  while (end < text.length && text[end] !== '\0') end++;
+  return end < bytes.length ? end + 1 : -1;
+};
+
+const toArrayBuffer = (bytes) => bytes.slice().buffer;
+
+const createInstance = (entry, source, dataOffset, label) => {
+  const data = toArrayBuffer(entry.data.subarray(dataOffset));
+  return {
+    entryId: entry.id,
+    path: entry.path,
+    label,
+    source,
+    dataOffset,
+    compressed: isZlibCompressed(data),
+    data
+  };
+};
+
+// ==================== PUBLIC API ====================
+
+/**
+ * Find every 00028874 item stored in a compound file
+ *
+ * @param {Object} cfb - Parsed compound file
+ * @returns {QcnItemInstance[]}
+ */
+export const findNvItemInstances = (cfb) => {
+  const streams = getCompoundFileStreams(cfb);
+  const instances = [];
+  const used = new Set();
+
+  const add = (entry, source, dataOffset, label) => {
+    if (used.has(entry.id) || entry.data.length <= dataOffset) return;
+    used.add(entry.id);
+    instances.push(createInstance(entry, source, dataOffset, label));
+  };
+
+  // Stream named after the item
+  for (const entry of streams) {
+    if (entry.name.includes(NV_ITEM_ID)) {
+      add(entry, QCN_ITEM_SOURCE.STREAM_NAME, 0, entry.path);
+    }
+  }
+
+  // EFS_Dir (paths) / EFS_Data (contents) pairs
+  for (const entry of streams) {
+    const parent = cfb.entries[entry.parentId];
+    if (!parent || !/efs_dir/i.test(parent.name)) continue;
+    if (!decodeAscii(entry.data).includes(NV_ITEM_ID)) continue;
+
+    const dataStorage = cfb.entries.find(e => (
+      e.parentId === parent.parentId && /efs_data/i.test(e.name)
+    ));
+    const dataStream = dataStorage && streams.find(e => (
+      e.parentId === dataStorage.id && e.name === entry.name
+    ));
+    if (dataStream) {
+      const itemPath = decodeAscii(entry.data).split('\0').find(s => s.includes(NV_ITEM_ID));
+      add(dataStream, QCN_ITEM_SOURCE.EFS_DIR, 0, `${dataStream.path} (${itemPath})`);
+    }
+  }
+
+  // Item path stored at the start of the stream
+  for (const entry of streams) {
+    const offset = findEmbeddedPath(entry.data);
+    if (offset !== -1) {
+      add(entry, QCN_ITEM_SOURCE.EMBEDDED_PATH, offset, entry.path);
+    }
+  }
+
+  return instances;
+};
+
+/**
+ * Parse a QCN file and locate its 00028874 items
+ *
+ * @param {ArrayBuffer} arrayBuffer - QCN file content
+ * @returns {QcnFile}
+ */
+export const parseQcnFile = (arrayBuffer) => {
+  const cfb = parseCompoundFile(arrayBuffer);
+  const instances = findNvItemInstances(cfb);
+
+  if (instances.length === 0) {
+    throw new Error(`No ${NV_ITEM_ID} item found in QCN file`);
+  }
+
+  return { cfb, instances };
+};
+
+/**
+ * Write an item back into a copy of the QCN file
+ * Compression follows the original item; any bytes before the item content
+ * (embedded path) are kept as they are.
+ *
+ * @param {QcnFile} qcn - Parsed QCN file
+ * @param {number} instanceIdx - Index into qcn.instances
+ * @param {ArrayBuffer} itemBuffer - Uncompressed encoder output
+ * @returns {ArrayBuffer} New QCN file
+ */
+export const replaceQcnItem = (qcn, instanceIdx, itemBuffer) => {
+  const instance = qcn.instances[instanceIdx];
+  if (!instance) {
+    throw new Error(`QCN item instance ${instanceIdx} does not exist`);
+  }
+
+  const content = new Uint8Array(instance.compressed ? compressZlib(itemBuffer) : itemBuffer);
+  const original = qcn.cfb.entries[instance.entryId].data;
+
+  const stream = new Uint8Array(instance.dataOffset + content.length);
+  stream.set(original.subarray(0, instance.dataOffset));
+  stream.set(content, instance.dataOffset);
+
+  return writeCompoundFile(setCompoundFileStream(qcn.cfb, instance.entryId, stream));
+};
@@ -0,0 +1,99 @@
+/**
+ * Round-trip Verification
+ *
+ * Re-encodes a decoded file with its original grouping and compares the
+ * result byte by byte with the (decompressed) input. A mismatch is reported
+ * with the offset and the decoder byte map field it falls into.
+ */
+
+import { encodeToBuffer, decodedCombosToEntries } from '../encoder/28874encoder';
+import { findLayoutIndex } from './layout.js';
+
+/**
+ * @typedef {Object} RoundTripMismatch
+ * @property {number} offset - First differing byte offset
+ * @property {number|null} expected - Byte in the decoded file (null past its end)
+ * @property {number|null} actual - Byte in the re-encoded file (null past its end)
+ * @property {Object|null} entry - Layout entry covering the offset ({kind, descType, groupIdx, comboIdx})
+ * @property {string|null} field - Name of the layout field covering the offset
+ */
+
+/**
+ * @typedef {Object} RoundTripResult
+ * @property {boolean} identical - Re-encoded bytes equal the decoded bytes
+ * @property {number} expectedSize - Size of the decoded (decompressed) file
+ * @property {number} actualSize - Size of the re-encoded file
+ * @property {RoundTripMismatch|null} mismatch - First difference, null if identical
+ * @property {string|null} error - Encoder error, if encoding failed
+ */
+
+const describeOffset = (layout, offset) => {
+  const idx = findLayoutIndex(layout, offset);
+  if (idx === -1) return { entry: null, field: null };
+
+  const { kind, descType, groupIdx, comboIdx, fields } = layout[idx];
+  const field = fields.find(f => offset >= f.start && offset < f.start + f.length);
+  return {
+    entry: { kind, descType, groupIdx, comboIdx },
+    field: field ? field.name : null
+  };
+};
+
+/**
+ * Re-encode a decode result and compare it with the decoded bytes
+ *
+ * @param {Object} decodeResults - decodeFile output
+ * @returns {RoundTripResult}
+ */
+export const verifyRoundTrip = (decodeResults) => {
+  const expected = decodeResults.bytes;
+  const hasGroups = decodeResults.groups && decodeResults.groups.length > 0;
+
+  let actual;
+  try {
+    actual = new Uint8Array(encodeToBuffer({
+      encodeEntries: decodedCombosToEntries(decodeResults.combos, false),
+      formatVersion: decodeResults.formatVersion,
+      descriptorType: 137,
+      optimizeGrouping: true,
+      autoDescriptorType: true,
+      preserveOriginalGrouping: hasGroups,
+      originalGroups: hasGroups ? decodeResults.groups : null
+    }));
+  } catch (e) {
+    return {
+      identical: false,
+      expectedSize: expected.length,
+      actualSize: 0,
+      mismatch: null,
+      error: e.message
+    };
+  }
+
+  const length = Math.max(expected.length, actual.length);
+  let offset = 0;
+  while (offset < length && expected[offset] === actual[offset]) offset++;
+
+  if (offset === length) {
+    return {
+      identical: true,
+      expectedSize: expected.length,
+      actualSize: actual.length,
+      mismatch: null,
+      error: null
+    };
+  }
+
+  return {
+    identical: false,
+    expectedSize: expected.length,
+    actualSize: actual.length,
+    mismatch: {
+      offset,
+      expected: offset < expected.length ? expected[offset] : null,
+      actual: offset < actual.length ? actual[offset] : null,
+      ...describeOffset(decodeResults.layout, offset)
+    },
+    error: null
+  };
+};
@@ -0,0 +1,280 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import { loadDiffSource, diffComboSources, formatComboDiff, DIFF_SOURCE_KIND } from './comboDiff.js';
+
+// ==================== HELPER FUNCTIONS ====================
+
+const downloadFile = (content, fileName, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 100);
+};
+
+// ==================== SUB-COMPONENTS ====================
+
+/**
+ * File slot for one side of the diff (click or drop)
+ */
+function DiffFileSlot({ id, title, source, error, onFile }) {
+  const [isDragging, setIsDragging] = useState(false);
+
+  return (
+    <div
+      onDrop={(e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        onFile(e.dataTransfer.files[0]);
+      }}
+      onDragOver={(e) => {
+        e.preventDefault();
+        setIsDragging(true);
+      }}
+      onDragLeave={(e) => {
+        e.preventDefault();
+        setIsDragging(false);
+      }}
+      className={`flex-1 border-2 border-dashed rounded-lg p-4 text-center transition-colors ${
+        isDragging ? 'border-blue-400 bg-blue-900/20' : 'border-gray-600 hover:border-gray-500'
+      }`}
+    >
+      <input
+        type="file"
+        id={id}
+        className="hidden"
+        onChange={(e) => {
+          onFile(e.target.files?.[0]);
+          e.target.value = '';
+        }}
+      />
+      <label htmlFor={id} className="cursor-pointer block">
+        <div className="text-sm font-semibold text-gray-300 mb-1">{title}</div>
+        {source ? (
+          <div className="text-sm">
+            <span className="text-blue-300 font-mono break-all">{source.name}</span>
+            <div className="text-gray-500 text-xs mt-1">
+              {source.kind}, {source.combos.length} combos
+              {source.numGroups !== null && `, ${source.numGroups} DL groups`}
+            </div>
+          </div>
+        ) : (
+          <div className="text-gray-500 text-sm">Drop binary, TXT, UE capability or diag log (DLF/ISF) here or click to select</div>
+        )}
+        {error && <div className="text-red-400 text-xs mt-2">{error}</div>}
+      </label>
+    </div>
+  );
+}
+
+/**
+ * List of diff items
+ */
+function DiffSection({ title, colorClass, items, render }) {
+  if (items.length === 0) return null;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4">
+      <h3 className={`font-semibold mb-2 ${colorClass}`}>{title} ({items.length})</h3>
+      <div className="max-h-96 overflow-y-auto space-y-1 font-mono text-sm">
+        {items.map((item, idx) => (
+          <div key={`${item.key}-${idx}`} className="px-2 py-1 bg-gray-900 rounded">
+            {render(item)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ==================== MAIN COMPONENT ====================
+
+/**
+ * Side-by-side diff of two NV 00028874 files (binary or TXT)
+ */
+export default function ComboDiff() {
+  const [sources, setSources] = useState({ a: null, b: null });
+  const [errors, setErrors] = useState({ a: null, b: null });
+  const [supersetBands, setSupersetBands] = useState(false);
+
+  const handleFile = useCallback((side, file) => {
+    if (!file) return;
+    setErrors(prev => ({ ...prev, [side]: null }));
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const source = loadDiffSource(file.name, e.target.result);
+        setSources(prev => ({ ...prev, [side]: source }));
+      } catch (err) {
+        setSources(prev => ({ ...prev, [side]: null }));
+        setErrors(prev => ({ ...prev, [side]: err.message }));
+      }
+    };
+    reader.onerror = () => setErrors(prev => ({ ...prev, [side]: 'Failed to read file' }));
+    reader.readAsArrayBuffer(file);
+  }, []);
+
+  const diff = useMemo(() => (
+    sources.a && sources.b ? diffComboSources(sources.a, sources.b, { supersetBands }) : null
+  ), [sources, supersetBands]);
+
+  const swapSources = () => {
+    setSources(prev => ({ a: prev.b, b: prev.a }));
+    setErrors(prev => ({ a: prev.b, b: prev.a }));
+  };
+
+  return (
+    <div className="mt-2 space-y-4">
+      <div className="flex gap-3 items-stretch">
+        <DiffFileSlot
+          id="diffFileA"
+          title="A (base)"
+          source={sources.a}
+          error={errors.a}
+          onFile={(file) => handleFile('a', file)}
+        />
+        <button
+          onClick={swapSources}
+          title="Swap A and B"
+          className="px-3 bg-gray-700 hover:bg-gray-600 rounded-lg"
+        >
+          ⇄
+        </button>
+        <DiffFileSlot
+          id="diffFileB"
+          title="B (compared)"
+          source={sources.b}
+          error={errors.b}
+          onFile={(file) => handleFile('b', file)}
+        />
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={supersetBands}
+          onChange={(e) => setSupersetBands(e.target.checked)}
+          className="w-4 h-4 accent-blue-500"
+        />
+        Match superset bands
+        <span className="text-gray-500 text-xs">
+          (compare every band as its outermost superset: B4 → B66, B2 → B25, B5 → B26, B12 → B85)
+        </span>
+      </label>
+
+      {diff && (
+        <>
+          <div className="bg-gray-800 rounded-lg p-4">
+            <h2 className="text-lg font-semibold mb-3 text-yellow-300">Summary</h2>
+            {diff.summary.identical ? (
+              <div className="text-green-400">No differences</div>
+            ) : (
+              <div className="flex flex-wrap gap-2 text-sm">
+                <span className="px-2 py-1 bg-green-900/50 text-green-300 rounded">+{diff.summary.added} added</span>
+                <span className="px-2 py-1 bg-red-900/50 text-red-300 rounded">−{diff.summary.removed} removed</span>
+                <span className="px-2 py-1 bg-yellow-900/50 text-yellow-300 rounded">
+                  ~{diff.summary.changed} changed (UL: {diff.summary.ulChanged}, type: {diff.summary.descriptorTypeChanged})
+                </span>
+                <span className="px-2 py-1 bg-purple-900/50 text-purple-300 rounded">#{diff.summary.groupingChanged} regrouped</span>
+                <span className="px-2 py-1 bg-blue-900/50 text-blue-300 rounded">{diff.summary.moved} moved</span>
+              </div>
+            )}
+            {(diff.a.kind !== DIFF_SOURCE_KIND.BINARY || diff.b.kind !== DIFF_SOURCE_KIND.BINARY) && (
+              <div className="text-gray-500 text-xs mt-2">
+                Descriptor type and grouping are only compared between two binary files.
+              </div>
+            )}
+          </div>
+
+          <DiffSection
+            title="Added"
+            colorClass="text-green-300"
+            items={diff.added}
+            render={(c) => (
+              <>
+                <span className="text-green-400">+ {c.dlText}</span>
+                <span className="text-gray-500 ml-3">UL: {c.ulConfigs.join(', ')}</span>
+              </>
+            )}
+          />
+          <DiffSection
+            title="Removed"
+            colorClass="text-red-300"
+            items={diff.removed}
+            render={(c) => (
+              <>
+                <span className="text-red-400">− {c.dlText}</span>
+                <span className="text-gray-500 ml-3">UL: {c.ulConfigs.join(', ')}</span>
+              </>
+            )}
+          />
+          <DiffSection
+            title="Changed"
+            colorClass="text-yellow-300"
+            items={diff.changed}
+            render={(c) => (
+              <>
+                <span className="text-yellow-400">~ {c.dlText}</span>
+                {c.ul && c.ul.added.length > 0 && (
+                  <span className="text-green-400 ml-3">UL +{c.ul.added.join(', ')}</span>
+                )}
+                {c.ul && c.ul.removed.length > 0 && (
+                  <span className="text-red-400 ml-3">UL −{c.ul.removed.join(', ')}</span>
+                )}
+                {c.descriptorTypes && (
+                  <span className="text-purple-300 ml-3">
+                    type {c.descriptorTypes.a.join('/')} → {c.descriptorTypes.b.join('/')}
+                  </span>
+                )}
+              </>
+            )}
+          />
+          <DiffSection
+            title="Grouping"
+            colorClass="text-purple-300"
+            items={diff.grouping}
+            render={(g) => (
+              <>
+                <span className="text-purple-300"># {g.dlText}</span>
+                <span className="text-gray-400 ml-3">
+                  {g.a.length} group(s) [{g.a.join(' / ')}] → {g.b.length} group(s) [{g.b.join(' / ')}]
+                </span>
+              </>
+            )}
+          />
+          <DiffSection
+            title="Moved"
+            colorClass="text-blue-300"
+            items={diff.ordering.moved}
+            render={(m) => (
+              <>
+                <span className="text-blue-300">&gt; {m.dlText}</span>
+                <span className="text-gray-400 ml-3">#{m.fromIdx + 1} → #{m.toIdx + 1}</span>
+              </>
+            )}
+          />
+
+          <div className="flex gap-3">
+            <button
+              onClick={() => downloadFile(formatComboDiff(diff).join('\n'), '28874_diff.txt', 'text/plain;charset=utf-8')}
+              className="flex-1 py-2 bg-blue-600 hover:bg-blue-500 rounded-lg font-medium transition-colors"
+            >
+              💾 Export TXT
+            </button>
+            <button
+              onClick={() => downloadFile(JSON.stringify(diff, null, 2), '28874_diff.json', 'application/json')}
+              className="flex-1 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg font-medium transition-colors"
+            >
+              💾 Export JSON
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,383 @@
+/**
+ * Combo Diff
+ *
+ * Compares two combo lists (decoded binaries, TXT exports, UE capabilities or diag logs):
+ * - Combos are matched by getComboKey (DL carriers, order-independent)
+ * - Added / removed DL combos
+ * - Changed combos: different UL configuration set (138/202/334) or
+ *   different DL descriptor type (e.g. 137 → 201)
+ * - Grouping differences: same DL combo split into other DL groups
+ * - Ordering differences: common combos that moved relative to each other
+ *
+ * With the supersetBands option both lists are compared with every band
+ * mapped to its outermost superset (B4 → B66, B2 → B25, B12 → B85), so a
+ * combo written with the subset band in one file matches the other file.
+ */
+
+import { decodeFile } from '../decoder/28874decoder';
+import { parseComboFile } from '../encoder/28874encoder';
+import { isUeCapability, parseUeCapability, isDiagLogName, parseDiagLog } from '../capability/index.js';
+import {
+  getComboKey, carriersToString, comboToString, sortCarriersByBand, toOutermostBands, PCELL_MARKER
+} from '../shared/index.js';
+
+// ==================== CONSTANTS ====================
+
+export const DIFF_SOURCE_KIND = {
+  BINARY: 'binary',
+  TEXT: 'text',
+  CAPABILITY: 'capability',  // UE-EUTRA-Capability text dump or UPER hex
+  DIAG_LOG: 'diag-log'       // UECapabilityInformation from a DLF/ISF/QMDL log
+};
+
+export const DIFF_CHANGE = {
+  UL: 'ul',
+  DESCRIPTOR_TYPE: 'descriptorType'
+};
+
+const NO_UL = '(no UL)';
+
+// ==================== TYPES ====================
+
+/**
+ * @typedef {Object} DiffCombo
+ * @property {string} key - getComboKey of the DL carriers
+ * @property {string} dlText - DL-only combo string in band order
+ * @property {string} ulConfig - UL carriers with UL MIMO > 1 and explicit PCell (e.g. "3A-7A2^") or NO_UL
+ * @property {string} text - Combo string as in the source
+ * @property {number|null} descType - DL descriptor type (binary only)
+ * @property {number|null} groupIdx - DL group (binary only)
+ * @property {Carrier[]} carriers - Carriers as in the source
+ * @property {number|null} pcellIndex
+ */
+
+/**
+ * @typedef {Object} DiffSource
+ * @property {string} name - File name
+ * @property {string} kind - One of DIFF_SOURCE_KIND
+ * @property {DiffCombo[]} combos - Combos in file order
+ * @property {number|null} numGroups - Number of DL groups (binary only)
+ */
+
+// ==================== SOURCES ====================
+
+/**
+ * Heuristic text detection: no NUL or control bytes in the first KB
+ */
+export const looksLikeText = (arrayBuffer) => {
+  const bytes = new Uint8Array(arrayBuffer, 0, Math.min(arrayBuffer.byteLength, 1024));
+  if (bytes.length === 0) return false;
+  return bytes.every(b => b === 0x09 || b === 0x0A || b === 0x0D || (b >= 0x20 && b < 0x7F));
+};
+
+const toDiffCombo = (combo, text, descType = null, groupIdx = null) => {
+  const pcell = combo.pcellIndex !== null ? combo.carriers[combo.pcellIndex] : null;
+  const sorted = sortCarriersByBand(combo.carriers);
+  const ulCarriers = sorted.filter(c => c.ulClass);
+
+  return {
+    key: getComboKey(combo.carriers),
+    dlText: carriersToString(sorted, { includeUL: false }),
+    ulConfig: ulCarriers.length > 0
+      ? ulCarriers.map(c => (
+        `${c.band}${c.ulClass}${c.mimoUl > 1 ? c.mimoUl : ''}${c === pcell ? PCELL_MARKER : ''}`
+      )).join('-')
+      : NO_UL,
+    text,
+    descType,
+    groupIdx,
+    carriers: combo.carriers,
+    pcellIndex: combo.pcellIndex ?? null
+  };
+};
+
+const capabilitySource = (name, kind, combos) => ({
+  name,
+  kind,
+  combos: combos.map(combo => toDiffCombo(combo, comboToString(combo))),
+  numGroups: null
+});
+
+/**
+ * Build a diff source from a file: diag logs (by name) are searched for
+ * UECapabilityInformation, other binaries decoded as 00028874, plain text
+ * parsed as a UE capability or a TXT combo list
+ *
+ * @param {string} name - File name
+ * @param {ArrayBuffer} arrayBuffer - File content
+ * @returns {DiffSource}
+ */
+export const loadDiffSource = (name, arrayBuffer) => {
+  if (isDiagLogName(name)) {
+    let capability;
+    try {
+      capability = parseDiagLog(arrayBuffer);
+    } catch (e) {
+      throw new Error(`${name}: ${e.message}`);
+    }
+    if (capability.combos.length === 0) {
+      throw new Error(`${name}: no band combinations found in UECapabilityInformation`);
+    }
+    return capabilitySource(name, DIFF_SOURCE_KIND.DIAG_LOG, capability.combos);
+  }
+
+  if (looksLikeText(arrayBuffer)) {
+    const text = new TextDecoder('utf-8').decode(arrayBuffer);
+
+    if (isUeCapability(text)) {
+      const { combos } = parseUeCapability(text);
+      if (combos.length === 0) {
+        throw new Error(`${name}: no band combinations found in UE capability`);
+      }
+
+      return capabilitySource(name, DIFF_SOURCE_KIND.CAPABILITY, combos);
+    }
+
+    const entries = parseComboFile(text, false);
+    if (entries.length === 0) {
+      throw new Error(`${name}: no valid combos found in text file`);
+    }
+
+    return {
+      name,
+      kind: DIFF_SOURCE_KIND.TEXT,
+      combos: entries.map(e => toDiffCombo(e, e.text)),
+      numGroups: null
+    };
+  }
+
+  const result = decodeFile(arrayBuffer);
+  // Combos with a class outside A-F (no carriers) cannot be keyed and are left out
+  const combos = result.combos
+    .filter(c => c.carriers)
+    .map(c => toDiffCombo(c, c.text, c.descType, c.groupIdx));
+
+  return {
+    name,
+    kind: DIFF_SOURCE_KIND.BINARY,
+    combos,
+    numGroups: result.groups.length
+  };
+};
+
+// ==================== DIFF ====================
+
+const groupByKey = (combos) => {
+  const map = new Map();
+  for (const combo of combos) {
+    if (!map.has(combo.key)) map.set(combo.key, []);
+    map.get(combo.key).push(combo);
+  }
+  return map;
+};
+
+const uniqueSorted = (values) => [...new Set(values)].sort();
+
+/**
+ * UL configurations of a DL combo partitioned by DL group,
+ * e.g. ["3A|3A-7A", "7A"] for two DL descriptors with the same carriers
+ */
+const getGroupPartition = (combos) => {
+  const byGroup = new Map();
+  for (const combo of combos) {
+    if (!byGroup.has(combo.groupIdx)) byGroup.set(combo.groupIdx, []);
+    byGroup.get(combo.groupIdx).push(combo.ulConfig);
+  }
+  return [...byGroup.values()].map(configs => uniqueSorted(configs).join('|')).sort();
+};
+
+/**
+ * Keys of `order` that keep their relative order from `base`
+ * Both sequences hold unique keys, so this is the longest increasing
+ * subsequence of base positions (O(n log n))
+ */
+const findKeysInOrder = (base, order) => {
+  const position = new Map(base.map((key, idx) => [key, idx]));
+  const positions = order.map(key => position.get(key));
+
+  const tails = []; // index into positions of the smallest tail for each length
+  const previous = new Array(positions.length).fill(-1);
+  positions.forEach((pos, idx) => {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (positions[tails[mid]] < pos) lo = mid + 1;
+      else hi = mid;
+    }
+    if (lo > 0) previous[idx] = tails[lo - 1];
+    tails[lo] = idx;
+  });
+
+  const keys = new Set();
+  for (let idx = tails.length > 0 ? tails[tails.length - 1] : -1; idx !== -1; idx = previous[idx]) {
+    keys.add(order[idx]);
+  }
+  return keys;
+};
+
+/**
+ * Compare two diff sources
+ *
+ * @param {DiffSource} a - Base (e.g. stock file)
+ * @param {DiffSource} b - Compared file (e.g. modified file)
+ * @param {Object} [options]
+ * @param {boolean} [options.supersetBands=false] - Compare the bands as their outermost supersets
+ * @returns {Object} Diff result (added, removed, changed, grouping, ordering, summary)
+ */
+export const diffComboSources = (sourceA, sourceB, options = {}) => {
+  const { supersetBands = false } = options;
+  const mapSource = (source) => (supersetBands
+    ? { ...source, combos: source.combos.map(c => toDiffCombo(toOutermostBands(c), c.text, c.descType, c.groupIdx)) }
+    : source);
+  const a = mapSource(sourceA);
+  const b = mapSource(sourceB);
+
+  const keysA = groupByKey(a.combos);
+  const keysB = groupByKey(b.combos);
+  const bothBinary = a.kind === DIFF_SOURCE_KIND.BINARY && b.kind === DIFF_SOURCE_KIND.BINARY;
+
+  const describe = (key, combos) => ({
+    key,
+    dlText: combos[0].dlText,
+    ulConfigs: uniqueSorted(combos.map(c => c.ulConfig))
+  });
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  const grouping = [];
+
+  for (const [key, combosA] of keysA) {
+    if (!keysB.has(key)) removed.push(describe(key, combosA));
+  }
+
+  for (const [key, combosB] of keysB) {
+    const combosA = keysA.get(key);
+    if (!combosA) {
+      added.push(describe(key, combosB));
+      continue;
+    }
+
+    const ulA = uniqueSorted(combosA.map(c => c.ulConfig));
+    const ulB = uniqueSorted(combosB.map(c => c.ulConfig));
+    const changes = [];
+    const change = { key, dlText: combosB[0].dlText, changes };
+
+    const ulAdded = ulB.filter(ul => !ulA.includes(ul));
+    const ulRemoved = ulA.filter(ul => !ulB.includes(ul));
+    if (ulAdded.length > 0 || ulRemoved.length > 0) {
+      changes.push(DIFF_CHANGE.UL);
+      change.ul = { added: ulAdded, removed: ulRemoved };
+    }
+
+    if (bothBinary) {
+      const typesA = uniqueSorted(combosA.map(c => c.descType));
+      const typesB = uniqueSorted(combosB.map(c => c.descType));
+      if (typesA.join(',') !== typesB.join(',')) {
+        changes.push(DIFF_CHANGE.DESCRIPTOR_TYPE);
+        change.descriptorTypes = { a: typesA, b: typesB };
+      }
+
+      // UL changes alter the partition too, so then only the group count is compared
+      const partitionA = getGroupPartition(combosA);
+      const partitionB = getGroupPartition(combosB);
+      const regrouped = change.ul
+        ? partitionA.length !== partitionB.length
+        : partitionA.join('/') !== partitionB.join('/');
+      if (regrouped) {
+        grouping.push({ key, dlText: change.dlText, a: partitionA, b: partitionB });
+      }
+    }
+
+    if (changes.length > 0) changed.push(change);
+  }
+
+  // Ordering: first occurrence of every common DL combo
+  const orderOf = (source, other) => (
+    [...new Set(source.combos.map(c => c.key))].filter(key => other.has(key))
+  );
+  const orderA = orderOf(a, keysB);
+  const orderB = orderOf(b, keysA);
+  const inOrder = findKeysInOrder(orderA, orderB);
+  const moved = orderB
+    .map((key, toIdx) => ({ key, dlText: keysB.get(key)[0].dlText, fromIdx: orderA.indexOf(key), toIdx }))
+    .filter(m => !inOrder.has(m.key));
+
+  return {
+    a: { name: a.name, kind: a.kind, numCombos: a.combos.length, numGroups: a.numGroups },
+    b: { name: b.name, kind: b.kind, numCombos: b.combos.length, numGroups: b.numGroups },
+    supersetBands,
+    added,
+    removed,
+    changed,
+    grouping,
+    ordering: { changed: moved.length > 0, moved },
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      ulChanged: changed.filter(c => c.changes.includes(DIFF_CHANGE.UL)).length,
+      descriptorTypeChanged: changed.filter(c => c.changes.includes(DIFF_CHANGE.DESCRIPTOR_TYPE)).length,
+      groupingChanged: grouping.length,
+      moved: moved.length,
+      identical: added.length === 0 && removed.length === 0 && changed.length === 0 &&
+        grouping.length === 0 && moved.length === 0
+    }
+  };
+};
+
+// ==================== EXPORT ====================
+
+/**
+ * Format a diff as text lines
+ * Prefixes: "+" added, "-" removed, "~" changed, "#" grouping, ">" moved
+ *
+ * @param {Object} diff - diffComboSources result
+ * @returns {string[]}
+ */
+export const formatComboDiff = (diff) => {
+  const { summary } = diff;
+  const lines = [
+    `A: ${diff.a.name} (${diff.a.kind}, ${diff.a.numCombos} combos${diff.a.numGroups !== null ? `, ${diff.a.numGroups} DL groups` : ''})`,
+    `B: ${diff.b.name} (${diff.b.kind}, ${diff.b.numCombos} combos${diff.b.numGroups !== null ? `, ${diff.b.numGroups} DL groups` : ''})`,
+    '',
+    `Added: ${summary.added}, Removed: ${summary.removed}, Changed: ${summary.changed} ` +
+      `(UL: ${summary.ulChanged}, descriptor type: ${summary.descriptorTypeChanged}), ` +
+      `Grouping: ${summary.groupingChanged}, Moved: ${summary.moved}`
+  ];
+  if (diff.supersetBands) {
+    lines.splice(2, 0, 'Bands compared as their outermost supersets (B4 → B66, B2 → B25, ...)');
+  }
+
+  if (summary.identical) {
+    lines.push('', 'No differences');
+    return lines;
+  }
+
+  const section = (title, items, format) => {
+    if (items.length === 0) return;
+    lines.push('', `${title}:`);
+    items.forEach(item => lines.push(format(item)));
+  };
+
+  section('Added', diff.added, c => `+ ${c.dlText}  UL: ${c.ulConfigs.join(', ')}`);
+  section('Removed', diff.removed, c => `- ${c.dlText}  UL: ${c.ulConfigs.join(', ')}`);
+  section('Changed', diff.changed, c => {
+    const parts = [];
+    if (c.ul) {
+      if (c.ul.added.length > 0) parts.push(`UL added: ${c.ul.added.join(', ')}`);
+      if (c.ul.removed.length > 0) parts.push(`UL removed: ${c.ul.removed.join(', ')}`);
+    }
+    if (c.descriptorTypes) {
+      parts.push(`descriptor type: ${c.descriptorTypes.a.join('/')} → ${c.descriptorTypes.b.join('/')}`);
+    }
+    return `~ ${c.dlText}  ${parts.join('; ')}`;
+  });
+  section('Grouping', diff.grouping, g => (
+    `# ${g.dlText}  ${g.a.length} group(s) [${g.a.join(' / ')}] → ${g.b.length} group(s) [${g.b.join(' / ')}]`
+  ));
+  section('Moved', diff.ordering.moved, m => `> ${m.dlText}  #${m.fromIdx + 1} → #${m.toIdx + 1}`);
+
+  return lines;
+};
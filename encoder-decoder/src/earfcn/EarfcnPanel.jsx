@@ -0,0 +1,163 @@
+import React, { useState, useMemo } from 'react';
+import {
+  findCombosForEarfcn, findBandsByFrequency, getEarfcnInfo, getEarfcnTable, CHANNEL_LINK, BANDS
+} from '../shared/index.js';
+
+// ==================== CONSTANTS ====================
+
+const PREVIEW_LIMIT = 50;
+
+const BAND_OPTIONS = getEarfcnTable().map(info => info.band);
+
+const formatRange = (range) => (range ? `${range.first}–${range.last}` : '—');
+
+// Query for the combos of a channel: any carrier (DL) or a UL carrier (UL) in one of the bands
+const channelQuery = (result) => result.bands
+  .map(band => (result.channel.link === CHANNEL_LINK.UL ? `ul(${band})` : `band:${band}`))
+  .join(' | ');
+
+// ==================== COMPONENT ====================
+
+/**
+ * EARFCN calculator: band, link and frequency of an EARFCN with the combos
+ * of the current list that can use it, the bands and EARFCNs of a frequency
+ * and the EARFCN ranges of a band (TS 36.101)
+ */
+export default function EarfcnPanel({ combos, onFilter }) {
+  const [earfcnText, setEarfcnText] = useState('');
+  const [frequencyText, setFrequencyText] = useState('');
+  const [band, setBand] = useState(3);
+
+  const earfcn = /^\d+$/.test(earfcnText.trim()) ? parseInt(earfcnText.trim(), 10) : null;
+  const frequency = frequencyText.trim() !== '' && Number.isFinite(Number(frequencyText)) ? Number(frequencyText) : null;
+
+  const channelResult = useMemo(() => (
+    earfcn !== null ? findCombosForEarfcn(combos || [], earfcn) : null
+  ), [combos, earfcn]);
+  const frequencyBands = useMemo(() => (frequency !== null ? findBandsByFrequency(frequency) : null), [frequency]);
+  const bandInfo = getEarfcnInfo(band);
+
+  return (
+    <div className="mb-6 p-4 bg-gray-800 rounded-lg grid gap-4 md:grid-cols-3 text-sm">
+      <div className="space-y-2">
+        <label className="block text-gray-400 text-xs">EARFCN → band and frequency</label>
+        <input
+          type="text"
+          value={earfcnText}
+          onChange={(e) => setEarfcnText(e.target.value)}
+          placeholder="e.g. 1300, 66536"
+          className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white font-mono"
+        />
+        {earfcnText.trim() !== '' && !channelResult && (
+          <div className="text-red-400 text-xs">Not an EARFCN of a known band</div>
+        )}
+        {channelResult && (
+          <>
+            <div className="text-gray-200">
+              <span className="text-yellow-400 font-semibold">B{channelResult.channel.band}</span>{' '}
+              {channelResult.channel.link} {channelResult.channel.frequency.toFixed(1)} MHz
+            </div>
+            <div className="text-gray-500 text-xs">
+              Also in {channelResult.channel.link} of: {
+                channelResult.bands.filter(b => b !== channelResult.channel.band).map(b => `B${b}`).join(', ') || '—'
+              }
+            </div>
+            {combos && (
+              <div className="space-y-1">
+                <div className="flex items-center gap-2">
+                  <span className={channelResult.matches.length > 0 ? 'text-green-400' : 'text-gray-500'}>
+                    {channelResult.matches.length} of {combos.length} combos
+                  </span>
+                  {onFilter && channelResult.matches.length > 0 && (
+                    <button
+                      onClick={() => onFilter(channelQuery(channelResult))}
+                      title="Filter the table with these bands"
+                      className="px-2 py-0.5 bg-blue-600 hover:bg-blue-500 rounded text-xs"
+                    >
+                      🔎 Filter table
+                    </button>
+                  )}
+                </div>
+                <div className="max-h-40 overflow-y-auto font-mono text-xs space-y-0.5">
+                  {channelResult.matches.slice(0, PREVIEW_LIMIT).map(match => (
+                    <div key={match.index} className="text-gray-300">
+                      <span className="text-gray-500">#{match.index + 1}</span> {match.text}
+                    </div>
+                  ))}
+                  {channelResult.matches.length > PREVIEW_LIMIT && (
+                    <div className="text-gray-500">... {channelResult.matches.length - PREVIEW_LIMIT} more</div>
+                  )}
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <label className="block text-gray-400 text-xs">Frequency (MHz) → bands and EARFCNs</label>
+        <input
+          type="text"
+          value={frequencyText}
+          onChange={(e) => setFrequencyText(e.target.value)}
+          placeholder="e.g. 1815, 2120.5"
+          className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white font-mono"
+        />
+        {frequencyBands && (frequencyBands.length === 0 ? (
+          <div className="text-gray-500 text-xs">No band contains {frequency} MHz</div>
+        ) : (
+          <table className="w-full text-xs">
+            <tbody>
+              {frequencyBands.map(entry => (
+                <tr key={`${entry.band}${entry.link}`} className="border-b border-gray-700/50">
+                  <td className="py-0.5 pr-2 text-yellow-400">B{entry.band}</td>
+                  <td className="py-0.5 pr-2 text-gray-400">{entry.link}</td>
+                  <td className="py-0.5 font-mono text-gray-200">{entry.earfcn ?? '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ))}
+      </div>
+
+      <div className="space-y-2">
+        <label className="block text-gray-400 text-xs">Band → EARFCN ranges</label>
+        <select
+          value={band}
+          onChange={(e) => setBand(parseInt(e.target.value, 10))}
+          className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white"
+        >
+          {BAND_OPTIONS.map(b => <option key={b} value={b}>B{b} {BANDS[b].name}</option>)}
+        </select>
+        {bandInfo && (
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-gray-500 text-left">
+                <th className="pr-2"></th>
+                <th className="pr-2">F low</th>
+                <th className="pr-2">N Offs</th>
+                <th>EARFCN</th>
+              </tr>
+            </thead>
+            <tbody className="font-mono text-gray-200">
+              <tr>
+                <td className="pr-2 text-gray-400 font-sans">{bandInfo.ul === bandInfo.dl ? 'TDD' : 'DL'}</td>
+                <td className="pr-2">{bandInfo.dl.fLow}</td>
+                <td className="pr-2">{bandInfo.dl.nOffs}</td>
+                <td>{formatRange(bandInfo.dl)}</td>
+              </tr>
+              {bandInfo.ul !== bandInfo.dl && (
+                <tr>
+                  <td className="pr-2 text-gray-400 font-sans">UL</td>
+                  <td className="pr-2">{bandInfo.ul ? bandInfo.ul.fLow : '—'}</td>
+                  <td className="pr-2">{bandInfo.ul ? bandInfo.ul.nOffs : '—'}</td>
+                  <td>{formatRange(bandInfo.ul)}</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
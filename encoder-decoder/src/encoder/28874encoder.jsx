@@ -2,18 +2,54 @@
 
 import pako from 'pako';
 import {
+  MAX_CC,
   classToCC,
-  classLetterToNum,
-  classNumToLetter,
-  calculateStreams as sharedCalculateStreams,
-  hasULCA as sharedHasULCA,
-  getULCarriers,
+  calculateStreams,
+  hasULCA,
   getDLKey,
   sortCarriersByBand,
+  createCombo,
+  parseComboString,
+  comboToString,
+  carrierToLegacy,
+  legacyToCarrier,
+  getPCellIndex,
   validateCombo,
-  DEFAULT_LIMITS
+  DEFAULT_LIMITS,
+  DEFAULT_UL_MIMO_202
 } from '../shared/index.js';
 
+// ==================== DIAGNOSTICS ====================
+
+let debugLogger = null;
+
+/**
+ * Enable or disable the encoder's diagnostics (encoding mode, grouping decisions,
+ * skipped TXT lines). Off by default so library and CLI users get a quiet encoder.
+ *
+ * @param {boolean|function(...*): void} enabled - true logs to console.log, a function
+ *   receives the messages instead (e.g. console.error to keep stdout clean)
+ */
+export const setDebugLogging = (enabled) => {
+  debugLogger = typeof enabled === 'function' ? enabled : enabled ? console.log : null;
+};
+
+const debugLog = (...args) => {
+  if (debugLogger) debugLogger(...args);
+};
+
+// ==================== WARNINGS ====================
+
+/**
+ * Warning of an encode run, in the ValidationError shape with the entry text in details
+ */
+const encodeWarning = (entry, code, message, details = {}) => ({
+  code,
+  message: `"${entry.text}": ${message}`,
+  severity: 'warning',
+  details: { ...details, text: entry.text }
+});
+
 // ==================== COMPRESSION ====================
 
 /**
@@ -31,72 +67,23 @@ export const compressZlib = (arrayBuffer) => {
   }
 };
 
-// ==================== PARSING ====================
-
-/**
- * Parse a combo string into carriers array
- * Format: BAND + CLASS + [MIMO] + [ULCLASS]
- * Example: "3A4A-7B2-20A2C"
- */
-export const parseComboString = (comboStr) => {
-  const carriers = [];
-  const parts = comboStr.trim().split('-');
-
-  for (const part of parts) {
-    if (!part) continue;
-
-    const match = part.match(/^(\d+)([A-Z])(\d+)?([A-Z])?$/i);
-
-    if (!match) {
-      throw new Error(`Invalid carrier format: ${part}`);
-    }
-
-    const band = parseInt(match[1], 10);
-    const bclass = match[2].toUpperCase().charCodeAt(0) - 0x40;
-    const ant = match[3] ? parseInt(match[3], 10) : 2;
-    const ulclass = match[4] ? match[4].toUpperCase().charCodeAt(0) - 0x40 : 0;
-
-    carriers.push({ band, bclass, ant, ulclass });
-  }
-
-  return carriers;
-};
-
-// ==================== STREAMS CALCULATION ====================
-
-/**
- * Calculate streams using unified formula: sum(CC_count * MIMO)
- * CC_count: A=1, B=2, C=3, D=4, E=5, F=6
- *
- * This is the CORRECT formula. The old formula (bclass-1)*ant was WRONG.
- */
-export const calculateStreams = (carriers) => {
-  if (!carriers || carriers.length === 0) return 0;
-
-  let total = 0;
-  for (const c of carriers) {
-    const ccCount = classToCC(c.bclass);
-    const mimo = c.ant || 2;
-    total += ccCount * mimo;
-  }
-  return total;
-};
-
-// ==================== UL CA DETECTION ====================
+// ==================== ENTRIES ====================
 
 /**
- * Check if carriers have UL CA
- * UL CA exists when more than one carrier has UL configured
- *
- * FIXED: The old logic "ulCount > 1 || ulclass > 2" was incorrect.
- * UL CA simply means multiple UL carriers.
+ * Create an encoder entry from a combo
+ * Streams, UL CA and the DL grouping key are derived from the carriers;
+ * `fields` overrides them (e.g. values read from a TXT file) or adds more.
  */
-export const checkHasULCA = (carriers) => {
-  if (!carriers || carriers.length === 0) return false;
-
-  const ulCount = carriers.filter(c => c.ulclass > 0).length;
-  return ulCount > 1;
-};
+export const createEntry = (combo, fields = {}) => ({
+  text: comboToString(combo),
+  carriers: combo.carriers,
+  pcellIndex: combo.pcellIndex,
+  streams: calculateStreams(combo.carriers),
+  hasULCA: hasULCA(combo.carriers),
+  dlKey: getDLKey(combo.carriers),
+  descType: null, // DL descriptor type of a decoded combo, the encode settings choose it otherwise
+  ...fields
+});
 
 // ==================== FILE PARSING ====================
 
@@ -114,30 +101,20 @@ export const parseComboFile = (text, shouldRecalculate) => {
       continue;
     }
 
-    const match = trimmed.match(/^([A-Z0-9-]+)\s+(\d+)(\*)?/i);
+    const match = trimmed.match(/^([A-Z0-9^-]+)\s+(\d+)(\*)?/i);
     if (match) {
       try {
         const comboStr = match[1];
         const fileStreams = parseInt(match[2], 10);
         const fileHasULCA = match[3] === '*';
-        const carriers = parseComboString(comboStr);
+        const combo = parseComboString(comboStr);
 
-        const streams = shouldRecalculate ? calculateStreams(carriers) : fileStreams;
-        const hasULCA = shouldRecalculate ? checkHasULCA(carriers) : fileHasULCA;
-
-        // Generate DL key for grouping (normalized to 6 elements)
-        const dlKey = getDLKey(carriers);
-
-        entries.push({
+        entries.push(createEntry(combo, {
           text: comboStr,
-          carriers,
-          streams,
-          hasULCA,
-          dlKey,
-          descType: 201 // Default, will be set based on settings
-        });
+          ...(shouldRecalculate ? {} : { streams: fileStreams, hasULCA: fileHasULCA })
+        }));
       } catch (e) {
-        console.warn(`Skipping invalid line: ${trimmed}`, e);
+        debugLog(`Skipping invalid line: ${trimmed} (${e.message})`);
       }
     }
   }
@@ -145,22 +122,57 @@ export const parseComboFile = (text, shouldRecalculate) => {
   return entries;
 };
 
+/**
+ * Convert decoded combos (decodeFile output) into encoder entries
+ * Each entry keeps its decoded UL slots and reserved bytes in `original`,
+ * so combos that are not edited are written back unchanged.
+ */
+export const decodedCombosToEntries = (combos, shouldRecalculate) => {
+  return combos.map((combo) => {
+    try {
+      // Combos read back from JSON (CLI) may only have the text
+      const decoded = combo.carriers
+        ? createCombo({ carriers: combo.carriers, pcellIndex: combo.pcellIndex ?? null })
+        : parseComboString(combo.text);
+      return createEntry(decoded, {
+        text: combo.text,
+        ...(shouldRecalculate ? {} : { streams: combo.streams, hasULCA: combo.hasULCA }),
+        descType: combo.descType,
+        groupIdx: combo.groupIdx,
+        original: combo.rawUlSlots ? {
+          text: combo.text,
+          ulDescType: combo.ulDescType,
+          ulSlots: combo.rawUlSlots,
+          reservedBytes: combo.reservedBytes
+        } : null
+      });
+    } catch {
+      return null;
+    }
+  }).filter(Boolean);
+};
+
+/**
+ * Convert combos of the shared model (e.g. imported from a UE capability) into encoder entries
+ */
+export const combosToEntries = (combos) => combos.map(combo => createEntry(combo));
+
 // ==================== FORMAT DETECTION ====================
 
 /**
  * Determine if a combo needs extended format (201/202)
- * Extended format is needed when MIMO != 2
+ * Extended format is needed when MIMO != 2 or UL MIMO > 1 (138 has no UL MIMO field)
  */
 export const needsExtendedFormat = (carriers) => {
-  return carriers.some(c => c.ant !== 2 && c.ant !== 0);
+  return carriers.some(c => c.mimoDl !== 2 || c.mimoUl > 1);
 };
 
 /**
  * Determine if a combo needs full format (333/334)
- * Full format is needed for MIMO > 4 or special cases
+ * Full format is needed for MIMO > 4 or UL MIMO 2 (202 reads it as one layer)
  */
 export const needsFullFormat = (carriers) => {
-  return carriers.some(c => c.ant > 4);
+  return carriers.some(c => c.mimoDl > 4 || c.mimoUl === DEFAULT_UL_MIMO_202);
 };
 
 /**
@@ -176,7 +188,8 @@ export const determineMinimumFormat = (carriers) => {
 // ==================== VALIDATION ====================
 
 /**
- * Validate carriers before encoding
+ * Validate carriers before encoding (options.pcellIndex: the entry's explicit PCell)
+ * Other options (profile, checkInterference, rules, combo) go to validateCombo.
  * Returns { valid, errors, warnings }
  */
 export const validateForEncoding = (carriers, options = {}) => {
@@ -184,13 +197,14 @@ export const validateForEncoding = (carriers, options = {}) => {
     maxCC = 6,
     maxDLCC = DEFAULT_LIMITS.maxDLCC,
     maxULSCell = DEFAULT_LIMITS.maxULSCell,
-    maxTotalUL = DEFAULT_LIMITS.maxTotalUL
+    maxTotalUL = DEFAULT_LIMITS.maxTotalUL,
+    pcellIndex = null
   } = options;
 
-  const result = validateCombo(carriers, { maxCC, maxDLCC, maxULSCell, maxTotalUL });
+  const result = validateCombo(carriers, { ...options, maxCC, maxDLCC, maxULSCell, maxTotalUL, pcellIndex });
 
   // Additional encoding-specific checks
-  const totalCC = carriers.reduce((sum, c) => sum + classToCC(c.bclass), 0);
+  const totalCC = carriers.reduce((sum, c) => sum + classToCC(c.dlClass), 0);
   if (totalCC > 6) {
     result.errors.push({
       code: 'EXCEED_NV_LIMIT',
@@ -206,59 +220,152 @@ export const validateForEncoding = (carriers, options = {}) => {
 // ==================== NORMALIZATION ====================
 
 /**
- * Normalize carriers to canonical order (sorted by band)
- * This ensures deterministic output
+ * Carriers in the NV descriptor form, padded to 6 elements
+ */
+export const padCarriers = (carriers) => {
+  const result = [];
+  for (let i = 0; i < MAX_CC; i++) {
+    result.push(carriers[i] ? carrierToLegacy(carriers[i]) : { band: 0, bclass: 0, ant: 0, ulclass: 0, ulmimo: 0 });
+  }
+  return result;
+};
+
+// ==================== UL DESCRIPTORS ====================
+
+/**
+ * Regions of the UL descriptors not covered by band/class, in bytes:
+ * [after UL slot 0, after UL slot 1, tail]
+ * The bytes after each slot hold the UL MIMO: one byte in 202, 8 MIMO digit
+ * bytes in 334 (same encoding as the 333 DL MIMO). 138 has no UL MIMO.
+ */
+export const UL_RESERVED_LAYOUT = {
+  138: [0, 0, 12],
+  202: [1, 1, 16],
+  334: [8, 8, 44]
+};
+
+/**
+ * Check whether an entry still matches the combo it was decoded from
+ */
+const isUnedited = (entry, ulDescType) => (
+  !!entry.original &&
+  entry.original.ulDescType === ulDescType &&
+  entry.original.text === entry.text
+);
+
+/**
+ * UL slots and reserved bytes to write for an entry
+ * Unedited entries decoded from a file keep their original slots (including
+ * their order) and reserved bytes, so the file round-trips byte for byte.
+ * A PCell without UL (PCELL_WITHOUT_UL, reported by the validation) leaves
+ * the UL slots in combo order.
  */
-export const normalizeCarriers = (carriers) => {
-  if (!carriers || carriers.length === 0) return [];
+const getULDescriptorData = (entry, ulDescType, warnings) => {
+  if (isUnedited(entry, ulDescType)) {
+    return { slots: entry.original.ulSlots, reserved: entry.original.reservedBytes };
+  }
 
-  // Sort by band number, then by class
-  return [...carriers].sort((a, b) => {
-    if (a.band !== b.band) return a.band - b.band;
-    return a.bclass - b.bclass;
+  // The PCell takes UL slot 0, the other UL carriers follow in combo order
+  const pcell = getPCellIndex(entry.carriers, entry.pcellIndex);
+  const ulCarriers = padCarriers(entry.carriers)
+    .map((c, i) => ({ c, i }))
+    .filter(({ c }) => c.ulclass > 0)
+    .sort((a, b) => (b.i === pcell) - (a.i === pcell))
+    .slice(0, DEFAULT_LIMITS.maxTotalUL)
+    .map(({ c }) => c);
+  const slots = [0, 1].map(i => (
+    ulCarriers[i] ? { band: ulCarriers[i].band, ulclass: ulCarriers[i].ulclass } : { band: 0, ulclass: 0 }
+  ));
+  const reserved = UL_RESERVED_LAYOUT[ulDescType].map(n => new Array(n).fill(0));
+
+  // UL MIMO layers of the used slots
+  slots.forEach((slot, i) => {
+    if (slot.band === 0) return;
+    const { ulmimo } = ulCarriers[i];
+    if (ulDescType === 202) {
+      reserved[i][0] = ulmimo > DEFAULT_UL_MIMO_202 ? ulmimo : DEFAULT_UL_MIMO_202;
+    } else if (ulDescType === 334) {
+      if (ulmimo > 1) reserved[i] = toMimoDigits(ulmimo);
+    }
+    const stored = ulDescType === 334 || (ulDescType === 202 && ulmimo > DEFAULT_UL_MIMO_202);
+    if (ulmimo > 1 && !stored && warnings) {
+      warnings.push(encodeWarning(
+        entry,
+        'UL_MIMO_NOT_STORED',
+        `UL MIMO ${ulmimo} on band ${slot.band} cannot be stored in a ${ulDescType} descriptor`,
+        { band: slot.band, mimoUl: ulmimo }
+      ));
+    }
   });
+
+  return { slots, reserved };
 };
 
 /**
- * Pad carriers array to 6 elements
+ * Write one 138/202/334 descriptor
  */
-export const padCarriers = (carriers) => {
-  const result = [];
-  for (let i = 0; i < 6; i++) {
-    result.push(carriers[i] || { band: 0, bclass: 0, ant: 0, ulclass: 0 });
+const writeULDescriptor = (writeUint16, writeUint8, ulDescType, entry, warnings) => {
+  const { slots, reserved } = getULDescriptorData(entry, ulDescType, warnings);
+
+  writeUint16(ulDescType);
+  slots.forEach((slot, i) => {
+    writeUint16(slot.band);
+    writeUint8(slot.ulclass);
+    reserved[i].forEach(b => writeUint8(b));
+  });
+  reserved[2].forEach(b => writeUint8(b));
+};
+
+/**
+ * 8 MIMO digit bytes as used by 333/334 (e.g. 4 → [4, 0, 0, 0, 0, 0, 0, 0])
+ */
+const toMimoDigits = (mimo) => {
+  const mimoStr = (mimo || 0).toString();
+  const digits = [];
+  for (let j = 0; j < 8; j++) {
+    digits.push(j < mimoStr.length ? parseInt(mimoStr[j], 10) : 0);
   }
-  return result;
+  return digits;
+};
+
+/**
+ * Write the 8 MIMO digit bytes of one 333 carrier slot
+ * Raw bytes from a decoded group are written as stored.
+ */
+const writeMimoDigits = (writeUint8, ant, rawBytes) => {
+  (rawBytes || toMimoDigits(ant)).forEach(b => writeUint8(b));
 };
 
 // ==================== ENCODING WITH ORIGINAL GROUPING ====================
 
 /**
  * Encode using original grouping logic from decoded file
+ * Encode warnings are added to `warnings` when given.
  */
-export const encodeWithOriginalGrouping = ({ encodeEntries, formatVersion, originalGroups }) => {
+export const encodeWithOriginalGrouping = ({ encodeEntries, formatVersion, originalGroups, warnings = null }) => {
   if (!originalGroups || originalGroups.length === 0) {
     throw new Error('No original grouping data available');
   }
 
-  console.log('encodeWithOriginalGrouping called');
-  console.log('originalGroups count:', originalGroups.length);
-  console.log('encodeEntries count:', encodeEntries.length);
+  debugLog('encodeWithOriginalGrouping called');
+  debugLog('originalGroups count:', originalGroups.length);
+  debugLog('encodeEntries count:', encodeEntries.length);
 
   const encodingGroups = [];
   const usedEntries = new Set();
 
-  // Build DL key for comparison
-  const getDLKeyFromCarriers = (carriers) => {
-    const padded = padCarriers(carriers);
-    return padded.map(c => `${c.band}:${c.bclass}:${c.ant}`).join('|');
-  };
-
+  // DL key of a decoded group, null if its slots are not valid carriers
   const getGroupDLKey = (group) => {
-    const parts = [];
-    for (let i = 0; i < 6; i++) {
-      parts.push(`${group.band[i] || 0}:${group.bclass[i] || 0}:${group.ant[i] || 0}`);
+    try {
+      const carriers = [];
+      for (let i = 0; i < MAX_CC; i++) {
+        if (!group.band[i]) continue;
+        carriers.push(legacyToCarrier({ band: group.band[i], bclass: group.bclass[i], ant: group.ant[i] || 0, ulclass: 0 }));
+      }
+      return getDLKey(carriers);
+    } catch {
+      return null;
     }
-    return parts.join('|');
   };
 
   // First pass: match entries to groups by groupIdx
@@ -282,12 +389,13 @@ export const encodeWithOriginalGrouping = ({ encodeEntries, formatVersion, origi
         band: [...group.band],
         bclass: [...group.bclass],
         ant: [...group.ant],
+        rawMimo: group.rawMimo || null,
         entries: matchingEntries
       });
     }
   }
 
-  console.log('After groupIdx matching:', encodingGroups.length, 'groups,', usedEntries.size, 'entries used');
+  debugLog('After groupIdx matching:', encodingGroups.length, 'groups,', usedEntries.size, 'entries used');
 
   // Second pass: match remaining entries by DL key
   if (usedEntries.size < encodeEntries.length) {
@@ -298,7 +406,7 @@ export const encodeWithOriginalGrouping = ({ encodeEntries, formatVersion, origi
       const entry = encodeEntries[i];
       if (!entry.carriers || entry.carriers.length === 0) continue;
 
-      const dlKey = getDLKeyFromCarriers(entry.carriers);
+      const dlKey = getDLKey(entry.carriers);
       if (!remainingByDL.has(dlKey)) {
         remainingByDL.set(dlKey, []);
       }
@@ -323,10 +431,9 @@ export const encodeWithOriginalGrouping = ({ encodeEntries, formatVersion, origi
       if (!matched) {
         const firstEntry = entriesForKey[0].entry;
         const padded = padCarriers(firstEntry.carriers);
-        const needsExt = padded.some(c => c.ant !== 2 && c.ant !== 0 && c.band !== 0);
 
         encodingGroups.push({
-          descType: needsExt ? 201 : 137,
+          descType: needsExtendedFormat(firstEntry.carriers) ? 201 : 137,
           band: padded.map(c => c.band),
           bclass: padded.map(c => c.bclass),
           ant: padded.map(c => c.ant),
@@ -338,8 +445,8 @@ export const encodeWithOriginalGrouping = ({ encodeEntries, formatVersion, origi
     }
   }
 
-  console.log('Final encodingGroups count:', encodingGroups.length);
-  console.log('Total entries used:', usedEntries.size);
+  debugLog('Final encodingGroups count:', encodingGroups.length);
+  debugLog('Total entries used:', usedEntries.size);
 
   // Calculate buffer size
   let totalSize = 4; // Header
@@ -375,12 +482,6 @@ export const encodeWithOriginalGrouping = ({ encodeEntries, formatVersion, origi
     offset += 1;
   };
 
-  const writeZeros = (n) => {
-    for (let i = 0; i < n; i++) {
-      view.setUint8(offset++, 0);
-    }
-  };
-
   // Write header
   writeUint16(formatVersion);
   writeUint16(numDescriptors);
@@ -395,35 +496,9 @@ export const encodeWithOriginalGrouping = ({ encodeEntries, formatVersion, origi
       }
 
       // Preserve original entry order (don't sort - device may be order-sensitive)
+      // UL carriers beyond maxTotalUL are dropped (EXCEED_MAX_TOTAL_UL in the validation)
       for (const entry of group.entries) {
-        const carriers = padCarriers(entry.carriers);
-        const ulCarriers = carriers.filter(c => c.ulclass > 0).slice(0, DEFAULT_LIMITS.maxTotalUL);
-
-        // Warn if UL carriers are being truncated
-        const allUL = carriers.filter(c => c.ulclass > 0);
-        if (allUL.length > DEFAULT_LIMITS.maxTotalUL) {
-          console.warn(`Entry "${entry.text}" has ${allUL.length} UL carriers, truncating to ${DEFAULT_LIMITS.maxTotalUL}`);
-        }
-
-        writeUint16(138);
-
-        if (ulCarriers.length > 0) {
-          writeUint16(ulCarriers[0].band);
-          writeUint8(ulCarriers[0].ulclass);
-        } else {
-          writeUint16(0);
-          writeUint8(0);
-        }
-
-        if (ulCarriers.length > 1) {
-          writeUint16(ulCarriers[1].band);
-          writeUint8(ulCarriers[1].ulclass);
-        } else {
-          writeUint16(0);
-          writeUint8(0);
-        }
-
-        writeZeros(12);
+        writeULDescriptor(writeUint16, writeUint8, 138, entry, warnings);
       }
     } else if (group.descType === 201) {
       writeUint16(201);
@@ -435,79 +510,18 @@ export const encodeWithOriginalGrouping = ({ encodeEntries, formatVersion, origi
 
       // Preserve original entry order (don't sort - device may be order-sensitive)
       for (const entry of group.entries) {
-        const carriers = padCarriers(entry.carriers);
-        const ulCarriers = carriers.filter(c => c.ulclass > 0).slice(0, DEFAULT_LIMITS.maxTotalUL);
-
-        const allUL = carriers.filter(c => c.ulclass > 0);
-        if (allUL.length > DEFAULT_LIMITS.maxTotalUL) {
-          console.warn(`Entry "${entry.text}" has ${allUL.length} UL carriers, truncating to ${DEFAULT_LIMITS.maxTotalUL}`);
-        }
-
-        writeUint16(202);
-
-        if (ulCarriers.length > 0) {
-          writeUint16(ulCarriers[0].band);
-          writeUint8(ulCarriers[0].ulclass);
-          writeUint8(2); // UL MIMO - typically 2 for UL
-        } else {
-          writeUint16(0);
-          writeUint8(0);
-          writeUint8(0);
-        }
-
-        if (ulCarriers.length > 1) {
-          writeUint16(ulCarriers[1].band);
-          writeUint8(ulCarriers[1].ulclass);
-          writeUint8(2);
-        } else {
-          writeUint16(0);
-          writeUint8(0);
-          writeUint8(0);
-        }
-
-        writeZeros(16);
+        writeULDescriptor(writeUint16, writeUint8, 202, entry, warnings);
       }
     } else if (group.descType === 333) {
       writeUint16(333);
       for (let i = 0; i < 6; i++) {
         writeUint16(group.band[i] || 0);
         writeUint8(group.bclass[i] || 0);
-
-        const antStr = (group.ant[i] || 0).toString();
-        for (let j = 0; j < 8; j++) {
-          if (j < antStr.length) {
-            writeUint8(parseInt(antStr[j], 10));
-          } else {
-            writeUint8(0);
-          }
-        }
+        writeMimoDigits(writeUint8, group.ant[i], group.rawMimo ? group.rawMimo[i] : null);
       }
 
       for (const entry of group.entries) {
-        const carriers = padCarriers(entry.carriers);
-        const ulCarriers = carriers.filter(c => c.ulclass > 0).slice(0, DEFAULT_LIMITS.maxTotalUL);
-
-        writeUint16(334);
-
-        if (ulCarriers.length > 0) {
-          writeUint16(ulCarriers[0].band);
-          writeUint8(ulCarriers[0].ulclass);
-        } else {
-          writeUint16(0);
-          writeUint8(0);
-        }
-        writeZeros(8);
-
-        if (ulCarriers.length > 1) {
-          writeUint16(ulCarriers[1].band);
-          writeUint8(ulCarriers[1].ulclass);
-        } else {
-          writeUint16(0);
-          writeUint8(0);
-        }
-        writeZeros(8);
-
-        writeZeros(44);
+        writeULDescriptor(writeUint16, writeUint8, 334, entry, warnings);
       }
     }
   }
@@ -519,6 +533,9 @@ export const encodeWithOriginalGrouping = ({ encodeEntries, formatVersion, origi
 
 /**
  * Encode entries to binary buffer with grouping optimization and mixed formats
+ * Entries failing validateForEncoding are still encoded; their errors, and
+ * what the chosen descriptors cannot store (UL_MIMO_NOT_STORED), are added
+ * to `warnings` when given (ValidationError shape, entry text in details).
  */
 export const encodeToBuffer = ({
   encodeEntries,
@@ -527,32 +544,33 @@ export const encodeToBuffer = ({
   optimizeGrouping,
   autoDescriptorType,
   preserveOriginalGrouping,
-  originalGroups
+  originalGroups,
+  warnings = null
 }) => {
   if (encodeEntries.length === 0) {
     throw new Error('No entries to encode');
   }
 
-  console.log('encodeToBuffer called');
-  console.log('preserveOriginalGrouping:', preserveOriginalGrouping);
-  console.log('originalGroups:', originalGroups ? originalGroups.length : 'null');
+  debugLog('encodeToBuffer called');
+  debugLog('preserveOriginalGrouping:', preserveOriginalGrouping);
+  debugLog('originalGroups:', originalGroups ? originalGroups.length : 'null');
+
+  // Validate all entries before encoding
+  if (warnings) {
+    for (const entry of encodeEntries) {
+      if (!entry.carriers || entry.carriers.length === 0) continue;
+      const validation = validateForEncoding(entry.carriers, { pcellIndex: entry.pcellIndex ?? null });
+      validation.errors.forEach(err => warnings.push(encodeWarning(entry, err.code, err.message, err.details)));
+    }
+  }
 
   // Use original grouping if enabled and available
   if (preserveOriginalGrouping && originalGroups && originalGroups.length > 0) {
-    console.log('Using encodeWithOriginalGrouping');
-    return encodeWithOriginalGrouping({ encodeEntries, formatVersion, originalGroups });
+    debugLog('Using encodeWithOriginalGrouping');
+    return encodeWithOriginalGrouping({ encodeEntries, formatVersion, originalGroups, warnings });
   }
 
-  console.log('Using auto-detect mode');
-
-  // Validate all entries before encoding
-  for (const entry of encodeEntries) {
-    if (!entry.carriers || entry.carriers.length === 0) continue;
-    const validation = validateForEncoding(entry.carriers);
-    if (!validation.valid) {
-      console.warn(`Validation warnings for "${entry.text}":`, validation.errors);
-    }
-  }
+  debugLog('Using auto-detect mode');
 
   // Separate entries by format type if auto-detect is enabled
   let entries137 = [];
@@ -598,7 +616,7 @@ export const encodeToBuffer = ({
     if (!optimizeGrouping) {
       // Each entry in its own group, with its own DL data
       return entries.map(e => {
-        const normalized = normalizeCarriers(e.carriers || []);
+        const normalized = sortCarriersByBand(e.carriers || []);
         const padded = padCarriers(normalized);
         return {
           dlData: {
@@ -616,7 +634,7 @@ export const encodeToBuffer = ({
       if (!entry.carriers || entry.carriers.length === 0) continue;
 
       // Normalize carriers for canonical key
-      const normalized = normalizeCarriers(entry.carriers);
+      const normalized = sortCarriersByBand(entry.carriers);
       const padded = padCarriers(normalized);
       const dlKey = getDLKey(normalized);
 
@@ -678,12 +696,6 @@ export const encodeToBuffer = ({
     offset += 1;
   };
 
-  const writeZeros = (n) => {
-    for (let i = 0; i < n; i++) {
-      view.setUint8(offset++, 0);
-    }
-  };
-
   // Write header
   writeUint16(formatVersion);
   writeUint16(numDescriptors);
@@ -701,28 +713,7 @@ export const encodeToBuffer = ({
 
     // Preserve original entry order (don't sort - device may be order-sensitive)
     for (const entry of entries) {
-      const entryCarriers = padCarriers(entry.carriers);
-      const ulCarriers = entryCarriers.filter(c => c.ulclass > 0).slice(0, DEFAULT_LIMITS.maxTotalUL);
-
-      writeUint16(138);
-
-      if (ulCarriers.length > 0) {
-        writeUint16(ulCarriers[0].band);
-        writeUint8(ulCarriers[0].ulclass);
-      } else {
-        writeUint16(0);
-        writeUint8(0);
-      }
-
-      if (ulCarriers.length > 1) {
-        writeUint16(ulCarriers[1].band);
-        writeUint8(ulCarriers[1].ulclass);
-      } else {
-        writeUint16(0);
-        writeUint8(0);
-      }
-
-      writeZeros(12);
+      writeULDescriptor(writeUint16, writeUint8, 138, entry, warnings);
     }
   }
 
@@ -740,32 +731,7 @@ export const encodeToBuffer = ({
 
     // Preserve original entry order (don't sort - device may be order-sensitive)
     for (const entry of entries) {
-      const entryCarriers = padCarriers(entry.carriers);
-      const ulCarriers = entryCarriers.filter(c => c.ulclass > 0).slice(0, DEFAULT_LIMITS.maxTotalUL);
-
-      writeUint16(202);
-
-      if (ulCarriers.length > 0) {
-        writeUint16(ulCarriers[0].band);
-        writeUint8(ulCarriers[0].ulclass);
-        writeUint8(2); // UL MIMO
-      } else {
-        writeUint16(0);
-        writeUint8(0);
-        writeUint8(0);
-      }
-
-      if (ulCarriers.length > 1) {
-        writeUint16(ulCarriers[1].band);
-        writeUint8(ulCarriers[1].ulclass);
-        writeUint8(2); // UL MIMO
-      } else {
-        writeUint16(0);
-        writeUint8(0);
-        writeUint8(0);
-      }
-
-      writeZeros(16);
+      writeULDescriptor(writeUint16, writeUint8, 202, entry, warnings);
     }
   }
 
@@ -778,43 +744,12 @@ export const encodeToBuffer = ({
     for (let i = 0; i < 6; i++) {
       writeUint16(dlData.band[i] || 0);
       writeUint8(dlData.bclass[i] || 0);
-
-      const antStr = (dlData.ant[i] || 0).toString();
-      for (let j = 0; j < 8; j++) {
-        if (j < antStr.length) {
-          writeUint8(parseInt(antStr[j], 10));
-        } else {
-          writeUint8(0);
-        }
-      }
+      writeMimoDigits(writeUint8, dlData.ant[i], null);
     }
 
     // Preserve original entry order (don't sort - device may be order-sensitive)
     for (const entry of entries) {
-      const entryCarriers = padCarriers(entry.carriers);
-      const ulCarriers = entryCarriers.filter(c => c.ulclass > 0).slice(0, DEFAULT_LIMITS.maxTotalUL);
-
-      writeUint16(334);
-
-      if (ulCarriers.length > 0) {
-        writeUint16(ulCarriers[0].band);
-        writeUint8(ulCarriers[0].ulclass);
-      } else {
-        writeUint16(0);
-        writeUint8(0);
-      }
-      writeZeros(8);
-
-      if (ulCarriers.length > 1) {
-        writeUint16(ulCarriers[1].band);
-        writeUint8(ulCarriers[1].ulclass);
-      } else {
-        writeUint16(0);
-        writeUint8(0);
-      }
-      writeZeros(8);
-
-      writeZeros(44);
+      writeULDescriptor(writeUint16, writeUint8, 334, entry, warnings);
     }
   }
 
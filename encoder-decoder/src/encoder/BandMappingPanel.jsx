@@ -0,0 +1,125 @@
+import React, { useState, useMemo } from 'react';
+import {
+  rewriteComboBands, getSupersetBands, getOutermostBand, DEVICE_PROFILES, DEFAULT_PROFILE
+} from '../shared/index.js';
+
+// ==================== COMPONENT ====================
+
+/**
+ * Band mapping panel of the encoder: rewrites a band of all combos to one of
+ * its superset bands (B4 → B66, B2 → B25, B12 → B85, ...). Combos the
+ * rewrite turns into combos already in the list are dropped; rewritten combos
+ * the selected device profile does not allow are listed and marked in the
+ * table.
+ */
+export default function BandMappingPanel({ entries, onRewrite }) {
+  // Bands of the list that have a superset
+  const bands = useMemo(() => [...new Set(
+    entries.flatMap(entry => (entry.carriers || []).map(c => c.band))
+  )].filter(band => getSupersetBands(band).length > 0).sort((a, b) => a - b), [entries]);
+
+  const [selectedFrom, setSelectedFrom] = useState(null);
+  const [selectedTo, setSelectedTo] = useState(null);
+  const [selectedProfile, setSelectedProfile] = useState('default');
+
+  const fromBand = bands.includes(selectedFrom) ? selectedFrom : bands[0] ?? null;
+  const supersets = fromBand !== null ? getSupersetBands(fromBand) : [];
+  const toBand = supersets.includes(selectedTo) ? selectedTo : fromBand !== null ? getOutermostBand(fromBand) : null;
+
+  const profile = selectedProfile === 'default'
+    ? DEFAULT_PROFILE
+    : DEVICE_PROFILES[selectedProfile] || DEFAULT_PROFILE;
+
+  const preview = useMemo(() => (
+    fromBand !== null ? rewriteComboBands(entries, fromBand, toBand, { profile }) : null
+  ), [entries, fromBand, toBand, profile]);
+
+  if (!preview) {
+    return (
+      <div className="mb-4 p-3 bg-gray-900 rounded-lg text-sm text-gray-400">
+        No band of the list is a subset of another band (B4/B66, B2/B25, B5/B26, B12/B85, B1/B65, ...).
+      </div>
+    );
+  }
+
+  const handleRewrite = () => {
+    setSelectedFrom(null);
+    setSelectedTo(null);
+    onRewrite(fromBand, toBand, profile);
+  };
+
+  return (
+    <div className="mb-4 p-3 bg-gray-900 rounded-lg space-y-3">
+      <div className="flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-gray-400 text-xs mb-1">Band</label>
+          <select
+            value={fromBand}
+            onChange={(e) => setSelectedFrom(parseInt(e.target.value, 10))}
+            className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white text-sm"
+          >
+            {bands.map(band => <option key={band} value={band}>B{band}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-gray-400 text-xs mb-1">Superset band</label>
+          <select
+            value={toBand}
+            onChange={(e) => setSelectedTo(parseInt(e.target.value, 10))}
+            className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white text-sm"
+          >
+            {supersets.map(band => <option key={band} value={band}>B{band}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-gray-400 text-xs mb-1">Device profile</label>
+          <select
+            value={selectedProfile}
+            onChange={(e) => setSelectedProfile(e.target.value)}
+            className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white text-sm"
+          >
+            <option value="default">Default (Max 5 DL CC, 1 UL SCell)</option>
+            {Object.entries(DEVICE_PROFILES).map(([key, p]) => (
+              <option key={key} value={key}>
+                {p.name} (Max {p.maxDLCC} DL CC, {p.maxULSCell} UL SCell)
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="flex-1 text-sm text-gray-300">
+          {preview.rewritten} combo(s) with B{fromBand}
+          <span className="text-gray-500"> · </span>
+          <span className={preview.duplicates.length > 0 ? 'text-yellow-400' : ''}>
+            {preview.duplicates.length} become duplicates
+          </span>
+          <span className="text-gray-500"> · </span>
+          <span className={preview.conflicts.length > 0 ? 'text-red-400' : 'text-green-400'}>
+            {preview.conflicts.length} outside the profile
+          </span>
+        </div>
+        <button
+          onClick={handleRewrite}
+          disabled={preview.rewritten === 0}
+          className="px-4 py-1 bg-green-600 hover:bg-green-500 disabled:bg-gray-600 disabled:cursor-not-allowed rounded text-sm font-medium transition-colors"
+        >
+          Rewrite B{fromBand} → B{toBand}
+        </button>
+      </div>
+
+      {(preview.duplicates.length > 0 || preview.conflicts.length > 0) && (
+        <div className="max-h-64 overflow-y-auto space-y-1 text-xs font-mono">
+          {preview.duplicates.map(d => (
+            <div key={d.index} className="text-yellow-300">
+              <span className="text-gray-500">#{d.index + 1}</span> {d.text} → {d.as} already listed, dropped
+            </div>
+          ))}
+          {preview.conflicts.map(c => (
+            <div key={c.index} className="text-red-300">
+              {c.text}: {c.errors.map(e => e.message).join(' ')}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
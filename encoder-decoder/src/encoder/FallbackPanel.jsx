@@ -0,0 +1,101 @@
+import React, { useState, useMemo } from 'react';
+import { analyzeFallbacks, comboToString, DEVICE_PROFILES, DEFAULT_PROFILE } from '../shared/index.js';
+
+// ==================== HELPERS ====================
+
+const rowNumbers = (indices) => indices.map(i => `#${i + 1}`).join(', ');
+
+// ==================== COMPONENT ====================
+
+/**
+ * Fallback panel of the encoder: for every combo its sub-combinations and
+ * lower classes (1A-3A-7C → 1A-3A, 3A-7C, 3A-7B, ...) that are missing,
+ * listed twice or only listed with lower DL MIMO. Missing fallbacks within
+ * the limits of the selected device profile can be inserted in one click,
+ * each right after the combo that needs it.
+ */
+export default function FallbackPanel({ entries, onInsert }) {
+  const [selectedProfile, setSelectedProfile] = useState('default');
+
+  const profile = selectedProfile === 'default'
+    ? DEFAULT_PROFILE
+    : DEVICE_PROFILES[selectedProfile] || DEFAULT_PROFILE;
+
+  const analysis = useMemo(() => analyzeFallbacks(entries, { profile }), [entries, profile]);
+  const { summary } = analysis;
+
+  return (
+    <div className="mb-4 p-3 bg-gray-900 rounded-lg space-y-3">
+      <div className="flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-gray-400 text-xs mb-1">Device profile</label>
+          <select
+            value={selectedProfile}
+            onChange={(e) => setSelectedProfile(e.target.value)}
+            className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white text-sm"
+          >
+            <option value="default">Default (Max 5 DL CC, 1 UL SCell)</option>
+            {Object.entries(DEVICE_PROFILES).map(([key, p]) => (
+              <option key={key} value={key}>
+                {p.name} (Max {p.maxDLCC} DL CC, {p.maxULSCell} UL SCell)
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="flex-1 text-sm text-gray-300">
+          <span className={summary.missing > 0 ? 'text-red-400' : 'text-green-400'}>{summary.missing} missing</span>
+          {summary.blocked > 0 && <span className="text-gray-500"> (+{summary.blocked} outside the profile)</span>}
+          <span className="text-gray-500"> · </span>
+          <span className={summary.duplicates > 0 ? 'text-yellow-400' : ''}>{summary.duplicates} duplicated</span>
+          <span className="text-gray-500"> · </span>
+          <span className={summary.worseMimo > 0 ? 'text-yellow-400' : ''}>{summary.worseMimo} with worse MIMO</span>
+        </div>
+        <button
+          onClick={() => onInsert(profile)}
+          disabled={summary.missing === 0}
+          className="px-4 py-1 bg-green-600 hover:bg-green-500 disabled:bg-gray-600 disabled:cursor-not-allowed rounded text-sm font-medium transition-colors"
+        >
+          Insert {summary.missing} missing
+        </button>
+      </div>
+
+      {analysis.reports.length === 0 ? (
+        <div className="text-green-400 text-sm">All fallbacks are present.</div>
+      ) : (
+        <div className="max-h-64 overflow-y-auto space-y-2 text-xs font-mono">
+          {analysis.reports.map(report => (
+            <div key={report.index} className="border-b border-gray-700/50 pb-2">
+              <div className="text-gray-300">
+                <span className="text-gray-500">#{report.index + 1}</span> {report.text}
+              </div>
+              {report.missing.length > 0 && (
+                <div className="text-red-300">
+                  missing: {report.missing.map(combo => comboToString(combo)).join(', ')}
+                </div>
+              )}
+              {report.blocked.length > 0 && (
+                <div className="text-gray-500">
+                  outside profile: {report.blocked.map(({ combo, errors }) => (
+                    <span key={comboToString(combo)} title={errors.map(e => e.message).join('\n')} className="mr-2">
+                      {comboToString(combo)}
+                    </span>
+                  ))}
+                </div>
+              )}
+              {report.duplicates.map(d => (
+                <div key={d.text} className="text-yellow-300">
+                  duplicated: {d.text} ({rowNumbers(d.indices)})
+                </div>
+              ))}
+              {report.worseMimo.map(({ combo, indices }) => (
+                <div key={comboToString(combo)} className="text-yellow-300">
+                  worse MIMO: {comboToString(combo)} only as {indices.map(i => entries[i].text).join(', ')} ({rowNumbers(indices)})
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import React, { useMemo } from 'react';
+import { analyzeInterference, formatFrequencyRange, INTERFERENCE_TYPE } from '../shared/index.js';
+
+const ORDINALS = { 2: '2nd', 3: '3rd' };
+
+/**
+ * Interference panel of the encoder: combos whose UL carriers produce a
+ * 2nd/3rd harmonic or 2nd/3rd-order IMD product inside one of their own DL
+ * carriers, with the product and DL frequencies (worst case over the band
+ * edges). The affected combos can be removed in one click.
+ */
+export default function InterferencePanel({ entries, onDelete }) {
+  const reports = useMemo(() => analyzeInterference(entries), [entries]);
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete ${reports.length} combinations with UL harmonics/IMD?`)) {
+      onDelete(reports.map(report => report.index));
+    }
+  };
+
+  return (
+    <div className="mb-4 p-3 bg-gray-900 rounded-lg space-y-3">
+      <div className="flex flex-wrap items-center gap-4">
+        <div className="flex-1 text-sm text-gray-300">
+          <span className={reports.length > 0 ? 'text-red-400' : 'text-green-400'}>{reports.length} combo(s)</span>
+          <span className="text-gray-500"> with UL harmonics or IMD in their own DL (band edges, the actual channels may be clear)</span>
+        </div>
+        <button
+          onClick={handleDelete}
+          disabled={reports.length === 0}
+          className="px-4 py-1 bg-red-700 hover:bg-red-600 disabled:bg-gray-600 disabled:cursor-not-allowed rounded text-sm font-medium transition-colors"
+        >
+          Delete {reports.length} affected
+        </button>
+      </div>
+
+      {reports.length === 0 ? (
+        <div className="text-green-400 text-sm">No UL products land in a DL carrier.</div>
+      ) : (
+        <div className="max-h-64 overflow-y-auto space-y-2 text-xs font-mono">
+          {reports.map(report => (
+            <div key={report.index} className="border-b border-gray-700/50 pb-2">
+              <div className="text-gray-300">
+                <span className="text-gray-500">#{report.index + 1}</span> {report.text}
+              </div>
+              {report.hits.map(hit => (
+                <div key={`${hit.product}>${hit.victimBand}`} className={hit.order === 2 ? 'text-red-300' : 'text-yellow-300'}>
+                  {ORDINALS[hit.order]} {hit.type === INTERFERENCE_TYPE.HARMONIC ? 'harmonic' : 'order IMD'} {hit.product}{' '}
+                  ({formatFrequencyRange(hit.range)}) → B{hit.victimBand} DL {formatFrequencyRange(hit.overlap)}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
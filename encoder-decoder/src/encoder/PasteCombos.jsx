@@ -0,0 +1,79 @@
+import React, { useState, useMemo } from 'react';
+import { parseBandMimoRules } from '../shared/index.js';
+
+// ==================== CONSTANTS ====================
+
+const MIMO_OPTIONS = [2, 4, 8];
+
+const PLACEHOLDER = `CA_1A-3A-7C
+CA_2A-2A-66A-66A BCS 0,1
+DL_CA_3A-7A/UL_CA_3A-7A
+3A4A-7C2 10`;
+
+// ==================== COMPONENT ====================
+
+/**
+ * Paste panel of the encoder: 3GPP CA configuration names (e.g. operator
+ * requirement lists), combo strings or a UE capability. The MIMO settings
+ * apply to 3GPP names, which carry no MIMO (also when loaded from a file).
+ */
+export default function PasteCombos({ caMimo, onCaMimoChange, onAdd }) {
+  const [text, setText] = useState('');
+
+  const ruleError = useMemo(() => {
+    try {
+      parseBandMimoRules(caMimo.bandRules);
+      return null;
+    } catch (err) {
+      return err.message;
+    }
+  }, [caMimo.bandRules]);
+
+  const handleAdd = () => {
+    if (onAdd(text)) setText('');
+  };
+
+  return (
+    <div className="mb-4 p-3 bg-gray-900 rounded-lg space-y-3">
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder={PLACEHOLDER}
+        rows={5}
+        className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white font-mono text-sm"
+      />
+      <div className="flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-gray-400 text-xs mb-1">3GPP DL MIMO</label>
+          <select
+            value={caMimo.mimoDl}
+            onChange={(e) => onCaMimoChange({ ...caMimo, mimoDl: parseInt(e.target.value, 10) })}
+            className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white text-sm"
+          >
+            {MIMO_OPTIONS.map(mimo => <option key={mimo} value={mimo}>{mimo}x{mimo}</option>)}
+          </select>
+        </div>
+        <div className="flex-1 min-w-48">
+          <label className="block text-gray-400 text-xs mb-1">Per band (BAND:LAYERS)</label>
+          <input
+            type="text"
+            value={caMimo.bandRules}
+            onChange={(e) => onCaMimoChange({ ...caMimo, bandRules: e.target.value })}
+            placeholder="1:4, 3:4, 7:4"
+            className={`w-full bg-gray-700 border rounded px-2 py-1 text-white text-sm font-mono ${
+              ruleError ? 'border-red-500' : 'border-gray-600'
+            }`}
+          />
+        </div>
+        <button
+          onClick={handleAdd}
+          disabled={!text.trim() || !!ruleError}
+          className="px-4 py-1 bg-green-600 hover:bg-green-500 disabled:bg-gray-600 disabled:cursor-not-allowed rounded text-sm font-medium transition-colors"
+        >
+          Add pasted
+        </button>
+      </div>
+      {ruleError && <div className="text-red-400 text-xs">{ruleError}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,239 @@
+import React, { useState, useMemo } from 'react';
+import { validateForEncoding } from './28874encoder';
+import {
+  parseValidationRules, getValidationRules, validateComboList, BUILTIN_RULES, RULE_SEVERITY,
+  DEVICE_PROFILES, DEFAULT_PROFILE
+} from '../shared/index.js';
+
+// ==================== CONSTANTS ====================
+
+const PREVIEW_LIMIT = 100;
+
+const PLACEHOLDER = `{
+  "rules": [
+    { "id": "B29_NOT_PCELL", "description": "Band 29 is never the PCell", "forbid": "pcell:29" },
+    { "id": "NO_4X4_B12", "severity": "warning", "forbid": "mimo(12)>=4" },
+    { "id": "MAX_3_B46", "description": "At most 3 combos with band 46", "match": "band:46", "max": 3 }
+  ],
+  "overrides": {
+    "FDD_TDD_MIX": { "severity": "warning" }
+  }
+}`;
+
+const BASE_RULES = new Map(BUILTIN_RULES.map(rule => [rule.id, rule]));
+
+// ==================== HELPERS ====================
+
+const downloadFile = (content, fileName, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 100);
+};
+
+// Set an override of the config text, dropped again when it matches the rule's own value
+const setOverride = (text, rule, key, value) => {
+  const json = text.trim() === '' ? {} : JSON.parse(text);
+  const base = BASE_RULES.get(rule.id) || (json.rules || []).find(r => r.id === rule.id) || {};
+  const baseValue = key === 'enabled' ? base.enabled !== false : base.severity || RULE_SEVERITY.ERROR;
+  const override = { ...(json.overrides || {})[rule.id] };
+
+  if (value === baseValue) delete override[key];
+  else override[key] = value;
+
+  const overrides = { ...json.overrides, [rule.id]: override };
+  if (Object.keys(override).length === 0) delete overrides[rule.id];
+  return JSON.stringify({ ...json, overrides }, null, 2);
+};
+
+// ==================== COMPONENT ====================
+
+/**
+ * Rules panel of the encoder: the rule config of the project (user rules
+ * with query language predicates, and overrides enabling, disabling or
+ * changing the severity of any rule) edited as JSON or per rule, and the
+ * violations of the current list against the effective rules and the
+ * selected device profile. Same config format as "validate --rules".
+ */
+export default function RulesPanel({ entries, config, onConfigChange }) {
+  const [selectedProfile, setSelectedProfile] = useState('default');
+
+  const profile = selectedProfile === 'default' ? null : DEVICE_PROFILES[selectedProfile] || null;
+
+  const parsed = useMemo(() => {
+    try {
+      return { rules: parseValidationRules(config), error: null };
+    } catch (e) {
+      return { rules: null, error: e.message };
+    }
+  }, [config]);
+
+  const effective = useMemo(() => getValidationRules(parsed.rules), [parsed]);
+
+  const report = useMemo(() => {
+    if (parsed.error) return null;
+    const limits = profile || DEFAULT_PROFILE;
+    return validateComboList(entries, {
+      validate: validateForEncoding,
+      maxDLCC: limits.maxDLCC,
+      maxULSCell: limits.maxULSCell,
+      maxTotalUL: limits.maxTotalUL,
+      profile,
+      rules: parsed.rules
+    });
+  }, [entries, parsed, profile]);
+
+  const violations = report
+    ? report.results.flatMap((result, index) => (
+      result && (result.errors.length > 0 || result.warnings.length > 0) ? [{ index, result }] : []
+    ))
+    : [];
+  const invalid = violations.filter(v => !v.result.valid).length;
+
+  const handleOverride = (rule, key, value) => {
+    try {
+      onConfigChange(setOverride(config, rule, key, value));
+    } catch (e) {
+      alert(`Cannot change the rule config: ${e.message}`);
+    }
+  };
+
+  const handleLoad = (file) => {
+    if (!file) return;
+    file.text()
+      .then(onConfigChange)
+      .catch(err => alert(`Failed to read ${file.name}: ${err.message}`));
+  };
+
+  return (
+    <div className="mb-4 p-3 bg-gray-900 rounded-lg grid gap-4 md:grid-cols-3 text-sm">
+      <div className="space-y-2">
+        <div className="flex items-center gap-2">
+          <label className="flex-1 text-gray-400 text-xs">Rule config (JSON)</label>
+          <label
+            className="px-2 py-0.5 bg-gray-700 hover:bg-gray-600 rounded text-xs cursor-pointer"
+            title="Load a rule config (.json)"
+          >
+            📂 Load
+            <input
+              type="file"
+              accept=".json,application/json"
+              className="hidden"
+              onChange={(e) => {
+                handleLoad(e.target.files?.[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+          <button
+            onClick={() => downloadFile(config, '28874_rules.json', 'application/json')}
+            disabled={config.trim() === '' || !!parsed.error}
+            title="Save the rule config, also for nv28874 validate --rules"
+            className="px-2 py-0.5 bg-gray-700 hover:bg-gray-600 disabled:bg-gray-800 disabled:text-gray-600 disabled:cursor-not-allowed rounded text-xs"
+          >
+            💾 Export
+          </button>
+        </div>
+        <textarea
+          value={config}
+          onChange={(e) => onConfigChange(e.target.value)}
+          placeholder={PLACEHOLDER}
+          rows={12}
+          spellCheck={false}
+          className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white font-mono text-xs"
+        />
+        {parsed.error && <div className="text-red-400 text-xs">{parsed.error}</div>}
+      </div>
+
+      <div className="space-y-2">
+        <label className="block text-gray-400 text-xs">Rules ({effective.filter(rule => rule.enabled).length} of {effective.length} enabled)</label>
+        <div className="max-h-72 overflow-y-auto space-y-1 text-xs">
+          {effective.map(rule => (
+            <div key={rule.id} className="flex items-start gap-2">
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                disabled={!!parsed.error}
+                onChange={(e) => handleOverride(rule, 'enabled', e.target.checked)}
+                className="mt-0.5"
+              />
+              <div className="flex-1 min-w-0">
+                <div className={`font-mono ${rule.enabled ? 'text-gray-200' : 'text-gray-500'}`}>
+                  {rule.id}
+                  {!rule.builtin && <span className="ml-1 text-blue-400 font-sans">user</span>}
+                </div>
+                <div className="text-gray-500">{rule.description}</div>
+              </div>
+              <select
+                value={rule.severity}
+                disabled={!!parsed.error}
+                onChange={(e) => handleOverride(rule, 'severity', e.target.value)}
+                className={`bg-gray-700 border border-gray-600 rounded px-1 ${
+                  rule.severity === RULE_SEVERITY.ERROR ? 'text-red-300' : 'text-yellow-300'
+                }`}
+              >
+                {Object.values(RULE_SEVERITY).map(severity => <option key={severity} value={severity}>{severity}</option>)}
+              </select>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <div>
+          <label className="block text-gray-400 text-xs mb-1">Device profile</label>
+          <select
+            value={selectedProfile}
+            onChange={(e) => setSelectedProfile(e.target.value)}
+            className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white"
+          >
+            <option value="default">None (Max 5 DL CC, 1 UL SCell)</option>
+            {Object.entries(DEVICE_PROFILES).map(([key, p]) => (
+              <option key={key} value={key}>
+                {p.name} (Max {p.maxDLCC} DL CC, {p.maxULSCell} UL SCell)
+              </option>
+            ))}
+          </select>
+        </div>
+        {report && (
+          <>
+            <div className="text-gray-300">
+              <span className={invalid > 0 ? 'text-red-400' : 'text-green-400'}>{invalid} invalid</span>
+              <span className="text-gray-500"> · </span>
+              <span className={violations.length > invalid ? 'text-yellow-400' : ''}>{violations.length - invalid} with warnings</span>
+              <span className="text-gray-500"> of {entries.length} combos</span>
+            </div>
+            {[...report.errors, ...report.warnings].map((issue, i) => (
+              <div key={i} className={issue.severity === RULE_SEVERITY.ERROR ? 'text-red-300 text-xs' : 'text-yellow-300 text-xs'}>
+                <span className="font-mono">{issue.code}</span> {issue.message}
+              </div>
+            ))}
+            <div className="max-h-64 overflow-y-auto space-y-1 text-xs">
+              {violations.slice(0, PREVIEW_LIMIT).map(({ index, result }) => (
+                <div key={index} className="border-b border-gray-700/50 pb-1">
+                  <div className="font-mono text-gray-300">
+                    <span className="text-gray-500">#{index + 1}</span> {entries[index].text}
+                  </div>
+                  {[...result.errors, ...result.warnings].map((issue, i) => (
+                    <div key={i} className={issue.severity === RULE_SEVERITY.ERROR ? 'text-red-300' : 'text-yellow-300'}>
+                      <span className="font-mono">{issue.code}</span> {issue.message}
+                    </div>
+                  ))}
+                </div>
+              ))}
+              {violations.length > PREVIEW_LIMIT && (
+                <div className="text-gray-500">... {violations.length - PREVIEW_LIMIT} more</div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
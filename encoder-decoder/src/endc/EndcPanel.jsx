@@ -0,0 +1,111 @@
+import React, { useState, useMemo } from 'react';
+import {
+  parseEndcList, validateEndcAnchors, endcNeedsCaAnchor, comboToString, getNrBandInfo, ERROR_CODES
+} from '../shared/index.js';
+
+// ==================== CONSTANTS ====================
+
+const PLACEHOLDER = `DC_3A-7A_n78A
+DC_1A-3A_n28A-n78A
+3A-20A+n78A
+2A-66A+n261M`;
+
+const nrBandLabel = (band) => {
+  const info = getNrBandInfo(band);
+  return info ? `n${band} ${info.duplexMode} ${info.frequencyRange}` : `n${band} (unknown)`;
+};
+
+// ==================== COMPONENT ====================
+
+/**
+ * EN-DC cross-check: EN-DC combos (DC_3A-7A_n78A or 3A-7A+n78A) against the
+ * LTE combos of the current list. The LTE part of every EN-DC combo with
+ * more than one CC has to be in the list; the missing LTE parts can be
+ * copied as combo strings. NR carriers are not encoded, NV 00028874 is
+ * LTE-only.
+ */
+export default function EndcPanel({ combos }) {
+  const [text, setText] = useState('');
+
+  const parsed = useMemo(() => parseEndcList(text), [text]);
+  const results = useMemo(() => validateEndcAnchors(parsed.combos, combos || []), [parsed, combos]);
+
+  const missing = parsed.combos.filter((_, i) => results[i].errors.some(e => e.code === ERROR_CODES.ENDC_ANCHOR_MISSING));
+  const singleCC = parsed.combos.filter(combo => !endcNeedsCaAnchor(combo)).length;
+
+  const handleCopyMissing = () => {
+    const lines = [...new Set(missing.map(combo => comboToString(combo.lte)))];
+    navigator.clipboard.writeText(lines.join('\n'))
+      .then(() => alert('Copied to clipboard!'))
+      .catch(err => alert(`Failed to copy: ${err.message}`));
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-800 rounded-lg grid gap-4 md:grid-cols-3 text-sm">
+      <div className="space-y-2">
+        <label className="block text-gray-400 text-xs">EN-DC combos (3GPP names or LTE+NR shorthand)</label>
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={PLACEHOLDER}
+          rows={8}
+          className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white font-mono text-xs"
+        />
+        {parsed.errors.map((err, i) => (
+          <div key={i} className="text-red-400 text-xs">{err}</div>
+        ))}
+        {parsed.duplicates > 0 && (
+          <div className="text-gray-500 text-xs">{parsed.duplicates} duplicate(s) ignored</div>
+        )}
+      </div>
+
+      <div className="md:col-span-2 space-y-2">
+        {!combos ? (
+          <div className="text-gray-500 text-xs">Load a file in the decoder or encoder to check the LTE anchors.</div>
+        ) : parsed.combos.length > 0 && (
+          <div className="flex flex-wrap items-center gap-3">
+            <span className="text-gray-300">{parsed.combos.length} EN-DC combo(s) against {combos.length} LTE combos</span>
+            <span className={missing.length > 0 ? 'text-red-400' : 'text-green-400'}>
+              {missing.length} without LTE CA anchor
+            </span>
+            {singleCC > 0 && <span className="text-gray-500">{singleCC} with a single LTE CC</span>}
+            {missing.length > 0 && (
+              <button
+                onClick={handleCopyMissing}
+                title="Copy the missing LTE parts as combo strings (e.g. for the encoder paste panel)"
+                className="px-2 py-0.5 bg-blue-600 hover:bg-blue-500 rounded text-xs"
+              >
+                📋 Copy missing LTE parts
+              </button>
+            )}
+          </div>
+        )}
+        <div className="max-h-64 overflow-y-auto space-y-1 text-xs">
+          {parsed.combos.map((combo, i) => {
+            const result = results[i];
+            return (
+              <div key={i} className="flex flex-wrap gap-x-3">
+                <span className={`font-mono ${result.valid ? 'text-green-300' : 'text-red-300'}`}>
+                  {result.valid ? '✓' : '✗'} {result.text}
+                </span>
+                <span className="text-gray-500">{combo.nr.map(c => nrBandLabel(c.band)).join(', ')}</span>
+                {combos && (
+                  <span className="text-gray-400">
+                    {!endcNeedsCaAnchor(combo)
+                      ? 'single LTE CC'
+                      : result.anchors.length > 0
+                        ? `LTE anchor ${result.anchors.slice(0, 5).map(idx => `#${idx + 1}`).join(', ')}${result.anchors.length > 5 ? ', ...' : ''}`
+                        : result.errors.map(e => e.message).join(' ')}
+                  </span>
+                )}
+                {result.warnings.map((w, j) => (
+                  <span key={j} className="text-yellow-400">{w.message}</span>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
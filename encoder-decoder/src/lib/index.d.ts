@@ -0,0 +1,795 @@
+/**
+ * Type declarations for the NV 00028874 library entry point (src/lib/index.js)
+ */
+
+// ==================== COMBO MODEL ====================
+
+export type CarrierClass = 'A' | 'B' | 'C' | 'D' | 'E' | 'F';
+
+/** Carrier of the combo model (shared/combo.js), frozen, used by decoder, encoder and builder */
+export interface Carrier {
+  readonly band: number;
+  /** DL class letter */
+  readonly dlClass: CarrierClass;
+  /** DL MIMO layers (2, 4, 8) */
+  readonly mimoDl: number;
+  /** UL class letter, null if the carrier has no UL */
+  readonly ulClass: CarrierClass | null;
+  /** UL MIMO layers (1 or 2, 0 if no UL) */
+  readonly mimoUl: number;
+}
+
+/** Carrier as stored in the NV descriptors (numeric classes), see legacyToCarrier / carrierToLegacy */
+export interface LegacyCarrier {
+  band: number;
+  /** DL class, 1-6 = A-F */
+  bclass: number;
+  /** DL MIMO layers, 0 in 137 (2x2) */
+  ant: number;
+  /** UL class, 0 = no UL, 1-6 = A-F */
+  ulclass: number;
+  /** UL MIMO layers, 0 = not stored (138, 1 layer) or no UL */
+  ulmimo: number;
+}
+
+/** Combo of the combo model, frozen */
+export interface Combo {
+  readonly carriers: readonly Carrier[];
+  /** Explicit PCell ("^" marker), written to UL slot 0; null = first UL carrier */
+  readonly pcellIndex: number | null;
+  readonly meta: Readonly<Record<string, unknown>>;
+}
+
+/** Encoder entry, as returned by parse() */
+export interface Entry {
+  /** Combo string, e.g. "3A4A-7A" or "3A4A-7A^" (PCell on band 7) */
+  text: string;
+  carriers: readonly Carrier[];
+  /** Explicit PCell, null = first UL carrier */
+  pcellIndex: number | null;
+  streams: number;
+  hasULCA: boolean;
+  /** DL descriptor grouping key */
+  dlKey: string;
+  /** DL descriptor type of a decoded combo, null for other sources */
+  descType: number | null;
+  groupIdx?: number;
+  /** Decoded UL descriptor, written back unchanged while the combo is not edited */
+  original?: {
+    text: string;
+    ulDescType: number;
+    ulSlots: UlSlot[];
+    reservedBytes: number[][];
+  } | null;
+}
+
+// ==================== DECODE RESULT ====================
+
+/** UL descriptor slot as stored (ulclass 0 = empty slot) */
+export interface UlSlot {
+  band: number;
+  ulclass: number;
+}
+
+export type Confidence = 'high' | 'medium' | 'low';
+
+/** One DL descriptor with the combos (indices into DecodeResult.combos) sharing it */
+export interface Group {
+  descType: 137 | 201 | 333;
+  band: number[];
+  bclass: number[];
+  ant: number[];
+  /** MIMO digit bytes as stored (333 only) */
+  rawMimo?: number[][];
+  combos: number[];
+  layoutIdx: number;
+  /** Found by recovery mode after skipping data */
+  recovered: boolean;
+}
+
+export interface DecodedCombo {
+  text: string;
+  /** Carriers in slot order, null if a slot has a class outside A-F */
+  carriers: Carrier[] | null;
+  /** 0 when carriers is null */
+  streams: number;
+  hasULCA: boolean;
+  /** Carrier of UL slot 0 when it is not the first UL carrier (marked "^" in text), else null */
+  pcellIndex: number | null;
+  descType: 137 | 201 | 333;
+  groupIdx: number;
+  dlKey: string;
+  rawBand: number[];
+  rawBclass: number[];
+  rawAnt: number[];
+  rawUlclass: number[];
+  rawUlmimo: number[];
+  ulDescType: 138 | 202 | 334;
+  rawUlSlots: UlSlot[];
+  /** Bytes after each UL slot that the decoder does not interpret */
+  reservedBytes: number[][];
+  confidence: Confidence;
+  layoutIdx: number;
+}
+
+export type LayoutKind = 'header' | 'descriptor' | 'skipped' | 'unparsed';
+
+export interface LayoutField {
+  name: string;
+  start: number;
+  length: number;
+  value: number | null;
+  reserved: boolean;
+}
+
+/** Entry of the decoder byte map; offsets refer to DecodeResult.bytes */
+export interface LayoutEntry {
+  kind: LayoutKind;
+  descType: number | null;
+  start: number;
+  length: number;
+  fields: LayoutField[];
+  groupIdx: number | null;
+  comboIdx: number | null;
+  /** Descriptor runs past the end of file */
+  truncated?: boolean;
+}
+
+export type IntegritySeverity = 'error' | 'warning' | 'info';
+
+export interface IntegrityIssue {
+  code: string;
+  severity: IntegritySeverity;
+  message: string;
+  details: Record<string, unknown>;
+}
+
+export interface IntegrityReport {
+  /** True if there are no errors (warnings and info are OK) */
+  ok: boolean;
+  issues: IntegrityIssue[];
+  counts: Record<IntegritySeverity, number>;
+}
+
+export interface DecodeResult {
+  /** Size of the decompressed data */
+  fileSize: number;
+  /** Size of the input */
+  originalSize: number;
+  wasCompressed: boolean;
+  compressionRatio: string | null;
+  formatVersion: number;
+  numDescriptors: number;
+  combos: DecodedCombo[];
+  numCombos: number;
+  maxStreams: number;
+  errors: string[];
+  descriptorStats: Record<137 | 138 | 201 | 202 | 333 | 334, number>;
+  groups: Group[];
+  layout: LayoutEntry[];
+  /** Decompressed file content */
+  bytes: Uint8Array;
+  recovery: {
+    enabled: boolean;
+    resyncs: number;
+    skippedBytes: number;
+    salvagedCombos: number;
+  };
+  integrity: IntegrityReport;
+}
+
+export interface RoundTripResult {
+  identical: boolean;
+  expectedSize: number;
+  actualSize: number;
+  mismatch: {
+    offset: number;
+    expected: number | null;
+    actual: number | null;
+    entry: { kind: LayoutKind; descType: number | null; groupIdx: number | null; comboIdx: number | null } | null;
+    field: string | null;
+  } | null;
+  error: string | null;
+}
+
+// ==================== VALIDATION ====================
+
+export interface ValidationError {
+  code: string;
+  message: string;
+  severity: 'error' | 'warning';
+  details?: Record<string, unknown>;
+}
+
+export interface ValidationResult {
+  valid: boolean;
+  errors: ValidationError[];
+  warnings: ValidationError[];
+}
+
+export interface DeviceProfile {
+  name: string;
+  maxDLCC: number;
+  maxULSCell: number;
+  maxTotalUL: number;
+  /** Empty = all bands supported */
+  supportedBands: number[];
+  /** Band to supported MIMO values, empty = all supported */
+  bandMimo: Record<number, number[]>;
+}
+
+export interface Limits {
+  maxDLCC: number;
+  maxULSCell: number;
+  maxTotalUL: number;
+}
+
+export interface ValidateOptions extends Partial<Limits> {
+  maxCC?: number;
+  /** Default: "^" marker, else the first UL carrier */
+  pcellIndex?: number | null;
+  profile?: DeviceProfile | null;
+  allowFDDTDDMix?: boolean;
+  /** Warn (UL_HARMONIC_INTERFERENCE / UL_IMD_INTERFERENCE) about UL products in the DL carriers */
+  checkInterference?: boolean;
+  /** User rules and overrides (parseValidationRules) */
+  rules?: RuleConfig | null;
+  /** The combo or entry itself, for user rules on its text and description */
+  combo?: object;
+}
+
+export interface ValidateListOptions extends ValidateOptions {
+  /** Per-combo validation (default validateCombo, e.g. validateForEncoding) */
+  validate?: (carriers: readonly Carrier[], options: ValidateOptions) => ValidationResult;
+}
+
+export interface ListValidationResult {
+  valid: boolean;
+  /** Per item, null for items without carriers; list rule violations are added to the items they flag */
+  results: Array<ValidationResult | null>;
+  /** List rule violations of the whole list (e.g. a "min" not reached) */
+  errors: ValidationError[];
+  warnings: ValidationError[];
+}
+
+// ==================== PUBLIC API ====================
+
+export type DescriptorType = 'auto' | 137 | 201 | 333;
+export type FormatStyle = 'txt' | 'list' | 'json' | 'report' | '3gpp';
+
+/** Anything encode() and format() accept as a combo */
+export type ComboInput = string | Combo | Entry | DecodedCombo;
+
+export interface DecodeOptions {
+  /** Recovery mode for corrupted files */
+  lenient?: boolean;
+}
+
+export interface EncodeOptions {
+  descriptorType?: DescriptorType;
+  /** Header version (default: from a DecodeResult, else 7) */
+  formatVersion?: number;
+  /** Share DL descriptors between combos (default true) */
+  optimizeGrouping?: boolean;
+  /** Keep the original DL groups */
+  preserveGrouping?: boolean;
+  /** Original DL groups (default: those of a DecodeResult) */
+  groups?: Group[];
+  /** zlib-compress the output */
+  compress?: boolean;
+}
+
+export interface ParseOptions {
+  /** Recalculate streams and UL CA instead of reading them */
+  recalculate?: boolean;
+}
+
+export const DESCRIPTOR_TYPE: {
+  readonly AUTO: 'auto';
+  readonly COMPACT: 137;
+  readonly EXTENDED: 201;
+  readonly FULL: 333;
+};
+
+export const FORMAT_STYLE: {
+  readonly TXT: 'txt';
+  readonly LIST: 'list';
+  readonly JSON: 'json';
+  readonly REPORT: 'report';
+  readonly CA_3GPP: '3gpp';
+};
+
+export function decode(buffer: ArrayBuffer | ArrayBufferView, opts?: DecodeOptions): DecodeResult;
+/** File content; `warnings` holds the validation errors of the combos and what the descriptors cannot store */
+export type EncodeResult = Uint8Array & { warnings: ValidationError[] };
+
+export function encode(combos: string | ComboInput[] | DecodeResult, opts?: EncodeOptions): EncodeResult;
+export function parse(text: string, opts?: ParseOptions): Entry[];
+export function format(combos: string | ComboInput[] | DecodeResult, style?: FormatStyle): string;
+export function setDebugLogging(enabled: boolean | ((...args: unknown[]) => void)): void;
+
+export const CONFIDENCE: { readonly HIGH: 'high'; readonly MEDIUM: 'medium'; readonly LOW: 'low' };
+export const LAYOUT_KIND: {
+  readonly HEADER: 'header';
+  readonly DESCRIPTOR: 'descriptor';
+  readonly SKIPPED: 'skipped';
+  readonly UNPARSED: 'unparsed';
+};
+export const INTEGRITY_CODES: Readonly<Record<string, string>>;
+export const INTEGRITY_SEVERITY: { readonly ERROR: 'error'; readonly WARNING: 'warning'; readonly INFO: 'info' };
+export function verifyRoundTrip(decodeResult: DecodeResult): RoundTripResult;
+
+export const ERROR_CODES: Readonly<Record<string, string>>;
+export const DEFAULT_PROFILE: DeviceProfile;
+export const DEVICE_PROFILES: Readonly<Record<string, DeviceProfile>>;
+export function validateCombo(carriers: readonly Carrier[], options?: ValidateOptions): ValidationResult;
+/** PCELL_WITHOUT_UL error when an explicit PCell has no UL class */
+export function validatePCell(carriers: readonly Carrier[], pcellIndex?: number | null): ValidationError | null;
+export function validateComboList(
+  items: ReadonlyArray<{ carriers: readonly Carrier[] | null; pcellIndex?: number | null }>,
+  options?: ValidateListOptions
+): ListValidationResult;
+export function isComboValid(carriers: readonly Carrier[], options?: ValidateOptions): boolean;
+export function getValidationSummary(result: ValidationResult): string;
+export function validateAgainstProfile(carriers: readonly Carrier[], profile?: DeviceProfile): ValidationError[];
+/** Warnings with the InterferenceHit as details */
+export function validateInterference(carriers: readonly Carrier[]): ValidationError[];
+/** One result per EN-DC combo: ENDC_ANCHOR_MISSING when an LTE part with more than one CC is not in lteCombos */
+export function validateEndcAnchors(
+  endcCombos: readonly EndcCombo[],
+  lteCombos: ReadonlyArray<{ carriers: readonly Carrier[] | null }>
+): EndcValidationResult[];
+export function validateForEncoding(carriers: readonly Carrier[], options?: ValidateOptions): ValidationResult;
+
+// ==================== RULES ====================
+
+export type RuleSeverity = 'error' | 'warning';
+
+export interface Rule {
+  /** Also the code of its ValidationErrors */
+  id: string;
+  severity: RuleSeverity;
+  description: string;
+  /** combo: checks one combo, list: checks a combo list */
+  scope: 'combo' | 'list';
+  enabled: boolean;
+  builtin: boolean;
+  /** JSON definition of a user rule */
+  definition?: RuleDefinition;
+}
+
+/** User rule: exactly one of forbid, require or match (with max and/or min), queries in the query language */
+export interface RuleDefinition {
+  id: string;
+  description?: string;
+  severity?: RuleSeverity;
+  enabled?: boolean;
+  /** Combos matching the query violate the rule */
+  forbid?: string;
+  /** Combos not matching the query violate the rule */
+  require?: string;
+  /** Count of matching combos in the list, limited by max and/or min */
+  match?: string;
+  max?: number;
+  min?: number;
+}
+
+export interface RuleOverride {
+  enabled?: boolean;
+  severity?: RuleSeverity;
+}
+
+export interface RuleConfig {
+  rules: readonly Rule[];
+  /** By rule id, built-in or user */
+  overrides: Readonly<Record<string, RuleOverride>>;
+}
+
+export const RULE_SEVERITY: { readonly ERROR: 'error'; readonly WARNING: 'warning' };
+export const RULE_SCOPE: { readonly COMBO: 'combo'; readonly LIST: 'list' };
+/** Built-in rules in evaluation order, ids are ERROR_CODES */
+export const BUILTIN_RULES: readonly Rule[];
+/** Throws on invalid JSON, rules, overrides of unknown ids and user rules with a built-in id */
+export function parseValidationRules(input: string | { rules?: RuleDefinition[]; overrides?: Record<string, RuleOverride> }): RuleConfig;
+/** Built-in and user rules with the overrides applied */
+export function getValidationRules(rules?: RuleConfig | null, options?: { checkInterference?: boolean }): Rule[];
+/** Compile one user rule, throws with the rule id */
+export function createRule(definition: RuleDefinition): Rule;
+
+export interface UeCapabilityComboMeta {
+  source: 'ue-capability';
+  list: string;
+  index: number;
+  bandwidthCombinationSet?: string;
+  fourLayerTM3TM4?: boolean[];
+  dl256QAM?: boolean[];
+  dl1024QAM?: boolean[];
+  /** False for carriers without UL, as ul256QAM */
+  ul64QAM?: boolean[];
+  ul256QAM?: boolean[];
+}
+
+export interface UeCapabilityImport {
+  /** Unique combos in message order; the flag arrays hold one value per carrier */
+  combos: Array<Combo & { meta: UeCapabilityComboMeta }>;
+  /** Combos read per list (e.g. supportedBandCombination-r10) */
+  lists: Record<string, number>;
+  /** Combos dropped as exact duplicates */
+  duplicates: number;
+  warnings: string[];
+}
+
+/** UE capability decoded from UPER */
+export interface UeCapabilityPduImport extends UeCapabilityImport {
+  /** e.g. "rel10" */
+  accessStratumRelease: string | null;
+  ueCategory: number | null;
+}
+
+export function isUeCapabilityText(text: string): boolean;
+/** Read the advertised CA combos from a UE capability text dump (ASN.1 value notation or Wireshark tree) */
+export function parseUeCapabilityText(text: string): UeCapabilityImport;
+export function isUeCapabilityHex(text: string): boolean;
+/** Decode the advertised CA combos from the hex of a UL-DCCH UECapabilityInformation or a UE-EUTRA-Capability */
+export function parseUeCapabilityHex(text: string): UeCapabilityPduImport;
+export function decodeUeCapabilityPdu(bytes: Uint8Array): UeCapabilityPduImport;
+
+/** UECapabilityInformation messages of a diag log, combined */
+export interface DiagLogImport extends UeCapabilityPduImport {
+  /** LTE RRC OTA packets (log code 0xB0C0) found */
+  rrcPackets: number;
+  /** UECapabilityInformation messages decoded */
+  capabilityMessages: number;
+}
+
+/** True for .dlf, .isf and .qmdl file names */
+export function isDiagLogName(name: string): boolean;
+/** Read the advertised CA combos from the LTE RRC OTA UECapabilityInformation packets of a DLF/ISF/QMDL log */
+export function parseDiagLog(buffer: ArrayBuffer | Uint8Array): DiagLogImport;
+
+export const DEFAULT_LIMITS: Limits;
+/** Throws on an invalid band, class or MIMO and on NV descriptor fields (bclass, ant, ulclass, ulmimo) */
+export function createCarrier(params: { band: number; dlClass?: string; mimoDl?: number; ulClass?: string | null; mimoUl?: number }): Carrier;
+export function updateCarrier(carrier: Carrier, changes: Partial<Carrier>): Carrier;
+/** Plain carrier objects (e.g. from JSON) go through createCarrier */
+export function createCombo(params: { carriers: readonly Carrier[]; pcellIndex?: number | null; meta?: Record<string, unknown> }): Combo;
+/** Parse a combo string ("3A4A-7A", "3A4A-7A^") into shared model carriers */
+export function parseCombo(comboStr: string): Combo;
+export function comboToString(combo: Combo, options?: Record<string, unknown>): string;
+export function carriersToString(carriers: readonly Carrier[], options?: Record<string, unknown>): string;
+export const PCELL_MARKER: '^';
+/** Explicit index, else the first UL carrier (null without UL) */
+export function getPCellIndex(carriers: readonly Carrier[], pcellIndex?: number | null): number | null;
+export function getComboKey(combo: Combo): string;
+export function calculateStreams(carriers: readonly Carrier[]): number;
+export function hasULCA(carriers: readonly Carrier[]): boolean;
+/** ant 0 → 2x2, ulmimo 0 → 1 layer; throws on a class outside 1-6 */
+export function legacyToCarrier(legacy: LegacyCarrier): Carrier;
+export function carrierToLegacy(carrier: Carrier): LegacyCarrier;
+
+/** SUL: NR supplementary uplink bands only */
+export type DuplexMode = 'FDD' | 'TDD' | 'SDL' | 'SUL';
+
+export interface BandInfo {
+  duplexMode: DuplexMode;
+  /** MHz */
+  dlFreqLow: number;
+  dlFreqHigh: number;
+  ulFreqLow: number | null;
+  ulFreqHigh: number | null;
+  name: string;
+}
+
+export const DUPLEX_MODE: { readonly FDD: 'FDD'; readonly TDD: 'TDD'; readonly SDL: 'SDL'; readonly SUL: 'SUL' };
+export const BANDS: Readonly<Record<number, BandInfo>>;
+export function getBandInfo(bandNum: number): BandInfo | null;
+/** Nested band pair with DL and UL ranges inside the other band's (B4 in B66, B12 in B85); B17 in B12 is not one */
+export function isBandSubset(subBand: number, superBand: number): boolean;
+/** 4 → [66] */
+export function getSupersetBands(bandNum: number): number[];
+/** 66 → [4, 10] */
+export function getSubsetBands(bandNum: number): number[];
+/** Superset of a nested band pair (4 → 66, 12 → 85), the band itself without a superset (17 → 17) */
+export function getOutermostBand(bandNum: number): number;
+export function getBandSupersetMap(): Array<{ band: number; supersets: number[] }>;
+
+export type NrFrequencyRange = 'FR1' | 'FR2';
+
+export interface NrBandInfo {
+  duplexMode: DuplexMode;
+  frequencyRange: NrFrequencyRange;
+  /** MHz, null for SUL bands */
+  dlFreqLow: number | null;
+  dlFreqHigh: number | null;
+  /** MHz, null for SDL bands */
+  ulFreqLow: number | null;
+  ulFreqHigh: number | null;
+  name: string;
+}
+
+export const NR_FREQUENCY_RANGE: { readonly FR1: 'FR1'; readonly FR2: 'FR2' };
+/** TS 38.101-1/-2, keyed by the band number without "n" */
+export const NR_BANDS: Readonly<Record<number, NrBandInfo>>;
+export function getNrBandInfo(bandNum: number): NrBandInfo | null;
+
+// ==================== 3GPP CA NOTATION ====================
+
+export type CaNotationUl = 'auto' | 'always' | 'never';
+
+export const CA_NOTATION_UL: { readonly AUTO: 'auto'; readonly ALWAYS: 'always'; readonly NEVER: 'never' };
+
+export interface CaNotationOptions {
+  /** Default DL MIMO layers (2) */
+  mimoDl?: number;
+  /** Default UL MIMO layers (1) */
+  mimoUl?: number;
+  /** DL MIMO per band, e.g. { 1: 4, 3: 4 } */
+  bandMimoDl?: Record<number, number>;
+  /** UL MIMO per band */
+  bandMimoUl?: Record<number, number>;
+}
+
+/** Parse one name ("CA_1A-3A-7C", "DL_CA_3A-7A/UL_CA_3A-7A BCS 1"); meta has notation and bandwidthCombinationSet */
+export function parseCaNotation(notation: string, options?: CaNotationOptions): Combo;
+export function isCaNotation(text: string): boolean;
+/** Parse all names in a text; invalid names are reported in errors, exact duplicates dropped */
+export function parseCaNotationList(text: string, options?: CaNotationOptions): { combos: Combo[]; errors: string[]; duplicates: number };
+/** "1:4, 3:4" → { 1: 4, 3: 4 } */
+export function parseBandMimoRules(text: string): Record<number, number>;
+export function formatCaNotation(combo: Combo | readonly Carrier[], options?: { ul?: CaNotationUl; bcs?: boolean }): string;
+
+// ==================== FALLBACKS ====================
+
+/** Findings for one combo; only combos with findings get a report */
+export interface FallbackReport {
+  index: number;
+  text: string;
+  /** Missing fallbacks within the profile limits, in insertion order */
+  missing: Combo[];
+  /** Missing fallbacks violating the profile */
+  blocked: Array<{ combo: Combo; errors: ValidationError[] }>;
+  /** Fallbacks listed more than once (same carriers incl. UL) */
+  duplicates: Array<{ text: string; indices: number[] }>;
+  /** Fallbacks only present with lower DL MIMO */
+  worseMimo: Array<{ combo: Combo; indices: number[] }>;
+}
+
+export interface FallbackAnalysis {
+  profile: string;
+  reports: FallbackReport[];
+  summary: { combos: number; incomplete: number; missing: number; blocked: number; duplicates: number; worseMimo: number };
+}
+
+/** Sub-combinations and lower classes of a combo, largest first */
+export function getFallbacks(combo: Combo): Combo[];
+/** Entries without carriers are skipped; a missing fallback is reported once */
+export function analyzeFallbacks(combos: ReadonlyArray<Pick<Combo, 'carriers' | 'pcellIndex'> & { text?: string }>, options?: { profile?: DeviceProfile }): FallbackAnalysis;
+/** Missing fallbacks right after the combo that needs them */
+export function insertFallbacks<T>(items: readonly T[], analysis: FallbackAnalysis, toItem?: (combo: Combo) => T): T[];
+
+// ==================== SET OPERATIONS ====================
+
+/** dl: DL carriers (getComboKey); dl-ul: DL and UL incl. PCell, any order; exact: same order and PCell */
+export type ComboIdentity = 'dl' | 'dl-ul' | 'exact';
+export type SetOperation = 'union' | 'intersection' | 'difference';
+
+export const COMBO_IDENTITY: { readonly DL: 'dl'; readonly DL_UL: 'dl-ul'; readonly EXACT: 'exact' };
+export const SET_OPERATION: { readonly UNION: 'union'; readonly INTERSECTION: 'intersection'; readonly DIFFERENCE: 'difference' };
+
+/** Items are combos or entries; results keep the first occurrence in list order, items without carriers are left out */
+type SetItem = Pick<Combo, 'carriers'> & { pcellIndex?: number | null };
+
+export interface SetOptions {
+  identity?: ComboIdentity;
+  /** Compare the bands as their outermost supersets (4A-2A equals 66A-25A) */
+  supersetBands?: boolean;
+}
+
+export function getIdentityKey(combo: SetItem, identity?: ComboIdentity): string;
+export function dedupeCombos<T extends SetItem>(items: readonly T[], options?: SetOptions): T[];
+export function unionCombos<T extends SetItem>(a: readonly T[], b: readonly T[], options?: SetOptions): T[];
+export function intersectCombos<T extends SetItem>(a: readonly T[], b: readonly T[], options?: SetOptions): T[];
+/** Combos of a that are not in b */
+export function differenceCombos<T extends SetItem>(a: readonly T[], b: readonly T[], options?: SetOptions): T[];
+export function applySetOperation<T extends SetItem>(operation: SetOperation, a: readonly T[], b: readonly T[], options?: SetOptions): T[];
+
+// ==================== EARFCN ====================
+
+export type ChannelLink = 'DL' | 'UL' | 'TDD';
+
+export const CHANNEL_LINK: { readonly DL: 'DL'; readonly UL: 'UL'; readonly TDD: 'TDD' };
+
+export interface EarfcnRange {
+  /** F_low in MHz */
+  fLow: number;
+  nOffs: number;
+  first: number;
+  last: number;
+}
+
+export interface EarfcnInfo {
+  band: number;
+  duplexMode: DuplexMode;
+  dl: EarfcnRange;
+  /** null for SDL bands, the DL range for TDD bands */
+  ul: EarfcnRange | null;
+}
+
+export interface Channel {
+  earfcn: number;
+  band: number;
+  link: ChannelLink;
+  /** MHz */
+  frequency: number;
+}
+
+/** TS 36.101 Table 5.7.3-1, in band order */
+export function getEarfcnTable(): readonly EarfcnInfo[];
+export function getEarfcnInfo(bandNum: number): EarfcnInfo | null;
+/** 1300 → B3 DL 1815 MHz; null outside all bands */
+export function earfcnToFrequency(earfcn: number): Channel | null;
+/** null outside the band or off the 100 kHz raster */
+export function frequencyToEarfcn(frequency: number, bandNum: number, link?: 'DL' | 'UL'): number | null;
+/** Every band and link containing the frequency; earfcn null on the upper edge or off the raster */
+export function findBandsByFrequency(frequency: number): Array<{ band: number; link: ChannelLink; earfcn: number | null }>;
+/** Combos with a carrier (a UL carrier for UL channels) in a band containing the channel frequency; null for unknown EARFCNs */
+export function findCombosForEarfcn(
+  combos: ReadonlyArray<{ carriers: readonly Carrier[] | null; text?: string }>,
+  earfcn: number
+): { channel: Channel; bands: number[]; matches: Array<{ index: number; text: string; bands: number[] }> } | null;
+
+// ==================== EN-DC ====================
+
+/** NR carrier: Carrier shape with an NR band and an NR bandwidth class (A-Q) */
+export interface NrCarrier {
+  readonly band: number;
+  readonly dlClass: string;
+  readonly mimoDl: number;
+  readonly ulClass: string | null;
+  readonly mimoUl: number;
+}
+
+export interface EndcCombo {
+  /** LTE part (anchor) */
+  readonly lte: Combo;
+  readonly nr: readonly NrCarrier[];
+  readonly meta: Readonly<Record<string, unknown>>;
+}
+
+export interface EndcValidationResult extends ValidationResult {
+  /** EN-DC combo as given */
+  text: string;
+  /** Indices of the LTE combos matching the LTE part */
+  anchors: number[];
+}
+
+export function createNrCarrier(params: { band: number; dlClass: string; mimoDl?: number; ulClass?: string | null; mimoUl?: number }): NrCarrier;
+export function createEndcCombo(params: { lte: Combo; nr: readonly NrCarrier[]; meta?: Record<string, unknown> }): EndcCombo;
+/** "DC_" name or "+n" shorthand */
+export function isEndcCombo(text: string): boolean;
+/** "DC_3A-7A_n78A", "3A-7A+n78A", "3A4A-7A2+n78A4A"; the LTE part follows the combo string format */
+export function parseEndcCombo(text: string): EndcCombo;
+export function parseEndcList(text: string): { combos: EndcCombo[]; errors: string[]; duplicates: number };
+/** Shorthand, "3A4-7A2+n78A4" */
+export function endcToString(combo: EndcCombo, options?: { includePCell?: boolean; includeMimo?: boolean; includeUL?: boolean }): string;
+/** 3GPP name with DL classes only, "DC_3A-7A_n78A" */
+export function formatEndcNotation(combo: EndcCombo): string;
+/** LTE part with more than one CC */
+export function endcNeedsCaAnchor(combo: EndcCombo): boolean;
+/** Same bands and DL classes in any order (UL classes too when the LTE part has UL), MIMO not compared */
+export function findEndcAnchors(combo: EndcCombo, lteCombos: ReadonlyArray<{ carriers: readonly Carrier[] | null }>): number[];
+
+// ==================== BAND MAPPING ====================
+
+export interface BandRewrite<T> {
+  /** Rewritten items in place of the originals */
+  items: T[];
+  /** Items with a carrier of the rewritten band */
+  rewritten: number;
+  /** Rewritten items left out as their carriers were already in the list (index in the original list) */
+  duplicates: Array<{ index: number; text: string; as: string }>;
+  /** Rewritten items violating the profile (index in the new list) */
+  conflicts: Array<{ index: number; text: string; errors: ValidationError[] }>;
+}
+
+/** Combo with the bands of its carriers mapped; the combo itself when no band changes */
+export function mapComboBands(combo: SetItem & { meta?: Record<string, unknown> }, mapBand: (band: number) => number): Combo;
+/** Every band mapped to getOutermostBand */
+export function toOutermostBands(combo: SetItem & { meta?: Record<string, unknown> }): Combo;
+/** Rewrite a band to one of its supersets, dropping new duplicates (same DL and UL carriers); throws when toBand is no superset */
+export function rewriteComboBands<T extends SetItem>(
+  items: readonly T[],
+  fromBand: number,
+  toBand: number,
+  options?: { profile?: DeviceProfile; toItem?: (combo: Combo, item: T) => T }
+): BandRewrite<T>;
+
+// ==================== QUERY ====================
+
+/** Combo, entry or decoded combo (no carriers: only streams, desc and text match) */
+type QueryItem = { text?: string; carriers: readonly Carrier[] | null; pcellIndex?: number | null; streams?: number; descType?: number | null };
+
+/** Field name → description */
+export const QUERY_FIELDS: Readonly<Record<string, string>>;
+/**
+ * Compile a filter such as "band:3 & streams>=8 & ulca & !tdd & mimo(3)=4 & desc:201";
+ * null for an empty query, throws on a syntax error or unknown field
+ */
+export function compileQuery(query: string): ((item: QueryItem) => boolean) | null;
+/** Indices of the matching items, null for an empty query */
+export function queryIndices(items: readonly QueryItem[], query: string): number[] | null;
+
+// ==================== THROUGHPUT ====================
+
+export interface ThroughputOptions {
+  /** MHz per CC, capped by the width of the band (default 20) */
+  bandwidth?: number;
+  /** Per band: MHz for every CC or one value per CC */
+  bandBandwidth?: Record<number, number | number[]>;
+  /** QAM order: 16, 64, 256 (default) or 1024 */
+  dlModulation?: number;
+  /** QAM order: 16, 64 (default), 256 or 1024 */
+  ulModulation?: number;
+  /** TDD UL/DL configuration 0-6 of all TDD bands (default 2) */
+  tddConfig?: number;
+}
+
+/** Mbps; null for combos without carriers, ul 0 without UL */
+export interface Throughput { dl: number | null; ul: number | null }
+
+export interface ThroughputSummary {
+  maxDl: number;
+  maxUl: number;
+  maxDlIndex: number | null;
+  maxUlIndex: number | null;
+  /** Lowest LTE category reaching the rate, null above all categories */
+  dlCategory: number | null;
+  ulCategory: number | null;
+}
+
+export interface UeCategoryRate { category: number; peak: number }
+
+export const BANDWIDTH_PRBS: Readonly<Record<number, number>>;
+export const MODULATION_BITS: Readonly<Record<number, number>>;
+export const TDD_CONFIGS: Readonly<Record<number, { dl: number; ul: number; special: number }>>;
+export const DEFAULT_THROUGHPUT_OPTIONS: Readonly<Required<ThroughputOptions>>;
+export const LTE_DL_CATEGORIES: readonly UeCategoryRate[];
+export const LTE_UL_CATEGORIES: readonly UeCategoryRate[];
+
+/** MHz per CC of a carrier */
+export function getCarrierBandwidths(carrier: Carrier, options?: ThroughputOptions): number[];
+/** Estimated DL/UL peak rate of a combo, entry or decoded combo */
+export function estimateThroughput(combo: { carriers: readonly Carrier[] | null }, options?: ThroughputOptions): Throughput;
+export function getImpliedCategory(rate: number, categories: readonly UeCategoryRate[]): number | null;
+export function summarizeThroughput(rates: readonly Throughput[]): ThroughputSummary;
+/** "3:20, 7:20+10" → { 3: 20, 7: [20, 10] }, throws on an invalid rule */
+export function parseBandwidthRules(text: string): Record<number, number | number[]>;
+
+// ==================== INTERFERENCE ====================
+
+export const INTERFERENCE_TYPE: { readonly HARMONIC: 'harmonic'; readonly IMD: 'imd' };
+
+/** MHz */
+export interface FrequencyRange { low: number; high: number }
+
+export interface InterferenceHit {
+  type: 'harmonic' | 'imd';
+  order: 2 | 3;
+  /** e.g. "3×B12", "2×B1 - B3" */
+  product: string;
+  /** Indices of the UL carriers */
+  aggressors: number[];
+  /** Index of the DL carrier */
+  victim: number;
+  victimBand: number;
+  range: FrequencyRange;
+  /** Part of the victim's DL range hit by the product (worst case over the band edges) */
+  overlap: FrequencyRange;
+}
+
+/** 2nd/3rd harmonics and 2nd/3rd-order IMD of the UL carriers overlapping a DL carrier of the combo */
+export function findInterference(carriers: readonly Carrier[] | null): InterferenceHit[];
+/** Combos with hits only; items without carriers are skipped */
+export function analyzeInterference(combos: ReadonlyArray<{ carriers: readonly Carrier[] | null; text?: string }>): Array<{ index: number; text: string; hits: InterferenceHit[] }>;
+/** "2097–2148 MHz" */
+export function formatFrequencyRange(range: FrequencyRange): string;
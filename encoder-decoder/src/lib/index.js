@@ -0,0 +1,369 @@
+/**
+ * NV 00028874 Library Entry Point
+ *
+ * React-free public API for other tools and services:
+ * - decode(buffer, opts): binary (raw or zlib) → DecodeResult
+ * - encode(combos, opts): combo strings, entries, combos or a DecodeResult → binary
+ * - parse(text, opts): TXT combo list ("COMBO STREAMS[*]" lines) → entries
+ * - format(combos, style): entries/combos/DecodeResult → text (incl. 3GPP CA names)
+ * - validation and combo model helpers from shared/
+ * - parseUeCapabilityText(text) / parseUeCapabilityHex(hex): advertised combos of a UE capability
+ * - parseDiagLog(buffer): advertised combos of the UECapabilityInformation in a DLF/ISF/QMDL log
+ *
+ * Types are declared in index.d.ts. Everything not exported here is internal.
+ */
+
+import { decodeFile, formatDecodeResults } from '../decoder/28874decoder';
+import {
+  encodeToBuffer,
+  compressZlib,
+  parseComboFile,
+  createEntry,
+  decodedCombosToEntries,
+  setDebugLogging
+} from '../encoder/28874encoder';
+import { createCombo, parseComboString, formatCaNotation } from '../shared/index.js';
+
+// ==================== CONSTANTS ====================
+
+export const DESCRIPTOR_TYPE = {
+  AUTO: 'auto',
+  COMPACT: 137,
+  EXTENDED: 201,
+  FULL: 333
+};
+
+export const FORMAT_STYLE = {
+  TXT: 'txt',        // "COMBO STREAMS[*]" lines, as read by parse()
+  LIST: 'list',      // Combo strings only
+  JSON: 'json',      // JSON array of { text, streams, hasULCA }
+  REPORT: 'report',  // Decoder TXT export (DecodeResult only)
+  CA_3GPP: '3gpp'    // 3GPP CA configuration names (CA_1A-3A-7C), each name once
+};
+
+// ==================== HELPERS ====================
+
+const isDecodeResult = (value) => (
+  !!value && !Array.isArray(value) && Array.isArray(value.combos) && Array.isArray(value.groups)
+);
+
+const toArrayBuffer = (buffer) => {
+  if (buffer instanceof ArrayBuffer) return buffer;
+  if (ArrayBuffer.isView(buffer)) {
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+  }
+  throw new TypeError('Expected an ArrayBuffer or a typed array');
+};
+
+// Combo of the shared model (as opposed to an encoder entry or a decoded combo)
+const isSharedCombo = (item) => !!item && Array.isArray(item.carriers) && typeof item.text !== 'string';
+
+const entryFromString = (text) => {
+  const combo = parseComboString(text);
+  if (combo.carriers.length === 0) {
+    throw new Error(`Empty combo: "${text}"`);
+  }
+  return createEntry(combo, { text: text.trim() });
+};
+
+/**
+ * Normalize one input item (combo string, Combo, Entry or decoded combo) to an encoder entry
+ */
+const toEntry = (item) => {
+  if (typeof item === 'string') return entryFromString(item);
+
+  if (isSharedCombo(item)) {
+    return createEntry(createCombo(item));
+  }
+
+  if (item && typeof item.text === 'string') {
+    const [entry] = decodedCombosToEntries([item], item.streams === undefined);
+    if (!entry) throw new Error(`Invalid combo: "${item.text}"`);
+    return entry;
+  }
+
+  throw new TypeError('Expected a combo string, a Combo, an Entry or a decoded combo');
+};
+
+const toEntries = (combos) => {
+  if (typeof combos === 'string') return parse(combos);
+  if (isDecodeResult(combos)) return decodedCombosToEntries(combos.combos, false);
+  if (!Array.isArray(combos)) {
+    throw new TypeError('Expected an array of combos, a TXT combo list or a DecodeResult');
+  }
+  return combos.map(toEntry);
+};
+
+// ==================== PUBLIC API ====================
+
+/**
+ * Decode an NV 00028874 file
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer - Raw or zlib compressed file content
+ * @param {Object} [opts]
+ * @param {boolean} [opts.lenient=false] - Recovery mode for corrupted files
+ * @returns {Object} DecodeResult
+ */
+export const decode = (buffer, opts = {}) => decodeFile(toArrayBuffer(buffer), { lenient: !!opts.lenient });
+
+/**
+ * Encode combos to an NV 00028874 file
+ *
+ * @param {string|Array|Object} combos - TXT combo list, array of combo strings/Combos/Entries,
+ *   or a DecodeResult (its DL groups are kept with opts.preserveGrouping)
+ * @param {Object} [opts]
+ * @param {string|number} [opts.descriptorType='auto'] - 'auto', 137, 201 or 333
+ * @param {number} [opts.formatVersion] - Header version (default: from a DecodeResult, else 7)
+ * @param {boolean} [opts.optimizeGrouping=true] - Share DL descriptors between combos
+ * @param {boolean} [opts.preserveGrouping=false] - Keep the original DL groups
+ * @param {Object[]} [opts.groups] - Original DL groups (default: those of a DecodeResult)
+ * @param {boolean} [opts.compress=false] - zlib-compress the output
+ * @returns {Uint8Array} File content, with the encode warnings (ValidationError[]: validation
+ *   errors of the combos, UL_MIMO_NOT_STORED) in its `warnings` field
+ */
+export const encode = (combos, opts = {}) => {
+  const {
+    descriptorType = DESCRIPTOR_TYPE.AUTO,
+    optimizeGrouping = true,
+    preserveGrouping = false,
+    compress = false
+  } = opts;
+  const source = isDecodeResult(combos) ? combos : null;
+  const groups = opts.groups || (source ? source.groups : null);
+  const auto = descriptorType === DESCRIPTOR_TYPE.AUTO;
+
+  if (!auto && ![137, 201, 333].includes(Number(descriptorType))) {
+    throw new Error(`Unknown descriptor type: ${descriptorType}`);
+  }
+  if (preserveGrouping && (!groups || groups.length === 0)) {
+    throw new Error('preserveGrouping needs the original DL groups (opts.groups or a DecodeResult)');
+  }
+
+  const warnings = [];
+  let buffer = encodeToBuffer({
+    encodeEntries: toEntries(combos),
+    formatVersion: opts.formatVersion ?? (source ? source.formatVersion : 7),
+    descriptorType: auto ? DESCRIPTOR_TYPE.EXTENDED : Number(descriptorType),
+    optimizeGrouping,
+    autoDescriptorType: auto,
+    preserveOriginalGrouping: preserveGrouping,
+    originalGroups: preserveGrouping ? groups : null,
+    warnings
+  });
+  if (compress) buffer = compressZlib(buffer);
+
+  return Object.assign(new Uint8Array(buffer), { warnings });
+};
+
+/**
+ * Parse a TXT combo list ("COMBO STREAMS[*]" per line, as exported by the app)
+ * Header lines of the decoder export are skipped, invalid lines are ignored.
+ *
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {boolean} [opts.recalculate=false] - Recalculate streams and UL CA instead of reading them
+ * @returns {Object[]} Entries
+ */
+export function parse(text, opts = {}) {
+  return parseComboFile(text, !!opts.recalculate);
+}
+
+/**
+ * Format combos as text
+ *
+ * @param {string[]|Object[]|Object} combos - Combo strings, Combos, Entries or a DecodeResult
+ * @param {string} [style='txt'] - One of FORMAT_STYLE
+ * @returns {string}
+ */
+export const format = (combos, style = FORMAT_STYLE.TXT) => {
+  if (style === FORMAT_STYLE.REPORT) {
+    if (!isDecodeResult(combos)) {
+      throw new TypeError('The report style needs a DecodeResult');
+    }
+    return formatDecodeResults(combos).join('\n');
+  }
+
+  if (style === FORMAT_STYLE.CA_3GPP) {
+    // Combos keep their BCS (meta.bandwidthCombinationSet)
+    const items = Array.isArray(combos)
+      ? combos.map(item => (isSharedCombo(item) ? createCombo(item) : toEntry(item).carriers))
+      : toEntries(combos).map(e => e.carriers);
+    return [...new Set(items.map(item => formatCaNotation(item)))].join('\n');
+  }
+
+  const entries = toEntries(combos);
+  switch (style) {
+    case FORMAT_STYLE.TXT:
+      return entries.map(e => `${e.text} ${e.streams}${e.hasULCA ? '*' : ''}`).join('\n');
+    case FORMAT_STYLE.LIST:
+      return entries.map(e => e.text).join('\n');
+    case FORMAT_STYLE.JSON:
+      return JSON.stringify(entries.map(e => ({ text: e.text, streams: e.streams, hasULCA: e.hasULCA })), null, 2);
+    default:
+      throw new Error(`Unknown format style: ${style}`);
+  }
+};
+
+export { setDebugLogging };
+
+// ==================== DECODER RESULT ====================
+
+export { CONFIDENCE } from '../decoder/28874decoder';
+export { LAYOUT_KIND } from '../decoder/layout.js';
+export { INTEGRITY_CODES, INTEGRITY_SEVERITY } from '../decoder/integrity.js';
+export { verifyRoundTrip } from '../decoder/roundTrip.js';
+
+// ==================== VALIDATION ====================
+
+export {
+  ERROR_CODES,
+  DEFAULT_PROFILE,
+  DEVICE_PROFILES,
+  validateCombo,
+  validateComboList,
+  validatePCell,
+  isComboValid,
+  getValidationSummary,
+  validateAgainstProfile,
+  validateInterference,
+  validateEndcAnchors
+} from '../shared/validation.js';
+
+export { validateForEncoding } from '../encoder/28874encoder';
+
+// ==================== RULES ====================
+
+export { BUILTIN_RULES, parseValidationRules, getValidationRules } from '../shared/validation.js';
+export { RULE_SEVERITY, RULE_SCOPE, createRule } from '../shared/rules.js';
+
+// ==================== UE CAPABILITY ====================
+
+export {
+  isUeCapabilityText,
+  parseUeCapabilityText,
+  isUeCapabilityHex,
+  parseUeCapabilityHex,
+  decodeUeCapabilityPdu,
+  isDiagLogName,
+  parseDiagLog
+} from '../capability/index.js';
+
+// ==================== COMBO MODEL ====================
+
+export {
+  DEFAULT_LIMITS,
+  createCarrier,
+  updateCarrier,
+  createCombo,
+  parseComboString as parseCombo,
+  comboToString,
+  carriersToString,
+  PCELL_MARKER,
+  getPCellIndex,
+  getComboKey,
+  calculateStreams,
+  hasULCA,
+  legacyToCarrier,
+  carrierToLegacy
+} from '../shared/combo.js';
+
+export {
+  BANDS,
+  getBandInfo,
+  DUPLEX_MODE,
+  isBandSubset,
+  getSupersetBands,
+  getSubsetBands,
+  getOutermostBand,
+  getBandSupersetMap,
+  NR_FREQUENCY_RANGE,
+  NR_BANDS,
+  getNrBandInfo
+} from '../shared/bands.js';
+
+// ==================== 3GPP CA NOTATION ====================
+
+export {
+  CA_NOTATION_UL,
+  parseCaNotation,
+  isCaNotation,
+  parseCaNotationList,
+  parseBandMimoRules,
+  formatCaNotation
+} from '../shared/caNotation.js';
+
+// ==================== FALLBACKS ====================
+
+export { getFallbacks, analyzeFallbacks, insertFallbacks } from '../shared/fallbacks.js';
+
+// ==================== SET OPERATIONS ====================
+
+export {
+  COMBO_IDENTITY,
+  SET_OPERATION,
+  getIdentityKey,
+  dedupeCombos,
+  unionCombos,
+  intersectCombos,
+  differenceCombos,
+  applySetOperation
+} from '../shared/comboSets.js';
+
+// ==================== EARFCN ====================
+
+export {
+  CHANNEL_LINK,
+  getEarfcnTable,
+  getEarfcnInfo,
+  earfcnToFrequency,
+  frequencyToEarfcn,
+  findBandsByFrequency,
+  findCombosForEarfcn
+} from '../shared/earfcn.js';
+
+// ==================== EN-DC ====================
+
+export {
+  createNrCarrier,
+  createEndcCombo,
+  isEndcCombo,
+  parseEndcCombo,
+  parseEndcList,
+  endcToString,
+  formatEndcNotation,
+  endcNeedsCaAnchor,
+  findEndcAnchors
+} from '../shared/endc.js';
+
+// ==================== BAND MAPPING ====================
+
+export { mapComboBands, toOutermostBands, rewriteComboBands } from '../shared/bandMapping.js';
+
+// ==================== QUERY ====================
+
+export { QUERY_FIELDS, compileQuery, queryIndices } from '../shared/query.js';
+
+// ==================== THROUGHPUT ====================
+
+export {
+  BANDWIDTH_PRBS,
+  MODULATION_BITS,
+  TDD_CONFIGS,
+  DEFAULT_THROUGHPUT_OPTIONS,
+  LTE_DL_CATEGORIES,
+  LTE_UL_CATEGORIES,
+  getCarrierBandwidths,
+  estimateThroughput,
+  getImpliedCategory,
+  summarizeThroughput,
+  parseBandwidthRules
+} from '../shared/throughput.js';
+
+// ==================== INTERFERENCE ====================
+
+export {
+  INTERFERENCE_TYPE,
+  findInterference,
+  analyzeInterference,
+  formatFrequencyRange
+} from '../shared/interference.js';
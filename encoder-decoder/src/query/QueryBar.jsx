@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { QUERY_FIELDS } from '../shared/index.js';
+
+const EXAMPLE = 'band:3 & band:7 & streams>=8 & ulca & !tdd & cc>=4 & mimo(3)=4 & desc:201';
+
+/**
+ * Filter input for a combo table: the query is applied live, actions for
+ * the matching combos (children) are shown while a query is active
+ */
+export default function QueryBar({ query, onQueryChange, error, matched, total, children }) {
+  const [showHelp, setShowHelp] = useState(false);
+  const active = query.trim() !== '' && !error;
+
+  return (
+    <div className="mb-3 space-y-2">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => onQueryChange(e.target.value)}
+          placeholder={`Filter, e.g. ${EXAMPLE}`}
+          spellCheck={false}
+          className={`flex-1 bg-gray-700 border rounded px-3 py-1 font-mono text-sm text-white ${
+            error ? 'border-red-500' : 'border-gray-600'
+          }`}
+        />
+        {query && (
+          <button
+            onClick={() => onQueryChange('')}
+            title="Clear filter"
+            className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm"
+          >
+            ✕
+          </button>
+        )}
+        <button
+          onClick={() => setShowHelp(v => !v)}
+          title="Query syntax"
+          className={`px-3 py-1 rounded text-sm ${showHelp ? 'bg-blue-600 hover:bg-blue-500' : 'bg-gray-700 hover:bg-gray-600'}`}
+        >
+          ?
+        </button>
+      </div>
+
+      {error && <div className="text-red-400 text-xs">{error}</div>}
+
+      {showHelp && (
+        <div className="p-3 bg-gray-900 rounded text-xs text-gray-400 space-y-1">
+          <div>
+            Terms joined with <code className="text-gray-200">&amp;</code> (and), <code className="text-gray-200">|</code> (or),{' '}
+            <code className="text-gray-200">!</code> (not) and parentheses; compare with{' '}
+            <code className="text-gray-200">: = != &lt; &lt;= &gt; &gt;=</code>. Carrier fields match when any carrier matches,{' '}
+            <code className="text-gray-200">(band)</code> restricts them to one band.
+          </div>
+          <div className="grid grid-cols-2 gap-x-4">
+            {Object.entries(QUERY_FIELDS).map(([name, description]) => (
+              <div key={name}>
+                <code className="text-blue-300">{name}</code> — {description}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {active && (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span className={matched > 0 ? 'text-green-400' : 'text-gray-500'}>
+            {matched} of {total} match
+          </span>
+          {matched > 0 && children}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,256 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import {
+  loadSetSource,
+  decoderSetSource,
+  encoderSetSource,
+  builderSetSource
+} from './setSources.js';
+import { applySetOperation, COMBO_IDENTITY, SET_OPERATION } from '../shared/index.js';
+
+// ==================== CONSTANTS ====================
+
+const OPERATION_LABELS = {
+  [SET_OPERATION.UNION]: 'A ∪ B — merge without duplicates',
+  [SET_OPERATION.INTERSECTION]: 'A ∩ B — combos in both',
+  [SET_OPERATION.DIFFERENCE]: 'A − B — combos of A not in B'
+};
+
+const IDENTITY_LABELS = {
+  [COMBO_IDENTITY.DL]: 'DL only (UL variants are the same combo)',
+  [COMBO_IDENTITY.DL_UL]: 'DL + UL, any order',
+  [COMBO_IDENTITY.EXACT]: 'Exact (order, UL and PCell)'
+};
+
+const PREVIEW_LIMIT = 200;
+
+// ==================== SUB-COMPONENTS ====================
+
+/**
+ * One operand: a file (click or drop) or a list open in another tab
+ */
+function SetSourceSlot({ id, title, source, error, onFile, tabSources, onTabSource }) {
+  const [isDragging, setIsDragging] = useState(false);
+
+  return (
+    <div className="flex-1 space-y-2">
+      <div
+        onDrop={(e) => {
+          e.preventDefault();
+          setIsDragging(false);
+          onFile(e.dataTransfer.files[0]);
+        }}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={(e) => {
+          e.preventDefault();
+          setIsDragging(false);
+        }}
+        className={`border-2 border-dashed rounded-lg p-4 text-center transition-colors ${
+          isDragging ? 'border-blue-400 bg-blue-900/20' : 'border-gray-600 hover:border-gray-500'
+        }`}
+      >
+        <input
+          type="file"
+          id={id}
+          className="hidden"
+          onChange={(e) => {
+            onFile(e.target.files?.[0]);
+            e.target.value = '';
+          }}
+        />
+        <label htmlFor={id} className="cursor-pointer block">
+          <div className="text-sm font-semibold text-gray-300 mb-1">{title}</div>
+          {source ? (
+            <div className="text-sm">
+              <span className="text-blue-300 font-mono break-all">{source.name}</span>
+              <div className="text-gray-500 text-xs mt-1">{source.kind}, {source.entries.length} combos</div>
+            </div>
+          ) : (
+            <div className="text-gray-500 text-sm">Drop binary, TXT, 3GPP list, UE capability or diag log here or click to select</div>
+          )}
+          {error && <div className="text-red-400 text-xs mt-2">{error}</div>}
+        </label>
+      </div>
+      <div className="flex gap-2">
+        {tabSources.map(({ label, count, load }) => (
+          <button
+            key={label}
+            onClick={() => onTabSource(load)}
+            disabled={count === 0}
+            className="flex-1 px-2 py-1 bg-gray-700 hover:bg-gray-600 disabled:bg-gray-800 disabled:text-gray-600 disabled:cursor-not-allowed rounded text-xs transition-colors"
+          >
+            {label} ({count})
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ==================== MAIN COMPONENT ====================
+
+/**
+ * Union, intersection and difference of two combo lists; the result can
+ * replace the encoder list or be appended to it
+ */
+export default function ComboSets({ decodeResults, encodeEntries, builderCombos, caNotationOptions, onSendToEncoder }) {
+  const [sources, setSources] = useState({ a: null, b: null });
+  const [errors, setErrors] = useState({ a: null, b: null });
+  const [operation, setOperation] = useState(SET_OPERATION.DIFFERENCE);
+  const [identity, setIdentity] = useState(COMBO_IDENTITY.DL);
+  const [supersetBands, setSupersetBands] = useState(false);
+
+  const handleFile = useCallback((side, file) => {
+    if (!file) return;
+    setErrors(prev => ({ ...prev, [side]: null }));
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const source = loadSetSource(file.name, e.target.result, caNotationOptions);
+        setSources(prev => ({ ...prev, [side]: source }));
+      } catch (err) {
+        setSources(prev => ({ ...prev, [side]: null }));
+        setErrors(prev => ({ ...prev, [side]: err.message }));
+      }
+    };
+    reader.onerror = () => setErrors(prev => ({ ...prev, [side]: 'Failed to read file' }));
+    reader.readAsArrayBuffer(file);
+  }, [caNotationOptions]);
+
+  // Lists of the other tabs are taken as they are when the button is clicked
+  const handleTabSource = useCallback((side, load) => {
+    try {
+      setSources(prev => ({ ...prev, [side]: load() }));
+      setErrors(prev => ({ ...prev, [side]: null }));
+    } catch (err) {
+      setErrors(prev => ({ ...prev, [side]: err.message }));
+    }
+  }, []);
+
+  const tabSources = [
+    { label: '📥 Decoder', count: decodeResults ? decodeResults.combos.length : 0, load: () => decoderSetSource(decodeResults) },
+    { label: '📤 Encoder', count: encodeEntries.length, load: () => encoderSetSource(encodeEntries) },
+    { label: '🔧 Builder', count: builderCombos.length, load: () => builderSetSource(builderCombos) }
+  ];
+
+  const result = useMemo(() => (
+    sources.a && sources.b ? applySetOperation(operation, sources.a.entries, sources.b.entries, { identity, supersetBands }) : null
+  ), [sources, operation, identity, supersetBands]);
+
+  const swapSources = () => {
+    setSources(prev => ({ a: prev.b, b: prev.a }));
+    setErrors(prev => ({ a: prev.b, b: prev.a }));
+  };
+
+  return (
+    <div className="mt-2 space-y-4">
+      <div className="flex gap-3 items-start">
+        <SetSourceSlot
+          id="setFileA"
+          title="A"
+          source={sources.a}
+          error={errors.a}
+          onFile={(file) => handleFile('a', file)}
+          tabSources={tabSources}
+          onTabSource={(load) => handleTabSource('a', load)}
+        />
+        <button
+          onClick={swapSources}
+          title="Swap A and B"
+          className="px-3 py-8 bg-gray-700 hover:bg-gray-600 rounded-lg"
+        >
+          ⇄
+        </button>
+        <SetSourceSlot
+          id="setFileB"
+          title="B"
+          source={sources.b}
+          error={errors.b}
+          onFile={(file) => handleFile('b', file)}
+          tabSources={tabSources}
+          onTabSource={(load) => handleTabSource('b', load)}
+        />
+      </div>
+
+      <div className="bg-gray-800 rounded-lg p-4 flex flex-wrap gap-4">
+        <div>
+          <label className="block text-gray-400 text-xs mb-1">Operation</label>
+          <select
+            value={operation}
+            onChange={(e) => setOperation(e.target.value)}
+            className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white text-sm"
+          >
+            {Object.entries(OPERATION_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-gray-400 text-xs mb-1">Same combo when</label>
+          <select
+            value={identity}
+            onChange={(e) => setIdentity(e.target.value)}
+            className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white text-sm"
+          >
+            {Object.entries(IDENTITY_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <label
+          className="flex items-center gap-2 self-end py-1 text-sm text-gray-300 cursor-pointer"
+          title="Compare every band as its outermost superset: B4 → B66, B2 → B25, B5 → B26, B12 → B85"
+        >
+          <input
+            type="checkbox"
+            checked={supersetBands}
+            onChange={(e) => setSupersetBands(e.target.checked)}
+            className="w-4 h-4 accent-blue-500"
+          />
+          Match superset bands
+        </label>
+      </div>
+
+      {result && (
+        <div className="bg-gray-800 rounded-lg p-4 space-y-3">
+          <h2 className="text-lg font-semibold text-yellow-300">
+            Result ({result.length} combos)
+          </h2>
+          <div className="text-gray-500 text-xs">
+            A: {sources.a.entries.length} · B: {sources.b.entries.length} · the first occurrence of a combo is kept, in list order
+          </div>
+          <div className="max-h-96 overflow-y-auto space-y-1 font-mono text-sm">
+            {result.slice(0, PREVIEW_LIMIT).map((entry, idx) => (
+              <div key={idx} className="px-2 py-1 bg-gray-900 rounded">
+                <span className="text-gray-500 mr-3">#{idx + 1}</span>
+                {entry.text}
+              </div>
+            ))}
+            {result.length > PREVIEW_LIMIT && (
+              <div className="text-gray-500 text-xs px-2">... {result.length - PREVIEW_LIMIT} more</div>
+            )}
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={() => onSendToEncoder(result, false)}
+              disabled={result.length === 0}
+              className="flex-1 py-2 bg-green-600 hover:bg-green-500 disabled:bg-gray-600 disabled:cursor-not-allowed rounded-lg font-medium transition-colors"
+            >
+              📤 Replace encoder list
+            </button>
+            <button
+              onClick={() => onSendToEncoder(result, true)}
+              disabled={result.length === 0}
+              className="flex-1 py-2 bg-gray-700 hover:bg-gray-600 disabled:bg-gray-800 disabled:cursor-not-allowed rounded-lg font-medium transition-colors"
+            >
+              ➕ Append to encoder
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
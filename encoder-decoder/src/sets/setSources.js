@@ -0,0 +1,112 @@
+/**
+ * Set Sources
+ *
+ * Combo lists for the set operations as encoder entries: files (binary,
+ * TXT, 3GPP CA list, UE capability, diag log) and the lists already open
+ * in the decoder, encoder and combo builder.
+ */
+
+import { decodeFile } from '../decoder/28874decoder';
+import {
+  createEntry,
+  parseComboFile,
+  decodedCombosToEntries,
+  combosToEntries,
+  determineMinimumFormat
+} from '../encoder/28874encoder';
+import { isUeCapability, parseUeCapability, isDiagLogName, parseDiagLog } from '../capability/index.js';
+import { looksLikeText } from '../diff/comboDiff.js';
+import { isCaNotation, parseCaNotationList } from '../shared/index.js';
+
+// ==================== CONSTANTS ====================
+
+export const SET_SOURCE_KIND = {
+  BINARY: 'binary',
+  TEXT: 'text',
+  CA_NOTATION: '3gpp',
+  CAPABILITY: 'capability',
+  DIAG_LOG: 'diag-log',
+  DECODER: 'decoder',
+  ENCODER: 'encoder',
+  BUILDER: 'builder'
+};
+
+// ==================== TYPES ====================
+
+/**
+ * @typedef {Object} SetSource
+ * @property {string} name - File name or tab name
+ * @property {string} kind - One of SET_SOURCE_KIND
+ * @property {Object[]} entries - Encoder entries in source order
+ */
+
+// ==================== SOURCES ====================
+
+const createSource = (name, kind, entries) => {
+  if (entries.length === 0) {
+    throw new Error(`${name}: no valid combos found`);
+  }
+  return { name, kind, entries };
+};
+
+/**
+ * Build a set source from a file: diag logs (by name) are searched for
+ * UECapabilityInformation, other binaries decoded as 00028874, plain text
+ * parsed as a UE capability, a 3GPP CA list or a TXT combo list
+ *
+ * @param {string} name - File name
+ * @param {ArrayBuffer} arrayBuffer - File content
+ * @param {Object} [caNotationOptions] - MIMO for 3GPP CA names (see parseCaNotation)
+ * @returns {SetSource}
+ */
+export const loadSetSource = (name, arrayBuffer, caNotationOptions = {}) => {
+  if (isDiagLogName(name)) {
+    return createSource(name, SET_SOURCE_KIND.DIAG_LOG, combosToEntries(parseDiagLog(arrayBuffer).combos));
+  }
+
+  if (looksLikeText(arrayBuffer)) {
+    const text = new TextDecoder('utf-8').decode(arrayBuffer);
+
+    if (isUeCapability(text)) {
+      return createSource(name, SET_SOURCE_KIND.CAPABILITY, combosToEntries(parseUeCapability(text).combos));
+    }
+    if (isCaNotation(text)) {
+      const { combos } = parseCaNotationList(text, caNotationOptions);
+      return createSource(name, SET_SOURCE_KIND.CA_NOTATION, combosToEntries(combos));
+    }
+    return createSource(name, SET_SOURCE_KIND.TEXT, parseComboFile(text, false));
+  }
+
+  // Decoded entries keep their UL slots, unchanged combos are encoded byte for byte
+  return createSource(name, SET_SOURCE_KIND.BINARY, decodedCombosToEntries(decodeFile(arrayBuffer).combos, false));
+};
+
+/**
+ * Set source from the combos of the decoder tab
+ *
+ * @param {DecodeResult} decodeResults
+ * @returns {SetSource}
+ */
+export const decoderSetSource = (decodeResults) => (
+  createSource('Decoder', SET_SOURCE_KIND.DECODER, decodedCombosToEntries(decodeResults.combos, false))
+);
+
+/**
+ * Set source from the encoder list
+ *
+ * @param {Object[]} entries - Encoder entries
+ * @returns {SetSource}
+ */
+export const encoderSetSource = (entries) => createSource('Encoder', SET_SOURCE_KIND.ENCODER, entries);
+
+/**
+ * Set source from combos of the combo builder
+ *
+ * @param {Combo[]} combos
+ * @returns {SetSource}
+ */
+export const builderSetSource = (combos) => createSource(
+  'Combo Builder',
+  SET_SOURCE_KIND.BUILDER,
+  combos.map(combo => createEntry(combo, { descType: determineMinimumFormat(combo.carriers) }))
+);
@@ -0,0 +1,122 @@
+/**
+ * Band Mapping
+ *
+ * Rewrites the bands of combos along the superset relationships of the band
+ * database (isBandSubset): a combo of a subset band is also a combo of its
+ * superset band (4A-12A → 66A-12A), as the superset covers every channel of
+ * the subset. Operators and stock files often use different notations of the
+ * same spectrum (B4/B66, B2/B25, B5/B26, B12/B85, B1/B65):
+ * - toOutermostBands maps every band to its outermost superset, so combos of
+ *   both notations get the same carriers (diff and set operations)
+ * - rewriteComboBands rewrites one band to one of its supersets in a list,
+ *   drops the combos the rewrite turns into duplicates and reports the
+ *   rewritten combos a device profile does not allow (e.g. B66 MIMO)
+ */
+
+import { updateCarrier, createCombo, comboToString } from './combo.js';
+import { isBandSubset, getOutermostBand } from './bands.js';
+import { DEFAULT_PROFILE, validateAgainstProfile } from './validation.js';
+import { getIdentityKey, COMBO_IDENTITY } from './comboSets.js';
+
+// ==================== TYPES ====================
+
+/**
+ * @typedef {Object} BandRewrite
+ * @property {Object[]} items - New list, rewritten items in place of the originals
+ * @property {number} rewritten - Items with a carrier of the rewritten band
+ * @property {{index: number, text: string, as: string}[]} duplicates - Rewritten items left out as they were
+ *   already in the list, with their index in the original list and the rewritten combo string
+ * @property {{index: number, text: string, errors: ValidationError[]}[]} conflicts - Rewritten items violating
+ *   the profile, with their index in the new list
+ */
+
+// ==================== MAPPING ====================
+
+/**
+ * Combo with the bands of its carriers mapped
+ * Class, MIMO, UL and the PCell of every carrier are kept.
+ *
+ * @param {Combo} combo - Combo or encoder entry (carriers, pcellIndex)
+ * @param {function(number): number} mapBand - New band of a band
+ * @returns {Combo} The combo itself when no band changes
+ */
+export const mapComboBands = (combo, mapBand) => {
+  const bands = combo.carriers.map(c => mapBand(c.band));
+  if (bands.every((band, i) => band === combo.carriers[i].band)) return combo;
+
+  return createCombo({
+    carriers: combo.carriers.map((c, i) => (bands[i] === c.band ? c : updateCarrier(c, { band: bands[i] }))),
+    pcellIndex: combo.pcellIndex ?? null,
+    meta: combo.meta
+  });
+};
+
+/**
+ * Combo with every band mapped to its outermost superset (getOutermostBand)
+ *
+ * @param {Combo} combo - Combo or encoder entry
+ * @returns {Combo}
+ */
+export const toOutermostBands = (combo) => mapComboBands(combo, getOutermostBand);
+
+/**
+ * Rewrite a band of a combo list to one of its supersets
+ * A rewritten item is left out when the list already has its carriers (same
+ * DL and UL carriers, any order): as an item without the band or as an
+ * earlier rewritten item. The rewritten items are checked against the
+ * profile with validateAgainstProfile (supported bands, MIMO per band, CC
+ * limits).
+ *
+ * @param {Object[]} items - Combos or encoder entries, items without carriers are kept as they are
+ * @param {number} fromBand - Band to rewrite
+ * @param {number} toBand - Superset band of fromBand
+ * @param {Object} [options]
+ * @param {DeviceProfile} [options.profile=DEFAULT_PROFILE]
+ * @param {function(Combo, Object): Object} [options.toItem] - Converts a rewritten combo (and its item) to an item
+ * @returns {BandRewrite}
+ */
+export const rewriteComboBands = (items, fromBand, toBand, options = {}) => {
+  const { profile = DEFAULT_PROFILE, toItem = combo => combo } = options;
+  if (!isBandSubset(fromBand, toBand)) {
+    throw new Error(`Band ${toBand} is not a superset of band ${fromBand}`);
+  }
+
+  const combos = items.map(item => (
+    item.carriers && item.carriers.length > 0
+      ? mapComboBands(item, band => (band === fromBand ? toBand : band))
+      : null
+  ));
+
+  // Unchanged items win over rewritten items with the same carriers, wherever they are
+  const seen = new Set(combos.flatMap((combo, index) => (
+    combo && combo === items[index] ? [getIdentityKey(combo, COMBO_IDENTITY.DL_UL)] : []
+  )));
+
+  const result = [];
+  const duplicates = [];
+  const conflicts = [];
+  let rewritten = 0;
+
+  items.forEach((item, index) => {
+    const combo = combos[index];
+    if (!combo || combo === item) {
+      result.push(item);
+      return;
+    }
+
+    rewritten++;
+    const text = comboToString(combo);
+    const key = getIdentityKey(combo, COMBO_IDENTITY.DL_UL);
+    if (seen.has(key)) {
+      duplicates.push({ index, text: item.text || comboToString(item), as: text });
+      return;
+    }
+    seen.add(key);
+
+    const errors = validateAgainstProfile(combo.carriers, profile);
+    if (errors.length > 0) conflicts.push({ index: result.length, text, errors });
+    result.push(toItem(combo, item));
+  });
+
+  return { items: result, rewritten, duplicates, conflicts };
+};
@@ -1,19 +1,22 @@
 /**
- * LTE Band Database
+ * LTE and NR Band Database
  *
  * Contains information about all LTE bands including:
  * - Duplex mode (FDD, TDD, SDL)
  * - Frequency ranges (DL/UL)
  * - Common names/regions
  *
- * Source: 3GPP TS 36.101
+ * and the NR bands (n1...n263, FR1 and FR2) of EN-DC combos, see NR_BANDS.
+ *
+ * Source: 3GPP TS 36.101, TS 38.101-1, TS 38.101-2
  */
 
 // Duplex modes
 export const DUPLEX_MODE = {
   FDD: 'FDD',
   TDD: 'TDD',
-  SDL: 'SDL'  // Supplementary Downlink (DL only)
+  SDL: 'SDL',  // Supplementary Downlink (DL only)
+  SUL: 'SUL'   // Supplementary Uplink (UL only, NR)
 };
 
 /**
@@ -213,3 +216,227 @@ export const analyzeBandDuplexModes = (bandNumbers) => {
     isMixed: hasFDD && hasTDD
   };
 };
+
+// ==================== SUPERSET BANDS ====================
+
+const rangeWithin = (low, high, outerLow, outerHigh) => (
+  low === null ? outerLow === null : outerLow !== null && low >= outerLow && high <= outerHigh
+);
+
+/**
+ * Nested band pairs: subset band → its superset band. Only pairs where the
+ * superset band was defined as an extension of the subset (B12 → B85,
+ * B4 → B66, B2 → B25, ...), each superset without a superset of its own.
+ * Bands that only happen to lie inside another band stay separate: B17 is
+ * within B12 but is not mapped to it, nor is B4 to B10.
+ */
+const SUPERSET_BANDS = {
+  1: 65,
+  2: 25,
+  4: 66,
+  5: 26,
+  9: 3,
+  10: 66,
+  11: 74,
+  12: 85,
+  18: 26,
+  19: 26,
+  21: 74,
+  32: 75,
+  33: 39,
+  38: 41,
+  45: 50
+};
+
+/**
+ * Check if a band is a subset of another band: a nested pair of
+ * SUPERSET_BANDS with the same duplex mode and DL and UL ranges inside the
+ * other band's ranges (B4 in B66, B12 in B85)
+ *
+ * @param {number} subBand - Band number
+ * @param {number} superBand - Band number
+ * @returns {boolean}
+ */
+export const isBandSubset = (subBand, superBand) => {
+  const sub = BANDS[subBand];
+  const sup = BANDS[superBand];
+  if (!sub || !sup || SUPERSET_BANDS[subBand] !== superBand || sub.duplexMode !== sup.duplexMode) return false;
+
+  return rangeWithin(sub.dlFreqLow, sub.dlFreqHigh, sup.dlFreqLow, sup.dlFreqHigh) &&
+    rangeWithin(sub.ulFreqLow, sub.ulFreqHigh, sup.ulFreqLow, sup.ulFreqHigh);
+};
+
+const BAND_NUMBERS = Object.keys(BANDS).map(Number).sort((a, b) => a - b);
+
+/**
+ * Bands containing a band, e.g. 4 → [66]
+ * @param {number} bandNum - Band number
+ * @returns {number[]} Band numbers in ascending order
+ */
+export const getSupersetBands = (bandNum) => BAND_NUMBERS.filter(sup => isBandSubset(bandNum, sup));
+
+/**
+ * Bands contained in a band, e.g. 66 → [4, 10]
+ * @param {number} bandNum - Band number
+ * @returns {number[]} Band numbers in ascending order
+ */
+export const getSubsetBands = (bandNum) => BAND_NUMBERS.filter(sub => isBandSubset(sub, bandNum));
+
+/**
+ * Outermost superset of a band (B4 → B66, B12 → B85), the band itself
+ * without a superset (B17 → B17). Bands with the same outermost superset
+ * cover the same spectrum, so combos are equivalent once their bands are
+ * mapped with it.
+ *
+ * @param {number} bandNum - Band number
+ * @returns {number}
+ */
+export const getOutermostBand = (bandNum) => {
+  const [superset] = getSupersetBands(bandNum);
+  return superset === undefined ? bandNum : superset;
+};
+
+/**
+ * All subset → superset relationships of the band database
+ * @returns {{band: number, supersets: number[]}[]} Bands with at least one superset
+ */
+export const getBandSupersetMap = () => BAND_NUMBERS
+  .map(band => ({ band, supersets: getSupersetBands(band) }))
+  .filter(entry => entry.supersets.length > 0);
+
+// ==================== NR BANDS ====================
+
+/** NR frequency ranges (TS 38.104) */
+export const NR_FREQUENCY_RANGE = {
+  FR1: 'FR1',  // 410 MHz - 7125 MHz, n1-n109
+  FR2: 'FR2'   // 24250 MHz - 71000 MHz, n257+
+};
+
+/**
+ * NR band database (EN-DC cross-checks only, NV 00028874 is LTE-only)
+ * Key: band number without the "n"
+ * Value: { duplexMode, frequencyRange, dlFreqLow, dlFreqHigh, ulFreqLow, ulFreqHigh, name }
+ */
+export const NR_BANDS = {
+  // FR1 FDD / SDL / SUL / TDD (TS 38.101-1, Table 5.2-1)
+  1:   { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 2110, dlFreqHigh: 2170, ulFreqLow: 1920, ulFreqHigh: 1980, name: 'IMT 2100' },
+  2:   { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 1930, dlFreqHigh: 1990, ulFreqLow: 1850, ulFreqHigh: 1910, name: 'PCS 1900' },
+  3:   { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 1805, dlFreqHigh: 1880, ulFreqLow: 1710, ulFreqHigh: 1785, name: 'DCS 1800' },
+  5:   { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 869, dlFreqHigh: 894, ulFreqLow: 824, ulFreqHigh: 849, name: 'CLR 850' },
+  7:   { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 2620, dlFreqHigh: 2690, ulFreqLow: 2500, ulFreqHigh: 2570, name: 'IMT-E 2600' },
+  8:   { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 925, dlFreqHigh: 960, ulFreqLow: 880, ulFreqHigh: 915, name: 'E-GSM 900' },
+  12:  { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 729, dlFreqHigh: 746, ulFreqLow: 699, ulFreqHigh: 716, name: 'US 700 Lower A/B/C' },
+  13:  { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 746, dlFreqHigh: 756, ulFreqLow: 777, ulFreqHigh: 787, name: 'US 700 Upper C' },
+  14:  { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 758, dlFreqHigh: 768, ulFreqLow: 788, ulFreqHigh: 798, name: 'US 700 Public Safety' },
+  18:  { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 860, dlFreqHigh: 875, ulFreqLow: 815, ulFreqHigh: 830, name: 'Japan 800 Lower' },
+  20:  { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 791, dlFreqHigh: 821, ulFreqLow: 832, ulFreqHigh: 862, name: 'EU 800 DD' },
+  24:  { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 1525, dlFreqHigh: 1559, ulFreqLow: 1626.5, ulFreqHigh: 1660.5, name: 'L-band' },
+  25:  { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 1930, dlFreqHigh: 1995, ulFreqLow: 1850, ulFreqHigh: 1915, name: 'PCS 1900+' },
+  26:  { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 859, dlFreqHigh: 894, ulFreqLow: 814, ulFreqHigh: 849, name: 'CLR 850+' },
+  28:  { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 758, dlFreqHigh: 803, ulFreqLow: 703, ulFreqHigh: 748, name: 'APT 700' },
+  29:  { duplexMode: DUPLEX_MODE.SDL, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 717, dlFreqHigh: 728, ulFreqLow: null, ulFreqHigh: null, name: 'US 700 Lower D/E' },
+  30:  { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 2350, dlFreqHigh: 2360, ulFreqLow: 2305, ulFreqHigh: 2315, name: 'WCS 2300' },
+  34:  { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 2010, dlFreqHigh: 2025, ulFreqLow: 2010, ulFreqHigh: 2025, name: 'TDD 2000' },
+  38:  { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 2570, dlFreqHigh: 2620, ulFreqLow: 2570, ulFreqHigh: 2620, name: 'TDD 2600' },
+  39:  { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 1880, dlFreqHigh: 1920, ulFreqLow: 1880, ulFreqHigh: 1920, name: 'TDD 1900+' },
+  40:  { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 2300, dlFreqHigh: 2400, ulFreqLow: 2300, ulFreqHigh: 2400, name: 'TDD 2300' },
+  41:  { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 2496, dlFreqHigh: 2690, ulFreqLow: 2496, ulFreqHigh: 2690, name: 'TDD 2500' },
+  46:  { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 5150, dlFreqHigh: 5925, ulFreqLow: 5150, ulFreqHigh: 5925, name: 'NR-U 5 GHz' },
+  47:  { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 5855, dlFreqHigh: 5925, ulFreqLow: 5855, ulFreqHigh: 5925, name: 'V2X' },
+  48:  { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 3550, dlFreqHigh: 3700, ulFreqLow: 3550, ulFreqHigh: 3700, name: 'CBRS' },
+  50:  { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 1432, dlFreqHigh: 1517, ulFreqLow: 1432, ulFreqHigh: 1517, name: 'TDD 1500+' },
+  51:  { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 1427, dlFreqHigh: 1432, ulFreqLow: 1427, ulFreqHigh: 1432, name: 'TDD 1400 L-band' },
+  53:  { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 2483.5, dlFreqHigh: 2495, ulFreqLow: 2483.5, ulFreqHigh: 2495, name: 'TDD 2400' },
+  65:  { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 2110, dlFreqHigh: 2200, ulFreqLow: 1920, ulFreqHigh: 2010, name: 'Extended IMT 2100' },
+  66:  { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 2110, dlFreqHigh: 2200, ulFreqLow: 1710, ulFreqHigh: 1780, name: 'AWS-3' },
+  67:  { duplexMode: DUPLEX_MODE.SDL, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 738, dlFreqHigh: 758, ulFreqLow: null, ulFreqHigh: null, name: 'EU 700 SDL' },
+  70:  { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 1995, dlFreqHigh: 2020, ulFreqLow: 1695, ulFreqHigh: 1710, name: 'AWS-4' },
+  71:  { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 617, dlFreqHigh: 652, ulFreqLow: 663, ulFreqHigh: 698, name: 'US 600' },
+  74:  { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 1475, dlFreqHigh: 1518, ulFreqLow: 1427, ulFreqHigh: 1470, name: 'L-band' },
+  75:  { duplexMode: DUPLEX_MODE.SDL, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 1432, dlFreqHigh: 1517, ulFreqLow: null, ulFreqHigh: null, name: 'L-band SDL' },
+  76:  { duplexMode: DUPLEX_MODE.SDL, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 1427, dlFreqHigh: 1432, ulFreqLow: null, ulFreqHigh: null, name: 'L-band SDL' },
+  77:  { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 3300, dlFreqHigh: 4200, ulFreqLow: 3300, ulFreqHigh: 4200, name: 'C-band 3.3-4.2 GHz' },
+  78:  { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 3300, dlFreqHigh: 3800, ulFreqLow: 3300, ulFreqHigh: 3800, name: 'C-band 3.5 GHz' },
+  79:  { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 4400, dlFreqHigh: 5000, ulFreqLow: 4400, ulFreqHigh: 5000, name: '4.7 GHz' },
+  80:  { duplexMode: DUPLEX_MODE.SUL, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: null, dlFreqHigh: null, ulFreqLow: 1710, ulFreqHigh: 1785, name: 'DCS 1800 SUL' },
+  81:  { duplexMode: DUPLEX_MODE.SUL, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: null, dlFreqHigh: null, ulFreqLow: 880, ulFreqHigh: 915, name: 'E-GSM 900 SUL' },
+  82:  { duplexMode: DUPLEX_MODE.SUL, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: null, dlFreqHigh: null, ulFreqLow: 832, ulFreqHigh: 862, name: 'EU 800 SUL' },
+  83:  { duplexMode: DUPLEX_MODE.SUL, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: null, dlFreqHigh: null, ulFreqLow: 703, ulFreqHigh: 748, name: 'APT 700 SUL' },
+  84:  { duplexMode: DUPLEX_MODE.SUL, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: null, dlFreqHigh: null, ulFreqLow: 1920, ulFreqHigh: 1980, name: 'IMT 2100 SUL' },
+  85:  { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 728, dlFreqHigh: 746, ulFreqLow: 698, ulFreqHigh: 716, name: 'US 700' },
+  86:  { duplexMode: DUPLEX_MODE.SUL, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: null, dlFreqHigh: null, ulFreqLow: 1710, ulFreqHigh: 1780, name: 'AWS SUL' },
+  89:  { duplexMode: DUPLEX_MODE.SUL, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: null, dlFreqHigh: null, ulFreqLow: 824, ulFreqHigh: 849, name: 'CLR 850 SUL' },
+  90:  { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 2496, dlFreqHigh: 2690, ulFreqLow: 2496, ulFreqHigh: 2690, name: 'TDD 2500' },
+  91:  { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 1427, dlFreqHigh: 1432, ulFreqLow: 832, ulFreqHigh: 862, name: 'EU 800 / L-band' },
+  92:  { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 1432, dlFreqHigh: 1517, ulFreqLow: 832, ulFreqHigh: 862, name: 'EU 800 / L-band+' },
+  93:  { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 1427, dlFreqHigh: 1432, ulFreqLow: 880, ulFreqHigh: 915, name: 'E-GSM 900 / L-band' },
+  94:  { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 1432, dlFreqHigh: 1517, ulFreqLow: 880, ulFreqHigh: 915, name: 'E-GSM 900 / L-band+' },
+  95:  { duplexMode: DUPLEX_MODE.SUL, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: null, dlFreqHigh: null, ulFreqLow: 2010, ulFreqHigh: 2025, name: 'TDD 2000 SUL' },
+  96:  { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 5925, dlFreqHigh: 7125, ulFreqLow: 5925, ulFreqHigh: 7125, name: 'U-NII-5 to 8' },
+  97:  { duplexMode: DUPLEX_MODE.SUL, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: null, dlFreqHigh: null, ulFreqLow: 2300, ulFreqHigh: 2400, name: 'TDD 2300 SUL' },
+  98:  { duplexMode: DUPLEX_MODE.SUL, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: null, dlFreqHigh: null, ulFreqLow: 1880, ulFreqHigh: 1920, name: 'TDD 1900+ SUL' },
+  99:  { duplexMode: DUPLEX_MODE.SUL, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: null, dlFreqHigh: null, ulFreqLow: 1626.5, ulFreqHigh: 1660.5, name: 'L-band SUL' },
+  100: { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 919.4, dlFreqHigh: 925, ulFreqLow: 874.4, ulFreqHigh: 880, name: 'RMR 900' },
+  101: { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 1900, dlFreqHigh: 1910, ulFreqLow: 1900, ulFreqHigh: 1910, name: 'RMR 1900' },
+  102: { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 5925, dlFreqHigh: 6425, ulFreqLow: 5925, ulFreqHigh: 6425, name: '6 GHz Lower' },
+  104: { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 6425, dlFreqHigh: 7125, ulFreqLow: 6425, ulFreqHigh: 7125, name: '6 GHz Upper' },
+  105: { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 612, dlFreqHigh: 652, ulFreqLow: 663, ulFreqHigh: 703, name: 'US 600+' },
+  106: { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 935, dlFreqHigh: 940, ulFreqLow: 896, ulFreqHigh: 901, name: 'US 900' },
+  109: { duplexMode: DUPLEX_MODE.FDD, frequencyRange: NR_FREQUENCY_RANGE.FR1, dlFreqLow: 1432, dlFreqHigh: 1517, ulFreqLow: 703, ulFreqHigh: 733, name: 'APT 700 / L-band' },
+
+  // FR2 TDD (TS 38.101-2, Table 5.2-1)
+  257: { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR2, dlFreqLow: 26500, dlFreqHigh: 29500, ulFreqLow: 26500, ulFreqHigh: 29500, name: '28 GHz' },
+  258: { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR2, dlFreqLow: 24250, dlFreqHigh: 27500, ulFreqLow: 24250, ulFreqHigh: 27500, name: '26 GHz' },
+  259: { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR2, dlFreqLow: 39500, dlFreqHigh: 43500, ulFreqLow: 39500, ulFreqHigh: 43500, name: '41 GHz' },
+  260: { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR2, dlFreqLow: 37000, dlFreqHigh: 40000, ulFreqLow: 37000, ulFreqHigh: 40000, name: '39 GHz' },
+  261: { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR2, dlFreqLow: 27500, dlFreqHigh: 28350, ulFreqLow: 27500, ulFreqHigh: 28350, name: 'US 28 GHz' },
+  262: { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR2, dlFreqLow: 47200, dlFreqHigh: 48200, ulFreqLow: 47200, ulFreqHigh: 48200, name: '47 GHz' },
+  263: { duplexMode: DUPLEX_MODE.TDD, frequencyRange: NR_FREQUENCY_RANGE.FR2, dlFreqLow: 57000, dlFreqHigh: 71000, ulFreqLow: 57000, ulFreqHigh: 71000, name: '60 GHz' }
+};
+
+/**
+ * Get NR band information by band number
+ * @param {number} bandNum - NR band number (78 for n78)
+ * @returns {object|null} Band info or null if not found
+ */
+export const getNrBandInfo = (bandNum) => NR_BANDS[bandNum] || null;
+
+/**
+ * Get duplex mode for an NR band
+ * @param {number} bandNum - NR band number
+ * @returns {string|null} DUPLEX_MODE value or null if not found
+ */
+export const getNrBandDuplexMode = (bandNum) => {
+  const band = NR_BANDS[bandNum];
+  return band ? band.duplexMode : null;
+};
+
+/**
+ * Check if an NR band has a downlink (all but SUL bands)
+ * @param {number} bandNum - NR band number
+ * @returns {boolean}
+ */
+export const nrBandHasDownlink = (bandNum) => {
+  const mode = getNrBandDuplexMode(bandNum);
+  return mode !== null && mode !== DUPLEX_MODE.SUL;
+};
+
+/**
+ * Check if an NR band has an uplink (all but SDL bands)
+ * @param {number} bandNum - NR band number
+ * @returns {boolean}
+ */
+export const nrBandHasUplink = (bandNum) => {
+  const mode = getNrBandDuplexMode(bandNum);
+  return mode !== null && mode !== DUPLEX_MODE.SDL;
+};
+
+/**
+ * Get all NR bands of a frequency range
+ * @param {string} frequencyRange - NR_FREQUENCY_RANGE value
+ * @returns {number[]} Array of band numbers
+ */
+export const getNrBandsByFrequencyRange = (frequencyRange) => Object.entries(NR_BANDS)
+  .filter(([, info]) => info.frequencyRange === frequencyRange)
+  .map(([num]) => parseInt(num, 10))
+  .sort((a, b) => a - b);
@@ -0,0 +1,213 @@
+/**
+ * 3GPP CA Configuration Notation
+ *
+ * Parses and formats CA configuration names as used in TS 36.101 and in
+ * operator requirement lists:
+ *   CA_1A-3A-7C                  DL configuration, one part per band entry
+ *   CA_2A-2A-66A-66A             intra-band non-contiguous: repeated band
+ *   CA_66B                       intra-band contiguous: bandwidth class
+ *   CA_1A-3A-7C BCS 0,2          bandwidth combination sets
+ *   DL_CA_1A-3A-7C/UL_CA_3A-7A   explicit UL configuration
+ *
+ * The notation carries no MIMO: layers come from a default or a per-band
+ * option. Without a UL_CA part the configuration has a single UL CC, put on
+ * the first carrier of a band with UL (class A). BCS numbers map to
+ * meta.bandwidthCombinationSet, the bit string of the UE capability
+ * importers (bit n set = BCS n supported).
+ */
+
+import { VALID_CLASSES, createCarrier, createCombo, sortCarriersByBand, countULCC, comboToString } from './combo.js';
+import { isBandSDL } from './bands.js';
+
+// ==================== CONSTANTS ====================
+
+/** When formatCaNotation writes the DL_CA_/UL_CA_ form */
+export const CA_NOTATION_UL = {
+  AUTO: 'auto',      // Only for UL CA (more than one UL CC)
+  ALWAYS: 'always',  // Whenever a carrier has UL
+  NEVER: 'never'     // DL configuration only
+};
+
+const CA_NOTATION = /^(DL_)?CA_([0-9A-Z-]+?)(?:\s*\/\s*UL_CA_([0-9A-Z-]+))?(?:[\s_]*\(?\s*BCS\s*(\d+(?:\s*,\s*\d+)*)\s*\)?)?$/i;
+
+// Candidates in free text (one per line, or several separated by commas, spaces...)
+const CA_NOTATION_SCAN = /(?:DL_)?CA_\d+[A-Z](?:-\d+[A-Z])*(?:\s*\/\s*UL_CA_\d+[A-Z](?:-\d+[A-Z])*)?(?:[\s_]*\(?\s*BCS\s*\d+(?:\s*,\s*\d+)*\s*\)?)?/gi;
+
+const CA_PART = /^(\d+)([A-Z])$/i;
+
+// ==================== HELPERS ====================
+
+const parseParts = (text, notation) => text.split('-').map(part => {
+  const match = part.match(CA_PART);
+  if (!match || !VALID_CLASSES.includes(match[2].toUpperCase())) {
+    throw new Error(`Invalid 3GPP CA configuration "${notation}": bad part "${part}"`);
+  }
+  return { band: parseInt(match[1], 10), cls: match[2].toUpperCase() };
+});
+
+const bandMimo = (bandRules, band, fallback) => (
+  bandRules && bandRules[band] !== undefined ? bandRules[band] : fallback
+);
+
+const bcsToBitString = (numbers) => {
+  const bits = Array(Math.max(...numbers) + 1).fill('0');
+  numbers.forEach(n => { bits[n] = '1'; });
+  return bits.join('');
+};
+
+const bitStringToBcs = (bits) => [...bits].flatMap((bit, n) => (bit === '1' ? [n] : []));
+
+// ==================== PARSING ====================
+
+/**
+ * Parse one 3GPP CA configuration name into a combo
+ *
+ * @param {string} notation - e.g. "CA_1A-3A-7C", "DL_CA_3A-7A/UL_CA_3A-7A BCS 1"
+ * @param {Object} [options]
+ * @param {number} [options.mimoDl=2] - Default DL MIMO layers
+ * @param {number} [options.mimoUl=1] - Default UL MIMO layers
+ * @param {Object.<number, number>} [options.bandMimoDl] - DL MIMO per band (e.g. { 1: 4, 3: 4 })
+ * @param {Object.<number, number>} [options.bandMimoUl] - UL MIMO per band
+ * @returns {Combo} Carriers in notation order, without a UL_CA part UL class A on the first
+ *   carrier with UL; meta { notation, [bandwidthCombinationSet] }
+ */
+export const parseCaNotation = (notation, options = {}) => {
+  const { mimoDl = 2, mimoUl = 1, bandMimoDl = {}, bandMimoUl = {} } = options;
+  const text = notation.trim();
+  const match = text.match(CA_NOTATION);
+  if (!match) {
+    throw new Error(`Invalid 3GPP CA configuration "${text}"`);
+  }
+  if (match[3] && !match[1]) {
+    throw new Error(`Invalid 3GPP CA configuration "${text}": UL_CA_ needs a DL_CA_ part`);
+  }
+
+  const dl = parseParts(match[2], text);
+  const ul = dl.map(() => null);
+
+  // UL entries go to the first DL entry of their band without UL
+  if (!match[3]) {
+    const idx = dl.findIndex(d => !isBandSDL(d.band));
+    if (idx === -1) {
+      throw new Error(`Invalid 3GPP CA configuration "${text}": no band with UL for the PCell`);
+    }
+    ul[idx] = 'A';
+  } else {
+    for (const { band, cls } of parseParts(match[3], text)) {
+      const idx = dl.findIndex((d, i) => d.band === band && !ul[i]);
+      if (idx === -1) {
+        throw new Error(`Invalid 3GPP CA configuration "${text}": UL band ${band} without a DL entry`);
+      }
+      ul[idx] = cls;
+    }
+  }
+
+  const carriers = dl.map(({ band, cls }, i) => createCarrier({
+    band,
+    dlClass: cls,
+    mimoDl: bandMimo(bandMimoDl, band, mimoDl),
+    ulClass: ul[i],
+    mimoUl: bandMimo(bandMimoUl, band, mimoUl)
+  }));
+
+  const meta = { notation: text };
+  if (match[4]) {
+    meta.bandwidthCombinationSet = bcsToBitString(match[4].split(',').map(n => parseInt(n, 10)));
+  }
+
+  return createCombo({ carriers, meta });
+};
+
+/**
+ * Check whether a text contains 3GPP CA configuration names
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export const isCaNotation = (text) => /(^|[^0-9A-Z_])(DL_)?CA_\d+[A-F]/i.test(text);
+
+/**
+ * Parse all 3GPP CA configuration names in a text (requirement lists, tables)
+ * Exact duplicates (same carriers incl. UL) are dropped.
+ *
+ * @param {string} text
+ * @param {Object} [options] - See parseCaNotation
+ * @returns {{combos: Combo[], errors: string[], duplicates: number}}
+ */
+export const parseCaNotationList = (text, options = {}) => {
+  const combos = [];
+  const errors = [];
+  const seen = new Set();
+  let duplicates = 0;
+
+  for (const [notation] of text.matchAll(CA_NOTATION_SCAN)) {
+    let combo;
+    try {
+      combo = parseCaNotation(notation, options);
+    } catch (e) {
+      errors.push(e.message);
+      continue;
+    }
+    const key = comboToString(combo);
+    if (seen.has(key)) {
+      duplicates++;
+      continue;
+    }
+    seen.add(key);
+    combos.push(combo);
+  }
+
+  return { combos, errors, duplicates };
+};
+
+/**
+ * Parse per-band MIMO rules, e.g. "1:4, 3:4 7:2" → { 1: 4, 3: 4, 7: 2 }
+ *
+ * @param {string} text - BAND:LAYERS items separated by commas, semicolons or spaces
+ * @returns {Object.<number, number>}
+ */
+export const parseBandMimoRules = (text) => {
+  const rules = {};
+  for (const item of text.split(/[\s,;]+/).filter(Boolean)) {
+    const match = item.match(/^(\d+):(\d+)$/);
+    if (!match) {
+      throw new Error(`Invalid band MIMO rule "${item}" (expected BAND:LAYERS)`);
+    }
+    rules[parseInt(match[1], 10)] = parseInt(match[2], 10);
+  }
+  return rules;
+};
+
+// ==================== FORMATTING ====================
+
+/**
+ * Format a combo as a 3GPP CA configuration name
+ * Bands are sorted, repeated bands stay adjacent (CA_2A-2A-66A).
+ *
+ * @param {Combo|Carrier[]} combo - Combo or carriers
+ * @param {Object} [options]
+ * @param {string} [options.ul='auto'] - One of CA_NOTATION_UL
+ * @param {boolean} [options.bcs=true] - Append BCS from meta.bandwidthCombinationSet
+ * @returns {string}
+ */
+export const formatCaNotation = (combo, options = {}) => {
+  const { ul = CA_NOTATION_UL.AUTO, bcs = true } = options;
+  const carriers = sortCarriersByBand(Array.isArray(combo) ? combo : combo.carriers);
+
+  const dl = carriers.map(c => `${c.band}${c.dlClass}`).join('-');
+  const ulCarriers = carriers.filter(c => c.ulClass);
+  const split = ulCarriers.length > 0 && (
+    ul === CA_NOTATION_UL.ALWAYS || (ul === CA_NOTATION_UL.AUTO && countULCC(ulCarriers) > 1)
+  );
+
+  let text = split
+    ? `DL_CA_${dl}/UL_CA_${ulCarriers.map(c => `${c.band}${c.ulClass}`).join('-')}`
+    : `CA_${dl}`;
+
+  const set = !Array.isArray(combo) && combo.meta ? combo.meta.bandwidthCombinationSet : null;
+  if (bcs && set && set.includes('1')) {
+    text += ` BCS ${bitStringToBcs(set).join(',')}`;
+  }
+
+  return text;
+};
@@ -1,6 +1,11 @@
 /**
  * Unified Combo Model and Utilities
  *
+ * The one carrier/combo model of the app: decoder, encoder, builder, diff,
+ * UE capability and 3GPP notation all work on these immutable objects.
+ * The NV descriptor form (numeric classes, 0 = empty) only exists at the
+ * binary boundary, see carrierToLegacy / legacyToCarrier.
+ *
  * This module provides:
  * - Type definitions for Carrier and Combo
  * - Class to CC count conversion
@@ -9,8 +14,6 @@
  * - Normalization functions
  */
 
-import { getBandDuplexMode, DUPLEX_MODE, bandHasUplink } from './bands.js';
-
 // ==================== CONSTANTS ====================
 
 /** Valid DL/UL class letters */
@@ -26,6 +29,9 @@ export const DEFAULT_LIMITS = {
   maxTotalUL: 2   // Maximum total UL carriers (including PCell)
 };
 
+// Fields of the NV descriptor form, rejected by createCarrier
+const LEGACY_FIELDS = ['bclass', 'ant', 'ulclass', 'ulmimo'];
+
 // ==================== CLASS TO CC CONVERSION ====================
 
 /**
@@ -96,49 +102,92 @@ export const classLetterToNum = (classLetter) => {
 
 /**
  * @typedef {Object} Carrier
+ * Frozen, created by createCarrier only.
  * @property {number} band - Band number (1-255)
  * @property {string} dlClass - DL class letter (A-F)
  * @property {number} mimoDl - DL MIMO (2, 4, 8, etc.)
  * @property {string|null} ulClass - UL class letter (A-F) or null if no UL
- * @property {number} mimoUl - UL MIMO (typically 1 or 2)
+ * @property {number} mimoUl - UL MIMO layers (typically 1 or 2, 0 if no UL)
  */
 
 /**
- * Create a carrier object with defaults
+ * Combo string notation, one carrier per "-" separated part:
+ *   BAND + DLCLASS + [DLMIMO] + [ULCLASS + [ULMIMO]] + [PCELL_MARKER]
+ * DL MIMO defaults to 2, UL MIMO to 1 (single layer) and is only written when > 1.
+ * Examples: "3A4" (4x4 DL, no UL), "3A4A" (UL class A), "3A4A2" (UL class A, 2 UL layers)
+ */
+
+const checkClass = (value, field) => {
+  if (typeof value !== 'string' || !VALID_CLASSES.includes(value.toUpperCase())) {
+    throw new Error(`Invalid ${field} "${value}" (expected ${VALID_CLASSES.join(', ')})`);
+  }
+  return value.toUpperCase();
+};
+
+const checkLayers = (value, field) => {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`Invalid ${field} ${value} (expected a positive integer)`);
+  }
+  return value;
+};
+
+/**
+ * Create a carrier
+ * Defaults apply to omitted fields only; an invalid value throws instead of
+ * falling back, and so does an object of the NV descriptor form.
  *
  * @param {Object} params
  * @param {number} params.band - Band number
  * @param {string} [params.dlClass='A'] - DL class
  * @param {number} [params.mimoDl=2] - DL MIMO
  * @param {string|null} [params.ulClass=null] - UL class
- * @param {number} [params.mimoUl=1] - UL MIMO
+ * @param {number} [params.mimoUl=1] - UL MIMO (0 without UL class)
  * @returns {Carrier}
  */
-export const createCarrier = ({
-  band,
-  dlClass = 'A',
-  mimoDl = 2,
-  ulClass = null,
-  mimoUl = 1
-}) => ({
-  band,
-  dlClass: dlClass.toUpperCase(),
-  mimoDl,
-  ulClass: ulClass ? ulClass.toUpperCase() : null,
-  mimoUl
-});
+export const createCarrier = (params) => {
+  const legacy = LEGACY_FIELDS.filter(field => field in params);
+  if (legacy.length > 0) {
+    throw new Error(`Carrier with NV descriptor fields (${legacy.join(', ')}), convert it with legacyToCarrier`);
+  }
+
+  const { band, dlClass = 'A', mimoDl = 2, ulClass = null, mimoUl = 1 } = params;
+  if (!Number.isInteger(band) || band < 1) {
+    throw new Error(`Invalid band ${band}`);
+  }
+
+  return Object.freeze({
+    band,
+    dlClass: checkClass(dlClass, 'DL class'),
+    mimoDl: checkLayers(mimoDl, 'DL MIMO'),
+    ulClass: ulClass ? checkClass(ulClass, 'UL class') : null,
+    mimoUl: ulClass ? checkLayers(mimoUl, 'UL MIMO') : 0
+  });
+};
+
+/**
+ * Copy of a carrier with some fields changed
+ *
+ * @param {Carrier} carrier
+ * @param {Object} changes - Carrier fields
+ * @returns {Carrier}
+ */
+export const updateCarrier = (carrier, changes) => createCarrier({ ...carrier, ...changes });
+
+const isCarrier = (value) => Object.isFrozen(value) && typeof value.dlClass === 'string';
 
 // ==================== COMBO TYPE ====================
 
 /**
  * @typedef {Object} Combo
+ * Frozen, created by createCombo only.
  * @property {Carrier[]} carriers - Array of carriers
  * @property {number|null} pcellIndex - Index of PCell in carriers array (null = not specified)
  * @property {Object} [meta] - Optional metadata
  */
 
 /**
- * Create a combo object
+ * Create a combo
+ * Plain carrier objects (e.g. from JSON) go through createCarrier.
  *
  * @param {Object} params
  * @param {Carrier[]} params.carriers - Array of carriers
@@ -150,11 +199,17 @@ export const createCombo = ({
   carriers,
   pcellIndex = null,
   meta = {}
-}) => ({
-  carriers: [...carriers],
-  pcellIndex,
-  meta: { ...meta }
-});
+}) => {
+  if (pcellIndex !== null && !(Number.isInteger(pcellIndex) && pcellIndex >= 0 && pcellIndex < carriers.length)) {
+    throw new Error(`PCell index ${pcellIndex} out of range (${carriers.length} carriers)`);
+  }
+
+  return Object.freeze({
+    carriers: Object.freeze(carriers.map(c => (isCarrier(c) ? c : createCarrier(c)))),
+    pcellIndex,
+    meta: Object.freeze({ ...meta })
+  });
+};
 
 // ==================== STREAMS CALCULATION ====================
 
@@ -162,20 +217,16 @@ export const createCombo = ({
  * Calculate streams for a single carrier
  * Formula: CC_count * MIMO
  *
- * @param {Carrier|Object} carrier - Carrier object
+ * @param {Carrier} carrier - Carrier object
  * @returns {number} Number of streams
  */
-export const calculateCarrierStreams = (carrier) => {
-  const ccCount = classToCC(carrier.dlClass || carrier.bclass);
-  const mimo = carrier.mimoDl || carrier.ant || 2;
-  return ccCount * mimo;
-};
+export const calculateCarrierStreams = (carrier) => classToCC(carrier.dlClass) * carrier.mimoDl;
 
 /**
  * Calculate total streams for a combo
  * Formula: sum(CC_count(dlClass) * mimoDl) for all carriers
  *
- * @param {Carrier[]|Object[]} carriers - Array of carriers
+ * @param {Carrier[]} carriers - Array of carriers
  * @returns {number} Total streams
  */
 export const calculateStreams = (carriers) => {
@@ -201,218 +252,131 @@ export const calculateComboStreams = (combo) => {
 // ==================== UL CA DETECTION ====================
 
 /**
- * Check if a combo has UL CA
- * UL CA exists when more than one carrier has UL capability enabled
+ * Get all carriers with UL capability
  *
- * @param {Carrier[]|Object[]} carriers - Array of carriers
- * @returns {boolean} True if UL CA is present
+ * @param {Carrier[]} carriers - Array of carriers
+ * @returns {Carrier[]} Carriers with UL
  */
-export const hasULCA = (carriers) => {
-  if (!carriers || carriers.length === 0) return false;
-
-  // Count carriers with UL class defined
-  const ulCount = carriers.filter(c => {
-    const ulClass = c.ulClass || c.ulclass;
-    return ulClass && ulClass !== 0 && ulClass !== '0';
-  }).length;
-
-  return ulCount > 1;
+export const getULCarriers = (carriers) => {
+  if (!carriers) return [];
+  return carriers.filter(c => c.ulClass !== null);
 };
 
 /**
- * Get all carriers with UL capability
+ * Check if a combo has UL CA
+ * UL CA exists when more than one carrier has UL capability enabled
  *
- * @param {Carrier[]|Object[]} carriers - Array of carriers
- * @returns {Object[]} Carriers with UL
+ * @param {Carrier[]} carriers - Array of carriers
+ * @returns {boolean} True if UL CA is present
  */
-export const getULCarriers = (carriers) => {
-  if (!carriers) return [];
-  return carriers.filter(c => {
-    const ulClass = c.ulClass || c.ulclass;
-    return ulClass && ulClass !== 0 && ulClass !== '0';
-  });
-};
+export const hasULCA = (carriers) => getULCarriers(carriers).length > 1;
 
 /**
  * Count total UL component carriers
  *
- * @param {Carrier[]|Object[]} carriers - Array of carriers
+ * @param {Carrier[]} carriers - Array of carriers
  * @returns {number} Total UL CC count
  */
 export const countULCC = (carriers) => {
-  const ulCarriers = getULCarriers(carriers);
-  return ulCarriers.reduce((sum, c) => {
-    const ulClass = c.ulClass || c.ulclass;
-    return sum + classToCC(ulClass);
-  }, 0);
+  return getULCarriers(carriers).reduce((sum, c) => sum + classToCC(c.ulClass), 0);
 };
 
-// ==================== PARSING ====================
+// ==================== PCELL ====================
 
 /**
- * Parse a combo string into carriers array
- * Format: BAND + CLASS + [MIMO] + [ULCLASS]
- * Example: "3A4A-7B2-20A2C"
- *
- * @param {string} comboStr - Combo string
- * @returns {{carriers: Carrier[], pcellIndex: number|null}}
+ * PCell marker, written after the carrier it marks: "3A4A-7A2A^" (PCell on band 7)
+ * A letter would clash with the UL class and "*" with the UL CA flag of TXT lists.
  */
-export const parseComboString = (comboStr) => {
-  const carriers = [];
-  let pcellIndex = null;
-  const parts = comboStr.trim().split('-');
+export const PCELL_MARKER = '^';
 
-  for (let partIndex = 0; partIndex < parts.length; partIndex++) {
-    const part = parts[partIndex];
-    if (!part) continue;
-
-    // Pattern: BAND + CLASS + [MIMO] + [ULCLASS] + [optional 'A' for PCell marker at end]
-    // Examples: 3A, 3A2, 3A4, 3A2A, 3A4B, 3A2A (where last A could be UL class or PCell marker)
-    const match = part.match(/^(\d+)([A-Z])(\d+)?([A-Z])?([A-Z])?$/i);
-
-    if (!match) {
-      throw new Error(`Invalid carrier format: ${part}`);
-    }
-
-    const band = parseInt(match[1], 10);
-    const dlClass = match[2].toUpperCase();
-    const mimo = match[3] ? parseInt(match[3], 10) : 2;
-
-    // Handle UL class and potential PCell marker
-    let ulClass = null;
-    let isPCell = false;
-
-    if (match[4]) {
-      const char4 = match[4].toUpperCase();
-      if (match[5]) {
-        // Two letters after MIMO: first is UL class, second might be PCell marker
-        ulClass = char4;
-        if (match[5].toUpperCase() === 'A') {
-          // Could be PCell marker - check if this is standalone 'A' at end
-          // For now, treat additional 'A' after UL class as PCell marker
-          isPCell = true;
-        }
-      } else {
-        // Only one letter after MIMO
-        // Could be UL class or PCell marker 'A'
-        // PCell marker is typically 'A' appearing after the carrier without being an UL class
-        // Heuristic: if it's 'A' and we haven't established UL yet, it could be PCell marker
-        // But traditionally 'A' suffix means UL class A
-        ulClass = char4;
-      }
-    }
-
-    // Check for legacy PCell marker: trailing 'A' that makes the combo end with double A
-    // e.g., "3A2A" where first A is class, second A is UL class indicating PCell
-    if (ulClass === 'A' && dlClass === 'A' && !match[5]) {
-      // This pattern often indicates PCell: xAyA where both classes are A
-      // But it's ambiguous - could be UL class A
-      // For backward compatibility, treat as PCell if this carrier seems to be marked
-      // We'll detect PCell by looking at the original string pattern
-    }
-
-    carriers.push({
-      band,
-      dlClass,
-      mimoDl: mimo,
-      ulClass,
-      mimoUl: ulClass ? 1 : 0,
-      // Legacy format support
-      bclass: classLetterToNum(dlClass),
-      ant: mimo,
-      ulclass: ulClass ? classLetterToNum(ulClass) : 0
-    });
-  }
-
-  // Detect PCell from legacy format (trailing 'A' pattern)
-  // In legacy format, PCell is indicated by adding 'A' suffix to indicate the priority cell
-  // This is separate from UL class - it's metadata
-  // For proper handling, we look at the original string structure
+/**
+ * Resolve the PCell of a combo
+ * The PCell always carries UL and the NV item puts it in UL slot 0, so
+ * without an explicit index the first UL carrier takes that slot.
+ *
+ * @param {Carrier[]} carriers - Array of carriers
+ * @param {number|null} [pcellIndex=null] - Explicit PCell index
+ * @returns {number|null} PCell index, null for a combo without UL
+ */
+export const getPCellIndex = (carriers, pcellIndex = null) => {
+  if (pcellIndex !== null && pcellIndex !== undefined) return pcellIndex;
+  if (!carriers || carriers.length === 0) return null;
 
-  return { carriers, pcellIndex };
+  const firstUL = carriers.findIndex(c => c.ulClass !== null);
+  return firstUL === -1 ? null : firstUL;
 };
 
+// ==================== PARSING ====================
+
 /**
- * Parse combo string with explicit PCell detection
- * Looks for the legacy 'A' suffix pattern used to mark PCell
+ * Parse a combo string
+ * Format: BAND + CLASS + [MIMO] + [ULCLASS + [ULMIMO]] + [PCELL_MARKER]
+ * Example: "3A4A2-7B2-20A2C^" (PCell on band 20)
+ * EN-DC combos ("DC_3A-7A_n78A", "3A-7A+n78A") are rejected, see endc.js.
  *
  * @param {string} comboStr - Combo string
- * @returns {{carriers: Carrier[], pcellIndex: number|null, originalStr: string}}
+ * @returns {Combo} pcellIndex is null without a marker
  */
-export const parseComboWithPCell = (comboStr) => {
-  const parts = comboStr.trim().split('-');
+export const parseComboString = (comboStr) => {
+  if (/^\s*DC_\d|\+\s*n\d/i.test(comboStr)) {
+    throw new Error(`EN-DC combo "${comboStr.trim()}": NV 00028874 holds LTE combos only, see parseEndcCombo`);
+  }
+
   const carriers = [];
   let pcellIndex = null;
+  const parts = comboStr.trim().split('-');
 
-  for (let i = 0; i < parts.length; i++) {
-    const part = parts[i];
+  for (const part of parts) {
     if (!part) continue;
 
-    // Detect if this part has PCell marker (ends with extra 'A')
-    // Pattern like "3A2A" where the final A is PCell marker, not UL class
-    // This is tricky because "3A2A" could mean:
-    // 1. Band 3, DL Class A, MIMO 2, UL Class A
-    // 2. Band 3, DL Class A, MIMO 2, PCell marker
+    const match = part.match(/^(\d+)([A-Z])(\d+)?(?:([A-Z])(\d+)?)?(\^)?$/i);
 
-    // More specific pattern: BAND + CLASS + MIMO + [ULCLASS] + [PCell A]
-    // We'll use a heuristic: if string ends with exactly one 'A' and
-    // the carrier already has UL class, that 'A' is PCell marker
-
-    let match = part.match(/^(\d+)([A-Z])(\d+)?([A-Z])?$/i);
-    if (!match) {
+    if (!match || !VALID_CLASSES.includes(match[2].toUpperCase()) ||
+        (match[4] && !VALID_CLASSES.includes(match[4].toUpperCase()))) {
       throw new Error(`Invalid carrier format: ${part}`);
     }
 
-    const band = parseInt(match[1], 10);
-    const dlClass = match[2].toUpperCase();
-    const mimo = match[3] ? parseInt(match[3], 10) : 2;
-    let ulClass = match[4] ? match[4].toUpperCase() : null;
-
-    // For this implementation, we'll treat the UL class 'A' as potentially being PCell marker
-    // when it appears at the end of the combo string in a specific pattern
-    // This is a simplification - real implementation might need more context
-
-    carriers.push({
-      band,
-      dlClass,
-      mimoDl: mimo,
-      ulClass,
-      mimoUl: ulClass ? 1 : 0,
-      bclass: classLetterToNum(dlClass),
-      ant: mimo,
-      ulclass: ulClass ? classLetterToNum(ulClass) : 0
-    });
+    if (match[6]) {
+      if (pcellIndex !== null) {
+        throw new Error(`More than one PCell marker in "${comboStr.trim()}"`);
+      }
+      pcellIndex = carriers.length;
+    }
+
+    carriers.push(createCarrier({
+      band: parseInt(match[1], 10),
+      dlClass: match[2],
+      mimoDl: match[3] ? parseInt(match[3], 10) : 2,
+      ulClass: match[4] || null,
+      mimoUl: match[5] ? parseInt(match[5], 10) : 1
+    }));
   }
 
-  return { carriers, pcellIndex, originalStr: comboStr };
+  return createCombo({ carriers, pcellIndex });
 };
 
 // ==================== SERIALIZATION ====================
 
 /**
- * Convert carriers to combo string (canonical format without PCell marker)
+ * Convert carriers to combo string
  *
- * @param {Carrier[]|Object[]} carriers - Array of carriers
+ * @param {Carrier[]} carriers - Array of carriers
  * @param {Object} options
  * @param {boolean} [options.includeMimo=true] - Include MIMO values
- * @param {boolean} [options.includeUL=true] - Include UL class
+ * @param {boolean} [options.includeUL=true] - Include UL class (and UL MIMO when > 1)
  * @returns {string} Combo string
  */
 export const carriersToString = (carriers, options = {}) => {
   const { includeMimo = true, includeUL = true } = options;
 
   return carriers.map(c => {
-    const band = c.band;
-    const dlClass = c.dlClass || classNumToLetter(c.bclass);
-    const mimo = c.mimoDl || c.ant || 2;
-    const ulClass = c.ulClass || (c.ulclass ? classNumToLetter(c.ulclass) : null);
-
-    let str = `${band}${dlClass}`;
+    let str = `${c.band}${c.dlClass}`;
     if (includeMimo) {
-      str += mimo;
+      str += c.mimoDl;
     }
-    if (includeUL && ulClass) {
-      str += ulClass;
+    if (includeUL && c.ulClass) {
+      str += c.ulClass;
+      if (c.mimoUl > 1) str += c.mimoUl;
     }
     return str;
   }).join('-');
@@ -423,35 +387,18 @@ export const carriersToString = (carriers, options = {}) => {
  *
  * @param {Combo} combo - Combo object
  * @param {Object} options
- * @param {boolean} [options.includePCell=false] - Include PCell marker
+ * @param {boolean} [options.includePCell=true] - Include the marker when pcellIndex is set
  * @param {boolean} [options.includeMimo=true] - Include MIMO
- * @param {boolean} [options.includeUL=true] - Include UL class
+ * @param {boolean} [options.includeUL=true] - Include UL class (and UL MIMO when > 1)
  * @returns {string} Combo string
  */
 export const comboToString = (combo, options = {}) => {
-  const { includePCell = false, includeMimo = true, includeUL = true } = options;
-
-  const parts = combo.carriers.map((c, idx) => {
-    const band = c.band;
-    const dlClass = c.dlClass || classNumToLetter(c.bclass);
-    const mimo = c.mimoDl || c.ant || 2;
-    const ulClass = c.ulClass || (c.ulclass ? classNumToLetter(c.ulclass) : null);
+  const { includePCell = true } = options;
 
-    let str = `${band}${dlClass}`;
-    if (includeMimo) {
-      str += mimo;
-    }
-    if (includeUL && ulClass) {
-      str += ulClass;
-    }
-    // Add PCell marker
-    if (includePCell && combo.pcellIndex === idx) {
-      str += 'A';
-    }
-    return str;
-  });
-
-  return parts.join('-');
+  return combo.carriers.map((c, idx) => {
+    const str = carriersToString([c], options);
+    return includePCell && combo.pcellIndex === idx ? `${str}${PCELL_MARKER}` : str;
+  }).join('-');
 };
 
 // ==================== NORMALIZATION ====================
@@ -464,21 +411,16 @@ export const comboToString = (combo, options = {}) => {
  */
 export const sortCarriersByBand = (carriers) => {
   return [...carriers].sort((a, b) => {
-    const bandA = a.band;
-    const bandB = b.band;
-    if (bandA !== bandB) return bandA - bandB;
+    if (a.band !== b.band) return a.band - b.band;
 
     // Same band: sort by DL class
-    const classA = classLetterToNum(a.dlClass || a.bclass);
-    const classB = classLetterToNum(b.dlClass || b.bclass);
-    return classA - classB;
+    return classLetterToNum(a.dlClass) - classLetterToNum(b.dlClass);
   });
 };
 
 /**
  * Normalize a combo to canonical form
  * - Sorts carriers by band number
- * - Removes duplicate carriers
  * - Updates pcellIndex to reflect new order
  *
  * @param {Combo} combo - Combo object
@@ -491,16 +433,8 @@ export const normalizeCombo = (combo) => {
   // Sort carriers
   const sortedCarriers = sortCarriersByBand(combo.carriers);
 
-  // Find new pcellIndex
-  let newPcellIndex = null;
-  if (pcellCarrier) {
-    newPcellIndex = sortedCarriers.findIndex(c =>
-      c.band === pcellCarrier.band &&
-      (c.dlClass || c.bclass) === (pcellCarrier.dlClass || pcellCarrier.bclass) &&
-      (c.mimoDl || c.ant) === (pcellCarrier.mimoDl || pcellCarrier.ant)
-    );
-    if (newPcellIndex === -1) newPcellIndex = null;
-  }
+  // Find new pcellIndex (sorting keeps the carrier objects, so repeated bands stay apart)
+  const newPcellIndex = pcellCarrier ? sortedCarriers.indexOf(pcellCarrier) : null;
 
   return createCombo({
     carriers: sortedCarriers,
@@ -513,68 +447,91 @@ export const normalizeCombo = (combo) => {
  * Generate canonical key for a combo (for grouping/deduplication)
  * Key is based on sorted carriers without PCell info
  *
- * @param {Combo|Object} combo - Combo object or carriers array
+ * @param {Combo|Carrier[]} combo - Combo object or carriers array
  * @returns {string} Canonical key
  */
 export const getComboKey = (combo) => {
   const carriers = combo.carriers || combo;
   const sorted = sortCarriersByBand(carriers);
 
-  return sorted.map(c => {
-    const band = c.band;
-    const dlClass = c.dlClass || classNumToLetter(c.bclass);
-    const mimo = c.mimoDl || c.ant || 2;
-    return `${band}:${classLetterToNum(dlClass)}:${mimo}`;
-  }).join('|');
+  return sorted.map(c => `${c.band}:${classLetterToNum(c.dlClass)}:${c.mimoDl}`).join('|');
 };
 
 /**
  * Generate DL-only key for grouping (ignores UL configuration)
+ * Carriers in the given order, padded to the 6 slots of a DL descriptor.
  *
- * @param {Carrier[]|Object[]} carriers - Array of carriers
+ * @param {Carrier[]} carriers - Array of carriers
  * @returns {string} DL key
  */
 export const getDLKey = (carriers) => {
-  // Normalize to 6 elements for consistency
   const normalized = [];
-  for (let i = 0; i < 6; i++) {
-    const c = carriers[i] || { band: 0, bclass: 0, ant: 0 };
-    normalized.push(`${c.band}:${c.bclass || classLetterToNum(c.dlClass)}:${c.ant || c.mimoDl || 0}`);
+  for (let i = 0; i < MAX_CC; i++) {
+    const c = carriers[i];
+    normalized.push(c ? `${c.band}:${classLetterToNum(c.dlClass)}:${c.mimoDl}` : '0:0:0');
   }
   return normalized.join('|');
 };
 
-// ==================== CONVERSION HELPERS ====================
+// ==================== NV DESCRIPTOR FORM ====================
+
+/**
+ * @typedef {Object} LegacyCarrier
+ * Carrier as stored in the NV descriptors (binary boundary only)
+ * @property {number} band
+ * @property {number} bclass - DL class, 1-6 = A-F
+ * @property {number} ant - DL MIMO layers, 0 in 137 (no MIMO field)
+ * @property {number} ulclass - UL class, 0 = no UL, 1-6 = A-F
+ * @property {number} ulmimo - UL MIMO layers, 0 = not stored (138) or no UL
+ */
 
 /**
- * Convert legacy carrier format to new Carrier type
+ * UL MIMO byte of a 202 UL slot with a single UL layer: the encoder always
+ * wrote 2 there before UL MIMO was configurable, so a stored 2 is read as one
+ * layer and 202 can only store UL MIMO above 2 (334 stores any value)
+ */
+export const DEFAULT_UL_MIMO_202 = 2;
+
+const checkNvClass = (value, field, allowEmpty) => {
+  if (!Number.isInteger(value) || value > VALID_CLASSES.length || value < (allowEmpty ? 0 : 1)) {
+    throw new Error(`Invalid NV ${field} ${value}`);
+  }
+  return value;
+};
+
+/**
+ * Convert an NV descriptor carrier to a Carrier
+ * The two implicit values of the binary are resolved here and nowhere else:
+ * ant 0 (137 has no MIMO field) is 2x2, ulmimo 0 (138) is one UL layer.
  *
- * @param {Object} legacy - Legacy carrier {band, bclass, ant, ulclass}
- * @returns {Carrier} New carrier format
- */
-export const legacyToCarrier = (legacy) => ({
-  band: legacy.band,
-  dlClass: classNumToLetter(legacy.bclass),
-  mimoDl: legacy.ant || 2,
-  ulClass: legacy.ulclass ? classNumToLetter(legacy.ulclass) : null,
-  mimoUl: legacy.ulclass ? 1 : 0,
-  // Keep legacy fields for backward compatibility
-  bclass: legacy.bclass,
-  ant: legacy.ant || 2,
-  ulclass: legacy.ulclass || 0
-});
+ * @param {LegacyCarrier} legacy - {band, bclass, ant, ulclass, [ulmimo]}
+ * @returns {Carrier}
+ * @throws {Error} For a class outside 1-6 (UL: 0-6)
+ */
+export const legacyToCarrier = (legacy) => {
+  const bclass = checkNvClass(legacy.bclass, 'DL class', false);
+  const ulclass = checkNvClass(legacy.ulclass || 0, 'UL class', true);
+  return createCarrier({
+    band: legacy.band,
+    dlClass: classNumToLetter(bclass),
+    mimoDl: legacy.ant === 0 ? 2 : legacy.ant,
+    ulClass: ulclass ? classNumToLetter(ulclass) : null,
+    mimoUl: ulclass && legacy.ulmimo ? legacy.ulmimo : 1
+  });
+};
 
 /**
- * Convert new Carrier type to legacy format
+ * Convert a Carrier to the NV descriptor form
  *
- * @param {Carrier} carrier - New carrier
- * @returns {Object} Legacy format {band, bclass, ant, ulclass}
+ * @param {Carrier} carrier
+ * @returns {LegacyCarrier} {band, bclass, ant, ulclass, ulmimo}
  */
 export const carrierToLegacy = (carrier) => ({
   band: carrier.band,
-  bclass: carrier.bclass || classLetterToNum(carrier.dlClass),
-  ant: carrier.ant || carrier.mimoDl || 2,
-  ulclass: carrier.ulclass || (carrier.ulClass ? classLetterToNum(carrier.ulClass) : 0)
+  bclass: classLetterToNum(carrier.dlClass),
+  ant: carrier.mimoDl,
+  ulclass: carrier.ulClass ? classLetterToNum(carrier.ulClass) : 0,
+  ulmimo: carrier.mimoUl
 });
 
 // ==================== COMBO COMPARISON ====================
@@ -601,14 +558,9 @@ export const combosIdentical = (combo1, combo2) => {
   if (combo1.pcellIndex !== combo2.pcellIndex) return false;
   if (combo1.carriers.length !== combo2.carriers.length) return false;
 
-  for (let i = 0; i < combo1.carriers.length; i++) {
-    const c1 = combo1.carriers[i];
+  return combo1.carriers.every((c1, i) => {
     const c2 = combo2.carriers[i];
-    if (c1.band !== c2.band) return false;
-    if ((c1.dlClass || c1.bclass) !== (c2.dlClass || c2.bclass)) return false;
-    if ((c1.mimoDl || c1.ant) !== (c2.mimoDl || c2.ant)) return false;
-    if ((c1.ulClass || c1.ulclass) !== (c2.ulClass || c2.ulclass)) return false;
-  }
-
-  return true;
+    return c1.band === c2.band && c1.dlClass === c2.dlClass && c1.mimoDl === c2.mimoDl &&
+      c1.ulClass === c2.ulClass && c1.mimoUl === c2.mimoUl;
+  });
 };
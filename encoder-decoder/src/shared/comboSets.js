@@ -0,0 +1,146 @@
+/**
+ * Combo Set Operations
+ *
+ * Union, intersection and difference of combo lists (decoded binaries, TXT
+ * files, builder output, ...). Two combos are the same element when their
+ * identity keys match:
+ * - dl: DL carriers only, any order (getComboKey) - UL variants of a combo are one element
+ * - dl-ul: DL and UL carriers incl. UL MIMO and PCell, any order
+ * - exact: same carriers in the same order with the same PCell (combosIdentical)
+ *
+ * With the supersetBands option every band is replaced by its outermost
+ * superset first (getOutermostBand), so 4A-2A and 66A-25A are one element.
+ *
+ * Results keep the first occurrence of every element, in list order, and
+ * are free of duplicates. Items are returned as given (combos or encoder
+ * entries); items without carriers (undecodable classes) are left out.
+ */
+
+import { classLetterToNum, getComboKey, updateCarrier } from './combo.js';
+import { getOutermostBand } from './bands.js';
+
+// ==================== CONSTANTS ====================
+
+export const COMBO_IDENTITY = {
+  DL: 'dl',
+  DL_UL: 'dl-ul',
+  EXACT: 'exact'
+};
+
+export const SET_OPERATION = {
+  UNION: 'union',
+  INTERSECTION: 'intersection',
+  DIFFERENCE: 'difference'
+};
+
+// ==================== IDENTITY ====================
+
+const carrierKey = (c, isPCell) => (
+  `${c.band}:${classLetterToNum(c.dlClass)}:${c.mimoDl}:${c.ulClass ? classLetterToNum(c.ulClass) : 0}:${c.mimoUl}${isPCell ? '^' : ''}`
+);
+
+/**
+ * Identity key of a combo
+ *
+ * @param {Combo} combo - Combo or encoder entry
+ * @param {string} [identity=COMBO_IDENTITY.DL] - One of COMBO_IDENTITY
+ * @returns {string}
+ */
+export const getIdentityKey = (combo, identity = COMBO_IDENTITY.DL) => {
+  const { carriers, pcellIndex = null } = combo;
+
+  switch (identity) {
+    case COMBO_IDENTITY.DL:
+      return getComboKey(carriers);
+    case COMBO_IDENTITY.DL_UL:
+      return carriers.map((c, i) => carrierKey(c, i === pcellIndex)).sort().join('|');
+    case COMBO_IDENTITY.EXACT:
+      return carriers.map((c, i) => carrierKey(c, i === pcellIndex)).join('|');
+    default:
+      throw new Error(`Unknown combo identity "${identity}"`);
+  }
+};
+
+// Identity key, with the bands mapped to their outermost supersets for options.supersetBands
+const itemKey = (item, options) => getIdentityKey(
+  options.supersetBands
+    ? {
+      carriers: item.carriers.map(c => updateCarrier(c, { band: getOutermostBand(c.band) })),
+      pcellIndex: item.pcellIndex ?? null
+    }
+    : item,
+  options.identity
+);
+
+// Items with carriers, first occurrence of every key
+const uniqueItems = (items, options, keep = () => true) => {
+  const seen = new Set();
+  return items.filter(item => {
+    if (!item.carriers) return false;
+    const key = itemKey(item, options);
+    if (seen.has(key) || !keep(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const keySet = (items, options) => new Set(
+  items.filter(item => item.carriers).map(item => itemKey(item, options))
+);
+
+// ==================== OPERATIONS ====================
+
+/**
+ * List without duplicates
+ *
+ * @param {Object[]} items - Combos or encoder entries
+ * @param {Object} [options]
+ * @param {string} [options.identity=COMBO_IDENTITY.DL]
+ * @param {boolean} [options.supersetBands=false] - Compare the bands as their outermost supersets
+ * @returns {Object[]}
+ */
+export const dedupeCombos = (items, options = {}) => uniqueItems(items, options);
+
+/**
+ * Combos of a, then combos of b not in a
+ */
+export const unionCombos = (a, b, options = {}) => uniqueItems([...a, ...b], options);
+
+/**
+ * Combos of a that are also in b
+ */
+export const intersectCombos = (a, b, options = {}) => {
+  const inB = keySet(b, options);
+  return uniqueItems(a, options, key => inB.has(key));
+};
+
+/**
+ * Combos of a that are not in b
+ */
+export const differenceCombos = (a, b, options = {}) => {
+  const inB = keySet(b, options);
+  return uniqueItems(a, options, key => !inB.has(key));
+};
+
+const OPERATIONS = {
+  [SET_OPERATION.UNION]: unionCombos,
+  [SET_OPERATION.INTERSECTION]: intersectCombos,
+  [SET_OPERATION.DIFFERENCE]: differenceCombos
+};
+
+/**
+ * Apply a set operation by name
+ *
+ * @param {string} operation - One of SET_OPERATION
+ * @param {Object[]} a
+ * @param {Object[]} b
+ * @param {Object} [options]
+ * @param {string} [options.identity=COMBO_IDENTITY.DL]
+ * @param {boolean} [options.supersetBands=false] - Compare the bands as their outermost supersets
+ * @returns {Object[]}
+ */
+export const applySetOperation = (operation, a, b, options = {}) => {
+  const apply = OPERATIONS[operation];
+  if (!apply) throw new Error(`Unknown set operation "${operation}"`);
+  return apply(a, b, options);
+};
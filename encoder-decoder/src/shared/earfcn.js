@@ -0,0 +1,261 @@
+/**
+ * EARFCN Calculator
+ *
+ * E-UTRA channel numbers (3GPP TS 36.101, Table 5.7.3-1):
+ *
+ *   F_DL = F_DL_low + 0.1 × (N_DL - N_Offs-DL)
+ *   F_UL = F_UL_low + 0.1 × (N_UL - N_Offs-UL)
+ *
+ * F_DL_low / F_UL_low are the band edges of the band database (BANDS), the
+ * EARFCN range of a band is N_Offs up to N_Offs + 10 × width - 1, so only the
+ * offsets are listed here. TDD bands have one range for DL and UL, SDL bands
+ * no UL range. Frequencies are in MHz on the 100 kHz channel raster.
+ */
+
+import { BANDS, DUPLEX_MODE } from './bands.js';
+
+// ==================== CONSTANTS ====================
+
+export const CHANNEL_LINK = {
+  DL: 'DL',
+  UL: 'UL',
+  TDD: 'TDD'  // DL and UL on the same channel
+};
+
+// N_Offs-DL and N_Offs-UL per band (UL null for SDL, same as DL for TDD)
+const EARFCN_OFFSETS = {
+  1: [0, 18000],
+  2: [600, 18600],
+  3: [1200, 19200],
+  4: [1950, 19950],
+  5: [2400, 20400],
+  6: [2650, 20650],
+  7: [2750, 20750],
+  8: [3450, 21450],
+  9: [3800, 21800],
+  10: [4150, 22150],
+  11: [4750, 22750],
+  12: [5010, 23010],
+  13: [5180, 23180],
+  14: [5280, 23280],
+  17: [5730, 23730],
+  18: [5850, 23850],
+  19: [6000, 24000],
+  20: [6150, 24150],
+  21: [6450, 24450],
+  22: [6600, 24600],
+  23: [7500, 25500],
+  24: [7700, 25700],
+  25: [8040, 26040],
+  26: [8690, 26690],
+  27: [9040, 27040],
+  28: [9210, 27210],
+  29: [9660, null],
+  30: [9770, 27660],
+  31: [9870, 27760],
+  32: [9920, null],
+  33: [36000, 36000],
+  34: [36200, 36200],
+  35: [36350, 36350],
+  36: [36950, 36950],
+  37: [37550, 37550],
+  38: [37750, 37750],
+  39: [38250, 38250],
+  40: [38650, 38650],
+  41: [39650, 39650],
+  42: [41590, 41590],
+  43: [43590, 43590],
+  44: [45590, 45590],
+  45: [46590, 46590],
+  46: [46790, 46790],
+  47: [54540, 54540],
+  48: [55240, 55240],
+  49: [56740, 56740],
+  50: [58240, 58240],
+  51: [59090, 59090],
+  52: [59140, 59140],
+  53: [60140, 60140],
+  65: [65536, 131072],
+  66: [66436, 131972],
+  67: [67336, null],
+  68: [67536, 132672],
+  69: [67836, null],
+  70: [68336, 132972],
+  71: [68586, 133122],
+  72: [68936, 133472],
+  73: [68986, 133522],
+  74: [69036, 133572],
+  75: [69466, null],
+  76: [70316, null],
+  85: [70366, 134002],
+  87: [70546, 134182],
+  88: [70596, 134232]
+};
+
+// ==================== TYPES ====================
+
+/**
+ * @typedef {Object} EarfcnRange
+ * @property {number} fLow - F_low in MHz
+ * @property {number} nOffs - N_Offs
+ * @property {number} first - Lowest EARFCN
+ * @property {number} last - Highest EARFCN
+ */
+
+/**
+ * @typedef {Object} EarfcnInfo
+ * @property {number} band
+ * @property {string} duplexMode - DUPLEX_MODE
+ * @property {EarfcnRange} dl
+ * @property {EarfcnRange|null} ul - null for SDL bands, the DL range for TDD bands
+ */
+
+/**
+ * @typedef {Object} Channel
+ * @property {number} earfcn
+ * @property {number} band
+ * @property {string} link - CHANNEL_LINK
+ * @property {number} frequency - MHz
+ */
+
+// ==================== TABLE ====================
+
+// MHz to 100 kHz steps without floating point residue (1844.9 → 18449)
+const toRaster = (mhz) => Math.round(mhz * 10);
+
+const toRange = (fLow, fHigh, nOffs) => ({
+  fLow,
+  nOffs,
+  first: nOffs,
+  last: nOffs + toRaster(fHigh) - toRaster(fLow) - 1
+});
+
+const EARFCN_TABLE = Object.freeze(Object.entries(EARFCN_OFFSETS).map(([num, [dlOffs, ulOffs]]) => {
+  const band = parseInt(num, 10);
+  const info = BANDS[band];
+  const dl = toRange(info.dlFreqLow, info.dlFreqHigh, dlOffs);
+  return Object.freeze({
+    band,
+    duplexMode: info.duplexMode,
+    dl,
+    ul: info.duplexMode === DUPLEX_MODE.TDD
+      ? dl
+      : ulOffs !== null ? toRange(info.ulFreqLow, info.ulFreqHigh, ulOffs) : null
+  });
+}));
+
+const TABLE_BY_BAND = new Map(EARFCN_TABLE.map(info => [info.band, info]));
+
+/**
+ * EARFCN table of all bands, in band order
+ * @returns {EarfcnInfo[]}
+ */
+export const getEarfcnTable = () => EARFCN_TABLE;
+
+/**
+ * EARFCN ranges of a band
+ * @param {number} bandNum - Band number
+ * @returns {EarfcnInfo|null} null for bands without EARFCNs in the table
+ */
+export const getEarfcnInfo = (bandNum) => TABLE_BY_BAND.get(bandNum) || null;
+
+// ==================== CONVERSION ====================
+
+const channelLink = (info, link) => (info.duplexMode === DUPLEX_MODE.TDD ? CHANNEL_LINK.TDD : link);
+
+/**
+ * Band, link and frequency of an EARFCN
+ * DL and UL EARFCNs do not overlap, so the number alone identifies the channel.
+ *
+ * @param {number} earfcn
+ * @returns {Channel|null} null for EARFCNs outside all bands
+ */
+export const earfcnToFrequency = (earfcn) => {
+  if (!Number.isInteger(earfcn) || earfcn < 0) return null;
+
+  for (const info of EARFCN_TABLE) {
+    for (const link of [CHANNEL_LINK.DL, CHANNEL_LINK.UL]) {
+      const range = link === CHANNEL_LINK.DL ? info.dl : info.ul;
+      if (range && earfcn >= range.first && earfcn <= range.last) {
+        return {
+          earfcn,
+          band: info.band,
+          link: channelLink(info, link),
+          frequency: (toRaster(range.fLow) + earfcn - range.nOffs) / 10
+        };
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * EARFCN of a frequency in a band
+ *
+ * @param {number} frequency - MHz
+ * @param {number} bandNum - Band number
+ * @param {string} [link=CHANNEL_LINK.DL] - CHANNEL_LINK.DL or UL (TDD bands have one range)
+ * @returns {number|null} null outside the band, without UL range or off the 100 kHz raster
+ */
+export const frequencyToEarfcn = (frequency, bandNum, link = CHANNEL_LINK.DL) => {
+  const info = getEarfcnInfo(bandNum);
+  const range = info && (link === CHANNEL_LINK.UL ? info.ul : info.dl);
+  if (!range || Math.abs(frequency * 10 - toRaster(frequency)) > 1e-6) return null;
+
+  const earfcn = range.nOffs + toRaster(frequency) - toRaster(range.fLow);
+  return earfcn >= range.first && earfcn <= range.last ? earfcn : null;
+};
+
+/**
+ * Bands whose DL or UL range contains a frequency (band edges included)
+ *
+ * @param {number} frequency - MHz
+ * @returns {{band: number, link: string, earfcn: number|null}[]} One entry per band and link,
+ *   earfcn null on the upper band edge or off the 100 kHz raster
+ */
+export const findBandsByFrequency = (frequency) => EARFCN_TABLE.flatMap(info => {
+  const ranges = info.duplexMode === DUPLEX_MODE.TDD
+    ? [[CHANNEL_LINK.TDD, info.dl]]
+    : [[CHANNEL_LINK.DL, info.dl], [CHANNEL_LINK.UL, info.ul]];
+  const band = BANDS[info.band];
+
+  return ranges.flatMap(([link, range]) => {
+    if (!range) return [];
+    const high = link === CHANNEL_LINK.UL ? band.ulFreqHigh : band.dlFreqHigh;
+    if (frequency < range.fLow || frequency > high) return [];
+    const earfcn = frequencyToEarfcn(frequency, info.band, link === CHANNEL_LINK.UL ? link : CHANNEL_LINK.DL);
+    return [{ band: info.band, link, earfcn }];
+  });
+});
+
+// ==================== COMBO LOOKUP ====================
+
+/**
+ * Combos that can use a channel: combos with a carrier in a band containing
+ * the frequency of the EARFCN on the same link, e.g. DL EARFCN 66536 (B66,
+ * 2120 MHz) also belongs to B1, B4, B10 and B65 combos. A UL channel needs
+ * a UL carrier in the band.
+ *
+ * @param {Object[]} combos - Combos, entries or decoded combos (without carriers: skipped)
+ * @param {number} earfcn
+ * @returns {{channel: Channel, bands: number[], matches: {index: number, text: string, bands: number[]}[]}|null}
+ *   null for EARFCNs outside all bands
+ */
+export const findCombosForEarfcn = (combos, earfcn) => {
+  const channel = earfcnToFrequency(earfcn);
+  if (!channel) return null;
+
+  const bands = [...new Set(
+    findBandsByFrequency(channel.frequency).filter(b => b.link === channel.link).map(b => b.band)
+  )];
+
+  const matches = combos.flatMap((combo, index) => {
+    if (!combo.carriers) return [];
+    const hit = [...new Set(combo.carriers
+      .filter(c => bands.includes(c.band) && (channel.link !== CHANNEL_LINK.UL || c.ulClass))
+      .map(c => c.band))];
+    return hit.length > 0 ? [{ index, text: combo.text, bands: hit }] : [];
+  });
+
+  return { channel, bands, matches };
+};
@@ -0,0 +1,275 @@
+/**
+ * EN-DC Combo Notation
+ *
+ * EN-DC (E-UTRA - NR Dual Connectivity) combos pair an LTE CA combo, the
+ * anchor, with NR carriers:
+ *   DC_3A-7A_n78A                3GPP configuration name (TS 38.101-3)
+ *   DC_1A-3A_n28A-n78A           several NR bands
+ *   3A-7A+n78A                   shorthand, LTE part in combo string format
+ *   3A4A-7A2+n78A4A              shorthand with MIMO and UL as in combo strings
+ *
+ * NV 00028874 only holds the LTE part: the binary encoder stays LTE-only and
+ * EN-DC combos are used to cross-check a combo file, every LTE part with
+ * more than one CC has to be an LTE CA combo of the file (findEndcAnchors,
+ * validateEndcAnchors). NR carriers have the Carrier shape with NR bandwidth
+ * classes (A-Q, TS 38.101-1/-2) and bands of NR_BANDS.
+ */
+
+import { parseComboString, comboToString, carriersToString, classToCC } from './combo.js';
+
+// ==================== CONSTANTS ====================
+
+/** Valid NR bandwidth class letters (FR1 and FR2) */
+export const NR_VALID_CLASSES = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'M', 'N', 'O', 'P', 'Q'];
+
+const DC_NOTATION = /^DC_([0-9A-Z^-]+?)_(n[0-9A-Z-n]+)$/i;
+
+const NR_PART = /^n(\d+)([A-Z])(\d+)?(?:([A-Z])(\d+)?)?$/i;
+
+// Combos in a line (several separated by commas, spaces...)
+const ENDC_SCAN = /DC_\d+[A-Z][0-9A-Z^-]*_n\d+[A-Z][0-9A-Zn-]*|\d+[A-Z][0-9A-Z^-]*\s*\+\s*n\d+[A-Z][0-9A-Zn+-]*/gi;
+
+// ==================== TYPES ====================
+
+/**
+ * @typedef {Object} NrCarrier
+ * @property {number} band - NR band number (78 for n78)
+ * @property {string} dlClass - NR bandwidth class (A-Q)
+ * @property {number} mimoDl - DL MIMO layers
+ * @property {string|null} ulClass - UL bandwidth class, null without UL
+ * @property {number} mimoUl - UL MIMO layers
+ */
+
+/**
+ * @typedef {Object} EndcCombo
+ * @property {Combo} lte - LTE part (anchor)
+ * @property {NrCarrier[]} nr - NR carriers
+ * @property {Object} meta - { notation } for parsed combos
+ */
+
+// ==================== CREATION ====================
+
+const checkNrClass = (cls, field) => {
+  if (!NR_VALID_CLASSES.includes(cls)) {
+    throw new Error(`Invalid NR ${field} "${cls}" (expected ${NR_VALID_CLASSES[0]}-${NR_VALID_CLASSES[NR_VALID_CLASSES.length - 1]})`);
+  }
+};
+
+/**
+ * Create an immutable NR carrier
+ *
+ * @param {Object} params
+ * @param {number} params.band - NR band number
+ * @param {string} params.dlClass - NR bandwidth class
+ * @param {number} [params.mimoDl=2]
+ * @param {string|null} [params.ulClass=null]
+ * @param {number} [params.mimoUl=1]
+ * @returns {NrCarrier}
+ */
+export const createNrCarrier = ({ band, dlClass, mimoDl = 2, ulClass = null, mimoUl = 1 }) => {
+  const dl = String(dlClass).toUpperCase();
+  const ul = ulClass ? String(ulClass).toUpperCase() : null;
+  checkNrClass(dl, 'DL class');
+  if (ul) checkNrClass(ul, 'UL class');
+
+  return Object.freeze({ band, dlClass: dl, mimoDl, ulClass: ul, mimoUl });
+};
+
+/**
+ * Create an immutable EN-DC combo
+ *
+ * @param {Object} params
+ * @param {Combo} params.lte - LTE part
+ * @param {NrCarrier[]} params.nr - NR carriers (at least one)
+ * @param {Object} [params.meta={}]
+ * @returns {EndcCombo}
+ */
+export const createEndcCombo = ({ lte, nr, meta = {} }) => {
+  if (!lte || lte.carriers.length === 0) throw new Error('EN-DC combo without an LTE carrier');
+  if (!nr || nr.length === 0) throw new Error('EN-DC combo without an NR carrier');
+
+  return Object.freeze({ lte, nr: Object.freeze([...nr]), meta: Object.freeze({ ...meta }) });
+};
+
+// ==================== PARSING ====================
+
+const parseNrParts = (text, notation) => text.split(/[-+]/).map(part => {
+  const match = part.trim().match(NR_PART);
+  if (!match) {
+    throw new Error(`Invalid EN-DC combo "${notation}": bad NR part "${part}"`);
+  }
+  try {
+    return createNrCarrier({
+      band: parseInt(match[1], 10),
+      dlClass: match[2],
+      mimoDl: match[3] ? parseInt(match[3], 10) : 2,
+      ulClass: match[4] || null,
+      mimoUl: match[5] ? parseInt(match[5], 10) : 1
+    });
+  } catch (e) {
+    throw new Error(`Invalid EN-DC combo "${notation}": ${e.message}`);
+  }
+});
+
+const parseLtePart = (text, notation) => {
+  try {
+    return parseComboString(text);
+  } catch (e) {
+    throw new Error(`Invalid EN-DC combo "${notation}": ${e.message}`);
+  }
+};
+
+/**
+ * Check whether a string is an EN-DC combo ("DC_" name or "+n" shorthand)
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export const isEndcCombo = (text) => /^\s*DC_\d/i.test(text) || /\+\s*n\d/i.test(text);
+
+/**
+ * Parse an EN-DC combo
+ * The LTE part follows the combo string format (parseComboString), so the
+ * 3GPP name without MIMO gets 2 DL layers, like a plain "3A-7A".
+ *
+ * @param {string} text - e.g. "DC_3A-7A_n78A", "3A-7A+n78A", "3A4A-7A2+n78A4A"
+ * @returns {EndcCombo} meta { notation }
+ */
+export const parseEndcCombo = (text) => {
+  const notation = text.trim();
+  const dc = notation.match(DC_NOTATION);
+  let ltePart;
+  let nrPart;
+
+  if (dc) {
+    [, ltePart, nrPart] = dc;
+  } else {
+    const plus = notation.indexOf('+');
+    if (plus === -1) throw new Error(`Invalid EN-DC combo "${notation}": no NR part`);
+    ltePart = notation.slice(0, plus).trim();
+    nrPart = notation.slice(plus + 1).trim();
+  }
+
+  return createEndcCombo({
+    lte: parseLtePart(ltePart, notation),
+    nr: parseNrParts(nrPart, notation),
+    meta: { notation }
+  });
+};
+
+/**
+ * Parse an EN-DC combo list, line by line (one combo per line, or several
+ * separated by commas, semicolons or spaces). Blank lines and comments ("#",
+ * "//") are skipped, anything else that is not an EN-DC combo is an error.
+ * Exact duplicates (same shorthand string) are dropped.
+ *
+ * @param {string} text
+ * @returns {{combos: EndcCombo[], errors: string[], duplicates: number}}
+ */
+export const parseEndcList = (text) => {
+  const combos = [];
+  const errors = [];
+  const seen = new Set();
+  let duplicates = 0;
+
+  for (const line of text.split(/\r?\n/)) {
+    const content = line.replace(/(#|\/\/).*$/, '');
+
+    for (const [candidate] of content.matchAll(ENDC_SCAN)) {
+      let combo;
+      try {
+        combo = parseEndcCombo(candidate);
+      } catch (e) {
+        errors.push(e.message);
+        continue;
+      }
+      const key = endcToString(combo);
+      if (seen.has(key)) {
+        duplicates++;
+        continue;
+      }
+      seen.add(key);
+      combos.push(combo);
+    }
+
+    content.replace(ENDC_SCAN, ' ').split(/[\s,;]+/).filter(Boolean).forEach(rest => {
+      errors.push(`Invalid EN-DC combo "${rest}": not a DC_ name or LTE+NR shorthand`);
+    });
+  }
+
+  return { combos, errors, duplicates };
+};
+
+// ==================== SERIALIZATION ====================
+
+/**
+ * Convert NR carriers to the NR part of a combo string ("n78A4A-n258M2")
+ *
+ * @param {NrCarrier[]} carriers
+ * @param {Object} [options] - See carriersToString
+ * @returns {string}
+ */
+export const nrCarriersToString = (carriers, options = {}) => carriers
+  .map(c => `n${carriersToString([c], options)}`)
+  .join('-');
+
+/**
+ * Convert an EN-DC combo to the shorthand ("3A4-7A2+n78A4")
+ *
+ * @param {EndcCombo} combo
+ * @param {Object} [options] - See comboToString
+ * @returns {string}
+ */
+export const endcToString = (combo, options = {}) => (
+  `${comboToString(combo.lte, options)}+${nrCarriersToString(combo.nr, options)}`
+);
+
+/**
+ * Format an EN-DC combo as 3GPP configuration name ("DC_3A-7A_n78A")
+ * The name carries DL classes only.
+ *
+ * @param {EndcCombo} combo
+ * @returns {string}
+ */
+export const formatEndcNotation = (combo) => {
+  const dlOnly = { includeMimo: false, includeUL: false, includePCell: false };
+  return `DC_${comboToString(combo.lte, dlOnly)}_${nrCarriersToString(combo.nr, dlOnly)}`;
+};
+
+// ==================== ANCHORS ====================
+
+// Bands and DL classes, plus the UL classes when the EN-DC LTE part sets UL (MIMO is not compared)
+const anchorKey = (carriers, withUL) => carriers
+  .map(c => `${c.band}${c.dlClass}${withUL ? c.ulClass || '' : ''}`)
+  .sort()
+  .join('-');
+
+/**
+ * Check whether the LTE part of an EN-DC combo is LTE CA (more than one CC)
+ * A single-CC anchor needs no CA combo in the file.
+ *
+ * @param {EndcCombo} combo
+ * @returns {boolean}
+ */
+export const endcNeedsCaAnchor = (combo) => (
+  combo.lte.carriers.reduce((sum, c) => sum + classToCC(c.dlClass), 0) > 1
+);
+
+/**
+ * LTE CA combos of a list matching the LTE part of an EN-DC combo: same
+ * bands and DL classes in any order, and the same UL classes when the LTE
+ * part has UL ("3A-7A+n78A" matches 3A4A-7A2 and 3A2-7A2A, "3AA-7A+n78A"
+ * only 3A4A-7A2). MIMO is not compared, the 3GPP names do not carry it.
+ *
+ * @param {EndcCombo} combo
+ * @param {Object[]} lteCombos - Combos, entries or decoded combos (without carriers: skipped)
+ * @returns {number[]} Indices into lteCombos
+ */
+export const findEndcAnchors = (combo, lteCombos) => {
+  const withUL = combo.lte.carriers.some(c => c.ulClass);
+  const key = anchorKey(combo.lte.carriers, withUL);
+
+  return lteCombos.flatMap((item, index) => (
+    item.carriers && anchorKey(item.carriers, withUL) === key ? [index] : []
+  ));
+};
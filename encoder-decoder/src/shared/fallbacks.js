@@ -0,0 +1,229 @@
+/**
+ * Fallback Combination Analysis
+ *
+ * A UE that supports a CA combo is expected to also list its fallbacks, or the
+ * network cannot fall back when one carrier drops out: 1A-3A-7C needs 1A-3A,
+ * 3A-7C, 7C, 1A-3A-7B, 7A-... The fallbacks of a combo keep a subset of its
+ * carriers, each with its DL class or a lower one (classToCC), except:
+ * - the combo itself
+ * - a single class A carrier (no CA)
+ * - combos without UL when the combo has UL: the PCell needs UL and the combo
+ *   does not say which other band could carry it
+ *
+ * UL classes are capped at the reduced DL class, MIMO and an explicit PCell
+ * are kept. A fallback is present when a combo has the same DL carriers
+ * (band and class, any order); it is present with worse MIMO when none of
+ * these combos has at least the DL MIMO of the fallback on every carrier.
+ */
+
+import {
+  classToCC,
+  ccToClass,
+  updateCarrier,
+  createCombo,
+  comboToString,
+  carriersToString,
+  sortCarriersByBand
+} from './combo.js';
+import { validateCombo, DEFAULT_PROFILE } from './validation.js';
+
+// ==================== TYPES ====================
+
+/**
+ * @typedef {Object} FallbackReport
+ * Findings for one combo, only combos with findings get a report
+ * @property {number} index - Index of the combo
+ * @property {string} text - Combo string
+ * @property {Combo[]} missing - Missing fallbacks within the profile limits, in insertion order
+ * @property {{combo: Combo, errors: ValidationError[]}[]} blocked - Missing fallbacks violating the profile
+ * @property {{text: string, indices: number[]}[]} duplicates - Fallbacks listed more than once (same carriers incl. UL)
+ * @property {{combo: Combo, indices: number[]}[]} worseMimo - Fallbacks only present with lower DL MIMO
+ */
+
+/**
+ * @typedef {Object} FallbackAnalysis
+ * @property {string} profile - Profile name
+ * @property {FallbackReport[]} reports - In combo order
+ * @property {Object} summary - { combos, incomplete, missing, blocked, duplicates, worseMimo }
+ */
+
+// ==================== HELPERS ====================
+
+// DL carriers only (band and class), order-independent: "1A-3A-7C"
+const getDLClassKey = (carriers) => carriersToString(sortCarriersByBand(carriers), { includeMimo: false, includeUL: false });
+
+// DL and UL carriers without MIMO, order-independent: "3A-7AA"
+const getClassKey = (carriers) => carriersToString(sortCarriersByBand(carriers), { includeMimo: false });
+
+// Same carriers incl. MIMO and UL, order-independent
+const getCarriersKey = (carriers) => carriersToString(sortCarriersByBand(carriers));
+
+// Carriers in band/class order, higher MIMO first within the same band and class
+const byBandClassMimo = (carriers) => [...carriers].sort((a, b) => (
+  a.band - b.band || classToCC(a.dlClass) - classToCC(b.dlClass) || b.mimoDl - a.mimoDl
+));
+
+// Whether carriers (same DL class key) have at least the DL MIMO of required on every carrier
+const hasMimoOf = (carriers, required) => {
+  const have = byBandClassMimo(carriers);
+  return byBandClassMimo(required).every((c, i) => have[i].mimoDl >= c.mimoDl);
+};
+
+// ==================== FALLBACKS ====================
+
+/**
+ * All fallbacks of a combo, largest first
+ * Fallbacks with the same DL carriers (repeated bands) are listed once.
+ *
+ * @param {Combo} combo
+ * @returns {Combo[]}
+ */
+export const getFallbacks = (combo) => {
+  const { carriers, pcellIndex } = combo;
+  const hasUL = carriers.some(c => c.ulClass);
+  const fallbacks = new Map();
+
+  // Per carrier: dropped (0) or the CC count of its class or a lower class
+  const visit = (i, choice) => {
+    if (i < carriers.length) {
+      for (let cc = 0; cc <= classToCC(carriers[i].dlClass); cc++) visit(i + 1, [...choice, cc]);
+      return;
+    }
+
+    const kept = choice.flatMap((cc, idx) => (cc > 0 ? [idx] : []));
+    if (kept.length === 0) return;
+    if (kept.length === carriers.length && kept.every(idx => choice[idx] === classToCC(carriers[idx].dlClass))) return;
+    if (kept.length === 1 && choice[kept[0]] === 1) return;
+
+    const reduced = kept.map(idx => {
+      const c = carriers[idx];
+      const cc = choice[idx];
+      return updateCarrier(c, {
+        dlClass: ccToClass(cc),
+        ulClass: c.ulClass ? ccToClass(Math.min(classToCC(c.ulClass), cc)) : null
+      });
+    });
+    if (hasUL && !reduced.some(c => c.ulClass)) return;
+
+    const key = getDLClassKey(reduced);
+    if (!fallbacks.has(key)) {
+      fallbacks.set(key, createCombo({
+        carriers: reduced,
+        pcellIndex: pcellIndex !== null && kept.includes(pcellIndex) ? kept.indexOf(pcellIndex) : null
+      }));
+    }
+  };
+  visit(0, []);
+
+  const totalCC = (c) => c.carriers.reduce((sum, carrier) => sum + classToCC(carrier.dlClass), 0);
+  return [...fallbacks.values()].sort((a, b) => b.carriers.length - a.carriers.length || totalCC(b) - totalCC(a));
+};
+
+/**
+ * Check the fallbacks of every combo of a list
+ * A missing fallback is reported (and inserted) once per DL and UL classes, for the
+ * first combo that needs it: 3A-7A of 1A-3A-7A does not stand in for the 3A-7AA of 3C-7AA.
+ *
+ * @param {Combo[]} combos - Combos or encoder entries (carriers, pcellIndex, [text]), entries without carriers are skipped
+ * @param {Object} [options]
+ * @param {DeviceProfile} [options.profile=DEFAULT_PROFILE] - Limits for missing fallbacks
+ * @returns {FallbackAnalysis}
+ */
+export const analyzeFallbacks = (combos, options = {}) => {
+  const { profile = DEFAULT_PROFILE } = options;
+
+  const byKey = new Map();
+  combos.forEach((combo, idx) => {
+    if (!combo.carriers) return;
+    const key = getDLClassKey(combo.carriers);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(idx);
+  });
+
+  const seenMissing = new Set();
+  const seenDuplicates = new Set();
+  const reports = [];
+
+  combos.forEach((combo, index) => {
+    if (!combo.carriers) return;
+    const report = {
+      index,
+      text: combo.text || comboToString(combo),
+      missing: [],
+      blocked: [],
+      duplicates: [],
+      worseMimo: []
+    };
+
+    for (const fallback of getFallbacks(combo)) {
+      const key = getDLClassKey(fallback.carriers);
+      const indices = byKey.get(key);
+
+      if (!indices) {
+        const classKey = getClassKey(fallback.carriers);
+        if (seenMissing.has(classKey)) continue;
+        seenMissing.add(classKey);
+        const result = validateCombo(fallback.carriers, {
+          maxDLCC: profile.maxDLCC,
+          maxULSCell: profile.maxULSCell,
+          maxTotalUL: profile.maxTotalUL,
+          pcellIndex: fallback.pcellIndex,
+          profile
+        });
+        if (result.valid) {
+          report.missing.push(fallback);
+        } else {
+          report.blocked.push({ combo: fallback, errors: result.errors });
+        }
+        continue;
+      }
+
+      if (!seenDuplicates.has(key)) {
+        seenDuplicates.add(key);
+        const byCarriers = new Map();
+        indices.forEach(idx => {
+          const carriersKey = getCarriersKey(combos[idx].carriers);
+          byCarriers.set(carriersKey, [...(byCarriers.get(carriersKey) || []), idx]);
+        });
+        for (const [text, same] of byCarriers) {
+          if (same.length > 1) report.duplicates.push({ text, indices: same });
+        }
+      }
+
+      if (!indices.some(idx => hasMimoOf(combos[idx].carriers, fallback.carriers))) {
+        report.worseMimo.push({ combo: fallback, indices });
+      }
+    }
+
+    if (report.missing.length + report.blocked.length + report.duplicates.length + report.worseMimo.length > 0) {
+      reports.push(report);
+    }
+  });
+
+  const count = (field) => reports.reduce((sum, r) => sum + r[field].length, 0);
+  return {
+    profile: profile.name,
+    reports,
+    summary: {
+      combos: combos.length,
+      incomplete: reports.filter(r => r.missing.length + r.blocked.length > 0).length,
+      missing: count('missing'),
+      blocked: count('blocked'),
+      duplicates: count('duplicates'),
+      worseMimo: count('worseMimo')
+    }
+  };
+};
+
+/**
+ * Insert the missing fallbacks of an analysis right after the combo that needs them
+ *
+ * @param {Object[]} items - The combos (or entries) the analysis was made for
+ * @param {FallbackAnalysis} analysis
+ * @param {function(Combo): Object} [toItem] - Converts an inserted fallback (e.g. to an encoder entry)
+ * @returns {Object[]} New list
+ */
+export const insertFallbacks = (items, analysis, toItem = combo => combo) => {
+  const missing = new Map(analysis.reports.map(r => [r.index, r.missing]));
+  return items.flatMap((item, idx) => [item, ...(missing.get(idx) || []).map(toItem)]);
+};
@@ -19,7 +19,19 @@ export {
   getTDDBands,
   getSDLBands,
   getCommonBands,
-  analyzeBandDuplexModes
+  analyzeBandDuplexModes,
+  isBandSubset,
+  getSupersetBands,
+  getSubsetBands,
+  getOutermostBand,
+  getBandSupersetMap,
+  NR_FREQUENCY_RANGE,
+  NR_BANDS,
+  getNrBandInfo,
+  getNrBandDuplexMode,
+  nrBandHasDownlink,
+  nrBandHasUplink,
+  getNrBandsByFrequencyRange
 } from './bands.js';
 
 // Combo model and utilities
@@ -28,6 +40,7 @@ export {
   VALID_CLASSES,
   MAX_CC,
   DEFAULT_LIMITS,
+  DEFAULT_UL_MIMO_202,
   // Class conversion
   classToCC,
   ccToClass,
@@ -35,6 +48,7 @@ export {
   classLetterToNum,
   // Carrier/Combo creation
   createCarrier,
+  updateCarrier,
   createCombo,
   // Streams calculation
   calculateCarrierStreams,
@@ -44,9 +58,11 @@ export {
   hasULCA,
   getULCarriers,
   countULCC,
+  // PCell
+  PCELL_MARKER,
+  getPCellIndex,
   // Parsing
   parseComboString,
-  parseComboWithPCell,
   // Serialization
   carriersToString,
   comboToString,
@@ -55,7 +71,7 @@ export {
   normalizeCombo,
   getComboKey,
   getDLKey,
-  // Conversion
+  // NV descriptor form
   legacyToCarrier,
   carrierToLegacy,
   // Comparison
@@ -63,6 +79,98 @@ export {
   combosIdentical
 } from './combo.js';
 
+// 3GPP CA configuration notation
+export {
+  CA_NOTATION_UL,
+  parseCaNotation,
+  isCaNotation,
+  parseCaNotationList,
+  parseBandMimoRules,
+  formatCaNotation
+} from './caNotation.js';
+
+// EN-DC notation
+export {
+  NR_VALID_CLASSES,
+  createNrCarrier,
+  createEndcCombo,
+  isEndcCombo,
+  parseEndcCombo,
+  parseEndcList,
+  nrCarriersToString,
+  endcToString,
+  formatEndcNotation,
+  endcNeedsCaAnchor,
+  findEndcAnchors
+} from './endc.js';
+
+// Fallback completeness
+export {
+  getFallbacks,
+  analyzeFallbacks,
+  insertFallbacks
+} from './fallbacks.js';
+
+// Set operations over combo lists
+export {
+  COMBO_IDENTITY,
+  SET_OPERATION,
+  getIdentityKey,
+  dedupeCombos,
+  unionCombos,
+  intersectCombos,
+  differenceCombos,
+  applySetOperation
+} from './comboSets.js';
+
+// EARFCN calculator
+export {
+  CHANNEL_LINK,
+  getEarfcnTable,
+  getEarfcnInfo,
+  earfcnToFrequency,
+  frequencyToEarfcn,
+  findBandsByFrequency,
+  findCombosForEarfcn
+} from './earfcn.js';
+
+// Superset band mapping
+export {
+  mapComboBands,
+  toOutermostBands,
+  rewriteComboBands
+} from './bandMapping.js';
+
+// Query language
+export {
+  QUERY_FIELDS,
+  compileQuery,
+  queryIndices
+} from './query.js';
+
+// Throughput estimation
+export {
+  BANDWIDTH_PRBS,
+  MODULATION_BITS,
+  TDD_CONFIGS,
+  DEFAULT_THROUGHPUT_OPTIONS,
+  LTE_DL_CATEGORIES,
+  LTE_UL_CATEGORIES,
+  getCarrierBandwidths,
+  estimateThroughput,
+  getImpliedCategory,
+  summarizeThroughput,
+  parseBandwidthRules
+} from './throughput.js';
+
+// UL harmonic / IMD interference
+export {
+  INTERFERENCE_TYPE,
+  findInterference,
+  analyzeInterference,
+  formatFrequencyRange
+} from './interference.js';
+
 // Validation
 export {
   ERROR_CODES,
@@ -71,13 +179,32 @@ export {
   validateDLCCLimit,
   validateULSCellLimit,
   validateTotalULLimit,
+  validatePCell,
   validateBandsExist,
   validateSDLNoUplink,
   validateNotEmpty,
+  validateInterference,
+  validateNrBandsExist,
+  validateEndcAnchors,
   validateAgainstProfile,
   validateCombo,
+  validateComboList,
   isComboValid,
   getValidationSummary,
   DEFAULT_PROFILE,
-  DEVICE_PROFILES
+  DEVICE_PROFILES,
+  BUILTIN_RULES,
+  parseValidationRules,
+  getValidationRules
 } from './validation.js';
+
+// Rule engine
+export {
+  RULE_SEVERITY,
+  RULE_SCOPE,
+  createRule,
+  parseRuleConfig,
+  resolveRules,
+  runComboRules,
+  runListRules
+} from './rules.js';
@@ -0,0 +1,179 @@
+/**
+ * UL Harmonic and Intermodulation Interference
+ *
+ * Products of the UL carriers of a combo that can land in the DL of the
+ * same combo and desense the receiver:
+ * - 2nd/3rd harmonics of every UL carrier: 2×f, 3×f (B12/B17 3×UL → B4/B66 DL)
+ * - 2nd-order IMD of two UL carriers: f1 + f2, |f1 - f2|
+ * - 3rd-order IMD of two UL carriers: |2×f1 - f2|, |2×f2 - f1|, 2×f1 + f2, 2×f2 + f1
+ *
+ * The channel positions are not part of a combo, so every carrier spans the
+ * UL or DL range of its band (BANDS): a hit means the products CAN overlap
+ * the DL, the overlap is the worst case. Products between the CCs of one
+ * UL class (B-F) are not checked.
+ */
+
+import { getBandInfo } from './bands.js';
+
+// ==================== CONSTANTS ====================
+
+export const INTERFERENCE_TYPE = {
+  HARMONIC: 'harmonic',
+  IMD: 'imd'
+};
+
+// Coefficients of two UL carriers per IMD product, [f1, f2]
+const IMD_PRODUCTS = [
+  { order: 2, coefficients: [1, 1] },
+  { order: 2, coefficients: [1, -1] },
+  { order: 3, coefficients: [2, -1] },
+  { order: 3, coefficients: [-1, 2] },
+  { order: 3, coefficients: [2, 1] },
+  { order: 3, coefficients: [1, 2] }
+];
+
+const HARMONIC_ORDERS = [2, 3];
+
+// ==================== TYPES ====================
+
+/**
+ * @typedef {Object} FrequencyRange
+ * @property {number} low - MHz
+ * @property {number} high - MHz
+ */
+
+/**
+ * @typedef {Object} InterferenceHit
+ * @property {string} type - INTERFERENCE_TYPE
+ * @property {number} order - 2 or 3
+ * @property {string} product - e.g. "3×B12", "2×B1 - B3"
+ * @property {number[]} aggressors - Indices of the UL carriers
+ * @property {number} victim - Index of the DL carrier
+ * @property {number} victimBand
+ * @property {FrequencyRange} range - Frequencies of the product
+ * @property {FrequencyRange} overlap - Part of the victim's DL range hit by the product
+ */
+
+// ==================== HELPERS ====================
+
+const round = (mhz) => Math.round(mhz * 10) / 10;
+
+// Range of Σ coefficient × range, folded to positive frequencies
+const combineRanges = (terms) => {
+  let low = 0;
+  let high = 0;
+  for (const { coefficient, range } of terms) {
+    low += coefficient * (coefficient > 0 ? range.low : range.high);
+    high += coefficient * (coefficient > 0 ? range.high : range.low);
+  }
+  if (high <= 0) return { low: round(-high), high: round(-low) };
+  return { low: round(Math.max(low, 0)), high: round(high) };
+};
+
+const intersect = (a, b) => {
+  const low = Math.max(a.low, b.low);
+  const high = Math.min(a.high, b.high);
+  return low < high ? { low, high } : null;
+};
+
+const formatTerm = (coefficient, band) => `${Math.abs(coefficient) > 1 ? `${Math.abs(coefficient)}×` : ''}B${band}`;
+
+// "2×B1 - B3", "B1 + B3"; the negative term goes last
+const formatProduct = (coefficients, bands) => {
+  const terms = coefficients
+    .map((coefficient, i) => ({ coefficient, band: bands[i] }))
+    .sort((a, b) => b.coefficient - a.coefficient);
+  return terms
+    .map(({ coefficient, band }, i) => (i === 0 ? '' : coefficient < 0 ? ' - ' : ' + ') + formatTerm(coefficient, band))
+    .join('');
+};
+
+/**
+ * Format a frequency range, e.g. "2097–2148 MHz"
+ *
+ * @param {FrequencyRange} range
+ * @returns {string}
+ */
+export const formatFrequencyRange = (range) => `${range.low}–${range.high} MHz`;
+
+// ==================== ANALYSIS ====================
+
+/**
+ * Harmonics and IMD products of the UL carriers that overlap a DL carrier
+ * of the same combo
+ *
+ * @param {Carrier[]} carriers
+ * @returns {InterferenceHit[]} One hit per product and victim band
+ */
+export const findInterference = (carriers) => {
+  if (!carriers || carriers.length === 0) return [];
+
+  // UL carriers of bands with a UL range (SDL and unknown bands have none)
+  const ul = carriers.flatMap((carrier, idx) => {
+    const info = getBandInfo(carrier.band);
+    return carrier.ulClass && info && info.ulFreqLow !== null
+      ? [{ idx, band: carrier.band, range: { low: info.ulFreqLow, high: info.ulFreqHigh } }]
+      : [];
+  });
+
+  const products = [];
+  for (const aggressor of ul) {
+    for (const order of HARMONIC_ORDERS) {
+      products.push({
+        type: INTERFERENCE_TYPE.HARMONIC,
+        order,
+        product: formatTerm(order, aggressor.band),
+        aggressors: [aggressor.idx],
+        range: combineRanges([{ coefficient: order, range: aggressor.range }])
+      });
+    }
+  }
+  // Differences with the lower carrier first are written the other way round: B7 - B3
+  const center = (k) => (ul[k].range.low + ul[k].range.high) / 2;
+  for (let i = 0; i < ul.length; i++) {
+    for (let j = i + 1; j < ul.length; j++) {
+      for (const { order, coefficients: signed } of IMD_PRODUCTS) {
+        const coefficients = signed[0] * center(i) + signed[1] * center(j) < 0 ? signed.map(c => -c) : signed;
+        products.push({
+          type: INTERFERENCE_TYPE.IMD,
+          order,
+          product: formatProduct(coefficients, [ul[i].band, ul[j].band]),
+          aggressors: [ul[i].idx, ul[j].idx],
+          range: combineRanges([
+            { coefficient: coefficients[0], range: ul[i].range },
+            { coefficient: coefficients[1], range: ul[j].range }
+          ])
+        });
+      }
+    }
+  }
+
+  const hits = [];
+  const seen = new Set();
+  carriers.forEach((carrier, victim) => {
+    const info = getBandInfo(carrier.band);
+    if (!info) return;
+    const dl = { low: info.dlFreqLow, high: info.dlFreqHigh };
+
+    for (const product of products) {
+      const overlap = intersect(product.range, dl);
+      const key = `${product.product}>${carrier.band}`;
+      if (!overlap || seen.has(key)) continue;
+      seen.add(key);
+      hits.push({ ...product, victim, victimBand: carrier.band, overlap });
+    }
+  });
+
+  return hits;
+};
+
+/**
+ * Interference hits of every combo of a list
+ *
+ * @param {Object[]} combos - Combos or encoder entries (without carriers: skipped)
+ * @returns {{index: number, text: string, hits: InterferenceHit[]}[]} Only combos with hits
+ */
+export const analyzeInterference = (combos) => combos.flatMap((combo, index) => {
+  const hits = findInterference(combo.carriers);
+  return hits.length > 0 ? [{ index, text: combo.text, hits }] : [];
+});
@@ -0,0 +1,330 @@
+/**
+ * Combo Query Language
+ *
+ * Filter expressions over combos and encoder entries:
+ *
+ *   band:3 & band:7 & streams>=8 & ulca & !tdd & cc>=4 & mimo(3)=4 & desc:201
+ *
+ * - Terms are joined with & (and), | (or), ! (not) and parentheses; & binds tighter than |
+ * - Comparisons: ":" and "=" (equal), "!=", "<", "<=", ">", ">="
+ * - Carrier fields match when any carrier matches; "(band)" restricts them to
+ *   the carriers of one band: mimo(3)=4 - a band 3 carrier with 4x4
+ * - Duplex modes come from the band database (bands.js)
+ */
+
+import { classToCC, calculateStreams, getULCarriers, countULCC, getPCellIndex, VALID_CLASSES } from './combo.js';
+import { getBandDuplexMode, DUPLEX_MODE } from './bands.js';
+
+// ==================== FIELDS ====================
+
+const NUMBER = 'number';
+const CLASS = 'class';
+const TEXT = 'text';
+
+const any = (carriers, band, test) => carriers.some(c => (band === null || c.band === band) && test(c));
+
+/**
+ * Query fields: description (for help texts), value type and evaluation
+ * - flags (no type) get (combo, band), fields with a value (combo, band, compare)
+ *   where compare tests one value
+ * - perBand: accepts "(band)"; band is null without it
+ * - combo: evaluated on combos without carriers too (undecodable classes)
+ */
+const FIELDS = {
+  band: {
+    description: 'Band of any carrier (band:3, band>=66)',
+    type: NUMBER,
+    eval: (combo, band, compare) => combo.carriers.some(c => compare(c.band))
+  },
+  streams: {
+    combo: true,
+    description: 'Total DL streams',
+    type: NUMBER,
+    eval: (combo, band, compare) => compare(combo.streams ?? calculateStreams(combo.carriers))
+  },
+  cc: {
+    perBand: true,
+    description: 'DL component carriers (class B = 2)',
+    type: NUMBER,
+    eval: (combo, band, compare) => compare(
+      combo.carriers.filter(c => band === null || c.band === band).reduce((sum, c) => sum + classToCC(c.dlClass), 0)
+    )
+  },
+  ulcc: {
+    perBand: true,
+    description: 'UL component carriers',
+    type: NUMBER,
+    eval: (combo, band, compare) => compare(countULCC(combo.carriers.filter(c => band === null || c.band === band)))
+  },
+  carriers: {
+    description: 'Number of carriers in the combo string',
+    type: NUMBER,
+    eval: (combo, band, compare) => compare(combo.carriers.length)
+  },
+  bands: {
+    description: 'Number of different bands',
+    type: NUMBER,
+    eval: (combo, band, compare) => compare(new Set(combo.carriers.map(c => c.band)).size)
+  },
+  mimo: {
+    perBand: true,
+    description: 'DL MIMO layers of any carrier (mimo=4, mimo(3)=4)',
+    type: NUMBER,
+    eval: (combo, band, compare) => any(combo.carriers, band, c => compare(c.mimoDl))
+  },
+  ulmimo: {
+    perBand: true,
+    description: 'UL MIMO layers of any UL carrier',
+    type: NUMBER,
+    eval: (combo, band, compare) => any(getULCarriers(combo.carriers), band, c => compare(c.mimoUl))
+  },
+  class: {
+    perBand: true,
+    description: 'DL class of any carrier (class=C, class(7)=C)',
+    type: CLASS,
+    eval: (combo, band, compare) => any(combo.carriers, band, c => compare(c.dlClass))
+  },
+  ulclass: {
+    perBand: true,
+    description: 'UL class of any UL carrier',
+    type: CLASS,
+    eval: (combo, band, compare) => any(getULCarriers(combo.carriers), band, c => compare(c.ulClass))
+  },
+  pcell: {
+    description: 'Band of the PCell (pcell:7)',
+    type: NUMBER,
+    eval: (combo, band, compare) => {
+      const idx = getPCellIndex(combo.carriers, combo.pcellIndex ?? null);
+      return idx !== null && compare(combo.carriers[idx].band);
+    }
+  },
+  desc: {
+    combo: true,
+    description: 'DL descriptor type of a decoded combo (desc:137, desc:201, desc:333)',
+    type: NUMBER,
+    // Combos of TXT, 3GPP or JSON lists have no descriptor type until they are encoded
+    eval: (combo, band, compare) => combo.descType !== null && combo.descType !== undefined && compare(combo.descType)
+  },
+  text: {
+    combo: true,
+    description: 'Combo string contains a text (text:7C2)',
+    type: TEXT,
+    eval: (combo, band, compare) => compare(combo.text || '')
+  },
+  ul: {
+    perBand: true,
+    description: 'Has a UL carrier',
+    eval: (combo, band) => any(combo.carriers, band, c => c.ulClass !== null)
+  },
+  ulca: {
+    description: 'UL CA (more than one UL carrier)',
+    eval: (combo) => getULCarriers(combo.carriers).length > 1
+  },
+  fdd: {
+    perBand: true,
+    description: 'Has an FDD carrier',
+    eval: (combo, band) => any(combo.carriers, band, c => getBandDuplexMode(c.band) === DUPLEX_MODE.FDD)
+  },
+  tdd: {
+    perBand: true,
+    description: 'Has a TDD carrier',
+    eval: (combo, band) => any(combo.carriers, band, c => getBandDuplexMode(c.band) === DUPLEX_MODE.TDD)
+  },
+  sdl: {
+    perBand: true,
+    description: 'Has an SDL (DL only) carrier',
+    eval: (combo, band) => any(combo.carriers, band, c => getBandDuplexMode(c.band) === DUPLEX_MODE.SDL)
+  },
+  intraband: {
+    description: 'A band is used twice or with class B-F',
+    eval: (combo) => (
+      combo.carriers.some(c => classToCC(c.dlClass) > 1) ||
+      new Set(combo.carriers.map(c => c.band)).size < combo.carriers.length
+    )
+  }
+};
+
+/**
+ * Field names and descriptions, e.g. for a help text
+ */
+export const QUERY_FIELDS = Object.fromEntries(
+  Object.entries(FIELDS).map(([name, field]) => [name, field.description])
+);
+
+// ==================== TOKENIZER ====================
+
+// Operators ("&&" and "||" are accepted too), quoted text or a word
+const TOKEN_PATTERN = /(&&?|\|\|?|!=|<=|>=|[!()<>:=])|"([^"]*)"|([A-Za-z0-9_^-]+)/y;
+
+const tokenize = (text) => {
+  const tokens = [];
+  let idx = 0;
+
+  while (idx < text.length) {
+    if (/\s/.test(text[idx])) {
+      idx++;
+      continue;
+    }
+    TOKEN_PATTERN.lastIndex = idx;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) throw new Error(`Unexpected "${text[idx]}" at ${idx + 1}`);
+
+    const pos = idx + 1;
+    if (match[1]) {
+      tokens.push({ type: match[1] === '&&' || match[1] === '||' ? match[1][0] : match[1], pos });
+    } else {
+      tokens.push({ type: 'word', value: match[2] ?? match[3], quoted: match[2] !== undefined, pos });
+    }
+    idx = TOKEN_PATTERN.lastIndex;
+  }
+
+  return tokens;
+};
+
+// ==================== PARSER ====================
+
+const COMPARATORS = {
+  ':': (a, b) => a === b,
+  '=': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+
+const parseNumber = (token, name) => {
+  if (!/^\d+$/.test(token.value)) {
+    throw new Error(`"${name}" needs a number, got "${token.value}" at ${token.pos}`);
+  }
+  return parseInt(token.value, 10);
+};
+
+/**
+ * Compile a query to a predicate
+ *
+ * @param {string} text - Query, e.g. "band:3 & streams>=8 & !tdd"
+ * @returns {function(Object): boolean|null} Predicate for combos/entries, null for an empty query
+ * @throws {Error} Syntax error or unknown field, with the position (1-based)
+ */
+export const compileQuery = (text) => {
+  const tokens = tokenize(text || '');
+  if (tokens.length === 0) return null;
+
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const describe = (token) => (token ? `"${token.value ?? token.type}" at ${token.pos}` : 'end of query');
+
+  const expect = (type) => {
+    const token = next();
+    if (!token || token.type !== type) throw new Error(`Expected "${type}", got ${describe(token)}`);
+    return token;
+  };
+
+  const parseTerm = () => {
+    const token = next();
+    if (!token || token.type !== 'word' || token.quoted) {
+      throw new Error(`Expected a field, got ${describe(token)}`);
+    }
+    const name = token.value.toLowerCase();
+    const field = FIELDS[name];
+    if (!field) throw new Error(`Unknown field "${token.value}" at ${token.pos}`);
+
+    // Carrier fields restricted to one band: mimo(3)
+    let band = null;
+    if (peek() && peek().type === '(') {
+      if (!field.perBand) throw new Error(`"${name}" does not take a band (at ${peek().pos})`);
+      next();
+      const arg = next();
+      if (!arg || arg.type !== 'word') throw new Error(`Expected a band, got ${describe(arg)}`);
+      band = parseNumber(arg, name);
+      expect(')');
+    }
+
+    // Fields of the carriers do not match combos without carriers
+    const evaluate = (compare) => (combo) => (
+      (field.combo || !!combo.carriers) && field.eval(combo, band, compare)
+    );
+
+    const op = peek() && COMPARATORS[peek().type] ? next().type : null;
+    if (!field.type) {
+      if (op) throw new Error(`"${name}" takes no value (at ${token.pos})`);
+      return evaluate(null);
+    }
+    if (!op) throw new Error(`"${name}" needs a comparison, e.g. ${name}${field.type === NUMBER ? '>=2' : field.type === CLASS ? '=C' : ':3A'}`);
+
+    const valueToken = next();
+    if (!valueToken || valueToken.type !== 'word') throw new Error(`Expected a value after "${op}", got ${describe(valueToken)}`);
+
+    let compare;
+    if (field.type === NUMBER) {
+      const value = parseNumber(valueToken, name);
+      compare = (actual) => actual !== undefined && actual !== null && COMPARATORS[op](actual, value);
+    } else if (field.type === CLASS) {
+      const value = valueToken.value.toUpperCase();
+      if (!VALID_CLASSES.includes(value)) {
+        throw new Error(`"${name}" needs a class ${VALID_CLASSES[0]}-${VALID_CLASSES[VALID_CLASSES.length - 1]}, got "${valueToken.value}" at ${valueToken.pos}`);
+      }
+      compare = (actual) => actual !== null && COMPARATORS[op](classToCC(actual), classToCC(value));
+    } else {
+      if (op !== ':' && op !== '=' && op !== '!=') throw new Error(`"${name}" only supports ":", "=" and "!="`);
+      const value = valueToken.value.toUpperCase();
+      compare = (actual) => actual.toUpperCase().includes(value) === (op !== '!=');
+    }
+
+    return evaluate(compare);
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token && token.type === '!') {
+      next();
+      const operand = parseUnary();
+      return (combo) => !operand(combo);
+    }
+    if (token && token.type === '(') {
+      next();
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+    return parseTerm();
+  };
+
+  const parseAnd = () => {
+    const terms = [parseUnary()];
+    while (peek() && peek().type === '&') {
+      next();
+      terms.push(parseUnary());
+    }
+    return terms.length === 1 ? terms[0] : (combo) => terms.every(term => term(combo));
+  };
+
+  const parseOr = () => {
+    const terms = [parseAnd()];
+    while (peek() && peek().type === '|') {
+      next();
+      terms.push(parseAnd());
+    }
+    return terms.length === 1 ? terms[0] : (combo) => terms.some(term => term(combo));
+  };
+
+  const predicate = parseOr();
+  if (pos < tokens.length) throw new Error(`Unexpected ${describe(peek())}`);
+  return predicate;
+};
+
+/**
+ * Indices of the items matching a query
+ *
+ * @param {Object[]} items - Combos or encoder entries
+ * @param {string} query
+ * @returns {number[]|null} null for an empty query (everything matches)
+ * @throws {Error} See compileQuery
+ */
+export const queryIndices = (items, query) => {
+  const predicate = compileQuery(query);
+  if (!predicate) return null;
+  return items.flatMap((item, idx) => (predicate(item) ? [idx] : []));
+};
@@ -0,0 +1,308 @@
+/**
+ * Validation Rule Engine
+ *
+ * A rule has an id, a severity, a description and a check over the combo
+ * model. Combo rules check one combo, list rules a whole combo list. The
+ * built-in rules (FDD_TDD_MIX, EXCEED_MAX_DL_CC, ...) live in validation.js;
+ * user rules come from a JSON rule config with query language predicates
+ * (query.js):
+ *
+ *   {
+ *     "rules": [
+ *       { "id": "B29_NOT_PCELL", "description": "Band 29 is never the PCell", "forbid": "pcell:29" },
+ *       { "id": "NO_4X4_B12", "severity": "warning", "forbid": "mimo(12)>=4" },
+ *       { "id": "FDD_ONLY", "require": "!tdd" },
+ *       { "id": "MAX_3_B46", "description": "At most 3 combos with band 46", "match": "band:46", "max": 3 }
+ *     ],
+ *     "overrides": {
+ *       "FDD_TDD_MIX": { "severity": "warning" },
+ *       "UL_HARMONIC_INTERFERENCE": { "enabled": true },
+ *       "INVALID_BAND": { "enabled": false }
+ *     }
+ *   }
+ *
+ * - forbid: combos matching the query violate the rule
+ * - require: combos not matching the query violate the rule
+ * - match + max/min: at most / at least that many combos of the list match;
+ *   with max the combos after the first max matches violate the rule
+ * - overrides enable, disable or change the severity of any rule by id
+ */
+
+import { compileQuery } from './query.js';
+
+// ==================== CONSTANTS ====================
+
+export const RULE_SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+export const RULE_SCOPE = {
+  COMBO: 'combo',  // check(combo, context) for one combo
+  LIST: 'list'     // check(items, context) for a combo list
+};
+
+const RULE_ID = /^[A-Za-z0-9_.-]+$/;
+
+const RULE_KEYS = ['id', 'description', 'severity', 'enabled', 'forbid', 'require', 'match', 'max', 'min'];
+
+const OVERRIDE_KEYS = ['enabled', 'severity'];
+
+// ==================== TYPES ====================
+
+/**
+ * @typedef {Object} RuleIssue
+ * @property {string} message
+ * @property {Object} [details]
+ * @property {number|null} [index] - List rules: index of the violating item, null for the list
+ */
+
+/**
+ * @typedef {Object} Rule
+ * @property {string} id - Also the code of its ValidationErrors
+ * @property {string} severity - RULE_SEVERITY
+ * @property {string} description
+ * @property {string} scope - RULE_SCOPE
+ * @property {boolean} enabled
+ * @property {boolean} builtin
+ * @property {boolean} [stop] - Combo rules: skip the remaining rules when violated
+ * @property {Object} [definition] - JSON definition of a user rule
+ * @property {function(Object, Object): RuleIssue[]} check - (combo, context) or (items, context)
+ */
+
+/**
+ * @typedef {Object} RuleConfig
+ * @property {Rule[]} rules - User rules
+ * @property {Object.<string, {enabled?: boolean, severity?: string}>} overrides - By rule id
+ */
+
+// ==================== USER RULES ====================
+
+const ruleError = (id, message) => new Error(`Rule "${id}": ${message}`);
+
+const compileRuleQuery = (id, key, query) => {
+  if (typeof query !== 'string' || query.trim() === '') throw ruleError(id, `"${key}" needs a query`);
+  try {
+    return compileQuery(query);
+  } catch (e) {
+    throw ruleError(id, `"${key}": ${e.message}`);
+  }
+};
+
+const checkCount = (id, key, value) => {
+  if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+    throw ruleError(id, `"${key}" needs a number >= 0`);
+  }
+};
+
+const checkSeverity = (id, severity) => {
+  if (!Object.values(RULE_SEVERITY).includes(severity)) {
+    throw ruleError(id, `unknown severity "${severity}" (expected ${Object.values(RULE_SEVERITY).join(', ')})`);
+  }
+};
+
+/**
+ * Compile a user rule from its JSON definition
+ *
+ * @param {Object} definition - { id, description?, severity?, enabled?, forbid | require | match + max/min }
+ * @returns {Rule}
+ * @throws {Error} Invalid definition or query, with the rule id
+ */
+export const createRule = (definition) => {
+  const { id, description, severity = RULE_SEVERITY.ERROR, enabled = true, forbid, require, match, max, min } = definition || {};
+  if (typeof id !== 'string' || !RULE_ID.test(id)) {
+    throw new Error(`Invalid rule id ${JSON.stringify(id)} (letters, digits, "_", "." and "-")`);
+  }
+  const unknown = Object.keys(definition).filter(key => !RULE_KEYS.includes(key));
+  if (unknown.length > 0) throw ruleError(id, `unknown field(s) ${unknown.join(', ')}`);
+  checkSeverity(id, severity);
+  if (typeof enabled !== 'boolean') throw ruleError(id, '"enabled" needs true or false');
+
+  const kinds = ['forbid', 'require', 'match'].filter(key => definition[key] !== undefined);
+  if (kinds.length !== 1) throw ruleError(id, 'needs exactly one of "forbid", "require" or "match"');
+
+  const rule = {
+    id,
+    severity,
+    enabled,
+    builtin: false,
+    definition: { ...definition }
+  };
+
+  if (match !== undefined) {
+    const predicate = compileRuleQuery(id, 'match', match);
+    checkCount(id, 'max', max);
+    checkCount(id, 'min', min);
+    if (max === undefined && min === undefined) throw ruleError(id, '"match" needs "max" or "min"');
+
+    const limits = [min !== undefined && `at least ${min}`, max !== undefined && `at most ${max}`].filter(Boolean);
+    return Object.freeze({
+      ...rule,
+      scope: RULE_SCOPE.LIST,
+      description: description || `${limits.join(' and ')} combos match "${match}"`,
+      check: (items) => {
+        const indices = items.flatMap((item, index) => (item.carriers && predicate(item) ? [index] : []));
+        const issues = [];
+        if (max !== undefined && indices.length > max) {
+          indices.slice(max).forEach(index => issues.push({
+            index,
+            message: `${description || `More than ${max} combos match "${match}"`} (${indices.length} in the list).`,
+            details: { query: match, max, count: indices.length }
+          }));
+        }
+        if (min !== undefined && indices.length < min) {
+          issues.push({
+            index: null,
+            message: `${description || `Fewer than ${min} combos match "${match}"`} (${indices.length} in the list).`,
+            details: { query: match, min, count: indices.length }
+          });
+        }
+        return issues;
+      }
+    });
+  }
+
+  if (max !== undefined || min !== undefined) throw ruleError(id, '"max" and "min" need "match"');
+
+  const query = forbid !== undefined ? forbid : require;
+  const predicate = compileRuleQuery(id, forbid !== undefined ? 'forbid' : 'require', query);
+  const violates = forbid !== undefined ? combo => predicate(combo) : combo => !predicate(combo);
+
+  return Object.freeze({
+    ...rule,
+    scope: RULE_SCOPE.COMBO,
+    description: description || (forbid !== undefined ? `Combos must not match "${query}"` : `Combos must match "${query}"`),
+    check: (combo) => (violates(combo)
+      ? [{ message: description ? `${description}.` : `${forbid !== undefined ? 'Matches' : 'Does not match'} "${query}".`, details: { query } }]
+      : [])
+  });
+};
+
+// ==================== RULE CONFIG ====================
+
+/**
+ * Parse a rule config (the JSON rule file of a project)
+ *
+ * @param {string|Object} input - JSON text or the parsed object
+ * @param {Rule[]} [builtinRules=[]] - Built-in rules, for the ids of overrides and clashes
+ * @returns {RuleConfig}
+ * @throws {Error} Invalid JSON, rule or override
+ */
+export const parseRuleConfig = (input, builtinRules = []) => {
+  let json = input;
+  if (typeof input === 'string') {
+    try {
+      json = input.trim() === '' ? {} : JSON.parse(input);
+    } catch (e) {
+      throw new Error(`Invalid rule config: ${e.message}`);
+    }
+  }
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error('Invalid rule config: expected an object with "rules" and "overrides"');
+  }
+
+  const { rules: definitions = [], overrides = {} } = json;
+  if (!Array.isArray(definitions)) throw new Error('Invalid rule config: "rules" must be an array');
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('Invalid rule config: "overrides" must be an object');
+  }
+
+  const builtinIds = new Set(builtinRules.map(rule => rule.id));
+  const rules = [];
+  for (const definition of definitions) {
+    const rule = createRule(definition);
+    if (builtinIds.has(rule.id)) throw ruleError(rule.id, 'id of a built-in rule');
+    if (rules.some(r => r.id === rule.id)) throw ruleError(rule.id, 'duplicate id');
+    rules.push(rule);
+  }
+
+  for (const [id, override] of Object.entries(overrides)) {
+    if (!builtinIds.has(id) && !rules.some(r => r.id === id)) {
+      throw new Error(`Invalid rule config: override for unknown rule "${id}"`);
+    }
+    if (!override || typeof override !== 'object' || Array.isArray(override)) {
+      throw ruleError(id, 'override must be an object');
+    }
+    const unknown = Object.keys(override).filter(key => !OVERRIDE_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw ruleError(id, `unknown override field(s) ${unknown.join(', ')} (expected ${OVERRIDE_KEYS.join(', ')})`);
+    }
+    if (override.severity !== undefined) checkSeverity(id, override.severity);
+    if (override.enabled !== undefined && typeof override.enabled !== 'boolean') {
+      throw ruleError(id, 'override "enabled" needs true or false');
+    }
+  }
+
+  return Object.freeze({ rules: Object.freeze(rules), overrides: Object.freeze({ ...overrides }) });
+};
+
+/**
+ * Effective rules: built-in and user rules with the overrides applied
+ *
+ * @param {Rule[]} builtinRules
+ * @param {RuleConfig|null} [config=null]
+ * @param {Object.<string, {enabled?: boolean, severity?: string}>} [defaults={}] - Overrides applied
+ *   before the ones of the config (e.g. enabling rules from options)
+ * @returns {Rule[]} Built-in rules first, in their order, then the user rules
+ */
+export const resolveRules = (builtinRules, config = null, defaults = {}) => {
+  const rules = [...builtinRules, ...(config ? config.rules : [])];
+  const overrides = config ? config.overrides : {};
+
+  return rules.map(rule => {
+    const merged = { ...defaults[rule.id], ...overrides[rule.id] };
+    // Only enabled and severity: the check, scope and id of a rule are not overridable
+    const override = Object.fromEntries(
+      OVERRIDE_KEYS.filter(key => merged[key] !== undefined).map(key => [key, merged[key]])
+    );
+    return Object.keys(override).length > 0 ? Object.freeze({ ...rule, ...override }) : rule;
+  });
+};
+
+// ==================== EVALUATION ====================
+
+const toError = (rule, issue) => ({
+  code: rule.id,
+  message: issue.message,
+  severity: rule.severity,
+  details: issue.details || {}
+});
+
+// Same message of a rule once (e.g. a limit checked against the options and the profile)
+const pushUnique = (list, error) => {
+  if (!list.some(e => e.code === error.code && e.message === error.message)) list.push(error);
+};
+
+/**
+ * Run the enabled combo rules on one combo
+ *
+ * @param {Rule[]} rules - Effective rules (resolveRules), list rules are skipped
+ * @param {Object} combo - Combo or encoder entry (carriers, pcellIndex, ...)
+ * @param {Object} [context={}] - Passed to the checks (limits, profile, ...)
+ * @returns {{errors: ValidationError[], warnings: ValidationError[]}}
+ */
+export const runComboRules = (rules, combo, context = {}) => {
+  const errors = [];
+  const warnings = [];
+
+  for (const rule of rules) {
+    if (!rule.enabled || rule.scope !== RULE_SCOPE.COMBO) continue;
+    const issues = rule.check(combo, context);
+    issues.forEach(issue => pushUnique(rule.severity === RULE_SEVERITY.ERROR ? errors : warnings, toError(rule, issue)));
+    if (rule.stop && issues.length > 0) break;
+  }
+
+  return { errors, warnings };
+};
+
+/**
+ * Run the enabled list rules on a combo list
+ *
+ * @param {Rule[]} rules - Effective rules (resolveRules), combo rules are skipped
+ * @param {Object[]} items - Combos or encoder entries
+ * @param {Object} [context={}]
+ * @returns {{index: number|null, error: ValidationError}[]} index null for issues of the whole list
+ */
+export const runListRules = (rules, items, context = {}) => rules
+  .filter(rule => rule.enabled && rule.scope === RULE_SCOPE.LIST)
+  .flatMap(rule => rule.check(items, context).map(issue => ({ index: issue.index ?? null, error: toError(rule, issue) })));
@@ -0,0 +1,263 @@
+/**
+ * Peak Throughput Estimation
+ *
+ * DL/UL peak data rate of a combo from its carriers:
+ *
+ *   rate = PRBs(bandwidth) × 12 subcarriers × 14 symbols × 1000 subframes/s
+ *          × layers × bits per symbol × (1 - overhead) × share of DL/UL subframes
+ *
+ * per component carrier (class B = 2 CCs). The 25% overhead (control region,
+ * reference signals, coding) matches the 3GPP peak rates: 20 MHz 2x2 64QAM is
+ * ~151 Mbps (Cat 4), 20 MHz UL 64QAM ~76 Mbps (UL Cat 5). TDD bands (BANDS)
+ * only use the DL or UL subframes of their UL/DL configuration, SDL bands have
+ * no UL. These are estimates for comparing combos, not TBS-exact values.
+ */
+
+import { classToCC } from './combo.js';
+import { getBandInfo, DUPLEX_MODE } from './bands.js';
+
+// ==================== CONSTANTS ====================
+
+/** Channel bandwidth (MHz) → resource blocks */
+export const BANDWIDTH_PRBS = {
+  1.4: 6,
+  3: 15,
+  5: 25,
+  10: 50,
+  15: 75,
+  20: 100
+};
+
+/** Modulation order (QAM) → bits per symbol */
+export const MODULATION_BITS = {
+  16: 4,
+  64: 6,
+  256: 8,
+  1024: 10
+};
+
+/**
+ * TDD UL/DL configurations 0-6 (TS 36.211 Table 4.2-2): subframes per frame
+ * D = downlink, U = uplink, S = special (DwPTS carries DL data)
+ */
+export const TDD_CONFIGS = {
+  0: { dl: 2, ul: 6, special: 2 },
+  1: { dl: 4, ul: 4, special: 2 },
+  2: { dl: 6, ul: 2, special: 2 },
+  3: { dl: 6, ul: 3, special: 1 },
+  4: { dl: 7, ul: 2, special: 1 },
+  5: { dl: 8, ul: 1, special: 1 },
+  6: { dl: 3, ul: 5, special: 2 }
+};
+
+// DwPTS of special subframe configuration 7: 10 of 14 symbols
+const SPECIAL_SUBFRAME_DL = 10 / 14;
+
+const RE_PER_PRB_PER_SECOND = 12 * 14 * 1000;
+const OVERHEAD = 0.25;
+
+export const DEFAULT_THROUGHPUT_OPTIONS = {
+  bandwidth: 20,       // MHz per CC, capped by the width of the band
+  bandBandwidth: {},   // Per band: MHz for every CC or one value per CC, e.g. { 7: [20, 10] }
+  dlModulation: 256,
+  ulModulation: 64,
+  tddConfig: 2         // TDD UL/DL configuration of all TDD bands
+};
+
+/**
+ * Peak rates (Mbps) of the LTE UE categories, TS 36.306 Table 4.1A-1/-2
+ * (highest value where it depends on 256QAM support), in ascending order
+ */
+export const LTE_DL_CATEGORIES = [
+  { category: 1, peak: 10.3 },
+  { category: 2, peak: 51.0 },
+  { category: 3, peak: 102.0 },
+  { category: 4, peak: 150.8 },
+  { category: 6, peak: 301.5 },
+  { category: 13, peak: 391.6 },
+  { category: 9, peak: 452.3 },
+  { category: 11, peak: 603.0 },
+  { category: 15, peak: 798.8 },
+  { category: 16, peak: 1051.4 },
+  { category: 18, peak: 1206.0 },
+  { category: 21, peak: 1413.1 },
+  { category: 19, peak: 1658.3 },
+  { category: 20, peak: 2019.4 },
+  { category: 14, peak: 3916.6 }
+];
+
+export const LTE_UL_CATEGORIES = [
+  { category: 1, peak: 5.2 },
+  { category: 2, peak: 25.5 },
+  { category: 3, peak: 51.0 },
+  { category: 5, peak: 75.4 },
+  { category: 7, peak: 102.0 },
+  { category: 13, peak: 150.8 },
+  { category: 18, peak: 211.0 },
+  { category: 15, peak: 226.1 },
+  { category: 20, peak: 316.6 },
+  { category: 8, peak: 1497.8 }
+];
+
+// The estimate may exceed the exact 3GPP value by a few percent
+const CATEGORY_TOLERANCE = 1.05;
+
+// ==================== TYPES ====================
+
+/**
+ * @typedef {Object} Throughput
+ * @property {number|null} dl - Mbps, null for combos without carriers
+ * @property {number|null} ul - Mbps, 0 without UL
+ */
+
+/**
+ * @typedef {Object} ThroughputSummary
+ * @property {number} maxDl - Mbps
+ * @property {number} maxUl - Mbps
+ * @property {number|null} maxDlIndex - Combo with the highest DL rate
+ * @property {number|null} maxUlIndex
+ * @property {number|null} dlCategory - Lowest DL category reaching maxDl (null: above all)
+ * @property {number|null} ulCategory
+ */
+
+// ==================== HELPERS ====================
+
+// Largest standard bandwidth up to max MHz
+const fitBandwidth = (max) => {
+  const fitting = Object.keys(BANDWIDTH_PRBS).map(Number).filter(bw => bw <= max);
+  return fitting.length > 0 ? Math.max(...fitting) : 1.4;
+};
+
+/**
+ * Bandwidth of every CC of a carrier
+ * Without an override: the default, capped so that the CCs fit into the band.
+ *
+ * @param {Carrier} carrier
+ * @param {Object} [options] - See DEFAULT_THROUGHPUT_OPTIONS
+ * @returns {number[]} MHz per CC
+ */
+export const getCarrierBandwidths = (carrier, options = {}) => {
+  const { bandwidth, bandBandwidth } = { ...DEFAULT_THROUGHPUT_OPTIONS, ...options };
+  const ccCount = classToCC(carrier.dlClass);
+  const override = bandBandwidth[carrier.band];
+
+  if (override !== undefined) {
+    const values = [].concat(override);
+    return Array.from({ length: ccCount }, (_, i) => values[Math.min(i, values.length - 1)]);
+  }
+
+  const info = getBandInfo(carrier.band);
+  const perCC = info ? fitBandwidth(Math.min(bandwidth, (info.dlFreqHigh - info.dlFreqLow) / ccCount)) : bandwidth;
+  return Array(ccCount).fill(perCC);
+};
+
+// Share of the subframes carrying DL or UL data
+const getTimeShare = (band, direction, tddConfig) => {
+  const info = getBandInfo(band);
+  if (!info || info.duplexMode === DUPLEX_MODE.FDD) return 1;
+  if (info.duplexMode === DUPLEX_MODE.SDL) return direction === 'dl' ? 1 : 0;
+
+  const config = TDD_CONFIGS[tddConfig] || TDD_CONFIGS[DEFAULT_THROUGHPUT_OPTIONS.tddConfig];
+  return direction === 'dl'
+    ? (config.dl + config.special * SPECIAL_SUBFRAME_DL) / 10
+    : config.ul / 10;
+};
+
+const ccRate = (bandwidth, layers, bits, share) => (
+  (BANDWIDTH_PRBS[bandwidth] || 0) * RE_PER_PRB_PER_SECOND * layers * bits * (1 - OVERHEAD) * share / 1e6
+);
+
+const round = (mbps) => Math.round(mbps * 10) / 10;
+
+// ==================== ESTIMATION ====================
+
+/**
+ * Estimate the DL/UL peak rate of a combo
+ *
+ * @param {Combo} combo - Combo, encoder entry or decoded combo
+ * @param {Object} [options] - See DEFAULT_THROUGHPUT_OPTIONS
+ * @returns {Throughput}
+ */
+export const estimateThroughput = (combo, options = {}) => {
+  const { carriers } = combo;
+  if (!carriers || carriers.length === 0) return { dl: null, ul: null };
+
+  const opts = { ...DEFAULT_THROUGHPUT_OPTIONS, ...options };
+  const dlBits = MODULATION_BITS[opts.dlModulation] || MODULATION_BITS[DEFAULT_THROUGHPUT_OPTIONS.dlModulation];
+  const ulBits = MODULATION_BITS[opts.ulModulation] || MODULATION_BITS[DEFAULT_THROUGHPUT_OPTIONS.ulModulation];
+
+  let dl = 0;
+  let ul = 0;
+  for (const carrier of carriers) {
+    const bandwidths = getCarrierBandwidths(carrier, opts);
+    const dlShare = getTimeShare(carrier.band, 'dl', opts.tddConfig);
+    bandwidths.forEach(bw => { dl += ccRate(bw, carrier.mimoDl, dlBits, dlShare); });
+
+    if (carrier.ulClass) {
+      const ulShare = getTimeShare(carrier.band, 'ul', opts.tddConfig);
+      bandwidths.slice(0, classToCC(carrier.ulClass)).forEach(bw => {
+        ul += ccRate(bw, carrier.mimoUl, ulBits, ulShare);
+      });
+    }
+  }
+
+  return { dl: round(dl), ul: round(ul) };
+};
+
+/**
+ * Lowest UE category whose peak rate reaches a rate
+ *
+ * @param {number} rate - Mbps
+ * @param {{category: number, peak: number}[]} categories - LTE_DL_CATEGORIES or LTE_UL_CATEGORIES
+ * @returns {number|null} null when the rate is above all categories
+ */
+export const getImpliedCategory = (rate, categories) => {
+  const match = categories.find(c => c.peak * CATEGORY_TOLERANCE >= rate);
+  return match ? match.category : null;
+};
+
+/**
+ * Highest DL and UL rates of a combo list and the UE categories they imply
+ *
+ * @param {Throughput[]} rates - estimateThroughput per combo
+ * @returns {ThroughputSummary}
+ */
+export const summarizeThroughput = (rates) => {
+  let maxDlIndex = null;
+  let maxUlIndex = null;
+  rates.forEach((rate, idx) => {
+    if (rate.dl !== null && (maxDlIndex === null || rate.dl > rates[maxDlIndex].dl)) maxDlIndex = idx;
+    if (rate.ul && (maxUlIndex === null || rate.ul > rates[maxUlIndex].ul)) maxUlIndex = idx;
+  });
+
+  const maxDl = maxDlIndex !== null ? rates[maxDlIndex].dl : 0;
+  const maxUl = maxUlIndex !== null ? rates[maxUlIndex].ul : 0;
+  return {
+    maxDl,
+    maxUl,
+    maxDlIndex,
+    maxUlIndex,
+    dlCategory: maxDl > 0 ? getImpliedCategory(maxDl, LTE_DL_CATEGORIES) : null,
+    ulCategory: maxUl > 0 ? getImpliedCategory(maxUl, LTE_UL_CATEGORIES) : null
+  };
+};
+
+/**
+ * Parse per-band bandwidth rules, e.g. "3:20, 7:20+10 20:10" → { 3: 20, 7: [20, 10], 20: 10 }
+ * "+" lists one bandwidth per CC of the band (class B: two values).
+ *
+ * @param {string} text - BAND:MHZ[+MHZ...] items separated by commas, semicolons or spaces
+ * @returns {Object.<number, number|number[]>}
+ */
+export const parseBandwidthRules = (text) => {
+  const rules = {};
+  for (const item of text.split(/[\s,;]+/).filter(Boolean)) {
+    const match = item.match(/^(\d+):([\d.]+(?:\+[\d.]+)*)$/);
+    const values = match ? match[2].split('+').map(Number) : [];
+    if (!match || values.some(bw => !BANDWIDTH_PRBS[bw])) {
+      throw new Error(`Invalid bandwidth rule "${item}" (expected BAND:MHZ, MHz one of ${Object.keys(BANDWIDTH_PRBS).join(', ')})`);
+    }
+    rules[parseInt(match[1], 10)] = values.length === 1 ? values[0] : values;
+  }
+  return rules;
+};
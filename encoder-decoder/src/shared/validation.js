@@ -6,10 +6,19 @@
  * - CC limits validation
  * - UL CA constraints
  * - Band support validation
+ * - UL harmonic / IMD interference (optional, see interference.js)
+ * - EN-DC anchors: the LTE part of EN-DC combos in an LTE combo list (see endc.js)
+ *
+ * validateCombo runs these checks as the built-in rules of the rule engine
+ * (rules.js, BUILTIN_RULES): a rule config adds user rules and enables,
+ * disables or changes the severity of any rule by id.
  */
 
-import { getBandDuplexMode, DUPLEX_MODE, analyzeBandDuplexModes, bandHasUplink, BANDS } from './bands.js';
-import { classToCC, hasULCA, getULCarriers, countULCC, DEFAULT_LIMITS } from './combo.js';
+import { getBandDuplexMode, DUPLEX_MODE, analyzeBandDuplexModes, bandHasUplink, BANDS, NR_BANDS } from './bands.js';
+import { classToCC, hasULCA, getULCarriers, countULCC, getPCellIndex, DEFAULT_LIMITS, comboToString } from './combo.js';
+import { findInterference, formatFrequencyRange, INTERFERENCE_TYPE } from './interference.js';
+import { endcNeedsCaAnchor, findEndcAnchors, endcToString } from './endc.js';
+import { RULE_SCOPE, RULE_SEVERITY, parseRuleConfig, resolveRules, runComboRules, runListRules } from './rules.js';
 
 // ==================== VALIDATION RESULT TYPES ====================
 
@@ -42,7 +51,12 @@ export const ERROR_CODES = {
   TOO_FEW_CARRIERS: 'TOO_FEW_CARRIERS',
   UNSUPPORTED_BAND: 'UNSUPPORTED_BAND',
   UNSUPPORTED_MIMO: 'UNSUPPORTED_MIMO',
-  DUPLICATE_BAND_NOT_ALLOWED: 'DUPLICATE_BAND_NOT_ALLOWED'
+  DUPLICATE_BAND_NOT_ALLOWED: 'DUPLICATE_BAND_NOT_ALLOWED',
+  PCELL_WITHOUT_UL: 'PCELL_WITHOUT_UL',
+  UL_HARMONIC_INTERFERENCE: 'UL_HARMONIC_INTERFERENCE',
+  UL_IMD_INTERFERENCE: 'UL_IMD_INTERFERENCE',
+  INVALID_NR_BAND: 'INVALID_NR_BAND',
+  ENDC_ANCHOR_MISSING: 'ENDC_ANCHOR_MISSING'
 };
 
 // ==================== VALIDATION FUNCTIONS ====================
@@ -93,7 +107,7 @@ const createWarning = (code, message, details = {}) => ({
 /**
  * Validate that combo doesn't mix FDD and TDD bands
  *
- * @param {Object[]} carriers - Array of carriers
+ * @param {Carrier[]} carriers - Array of carriers
  * @returns {ValidationError|null}
  */
 export const validateNoFDDTDDMix = (carriers) => {
@@ -119,17 +133,14 @@ export const validateNoFDDTDDMix = (carriers) => {
 /**
  * Validate total CC count doesn't exceed limit
  *
- * @param {Object[]} carriers - Array of carriers
+ * @param {Carrier[]} carriers - Array of carriers
  * @param {number} [maxCC=6] - Maximum total CC
  * @returns {ValidationError|null}
  */
 export const validateTotalCCLimit = (carriers, maxCC = 6) => {
   if (!carriers || carriers.length === 0) return null;
 
-  const totalCC = carriers.reduce((sum, c) => {
-    const dlClass = c.dlClass || c.bclass;
-    return sum + classToCC(dlClass);
-  }, 0);
+  const totalCC = carriers.reduce((sum, c) => sum + classToCC(c.dlClass), 0);
 
   if (totalCC > maxCC) {
     return createError(
@@ -145,17 +156,14 @@ export const validateTotalCCLimit = (carriers, maxCC = 6) => {
 /**
  * Validate DL CC count doesn't exceed limit
  *
- * @param {Object[]} carriers - Array of carriers
+ * @param {Carrier[]} carriers - Array of carriers
  * @param {number} [maxDLCC=5] - Maximum DL CC
  * @returns {ValidationError|null}
  */
 export const validateDLCCLimit = (carriers, maxDLCC = DEFAULT_LIMITS.maxDLCC) => {
   if (!carriers || carriers.length === 0) return null;
 
-  const totalDLCC = carriers.reduce((sum, c) => {
-    const dlClass = c.dlClass || c.bclass;
-    return sum + classToCC(dlClass);
-  }, 0);
+  const totalDLCC = carriers.reduce((sum, c) => sum + classToCC(c.dlClass), 0);
 
   if (totalDLCC > maxDLCC) {
     return createError(
@@ -172,22 +180,20 @@ export const validateDLCCLimit = (carriers, maxDLCC = DEFAULT_LIMITS.maxDLCC) =>
  * Validate UL SCell count doesn't exceed limit
  * UL SCell = UL carriers other than PCell
  *
- * @param {Object[]} carriers - Array of carriers
- * @param {number} [pcellIndex=0] - Index of PCell
+ * @param {Carrier[]} carriers - Array of carriers
+ * @param {number|null} [pcellIndex=null] - Index of PCell (null = resolved by getPCellIndex)
  * @param {number} [maxULSCell=1] - Maximum UL SCells
  * @returns {ValidationError|null}
  */
-export const validateULSCellLimit = (carriers, pcellIndex = 0, maxULSCell = DEFAULT_LIMITS.maxULSCell) => {
+export const validateULSCellLimit = (carriers, pcellIndex = null, maxULSCell = DEFAULT_LIMITS.maxULSCell) => {
   if (!carriers || carriers.length === 0) return null;
 
-  const ulCarriers = getULCarriers(carriers);
+  const pcell = getPCellIndex(carriers, pcellIndex);
 
   // Count UL SCells (UL carriers excluding PCell)
   let ulSCellCount = 0;
   for (let i = 0; i < carriers.length; i++) {
-    if (i === pcellIndex) continue;
-    const ulClass = carriers[i].ulClass || carriers[i].ulclass;
-    if (ulClass && ulClass !== 0 && ulClass !== '0') {
+    if (i !== pcell && carriers[i].ulClass) {
       ulSCellCount++;
     }
   }
@@ -203,10 +209,38 @@ export const validateULSCellLimit = (carriers, pcellIndex = 0, maxULSCell = DEFA
   return null;
 };
 
+/**
+ * Validate that the PCell carries UL
+ * Only an explicit PCell (index or marker) can lack UL, the default PCell is the first UL carrier.
+ *
+ * @param {Carrier[]} carriers - Array of carriers
+ * @param {number|null} [pcellIndex=null] - Index of PCell (null = resolved by getPCellIndex)
+ * @returns {ValidationError|null}
+ */
+export const validatePCell = (carriers, pcellIndex = null) => {
+  if (!carriers || carriers.length === 0) return null;
+
+  const pcell = getPCellIndex(carriers, pcellIndex);
+  if (pcell === null) return null;
+
+  const carrier = carriers[pcell];
+  if (!carrier || !carrier.ulClass) {
+    return createError(
+      ERROR_CODES.PCELL_WITHOUT_UL,
+      carrier
+        ? `PCell (band ${carrier.band}) has no UL class.`
+        : `PCell index ${pcell} is out of range.`,
+      { pcellIndex: pcell }
+    );
+  }
+
+  return null;
+};
+
 /**
  * Validate total UL carriers don't exceed limit
  *
- * @param {Object[]} carriers - Array of carriers
+ * @param {Carrier[]} carriers - Array of carriers
  * @param {number} [maxTotalUL=2] - Maximum total UL carriers
  * @returns {ValidationError|null}
  */
@@ -229,7 +263,7 @@ export const validateTotalULLimit = (carriers, maxTotalUL = DEFAULT_LIMITS.maxTo
 /**
  * Validate all bands exist in database
  *
- * @param {Object[]} carriers - Array of carriers
+ * @param {Carrier[]} carriers - Array of carriers
  * @returns {ValidationError|null}
  */
 export const validateBandsExist = (carriers) => {
@@ -253,16 +287,13 @@ export const validateBandsExist = (carriers) => {
 /**
  * Validate SDL bands don't have UL configured
  *
- * @param {Object[]} carriers - Array of carriers
+ * @param {Carrier[]} carriers - Array of carriers
  * @returns {ValidationError|null}
  */
 export const validateSDLNoUplink = (carriers) => {
   if (!carriers || carriers.length === 0) return null;
 
-  const sdlWithUL = carriers.filter(c => {
-    const ulClass = c.ulClass || c.ulclass;
-    return getBandDuplexMode(c.band) === DUPLEX_MODE.SDL && ulClass && ulClass !== 0;
-  });
+  const sdlWithUL = carriers.filter(c => getBandDuplexMode(c.band) === DUPLEX_MODE.SDL && c.ulClass);
 
   if (sdlWithUL.length > 0) {
     return createError(
@@ -278,7 +309,7 @@ export const validateSDLNoUplink = (carriers) => {
 /**
  * Validate combo is not empty
  *
- * @param {Object[]} carriers - Array of carriers
+ * @param {Carrier[]} carriers - Array of carriers
  * @returns {ValidationError|null}
  */
 export const validateNotEmpty = (carriers) => {
@@ -291,6 +322,91 @@ export const validateNotEmpty = (carriers) => {
   return null;
 };
 
+// ==================== INTERFERENCE VALIDATION ====================
+
+const ORDINALS = { 2: '2nd', 3: '3rd' };
+
+/**
+ * Validate that no UL harmonic or IMD product can land in a DL carrier of the combo
+ * Warnings only: the band edges are the worst case, the actual channels may be clear.
+ *
+ * @param {Carrier[]} carriers - Array of carriers
+ * @returns {ValidationError[]} One warning per product and victim band
+ */
+export const validateInterference = (carriers) => findInterference(carriers).map(hit => {
+  const harmonic = hit.type === INTERFERENCE_TYPE.HARMONIC;
+  return createWarning(
+    harmonic ? ERROR_CODES.UL_HARMONIC_INTERFERENCE : ERROR_CODES.UL_IMD_INTERFERENCE,
+    `UL ${ORDINALS[hit.order]} ${harmonic ? 'harmonic' : 'order IMD'} ${hit.product} (${formatFrequencyRange(hit.range)}) ` +
+      `overlaps B${hit.victimBand} DL at ${formatFrequencyRange(hit.overlap)}.`,
+    hit
+  );
+});
+
+// ==================== EN-DC VALIDATION ====================
+
+/**
+ * Validate all NR bands exist in the NR band database
+ *
+ * @param {NrCarrier[]} carriers - NR carriers of an EN-DC combo
+ * @returns {ValidationError|null}
+ */
+export const validateNrBandsExist = (carriers) => {
+  const unknownBands = carriers.map(c => c.band).filter(band => !NR_BANDS[band]);
+
+  if (unknownBands.length > 0) {
+    return createWarning(
+      ERROR_CODES.INVALID_NR_BAND,
+      `Unknown NR bands: ${unknownBands.map(b => `n${b}`).join(', ')}.`,
+      { unknownBands }
+    );
+  }
+
+  return null;
+};
+
+/**
+ * @typedef {Object} EndcValidationResult
+ * @property {string} text - EN-DC combo as given (or its shorthand)
+ * @property {number[]} anchors - Indices of the matching LTE CA combos (findEndcAnchors)
+ * @property {boolean} valid
+ * @property {ValidationError[]} errors
+ * @property {ValidationError[]} warnings
+ */
+
+/**
+ * Validate EN-DC combos against an LTE combo list: the LTE part of every
+ * EN-DC combo with more than one LTE CC has to be a combo of the list, the
+ * LTE and NR bands have to be known.
+ *
+ * @param {EndcCombo[]} endcCombos
+ * @param {Object[]} lteCombos - Combos, entries or decoded combos of the LTE file
+ * @returns {EndcValidationResult[]} One result per EN-DC combo
+ */
+export const validateEndcAnchors = (endcCombos, lteCombos) => endcCombos.map(combo => {
+  const errors = [];
+  const warnings = [];
+
+  const bandsWarning = validateBandsExist(combo.lte.carriers);
+  if (bandsWarning) warnings.push(bandsWarning);
+
+  const nrBandsWarning = validateNrBandsExist(combo.nr);
+  if (nrBandsWarning) warnings.push(nrBandsWarning);
+
+  const needsAnchor = endcNeedsCaAnchor(combo);
+  const anchors = needsAnchor ? findEndcAnchors(combo, lteCombos) : [];
+  if (needsAnchor && anchors.length === 0) {
+    const lte = comboToString(combo.lte, { includeMimo: false });
+    errors.push(createError(
+      ERROR_CODES.ENDC_ANCHOR_MISSING,
+      `LTE part ${lte} is not an LTE CA combo of the list.`,
+      { lte }
+    ));
+  }
+
+  return { text: combo.meta.notation || endcToString(combo), anchors, ...createResult(errors, warnings) };
+});
+
 // ==================== DEVICE PROFILE VALIDATION ====================
 
 /**
@@ -380,10 +496,47 @@ export const DEVICE_PROFILES = {
   }
 };
 
+// Bands outside the supported bands of a profile
+const validateProfileBands = (carriers, profile) => {
+  if (!profile.supportedBands || profile.supportedBands.length === 0) return null;
+
+  const unsupportedBands = carriers
+    .map(c => c.band)
+    .filter(band => !profile.supportedBands.includes(band));
+
+  if (unsupportedBands.length > 0) {
+    return createError(
+      ERROR_CODES.UNSUPPORTED_BAND,
+      `Bands not supported by ${profile.name}: ${unsupportedBands.join(', ')}.`,
+      { unsupportedBands, profileName: profile.name }
+    );
+  }
+
+  return null;
+};
+
+// DL MIMO outside the supported MIMO of a band in a profile
+const validateProfileMimo = (carriers, profile) => {
+  if (!profile.bandMimo || Object.keys(profile.bandMimo).length === 0) return [];
+
+  return carriers.flatMap(carrier => {
+    const mimo = carrier.mimoDl;
+    const supportedMimo = profile.bandMimo[carrier.band];
+
+    return supportedMimo && !supportedMimo.includes(mimo)
+      ? [createWarning(
+        ERROR_CODES.UNSUPPORTED_MIMO,
+        `MIMO ${mimo} not supported on Band ${carrier.band}. Supported: ${supportedMimo.join(', ')}.`,
+        { band: carrier.band, requestedMimo: mimo, supportedMimo }
+      )]
+      : [];
+  });
+};
+
 /**
  * Validate combo against device profile
  *
- * @param {Object[]} carriers - Array of carriers
+ * @param {Carrier[]} carriers - Array of carriers
  * @param {DeviceProfile} profile - Device profile
  * @returns {ValidationError[]}
  */
@@ -393,41 +546,17 @@ export const validateAgainstProfile = (carriers, profile = DEFAULT_PROFILE) => {
   if (!carriers || carriers.length === 0) return errors;
 
   // Check supported bands
-  if (profile.supportedBands && profile.supportedBands.length > 0) {
-    const unsupportedBands = carriers
-      .map(c => c.band)
-      .filter(band => !profile.supportedBands.includes(band));
-
-    if (unsupportedBands.length > 0) {
-      errors.push(createError(
-        ERROR_CODES.UNSUPPORTED_BAND,
-        `Bands not supported by ${profile.name}: ${unsupportedBands.join(', ')}.`,
-        { unsupportedBands, profileName: profile.name }
-      ));
-    }
-  }
+  const bandsError = validateProfileBands(carriers, profile);
+  if (bandsError) errors.push(bandsError);
 
   // Check MIMO support per band
-  if (profile.bandMimo && Object.keys(profile.bandMimo).length > 0) {
-    for (const carrier of carriers) {
-      const mimo = carrier.mimoDl || carrier.ant || 2;
-      const supportedMimo = profile.bandMimo[carrier.band];
-
-      if (supportedMimo && !supportedMimo.includes(mimo)) {
-        errors.push(createWarning(
-          ERROR_CODES.UNSUPPORTED_MIMO,
-          `MIMO ${mimo} not supported on Band ${carrier.band}. Supported: ${supportedMimo.join(', ')}.`,
-          { band: carrier.band, requestedMimo: mimo, supportedMimo }
-        ));
-      }
-    }
-  }
+  errors.push(...validateProfileMimo(carriers, profile));
 
   // Check CC limits
   const dlCCError = validateDLCCLimit(carriers, profile.maxDLCC);
   if (dlCCError) errors.push(dlCCError);
 
-  const ulSCellError = validateULSCellLimit(carriers, 0, profile.maxULSCell);
+  const ulSCellError = validateULSCellLimit(carriers, null, profile.maxULSCell);
   if (ulSCellError) errors.push(ulSCellError);
 
   if (profile.maxTotalUL) {
@@ -438,20 +567,112 @@ export const validateAgainstProfile = (carriers, profile = DEFAULT_PROFILE) => {
   return errors;
 };
 
+// ==================== BUILT-IN RULES ====================
+
+// Rule issues of validation functions (ValidationError, array or null)
+const issuesOf = (...results) => results.flat()
+  .filter(Boolean)
+  .map(({ message, details }) => ({ message, details }));
+
+const builtinRule = (id, severity, description, check, extra = {}) => Object.freeze({
+  id,
+  severity,
+  description,
+  scope: RULE_SCOPE.COMBO,
+  enabled: true,
+  builtin: true,
+  check,
+  ...extra
+});
+
+/**
+ * Built-in rules of validateCombo, in check order
+ * The context holds the options of validateCombo (limits, profile,
+ * allowFDDTDDMix); the profile limits are checked next to the option limits.
+ */
+export const BUILTIN_RULES = Object.freeze([
+  builtinRule(ERROR_CODES.EMPTY_COMBO, RULE_SEVERITY.ERROR, 'Combo has at least one carrier',
+    combo => issuesOf(validateNotEmpty(combo.carriers)), { stop: true }),
+  builtinRule(ERROR_CODES.INVALID_BAND, RULE_SEVERITY.WARNING, 'Bands are in the LTE band database',
+    combo => issuesOf(validateBandsExist(combo.carriers))),
+  builtinRule(ERROR_CODES.FDD_TDD_MIX, RULE_SEVERITY.ERROR, 'No FDD and TDD bands in one combo',
+    (combo, ctx) => (ctx.allowFDDTDDMix ? [] : issuesOf(validateNoFDDTDDMix(combo.carriers)))),
+  builtinRule(ERROR_CODES.SDL_WITH_UL, RULE_SEVERITY.ERROR, 'No UL on SDL bands',
+    combo => issuesOf(validateSDLNoUplink(combo.carriers))),
+  builtinRule(ERROR_CODES.EXCEED_MAX_CC, RULE_SEVERITY.ERROR, 'Total CC within the limit',
+    (combo, ctx) => issuesOf(validateTotalCCLimit(combo.carriers, ctx.maxCC))),
+  builtinRule(ERROR_CODES.EXCEED_MAX_DL_CC, RULE_SEVERITY.ERROR, 'DL CC within the limit',
+    (combo, ctx) => issuesOf(
+      validateDLCCLimit(combo.carriers, ctx.maxDLCC),
+      ctx.profile && validateDLCCLimit(combo.carriers, ctx.profile.maxDLCC)
+    )),
+  builtinRule(ERROR_CODES.PCELL_WITHOUT_UL, RULE_SEVERITY.ERROR, 'The PCell carries UL',
+    combo => issuesOf(validatePCell(combo.carriers, combo.pcellIndex))),
+  builtinRule(ERROR_CODES.EXCEED_MAX_UL_SCELL, RULE_SEVERITY.ERROR, 'UL SCells within the limit',
+    (combo, ctx) => issuesOf(
+      validateULSCellLimit(combo.carriers, combo.pcellIndex, ctx.maxULSCell),
+      ctx.profile && validateULSCellLimit(combo.carriers, null, ctx.profile.maxULSCell)
+    )),
+  builtinRule(ERROR_CODES.EXCEED_MAX_TOTAL_UL, RULE_SEVERITY.ERROR, 'UL carriers within the limit',
+    (combo, ctx) => issuesOf(
+      validateTotalULLimit(combo.carriers, ctx.maxTotalUL),
+      ctx.profile && ctx.profile.maxTotalUL && validateTotalULLimit(combo.carriers, ctx.profile.maxTotalUL)
+    )),
+  builtinRule(ERROR_CODES.UL_HARMONIC_INTERFERENCE, RULE_SEVERITY.WARNING, 'No UL harmonic in a DL carrier (band edges)',
+    combo => issuesOf(validateInterference(combo.carriers).filter(w => w.code === ERROR_CODES.UL_HARMONIC_INTERFERENCE)),
+    { enabled: false }),
+  builtinRule(ERROR_CODES.UL_IMD_INTERFERENCE, RULE_SEVERITY.WARNING, 'No UL IMD product in a DL carrier (band edges)',
+    combo => issuesOf(validateInterference(combo.carriers).filter(w => w.code === ERROR_CODES.UL_IMD_INTERFERENCE)),
+    { enabled: false }),
+  builtinRule(ERROR_CODES.UNSUPPORTED_BAND, RULE_SEVERITY.ERROR, 'Bands supported by the device profile',
+    (combo, ctx) => (ctx.profile ? issuesOf(validateProfileBands(combo.carriers, ctx.profile)) : [])),
+  builtinRule(ERROR_CODES.UNSUPPORTED_MIMO, RULE_SEVERITY.WARNING, 'DL MIMO supported on the band by the device profile',
+    (combo, ctx) => (ctx.profile ? issuesOf(validateProfileMimo(combo.carriers, ctx.profile)) : []))
+]);
+
+const INTERFERENCE_RULES = {
+  [ERROR_CODES.UL_HARMONIC_INTERFERENCE]: { enabled: true },
+  [ERROR_CODES.UL_IMD_INTERFERENCE]: { enabled: true }
+};
+
+/**
+ * Parse a rule config against the built-in rules (see rules.js for the format)
+ *
+ * @param {string|Object} input - JSON text or the parsed object
+ * @returns {RuleConfig}
+ * @throws {Error} Invalid JSON, rule, override or a user rule with a built-in id
+ */
+export const parseValidationRules = (input) => parseRuleConfig(input, BUILTIN_RULES);
+
+/**
+ * Effective rules of validateCombo: built-in and user rules with the overrides applied
+ *
+ * @param {RuleConfig|null} [rules=null] - Rule config (parseValidationRules)
+ * @param {Object} [options]
+ * @param {boolean} [options.checkInterference=false] - Enable the UL harmonic/IMD rules (the config still wins)
+ * @returns {Rule[]}
+ */
+export const getValidationRules = (rules = null, options = {}) => (
+  resolveRules(BUILTIN_RULES, rules, options.checkInterference ? INTERFERENCE_RULES : {})
+);
+
 // ==================== FULL VALIDATION ====================
 
 /**
- * Perform full validation on a combo
+ * Perform full validation on a combo: the enabled combo rules
  *
- * @param {Object[]} carriers - Array of carriers
+ * @param {Carrier[]} carriers - Array of carriers
  * @param {Object} options
  * @param {number} [options.maxCC=6] - Max total CC
  * @param {number} [options.maxDLCC=5] - Max DL CC
  * @param {number} [options.maxULSCell=1] - Max UL SCells
  * @param {number} [options.maxTotalUL=2] - Max total UL
- * @param {number} [options.pcellIndex=0] - PCell index
+ * @param {number|null} [options.pcellIndex=null] - PCell index, e.g. combo.pcellIndex (null = first UL carrier)
  * @param {DeviceProfile} [options.profile] - Device profile
  * @param {boolean} [options.allowFDDTDDMix=false] - Allow FDD/TDD mixing
+ * @param {boolean} [options.checkInterference=false] - Warn about UL harmonics/IMD in the DL carriers
+ * @param {RuleConfig|null} [options.rules=null] - User rules and overrides (parseValidationRules)
+ * @param {Object} [options.combo] - Combo or entry of the carriers, user rules see its fields (text, desc)
  * @returns {ValidationResult}
  */
 export const validateCombo = (carriers, options = {}) => {
@@ -460,67 +681,61 @@ export const validateCombo = (carriers, options = {}) => {
     maxDLCC = DEFAULT_LIMITS.maxDLCC,
     maxULSCell = DEFAULT_LIMITS.maxULSCell,
     maxTotalUL = DEFAULT_LIMITS.maxTotalUL,
-    pcellIndex = 0,
+    pcellIndex = null,
     profile = null,
-    allowFDDTDDMix = false
+    allowFDDTDDMix = false,
+    checkInterference = false,
+    rules = null,
+    combo = null
   } = options;
 
-  const errors = [];
-  const warnings = [];
-
-  // Basic validation
-  const emptyError = validateNotEmpty(carriers);
-  if (emptyError) {
-    return createResult([emptyError], []);
-  }
-
-  // Band existence check (warning)
-  const bandsWarning = validateBandsExist(carriers);
-  if (bandsWarning) warnings.push(bandsWarning);
-
-  // FDD/TDD mix check
-  if (!allowFDDTDDMix) {
-    const mixError = validateNoFDDTDDMix(carriers);
-    if (mixError) errors.push(mixError);
-  }
-
-  // SDL uplink check
-  const sdlError = validateSDLNoUplink(carriers);
-  if (sdlError) errors.push(sdlError);
+  const { errors, warnings } = runComboRules(
+    getValidationRules(rules, { checkInterference }),
+    { ...combo, carriers, pcellIndex },
+    { maxCC, maxDLCC, maxULSCell, maxTotalUL, profile, allowFDDTDDMix }
+  );
 
-  // CC limits
-  const ccError = validateTotalCCLimit(carriers, maxCC);
-  if (ccError) errors.push(ccError);
+  return createResult(errors, warnings);
+};
 
-  const dlCCError = validateDLCCLimit(carriers, maxDLCC);
-  if (dlCCError) errors.push(dlCCError);
+/**
+ * Validate a combo list: the combo rules on every item, the list rules on
+ * the list. Items violating a list rule with a maximum get its error.
+ *
+ * @param {Object[]} items - Combos or encoder entries
+ * @param {Object} [options] - Same as validateCombo (pcellIndex and combo come from the items)
+ * @param {function(Carrier[], Object): ValidationResult} [options.validate=validateCombo] - Validation of
+ *   one item, e.g. validateForEncoding
+ * @returns {{valid: boolean, results: (ValidationResult|null)[], errors: ValidationError[], warnings: ValidationError[]}}
+ *   results per item (null without carriers), errors and warnings of the whole list
+ */
+export const validateComboList = (items, options = {}) => {
+  const { validate = validateCombo, ...comboOptions } = options;
 
-  // UL limits
-  const ulSCellError = validateULSCellLimit(carriers, pcellIndex, maxULSCell);
-  if (ulSCellError) errors.push(ulSCellError);
+  const results = items.map(item => (item.carriers
+    ? validate(item.carriers, { ...comboOptions, pcellIndex: item.pcellIndex ?? null, combo: item })
+    : null));
 
-  const totalULError = validateTotalULLimit(carriers, maxTotalUL);
-  if (totalULError) errors.push(totalULError);
-
-  // Profile validation
-  if (profile) {
-    const profileErrors = validateAgainstProfile(carriers, profile);
-    for (const err of profileErrors) {
-      if (err.severity === 'error') {
-        errors.push(err);
-      } else {
-        warnings.push(err);
-      }
-    }
+  const errors = [];
+  const warnings = [];
+  for (const { index, error } of runListRules(getValidationRules(comboOptions.rules), items)) {
+    const target = index === null ? { errors, warnings } : results[index];
+    (error.severity === RULE_SEVERITY.ERROR ? target.errors : target.warnings).push(error);
+    if (index !== null) target.valid = target.errors.length === 0;
   }
 
-  return createResult(errors, warnings);
+  return {
+    valid: errors.length === 0 && results.every(r => !r || r.valid),
+    results,
+    errors,
+    warnings
+  };
 };
 
 /**
  * Quick check if combo is valid (no detailed report)
  *
- * @param {Object[]} carriers - Array of carriers
+ * @param {Carrier[]} carriers - Array of carriers
  * @param {Object} options - Same as validateCombo
  * @returns {boolean}
  */
@@ -0,0 +1,25 @@
+import React from 'react';
+import { nextSort } from '../utils/utils';
+
+const SORT_MARKS = { true: ' ▼', false: ' ▲' };
+
+/**
+ * Table header of the estimated DL / UL rate column; clicking DL or UL
+ * sorts the rows by it (descending, ascending, list order)
+ */
+export default function ThroughputHeader({ sort, onSortChange, className }) {
+  const sortButton = (key, label) => (
+    <button
+      onClick={() => onSortChange(nextSort(sort, key))}
+      className={sort.key === key ? 'text-white' : 'hover:text-white'}
+    >
+      {label}{sort.key === key && SORT_MARKS[sort.desc]}
+    </button>
+  );
+
+  return (
+    <th className={className} title="Estimated peak rate in Mbps, click DL or UL to sort">
+      {sortButton('dl', 'DL')} / {sortButton('ul', 'UL')} Mbps
+    </th>
+  );
+}
@@ -0,0 +1,126 @@
+import React, { useState, useMemo } from 'react';
+import { parseBandwidthRules, BANDWIDTH_PRBS, MODULATION_BITS, TDD_CONFIGS } from '../shared/index.js';
+
+// ==================== CONSTANTS ====================
+
+const BANDWIDTH_OPTIONS = Object.keys(BANDWIDTH_PRBS).map(Number).sort((a, b) => a - b);
+const MODULATION_OPTIONS = Object.keys(MODULATION_BITS).map(Number);
+
+const formatTddConfig = (id) => {
+  const { dl, ul, special } = TDD_CONFIGS[id];
+  return `${id} (D${dl} U${ul} S${special})`;
+};
+
+// ==================== COMPONENT ====================
+
+/**
+ * Highest estimated DL/UL peak rate of a combo list with the LTE UE
+ * category it implies, and the assumptions of the estimate (bandwidth,
+ * modulation, TDD configuration), which are shared by all tables
+ */
+export default function ThroughputPanel({ summary, settings, onSettingsChange }) {
+  const [showSettings, setShowSettings] = useState(false);
+
+  const ruleError = useMemo(() => {
+    try {
+      parseBandwidthRules(settings.bandRules);
+      return null;
+    } catch (err) {
+      return err.message;
+    }
+  }, [settings.bandRules]);
+
+  const update = (field, value) => onSettingsChange({ ...settings, [field]: value });
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-sm">
+        <span>
+          <span className="text-gray-400">Max DL: </span>
+          <span className="text-yellow-400 font-semibold">{summary.maxDl} Mbps</span>
+          {summary.maxDl > 0 && (
+            <span className="text-gray-500 text-xs"> (Cat {summary.dlCategory ?? '>14'})</span>
+          )}
+        </span>
+        <span>
+          <span className="text-gray-400">Max UL: </span>
+          <span className="text-yellow-400 font-semibold">{summary.maxUl} Mbps</span>
+          {summary.maxUl > 0 && (
+            <span className="text-gray-500 text-xs"> (UL Cat {summary.ulCategory ?? '>8'})</span>
+          )}
+        </span>
+        <button
+          onClick={() => setShowSettings(v => !v)}
+          title="Bandwidth, modulation and TDD configuration of the estimate"
+          className={`px-2 py-0.5 rounded text-xs ${showSettings ? 'bg-blue-600 hover:bg-blue-500' : 'bg-gray-700 hover:bg-gray-600'}`}
+        >
+          ⚙️ Assumptions
+        </button>
+      </div>
+
+      {showSettings && (
+        <div className="p-3 bg-gray-900 rounded-lg space-y-2">
+          <div className="flex flex-wrap items-end gap-4">
+            <div>
+              <label className="block text-gray-400 text-xs mb-1">Bandwidth per CC</label>
+              <select
+                value={settings.bandwidth}
+                onChange={(e) => update('bandwidth', Number(e.target.value))}
+                className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white text-sm"
+              >
+                {BANDWIDTH_OPTIONS.map(bw => <option key={bw} value={bw}>{bw} MHz</option>)}
+              </select>
+            </div>
+            <div className="flex-1 min-w-48">
+              <label className="block text-gray-400 text-xs mb-1">Per band (BAND:MHZ, +MHZ per further CC)</label>
+              <input
+                type="text"
+                value={settings.bandRules}
+                onChange={(e) => update('bandRules', e.target.value)}
+                placeholder="3:20, 7:20+10, 20:10"
+                className={`w-full bg-gray-700 border rounded px-2 py-1 text-white text-sm font-mono ${
+                  ruleError ? 'border-red-500' : 'border-gray-600'
+                }`}
+              />
+            </div>
+            <div>
+              <label className="block text-gray-400 text-xs mb-1">DL modulation</label>
+              <select
+                value={settings.dlModulation}
+                onChange={(e) => update('dlModulation', parseInt(e.target.value, 10))}
+                className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white text-sm"
+              >
+                {MODULATION_OPTIONS.map(qam => <option key={qam} value={qam}>{qam}QAM</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-gray-400 text-xs mb-1">UL modulation</label>
+              <select
+                value={settings.ulModulation}
+                onChange={(e) => update('ulModulation', parseInt(e.target.value, 10))}
+                className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white text-sm"
+              >
+                {MODULATION_OPTIONS.map(qam => <option key={qam} value={qam}>{qam}QAM</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-gray-400 text-xs mb-1">TDD UL/DL config</label>
+              <select
+                value={settings.tddConfig}
+                onChange={(e) => update('tddConfig', parseInt(e.target.value, 10))}
+                className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white text-sm"
+              >
+                {Object.keys(TDD_CONFIGS).map(id => <option key={id} value={id}>{formatTddConfig(id)}</option>)}
+              </select>
+            </div>
+          </div>
+          {ruleError && <div className="text-red-400 text-xs">{ruleError}</div>}
+          <div className="text-gray-500 text-xs">
+            Without a per band value the CCs of a band get the bandwidth per CC, reduced until they fit into the band.
+            Estimates with 25% overhead; categories from TS 36.306.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,18 +1,99 @@
-import { useCallback } from 'react';
-import { calculateStreams, checkHasULCA, parseComboFile, parseComboString, compressZlib } from '../encoder/28874encoder';
+import { useCallback, useMemo } from 'react';
+import { createEntry, parseComboFile, compressZlib, decodedCombosToEntries, combosToEntries } from '../encoder/28874encoder';
+import { formatDecodeResults } from '../decoder/28874decoder';
+import { isCompoundFile } from '../decoder/compoundFile.js';
+import { parseQcnFile, replaceQcnItem } from '../decoder/qcn.js';
+import { detectArchiveFormat, extractNvItemFiles, isNvItemPath } from '../decoder/archive.js';
+import { isUeCapability, parseUeCapability, isDiagLogName, parseDiagLog } from '../capability/index.js';
+import {
+  calculateStreams, hasULCA, parseComboString, createCombo, updateCarrier, comboToString, getPCellIndex,
+  isCaNotation, parseCaNotationList, formatCaNotation, analyzeFallbacks, insertFallbacks,
+  differenceCombos, COMBO_IDENTITY, compileQuery, estimateThroughput, summarizeThroughput, rewriteComboBands
+} from '../shared/index.js';
+
+// ==================== DIRECTORY DROPS ====================
+
+// Read all entries of a dropped directory (readEntries returns them in batches)
+const readDirectoryEntries = (dirEntry) => new Promise((resolve, reject) => {
+  const reader = dirEntry.createReader();
+  const entries = [];
+  const readBatch = () => reader.readEntries((batch) => {
+    if (batch.length === 0) {
+      resolve(entries);
+    } else {
+      entries.push(...batch);
+      readBatch();
+    }
+  }, reject);
+  readBatch();
+});
+
+// Recursively collect the 00028874 files of a dropped directory
+const collectNvItemFiles = async (entry) => {
+  if (entry.isFile) {
+    if (!isNvItemPath(entry.fullPath)) return [];
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{ path: entry.fullPath.replace(/^\//, ''), file }];
+  }
+
+  const children = await readDirectoryEntries(entry);
+  const nested = await Promise.all(children.map(collectNvItemFiles));
+  return nested.flat();
+};
 
 // ==================== FILE HANDLERS ====================
 
+/**
+ * Encoder entries of a text: UE capability, 3GPP CA configuration list or TXT combo list
+ * UE capabilities and 3GPP lists have no streams, these are always calculated.
+ *
+ * @returns {{entries: Object[], skipped: string[]}} skipped: invalid 3GPP configurations
+ */
+const parseEncodeText = (text, recalculateStreams, caNotationOptions) => {
+  if (isUeCapability(text)) {
+    return { entries: combosToEntries(parseUeCapability(text).combos), skipped: [] };
+  }
+  if (isCaNotation(text)) {
+    const { combos, errors } = parseCaNotationList(text, caNotationOptions);
+    return { entries: combosToEntries(combos), skipped: errors };
+  }
+  return { entries: parseComboFile(text, recalculateStreams), skipped: [] };
+};
+
+const skippedMessage = (skipped) => (
+  `Skipped ${skipped.length} invalid 3GPP configuration(s): ${skipped.slice(0, 3).join('; ')}${skipped.length > 3 ? '; ...' : ''}`
+);
+
+const duplicatesMessage = (count) => `Skipped ${count} combo(s) already in the list`;
+
+/**
+ * Entries to append to the encoder list: new entries that are not in it yet
+ * (same DL and UL carriers, any order), each once
+ *
+ * @param {Object[]} entries - Current encoder entries
+ * @param {Object[]} newEntries
+ * @returns {Object[]}
+ */
+export const getNewEntries = (entries, newEntries) => (
+  differenceCombos(newEntries, entries, { identity: COMBO_IDENTITY.DL_UL })
+);
+
 export const useFileHandlers = ({
   activeTab,
   decodeFile,
+  decodeOptions,
   recalculateStreams,
+  caNotationOptions,
+  encodeEntries,
   setDecodeError,
   setDecodeResults,
+  setDecodeSource,
   setEncodeEntries,
   setEncodeError,
   setIsDragging,
-  setOriginalGroups
+  setArchiveSource,
+  setOriginalGroups,
+  setQcnSource
 }) => {
   const handleDecodeFile = useCallback((file) => {
     if (!file) return;
@@ -22,7 +103,25 @@ export const useFileHandlers = ({
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
-        const result = decodeFile(e.target.result);
+        let data = e.target.result;
+        setQcnSource(null);
+        setArchiveSource(null);
+
+        if (isCompoundFile(data)) {
+          // QCN backup: decode the first 00028874 instance, the others can be selected
+          const qcn = parseQcnFile(data);
+          setQcnSource({ fileName: file.name, qcn, instanceIdx: 0 });
+          data = qcn.instances[0].data;
+        } else if (detectArchiveFormat(data)) {
+          // EFS dump archive: decode the first matching file, all matches are listed
+          const { format, items } = extractNvItemFiles(data);
+          setArchiveSource({ name: file.name, format, items, activeIdx: 0 });
+          data = items[0].data;
+        }
+
+        // Keep the raw data so the file can be decoded again with other options
+        setDecodeSource(data);
+        const result = decodeFile(data, decodeOptions);
         setDecodeResults(result);
       } catch (err) {
         setDecodeError(err.message);
@@ -30,45 +129,113 @@ export const useFileHandlers = ({
     };
     reader.onerror = () => setDecodeError('Failed to read file');
     reader.readAsArrayBuffer(file);
-  }, [decodeFile, setDecodeError, setDecodeResults]);
+  }, [decodeFile, decodeOptions, setArchiveSource, setDecodeError, setDecodeResults, setDecodeSource, setQcnSource]);
+
+  // Decode the 00028874 files of a directory ({path, file} pairs from a drop or the folder picker)
+  const handleDecodeDirectory = useCallback(async (name, files) => {
+    setDecodeError(null);
+    setDecodeResults(null);
+    setQcnSource(null);
+    setArchiveSource(null);
+
+    try {
+      const matches = files
+        .filter(f => isNvItemPath(f.path))
+        .sort((a, b) => a.path.localeCompare(b.path));
+      if (matches.length === 0) {
+        throw new Error('No nv/item_files/rfnv/00028874 found in directory');
+      }
+
+      const items = await Promise.all(matches.map(async (f) => ({
+        path: f.path,
+        data: await f.file.arrayBuffer()
+      })));
+
+      setArchiveSource({ name, format: 'directory', items, activeIdx: 0 });
+      setDecodeSource(items[0].data);
+      setDecodeResults(decodeFile(items[0].data, decodeOptions));
+    } catch (err) {
+      setDecodeError(err.message);
+    }
+  }, [decodeFile, decodeOptions, setArchiveSource, setDecodeError, setDecodeResults, setDecodeSource, setQcnSource]);
 
   const handleEncodeFile = useCallback((file, append = false) => {
     if (!file) return;
     setEncodeError(null);
 
+    // Diag logs are binary, everything else is a text file
+    const diagLog = isDiagLogName(file.name);
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
-        const newEntries = parseComboFile(e.target.result, recalculateStreams);
+        const { entries: newEntries, skipped } = diagLog
+          ? { entries: combosToEntries(parseDiagLog(e.target.result).combos), skipped: [] }
+          : parseEncodeText(e.target.result, recalculateStreams, caNotationOptions);
         if (newEntries.length === 0) {
           throw new Error('No valid combos found in file');
         }
 
+        const notes = skipped.length > 0 ? [skippedMessage(skipped)] : [];
         if (append) {
-          setEncodeEntries(prev => [...prev, ...newEntries]);
+          const added = getNewEntries(encodeEntries, newEntries);
+          if (added.length < newEntries.length) notes.push(duplicatesMessage(newEntries.length - added.length));
+          setEncodeEntries(prev => [...prev, ...added]);
         } else {
           setEncodeEntries(newEntries);
           // Text file doesn't have grouping info
           setOriginalGroups(null);
         }
+        if (notes.length > 0) setEncodeError(notes.join('. '));
       } catch (err) {
         setEncodeError(err.message);
       }
     };
     reader.onerror = () => setEncodeError('Failed to read file');
-    reader.readAsText(file);
-  }, [recalculateStreams, setEncodeEntries, setEncodeError, setOriginalGroups]);
+    if (diagLog) {
+      reader.readAsArrayBuffer(file);
+    } else {
+      reader.readAsText(file);
+    }
+  }, [caNotationOptions, encodeEntries, recalculateStreams, setEncodeEntries, setEncodeError, setOriginalGroups]);
+
+  // Append pasted combos (same formats as text files) not yet in the list, returns true if the text had combos
+  const handleEncodeText = useCallback((text) => {
+    setEncodeError(null);
+    try {
+      const { entries: newEntries, skipped } = parseEncodeText(text, recalculateStreams, caNotationOptions);
+      if (newEntries.length === 0) {
+        throw new Error(skipped.length > 0 ? skippedMessage(skipped) : 'No valid combos found in pasted text');
+      }
+      const added = getNewEntries(encodeEntries, newEntries);
+      const notes = skipped.length > 0 ? [skippedMessage(skipped)] : [];
+      if (added.length < newEntries.length) notes.push(duplicatesMessage(newEntries.length - added.length));
+      if (notes.length > 0) setEncodeError(notes.join('. '));
+      setEncodeEntries(prev => [...prev, ...added]);
+      return true;
+    } catch (err) {
+      setEncodeError(err.message);
+      return false;
+    }
+  }, [caNotationOptions, encodeEntries, recalculateStreams, setEncodeEntries, setEncodeError]);
 
   const handleDrop = useCallback((e) => {
     e.preventDefault();
     setIsDragging(false);
     const file = e.dataTransfer.files[0];
     if (activeTab === 'decoder') {
+      // Dropped EFS directory: must be resolved while the drop event is active
+      const entry = e.dataTransfer.items?.[0]?.webkitGetAsEntry?.();
+      if (entry && entry.isDirectory) {
+        collectNvItemFiles(entry)
+          .then(files => handleDecodeDirectory(entry.name, files))
+          .catch(err => setDecodeError(err.message));
+        return;
+      }
       handleDecodeFile(file);
     } else {
       handleEncodeFile(file, false);
     }
-  }, [activeTab, handleDecodeFile, handleEncodeFile, setIsDragging]);
+  }, [activeTab, handleDecodeDirectory, handleDecodeFile, handleEncodeFile, setDecodeError, setIsDragging]);
 
   const handleDragOver = useCallback((e) => {
     e.preventDefault();
@@ -82,7 +249,9 @@ export const useFileHandlers = ({
 
   return {
     handleDecodeFile,
+    handleDecodeDirectory,
     handleEncodeFile,
+    handleEncodeText,
     handleDrop,
     handleDragOver,
     handleDragLeave
@@ -110,15 +279,9 @@ export const useEncoderTableHandlers = ({
     setEncodeEntries(entries => entries.map((entry, i) => {
       if (i === index) {
         try {
-          const carriers = parseComboString(newText);
-          const dlKey = carriers.map(c => `${c.band}:${c.bclass}:${c.ant}`).join('|');
           return {
             ...entry,
-            text: newText,
-            carriers,
-            dlKey,
-            streams: calculateStreams(carriers),
-            hasULCA: checkHasULCA(carriers),
+            ...createEntry(parseComboString(newText), { text: newText, descType: entry.descType ?? null }),
             isEditing: false,
             error: null
           };
@@ -148,10 +311,50 @@ export const useEncoderTableHandlers = ({
     }));
   }, [setEncodeEntries]);
 
+  // Set the UL MIMO of one carrier; the combo text is rebuilt from the carriers
+  const updateEntryULMimo = useCallback((index, carrierIdx, mimoUl) => {
+    setEncodeEntries(entries => entries.map((entry, i) => {
+      if (i !== index) return entry;
+      const carriers = entry.carriers.map((c, j) => (
+        j === carrierIdx ? updateCarrier(c, { mimoUl: parseInt(mimoUl, 10) || 1 }) : c
+      ));
+      const combo = createCombo({ carriers, pcellIndex: entry.pcellIndex ?? null });
+      return { ...entry, carriers: combo.carriers, text: comboToString(combo) };
+    }));
+  }, [setEncodeEntries]);
+
+  // Make a UL carrier the PCell (UL slot 0); the first UL carrier is the default and needs no marker
+  const updateEntryPCell = useCallback((index, carrierIdx) => {
+    setEncodeEntries(entries => entries.map((entry, i) => {
+      if (i !== index) return entry;
+      const pcellIndex = carrierIdx === getPCellIndex(entry.carriers) ? null : carrierIdx;
+      const combo = createCombo({ carriers: entry.carriers, pcellIndex });
+      return { ...entry, pcellIndex, text: comboToString(combo) };
+    }));
+  }, [setEncodeEntries]);
+
   const deleteEntry = useCallback((index) => {
     setEncodeEntries(entries => entries.filter((_, i) => i !== index));
   }, [setEncodeEntries]);
 
+  const deleteEntries = useCallback((indices) => {
+    const selected = new Set(indices);
+    setEncodeEntries(entries => entries.filter((_, i) => !selected.has(i)));
+  }, [setEncodeEntries]);
+
+  // Set the DL MIMO of the carriers of one band (all bands for null); text, streams and DL key follow
+  const updateEntriesMimo = useCallback((indices, band, mimoDl) => {
+    const selected = new Set(indices);
+    setEncodeEntries(entries => entries.map((entry, i) => {
+      if (!selected.has(i) || !entry.carriers || entry.carriers.length === 0) return entry;
+      const carriers = entry.carriers.map(c => (
+        band === null || c.band === band ? updateCarrier(c, { mimoDl }) : c
+      ));
+      const combo = createCombo({ carriers, pcellIndex: entry.pcellIndex ?? null });
+      return { ...entry, ...createEntry(combo, { descType: entry.descType ?? null }) };
+    }));
+  }, [setEncodeEntries]);
+
   const startEditing = useCallback((index) => {
     setEncodeEntries(entries => entries.map((e, i) =>
       i === index ? { ...e, isEditing: true } : e
@@ -169,25 +372,124 @@ export const useEncoderTableHandlers = ({
         return {
           ...entry,
           streams: calculateStreams(entry.carriers),
-          hasULCA: checkHasULCA(entry.carriers)
+          hasULCA: hasULCA(entry.carriers)
         };
       }
       return entry;
     }));
   }, [setEncodeEntries]);
 
+  // Insert the missing fallbacks (within the profile limits) right after the combo that needs them
+  const insertMissingFallbacks = useCallback((profile) => {
+    setEncodeEntries(entries => insertFallbacks(
+      entries,
+      analyzeFallbacks(entries, { profile }),
+      combo => createEntry(combo)
+    ));
+  }, [setEncodeEntries]);
+
+  // Rewrite a band to a superset band; new duplicates are dropped, combos outside the profile get an error
+  const rewriteEntryBands = useCallback((fromBand, toBand, profile) => {
+    setEncodeEntries(entries => {
+      const { items, conflicts } = rewriteComboBands(entries, fromBand, toBand, {
+        profile,
+        toItem: (combo, entry) => ({ ...entry, ...createEntry(combo, { descType: entry.descType ?? null }), error: null })
+      });
+      const errors = new Map(conflicts.map(c => [c.index, c.errors.map(e => e.message).join(' ')]));
+      return items.map((entry, i) => (errors.has(i) ? { ...entry, error: errors.get(i) } : entry));
+    });
+  }, [setEncodeEntries]);
+
   return {
     addNewEntry,
     updateEntryText,
     updateEntryStreams,
     updateEntryULCA,
+    updateEntryULMimo,
+    updateEntryPCell,
     deleteEntry,
+    deleteEntries,
+    updateEntriesMimo,
     startEditing,
     clearAllEntries,
-    recalculateAllStreams
+    recalculateAllStreams,
+    insertMissingFallbacks,
+    rewriteEntryBands
   };
 };
 
+// ==================== QUERY FILTER ====================
+
+/**
+ * Filter a combo table with a query (shared/query.js)
+ *
+ * @param {Object[]|null} items - Decoded combos or encoder entries
+ * @param {string} query
+ * @returns {{indices: number[]|null, matches: Set<number>|null, error: string|null}}
+ *   indices/matches are null when no valid query is set (everything is shown)
+ */
+export const useQueryFilter = (items, query) => {
+  const compiled = useMemo(() => {
+    try {
+      return { predicate: compileQuery(query), error: null };
+    } catch (e) {
+      return { predicate: null, error: e.message };
+    }
+  }, [query]);
+
+  return useMemo(() => {
+    if (!items || !compiled.predicate) return { indices: null, matches: null, error: compiled.error };
+    const indices = items.flatMap((item, idx) => (compiled.predicate(item) ? [idx] : []));
+    return { indices, matches: new Set(indices), error: null };
+  }, [items, compiled]);
+};
+
+// ==================== THROUGHPUT ====================
+
+/**
+ * Estimated peak rates of a combo table (shared/throughput.js)
+ *
+ * @param {Object[]|null} items - Decoded combos or encoder entries
+ * @param {Object} options - See DEFAULT_THROUGHPUT_OPTIONS
+ * @returns {{rates: Throughput[], summary: ThroughputSummary}}
+ */
+export const useThroughput = (items, options) => useMemo(() => {
+  const rates = (items || []).map(item => estimateThroughput(item, options));
+  return { rates, summary: summarizeThroughput(rates) };
+}, [items, options]);
+
+/**
+ * Row order of a combo table: the filtered indices (all without a filter),
+ * sorted by the estimated DL or UL rate; combos without carriers come last
+ *
+ * @param {number} count - Number of items
+ * @param {number[]|null} indices - See useQueryFilter
+ * @param {Throughput[]} rates - See useThroughput
+ * @param {{key: 'dl'|'ul'|null, desc: boolean}} sort - key null keeps the list order
+ * @returns {number[]}
+ */
+export const useSortedRows = (count, indices, rates, sort) => useMemo(() => {
+  const rows = indices ? [...indices] : Array.from({ length: count }, (_, idx) => idx);
+  if (!sort.key) return rows;
+  const direction = sort.desc ? -1 : 1;
+  const value = (idx) => rates[idx]?.[sort.key] ?? null;
+  return rows.sort((a, b) => {
+    if (value(a) === null || value(b) === null) return (value(a) === null) - (value(b) === null) || a - b;
+    return (value(a) - value(b)) * direction || a - b;
+  });
+}, [count, indices, rates, sort]);
+
+/**
+ * Next sort of a column header click: descending, ascending, list order
+ *
+ * @param {{key: string|null, desc: boolean}} sort
+ * @param {string} key - Clicked column
+ */
+export const nextSort = (sort, key) => {
+  if (sort.key !== key) return { key, desc: true };
+  return sort.desc ? { key, desc: false } : { key: null, desc: true };
+};
+
 // ==================== EXPORT FUNCTIONS ====================
 
 export const useExportHandlers = ({
@@ -204,26 +506,14 @@ export const useExportHandlers = ({
   setFormatVersion,
   setOriginalGroups,
   setPreserveOriginalGrouping,
+  qcnSource,
   useCompression
 }) => {
   const handleDecodeExport = useCallback(() => {
     if (!decodeResults || decodeResults.combos.length === 0) return;
 
     try {
-      const lines = [
-        `Input file size: ${decodeResults.fileSize} bytes`,
-        `Format verson: ${decodeResults.formatVersion}`,
-        `Number of descriptors: ${decodeResults.numDescriptors}`,
-        ''
-      ];
-
-      decodeResults.combos.forEach(c => {
-        lines.push(`${c.text} ${c.streams}${c.hasULCA ? '*' : ' '}`);
-      });
-
-      lines.push('');
-      lines.push(`Number of combos: ${decodeResults.numCombos}`);
-      lines.push(`Max streams per combo: ${decodeResults.maxStreams}`);
+      const lines = formatDecodeResults(decodeResults);
 
       const text = lines.join('\n');
       const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
@@ -269,11 +559,33 @@ export const useExportHandlers = ({
     }
   }, [encodeToBuffer, setEncodeError, useCompression]);
 
-  const handleExportTxt = useCallback(() => {
-    if (encodeEntries.length === 0) return;
+  const handleQcnExport = useCallback(() => {
+    if (!qcnSource) return;
+
+    try {
+      // Compression follows the item stored in the QCN, not the encoder setting
+      const buffer = replaceQcnItem(qcnSource.qcn, qcnSource.instanceIdx, encodeToBuffer());
+      const blob = new Blob([buffer], { type: 'application/octet-stream' });
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = qcnSource.fileName.replace(/(\.qcn)?$/i, '_edited.qcn');
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(() => URL.revokeObjectURL(url), 100);
+    } catch (err) {
+      setEncodeError('QCN export failed: ' + err.message);
+    }
+  }, [encodeToBuffer, qcnSource, setEncodeError]);
+
+  // All entries, or the entries matching the table filter
+  const handleExportTxt = useCallback((entries = encodeEntries) => {
+    if (entries.length === 0) return;
 
     try {
-      const lines = encodeEntries.map(e =>
+      const lines = entries.map(e =>
         `${e.text} ${e.streams}${e.hasULCA ? '*' : ''}`
       );
 
@@ -293,10 +605,34 @@ export const useExportHandlers = ({
     }
   }, [encodeEntries, setEncodeError]);
 
-  const handleCopyToClipboard = useCallback(() => {
-    if (!decodeResults || decodeResults.combos.length === 0) return;
+  // One 3GPP CA configuration name per line; combos differing only in MIMO share a name
+  const handleExport3gpp = useCallback(() => {
+    if (encodeEntries.length === 0) return;
+
+    try {
+      const lines = [...new Set(encodeEntries.map(e => formatCaNotation(e.carriers)))];
 
-    const lines = decodeResults.combos.map(c =>
+      const text = lines.join('\n');
+      const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'combos_3gpp.txt';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(() => URL.revokeObjectURL(url), 100);
+    } catch (err) {
+      setEncodeError('Export failed: ' + err.message);
+    }
+  }, [encodeEntries, setEncodeError]);
+
+  // All decoded combos, or the combos matching the table filter
+  const handleCopyToClipboard = useCallback((combos = decodeResults?.combos) => {
+    if (!combos || combos.length === 0) return;
+
+    const lines = combos.map(c =>
       `${c.text} ${c.streams}${c.hasULCA ? '*' : ''}`
     );
 
@@ -340,38 +676,7 @@ export const useExportHandlers = ({
     // Set format version from original
     setFormatVersion(decodeResults.formatVersion);
 
-    // Helper to normalize carriers to 6 elements
-    const normalizeCarriersForKey = (carriers) => {
-      const result = [];
-      for (let i = 0; i < 6; i++) {
-        if (i < carriers.length) {
-          result.push(carriers[i]);
-        } else {
-          result.push({ band: 0, bclass: 0, ant: 0, ulclass: 0 });
-        }
-      }
-      return result;
-    };
-
-    const entries = decodeResults.combos.map((combo) => {
-      try {
-        const carriers = parseComboString(combo.text);
-        // Normalize to 6 elements to match originalGroups key format
-        const normalized = normalizeCarriersForKey(carriers);
-        const dlKey = normalized.map(c => `${c.band}:${c.bclass}:${c.ant}`).join('|');
-        return {
-          text: combo.text,
-          carriers,
-          dlKey,
-          streams: recalculateStreams ? calculateStreams(carriers) : combo.streams,
-          hasULCA: recalculateStreams ? checkHasULCA(carriers) : combo.hasULCA,
-          descType: combo.descType,
-          groupIdx: combo.groupIdx
-        };
-      } catch (e) {
-        return null;
-      }
-    }).filter(Boolean);
+    const entries = decodedCombosToEntries(decodeResults.combos, recalculateStreams);
 
     setEncodeEntries(entries);
     setActiveTab('encoder');
@@ -387,11 +692,33 @@ export const useExportHandlers = ({
     setPreserveOriginalGrouping
   ]);
 
+  // Decoded combos matching the table filter; their DL groups are incomplete and not kept
+  const transferSelectionToEncoder = useCallback((indices) => {
+    if (!decodeResults || indices.length === 0) return;
+
+    setOriginalGroups(null);
+    setPreserveOriginalGrouping(false);
+    setFormatVersion(decodeResults.formatVersion);
+    setEncodeEntries(decodedCombosToEntries(indices.map(i => decodeResults.combos[i]), recalculateStreams));
+    setActiveTab('encoder');
+  }, [
+    decodeResults,
+    recalculateStreams,
+    setActiveTab,
+    setEncodeEntries,
+    setFormatVersion,
+    setOriginalGroups,
+    setPreserveOriginalGrouping
+  ]);
+
   return {
     handleDecodeExport,
     handleEncodeExport,
+    handleQcnExport,
     handleExportTxt,
+    handleExport3gpp,
     handleCopyToClipboard,
-    transferToEncoder
+    transferToEncoder,
+    transferSelectionToEncoder
   };
 };
@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseComboString, comboToString, getOutermostBand, getSupersetBands, getBandSupersetMap,
+  intersectCombos, toOutermostBands
+} from '../src/shared/index.js';
+
+const combos = (...texts) => texts.map(parseComboString);
+
+describe('superset bands', () => {
+  it('maps the nested pairs to their superset', () => {
+    expect([12, 4, 2, 10].map(getOutermostBand)).toEqual([85, 66, 25, 66]);
+    expect(comboToString(toOutermostBands(parseComboString('2A-4A-12A')))).toBe('25A2-66A2-85A2');
+  });
+
+  it('keeps B17 separate from B12 and B85', () => {
+    expect(getSupersetBands(17)).toEqual([]);
+    expect(getOutermostBand(17)).toBe(17);
+    expect(intersectCombos(combos('2A-17A'), combos('2A-12A', '2A-85A'), { supersetBands: true })).toEqual([]);
+    expect(intersectCombos(combos('2A-12A'), combos('25A-85A'), { supersetBands: true })).toHaveLength(1);
+  });
+
+  it('has no superset chains', () => {
+    for (const { supersets } of getBandSupersetMap()) {
+      expect(supersets).toHaveLength(1);
+      expect(getSupersetBands(supersets[0])).toEqual([]);
+    }
+  });
+});
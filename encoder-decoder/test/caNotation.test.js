@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { parseCaNotation, parseCaNotationList, formatCaNotation, comboToString, getPCellIndex } from '../src/shared/index.js';
+
+describe('parseCaNotation', () => {
+  it('puts the single UL of a configuration without UL_CA on the first carrier', () => {
+    const combo = parseCaNotation('CA_1A-3A-7C');
+    expect(comboToString(combo)).toBe('1A2A-3A2-7C2');
+    expect(getPCellIndex(combo.carriers, combo.pcellIndex)).toBe(0);
+  });
+
+  it('skips SDL bands for the default UL', () => {
+    expect(comboToString(parseCaNotation('CA_29A-30A'))).toBe('29A2-30A2A');
+  });
+
+  it('keeps an explicit UL configuration', () => {
+    expect(comboToString(parseCaNotation('DL_CA_1A-3A-7C/UL_CA_3A-7A'))).toBe('1A2-3A2A-7C2A');
+  });
+
+  it('reports a configuration of SDL bands only per entry', () => {
+    const { combos, errors } = parseCaNotationList('CA_29A-32A\nCA_1A-3A');
+    expect(combos.map(comboToString)).toEqual(['1A2A-3A2']);
+    expect(errors).toEqual(['Invalid 3GPP CA configuration "CA_29A-32A": no band with UL for the PCell']);
+  });
+
+  it('reads back its own single UL name', () => {
+    const combo = parseCaNotation('CA_1A-3A-7C');
+    expect(comboToString(parseCaNotation(formatCaNotation(combo)))).toBe(comboToString(combo));
+  });
+});
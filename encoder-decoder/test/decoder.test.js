@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { encode, decode } from '../src/lib/index.js';
+import { CONFIDENCE } from '../src/decoder/28874decoder';
+
+// Two combos of one DL group (201) with their 202 UL descriptors (26 bytes each)
+const COMBOS = ['3A4A-7A2', '3A4-7A2A'];
+const UL_DESCRIPTOR_SIZE = 26;
+
+describe('decodeFile on a truncated file', () => {
+  const bytes = encode(COMBOS, { descriptorType: 201 });
+  // Cut the last UL descriptor after its first UL slot
+  const truncated = bytes.slice(0, bytes.length - UL_DESCRIPTOR_SIZE + 5);
+
+  it('keeps the combo of a cut UL descriptor in recovery mode', () => {
+    expect(decode(bytes).combos.map(c => c.text)).toEqual(COMBOS);
+
+    const result = decode(truncated, { lenient: true });
+    expect(result.combos.map(c => c.text)).toEqual(COMBOS);
+    expect(result.combos.map(c => c.confidence)).toEqual([CONFIDENCE.HIGH, CONFIDENCE.LOW]);
+    expect(result.recovery.salvagedCombos).toBe(1);
+    expect(result.errors.some(e => /^Recovery: UL descriptor at offset 0x[0-9a-f]+ is cut by the end of file/.test(e))).toBe(true);
+  });
+
+  it('stops at the cut UL descriptor without recovery mode', () => {
+    const result = decode(truncated);
+    expect(result.combos.map(c => c.text)).toEqual(COMBOS.slice(0, 1));
+    expect(result.errors).toContain('Unexpected end of file');
+  });
+});
@@ -0,0 +1,644 @@
+/**
+ * UE-EUTRA-Capability UPER fixture writer
+ *
+ * Writes the synthetic *.hex fixtures of test/fixtures/ueCapability/synthetic:
+ * UPER encodings of UE capabilities laid out field by field after TS 36.331,
+ * from the release extensions read by src/capability/ueCapabilityUper.js. The
+ * expected *.json next to them are checked by hand against the capabilities
+ * below, not generated. They share the field reading of the decoder, so they
+ * only supplement the captured dumps of ueCapability/captured.
+ *
+ * Usage: node test/fixtures/writeUperFixtures.js
+ */
+
+import { writeFileSync } from 'node:fs';
+
+// ==================== BIT WRITER ====================
+
+const bitWidth = (range) => {
+  let width = 0;
+  while (range > 0) {
+    width++;
+    range = Math.floor(range / 2);
+  }
+  return width;
+};
+
+const createBitWriter = () => {
+  const out = [];
+
+  const bits = (n, value) => {
+    for (let i = n - 1; i >= 0; i--) out.push(Math.floor(value / 2 ** i) % 2);
+  };
+  const bool = (value) => bits(1, value ? 1 : 0);
+  const int = (lo, hi, value) => bits(bitWidth(hi - lo), value - lo);
+  const preamble = (...present) => present.forEach(bool);
+  const sequenceOf = (lo, hi, items, writeItem) => {
+    int(lo, hi, items.length);
+    items.forEach(writeItem);
+  };
+  const bitString = (lo, hi, value) => {
+    if (lo !== hi) int(lo, hi, value.length);
+    [...value].forEach(bit => bits(1, Number(bit)));
+  };
+  const octets = (data) => {
+    if (data.length < 128) bits(8, data.length);
+    else bits(16, 0x8000 + data.length);
+    data.forEach(byte => bits(8, byte));
+  };
+  const bytes = () => {
+    const padded = [...out, ...Array((8 - out.length % 8) % 8).fill(0)];
+    const result = [];
+    for (let i = 0; i < padded.length; i += 8) result.push(parseInt(padded.slice(i, i + 8).join(''), 2));
+    return result;
+  };
+
+  return { bits, bool, int, preamble, sequenceOf, bitString, octets, bytes };
+};
+
+// ==================== COMMON IEs ====================
+
+const CLASSES = ['A', 'B', 'C', 'D', 'E', 'F'];
+const MIMO_DL = [2, 4, 8];
+const MIMO_UL = [2, 4];
+
+const writeBandInfoEUTRA = (w) => {
+  w.preamble(false);
+  w.sequenceOf(1, 64, [true], w.bool);
+};
+
+const writeClass = (w, cls) => {
+  w.bool(false);
+  w.int(0, 5, CLASSES.indexOf(cls));
+};
+
+// [cls, mimo] with the default MIMO (1 UL, 2 DL) left out
+const writeMimoUL = (w, [cls, mimo]) => {
+  w.preamble(mimo !== 1);
+  writeClass(w, cls);
+  if (mimo !== 1) w.int(0, 1, MIMO_UL.indexOf(mimo));
+};
+
+const writeMimoDL = (w, [cls, mimo]) => {
+  w.preamble(mimo !== 2);
+  writeClass(w, cls);
+  if (mimo !== 2) w.int(0, 2, MIMO_DL.indexOf(mimo));
+};
+
+// Band: { band, dl: [[cls, mimo]], ul: [[cls, mimo]] }
+const writeBandParametersR10 = (w, b) => {
+  w.preamble(b.ul.length > 0, b.dl.length > 0);
+  w.int(1, 64, b.band);
+  if (b.ul.length) w.sequenceOf(1, 16, b.ul, u => writeMimoUL(w, u));
+  if (b.dl.length) w.sequenceOf(1, 16, b.dl, d => writeMimoDL(w, d));
+};
+
+const writeBandParametersR11 = (w, b) => {
+  w.preamble(b.ul.length > 0, b.dl.length > 0, false);
+  w.int(1, 256, b.band);
+  if (b.ul.length) w.sequenceOf(1, 16, b.ul, u => writeMimoUL(w, u));
+  if (b.dl.length) w.sequenceOf(1, 16, b.dl, d => writeMimoDL(w, d));
+};
+
+// Combo: { bands, bandwidthCombinationSet? }
+const writeBandCombinationR11 = (w, combo) => {
+  w.bool(false);
+  w.preamble(!!combo.bandwidthCombinationSet, false, false);
+  w.sequenceOf(1, 64, combo.bands, b => writeBandParametersR11(w, b));
+  if (combo.bandwidthCombinationSet) w.bitString(1, 32, combo.bandwidthCombinationSet);
+  writeBandInfoEUTRA(w);
+};
+
+// IntraBandContiguousCC-Info-r12: { mimo?, fourLayer? }
+const writeContiguousCC = (w, cc) => {
+  w.preamble(!!cc.fourLayer, !!cc.mimo, false);
+  if (cc.mimo) w.int(0, 2, MIMO_DL.indexOf(cc.mimo));
+};
+
+const writeDcSupport = (w) => {
+  w.preamble(true, true);
+  w.int(0, 2, 0);
+  w.bits(3, 0b101);
+};
+
+// Band: { band, dl: [cls, mimo, fourLayer, ccs], ul: [cls, mimo] | null }
+const writeBandParametersR13 = (w, b) => {
+  w.preamble(!!b.ul, !!b.dl, true);
+  w.int(1, 256, b.band);
+  if (b.ul) writeMimoUL(w, b.ul);
+  if (b.dl) {
+    const [cls, mimo, fourLayer, ccs] = b.dl;
+    w.preamble(mimo !== 2, fourLayer);
+    writeClass(w, cls);
+    if (mimo !== 2) w.int(0, 2, MIMO_DL.indexOf(mimo));
+    w.sequenceOf(1, 32, ccs, cc => writeContiguousCC(w, cc));
+  }
+  w.int(0, 2, 1); // supportedCSI-Proc-r13
+};
+
+const writeBandCombinationR13 = (w, combo) => {
+  w.preamble(false, !!combo.bandwidthCombinationSet, true, false, true, false);
+  w.sequenceOf(1, 64, combo.bands, b => writeBandParametersR13(w, b));
+  if (combo.bandwidthCombinationSet) w.bitString(1, 32, combo.bandwidthCombinationSet);
+  writeBandInfoEUTRA(w);
+  writeDcSupport(w);
+  w.bitString(1, 8, '1');
+};
+
+const writeBeamformedCapabilityList = (w) => w.sequenceOf(1, 24, [3, 8], kMax => {
+  w.preamble(kMax === 8);
+  w.int(1, 8, kMax);
+  if (kMax === 8) w.bitString(1, 7, '1011');
+});
+
+// ==================== UE-EUTRA-Capability ====================
+
+/**
+ * Capability: { release, category, bands: [[band, bandV9e0?]], r10?, bandwidthSetsR10?,
+ * bandsV1090?, fourLayerV10i0?, addR11?, categoryV11a0?, rel12? }
+ * with rel12: { bandsV1250?, v1270?, reducedR13?, v1430?, stti?, v1530? }
+ */
+const writeCapability = (cap) => {
+  const w = createBitWriter();
+  const rel12 = cap.rel12 || null;
+
+  w.preamble(false, true);
+  w.bool(false);
+  w.int(0, 7, Number(cap.release.slice(3)) - 8);
+  w.int(1, 5, Math.min(cap.category, 5));
+  w.bool(false); w.preamble(false); w.bits(9, 0); // pdcp-Parameters
+  w.bits(2, 0); // phyLayerParameters
+  w.sequenceOf(1, 64, cap.bands, ([band]) => {
+    w.int(1, 64, Math.min(band, 64));
+    w.bool(false);
+  });
+  w.sequenceOf(1, 64, cap.bands, () => writeBandInfoEUTRA(w));
+  w.preamble(false, false, false, false, false, false, false); // interRAT-Parameters
+
+  // v920
+  w.preamble(false, false, false, true);
+  w.bits(2, 0);
+  w.bits(2, 0);
+  w.bits(7, 0);
+
+  // v940
+  w.preamble(true, true);
+  w.octets(writeLateExtensions(cap));
+
+  // v1020
+  const category = cap.category >= 6 ? Math.min(cap.category, 8) : null;
+  w.preamble(!!category, false, !!cap.r10, false, false, false, false, false, true);
+  if (category) w.int(6, 8, category);
+  if (cap.r10) {
+    w.sequenceOf(1, 128, cap.r10, combo => w.sequenceOf(1, 64, combo, b => writeBandParametersR10(w, b)));
+  }
+
+  // v1060
+  w.preamble(false, false, !!cap.bandwidthSetsR10, true);
+  if (cap.bandwidthSetsR10) {
+    w.sequenceOf(1, 128, cap.bandwidthSetsR10, set => {
+      w.preamble(!!set);
+      if (set) w.bitString(1, 32, set);
+    });
+  }
+
+  // v1090
+  w.preamble(!!cap.bandsV1090, true);
+  if (cap.bandsV1090) {
+    w.preamble(true);
+    w.sequenceOf(1, 128, cap.bandsV1090, combo => w.sequenceOf(1, 64, combo, band => {
+      w.bool(false);
+      w.preamble(!!band);
+      if (band) w.int(65, 256, band);
+    }));
+  }
+
+  // v1130
+  w.preamble(false, false, false, true);
+  w.bits(2, 0);
+  w.preamble(false);
+  w.bits(5, 0);
+
+  // v1170
+  const categoryV1170 = cap.category >= 9 ? Math.min(cap.category, 10) : null;
+  w.preamble(false, !!categoryV1170, true);
+  if (categoryV1170) w.int(9, 10, categoryV1170);
+
+  // v1180
+  w.preamble(!!cap.addR11, false, false, false, true);
+  if (cap.addR11) {
+    w.preamble(false, true, true);
+    w.sequenceOf(1, 64, [66, 7], band => w.int(1, 256, band));
+    w.sequenceOf(1, 256, cap.addR11, combo => writeBandCombinationR11(w, combo));
+  }
+
+  // v11a0
+  const categoryV11a0 = cap.category >= 11 ? Math.min(cap.category, 12) : null;
+  w.preamble(!!categoryV11a0, true, !!rel12);
+  if (categoryV11a0) w.int(11, 12, categoryV11a0);
+  w.preamble(true);
+
+  if (rel12) writeRel12(w, rel12);
+  return w.bytes();
+};
+
+// lateNonCriticalExtension: v9a0 ... v10i0
+const writeLateExtensions = (cap) => {
+  const w = createBitWriter();
+  w.preamble(false, false, false, true); // v9a0
+  w.preamble(false, true); // v9c0
+  w.preamble(false, true); // v9d0
+
+  // v9e0
+  const bandsV9e0 = cap.bands.some(([, band]) => band);
+  w.preamble(bandsV9e0, true);
+  if (bandsV9e0) {
+    w.preamble(true);
+    w.sequenceOf(1, 64, cap.bands, ([, band]) => {
+      w.preamble(!!band);
+      if (band) w.int(65, 256, band);
+    });
+  }
+
+  w.preamble(false, false, true); // v9h0
+  w.preamble(false, true); // v10c0
+  w.preamble(false, true); // v10f0
+
+  // v10i0
+  w.preamble(!!cap.fourLayerV10i0, false, false);
+  if (cap.fourLayerV10i0) {
+    w.preamble(true);
+    w.sequenceOf(1, 128, cap.fourLayerV10i0, combo => {
+      w.preamble(!!combo);
+      if (combo) w.sequenceOf(1, 64, combo, classes => w.sequenceOf(1, 16, classes, w.bool));
+    });
+  }
+  return w.bytes();
+};
+
+// ==================== Rel-12+ EXTENSIONS ====================
+
+const writeRel12 = (w, ext) => {
+  // v1250: phy (NAICS), rf, ue-CategoryDL-r12, meas, fdd-Add, sl-r12
+  w.preamble(true, true, true, false, true, false, false, true, false, false, false, true, false, true, true);
+  w.preamble(false, false, true, false, false, false, false, false, false, false, true);
+  w.bits(2, 0b10);
+  w.sequenceOf(1, 8, [[2, 5]], ([ccs, prb]) => {
+    w.bool(false);
+    w.int(1, 5, ccs);
+    w.int(0, 15, prb);
+  });
+  w.preamble(!!ext.bandsV1250, true, false, true);
+  if (ext.bandsV1250) w.sequenceOf(1, 64, ext.bandsV1250, ([dl256QAM, ul64QAM]) => w.preamble(dl256QAM, ul64QAM));
+  w.sequenceOf(1, 128, ext.r10Count, () => {
+    w.bool(false);
+    w.preamble(true, false, true);
+    writeDcSupport(w);
+    w.bitString(1, 64, '11');
+  });
+  w.int(0, 14, 9);
+  w.preamble(true, false, false, false, false, false, false, false, true);
+  w.preamble(false, true);
+  w.preamble(true, true, false, false, false, false, false, false, false);
+  w.preamble(false, true, true, false, false, false, true);
+  w.sequenceOf(1, 64, [3, 20], band => w.int(1, 256, band));
+  w.sequenceOf(1, 64, [true], () => w.preamble(true));
+  w.int(0, 1, 1);
+
+  // v1260
+  w.preamble(true, true);
+  w.int(15, 16, 16);
+
+  // v1270: per CC info of supportedBandCombination-v1270
+  w.preamble(!!ext.v1270, true);
+  if (ext.v1270) {
+    w.preamble(true, false);
+    w.sequenceOf(1, 128, ext.v1270, combo => {
+      w.preamble(!!combo);
+      if (combo) {
+        w.sequenceOf(1, 64, combo, classes => w.sequenceOf(1, 16, classes, ccs => (
+          w.sequenceOf(1, 5, ccs, cc => writeContiguousCC(w, cc))
+        )));
+      }
+    });
+  }
+
+  // v1280
+  w.preamble(true, true);
+  w.preamble(true);
+
+  // v1310: ue-CategoryDL, mac, phy, rf (Reduced-r13), ce, lwa, fdd-Add
+  w.preamble(true, false, true, true, true, false, false, false, false, true, false, true, false, false, true, false, true);
+  w.int(0, 1, 0);
+  w.preamble(true);
+  w.preamble(false);
+  w.preamble(true, false);
+  w.preamble(true, true, false, false, true, false, false, false, false, true, false, false, false);
+  w.bits(2, 0b11);
+  w.bits(2, 0b01);
+  w.int(5, 32, 8);
+  w.preamble(true, false, true);
+  w.int(1, 32, 4);
+  w.preamble(true, false, false, false, true, !!ext.reducedR13);
+  w.preamble(false, true, true, false);
+  w.int(2, 32, 5);
+  w.int(2, 32, 2);
+  w.sequenceOf(1, 64, [false, true], powerClass5 => w.preamble(powerClass5));
+  if (ext.reducedR13) w.sequenceOf(1, 384, ext.reducedR13, combo => writeBandCombinationR13(w, combo));
+  w.preamble(true, false);
+  w.preamble(true);
+  w.sequenceOf(1, 8, [0, 1], band => {
+    w.bool(false);
+    w.int(0, 7, band);
+  });
+  w.preamble(false, false, true, false);
+  w.bits(48, 0x0123456789ab);
+  w.preamble(true);
+  w.preamble(false, false, false, false, false, false, false, false, false, false, false, false, false);
+
+  // v1320: phy (MIMO), rf (Reduced-v1320), tdd-Add
+  w.preamble(false, true, true, false, true, true);
+  w.preamble(true);
+  w.preamble(true, false, false, true, false);
+  w.preamble(true, true, false, false, false);
+  w.preamble(true, false, true, false);
+  w.preamble(true);
+  writeBeamformedCapabilityList(w);
+  w.preamble(false, false, true);
+  w.sequenceOf(1, 384, ext.reducedR13 || [null], () => {
+    w.preamble(true);
+    w.sequenceOf(1, 64, [null], () => {
+      w.preamble(true, false);
+      w.preamble(true, true, false);
+      w.preamble(false, true, false, false);
+      writeBeamformedCapabilityList(w);
+    });
+  });
+  w.preamble(false, true);
+  w.preamble(false, true, false, false);
+
+  // v1330
+  w.preamble(false, true, true, true);
+  w.preamble(false, false, true, true);
+  w.int(1, 32, 2);
+  w.int(1, 32, 3);
+
+  // v1340, v1350, v1360
+  w.preamble(true, true);
+  w.preamble(false, true, true, true);
+  w.preamble(true);
+  w.preamble(true, true);
+  w.preamble(true);
+
+  // v1430: phy, ue-CategoryUL, pdcp, rf (ul-256QAM-r14), laa, lwa, fdd-Add, sl (V2X)
+  w.preamble(true, true, true, false, false, false, true, true, true, true, false, false, false, true, false,
+    false, true, false, false, true);
+  w.preamble(false, true, false, false, true, false, false, false, false, false, false, false, false, true, false, true);
+  w.int(0, 1, 1);
+  w.int(0, 1, 0);
+  w.preamble(true, false);
+  w.preamble(true, true, false, false, false, false, false, false, false, false);
+  w.int(5, 32, 6);
+  w.int(0, 3, 2);
+  w.int(0, 3, 1);
+  w.preamble(true, false);
+  w.int(0, 5, 3);
+  w.preamble(true);
+  w.bool(true);
+  w.int(0, 15, 7);
+  w.preamble(false);
+  const v1430 = ext.v1430 || {};
+  w.preamble(!!v1430.r10, false, !!v1430.reducedR13, true, false);
+  for (const list of [v1430.r10, v1430.reducedR13]) {
+    if (!list) continue;
+    w.sequenceOf(1, list === v1430.r10 ? 128 : 384, list, combo => {
+      w.preamble(!!combo, false, !!combo);
+      if (!combo) return;
+      w.sequenceOf(1, 64, combo, ({ ul256QAM, perCC }) => {
+        w.preamble(true, !!ul256QAM, !!perCC, true);
+        w.preamble(true, false);
+        w.preamble(true, true);
+        if (perCC) w.sequenceOf(2, 32, perCC, ul256QAMPerCC => w.preamble(ul256QAMPerCC));
+        w.sequenceOf(1, 64, [null], () => {
+          w.preamble(true, false);
+          w.int(0, 15, 4);
+        });
+      });
+      w.bitString(1, 384, '01');
+    });
+  }
+  w.sequenceOf(1, 16, [[[41, 'C', 'A'], [3, 'A', null]]], combo => w.sequenceOf(1, 64, combo, ([band, dl, ul]) => {
+    w.preamble(!!ul);
+    w.int(1, 256, band);
+    writeClass(w, dl);
+    if (ul) writeClass(w, ul);
+  }));
+  w.preamble(false, false, true, false, false, false);
+  w.int(0, 2, 1);
+  w.preamble(false, false, false, false, true);
+  w.int(1, 2048, 1000);
+  w.preamble(true, false);
+  w.preamble(false);
+  w.preamble(false, true);
+  w.preamble(false, false, true, false);
+  w.preamble(false, false, false, false, false, true, false, false, true);
+  w.int(1, 16, 2);
+  w.sequenceOf(1, 384, [null], () => w.sequenceOf(1, 64, [47], band => {
+    w.preamble(true, true);
+    w.int(1, 256, band);
+    w.preamble(true, false);
+    w.sequenceOf(1, 16, [0, 7], cls => {
+      w.bool(cls > 5);
+      if (cls > 5) w.bits(7, cls - 6);
+      else w.int(0, 5, cls);
+    });
+    w.preamble(true);
+    w.sequenceOf(1, 16, [0], cls => {
+      w.bool(false);
+      w.int(0, 5, cls);
+    });
+  }));
+
+  // v1440, v1450, v1460
+  w.preamble(true, false, true);
+  w.preamble(true);
+  w.preamble(true, true, true, true);
+  w.preamble(true, false);
+  w.preamble(false, false, true);
+  w.sequenceOf(1, 384, ext.reducedR13 || [null], (_, i) => {
+    w.preamble(i === 0);
+    if (i === 0) w.int(1, 32, 2);
+  });
+  w.preamble(true);
+  w.preamble(true, true);
+  w.preamble(false);
+
+  // v1510: irat-ParametersNR-r15, featureSetsEUTRA-r15, pdcp-ParametersNR-r15, tdd-Add
+  w.preamble(true, true, true, false, true, true);
+  w.preamble(true, true, true);
+  w.sequenceOf(1, 1024, [78, 260], band => w.int(1, 1024, band));
+  w.bool(false);
+  w.preamble(true, true, true, true);
+  w.sequenceOf(1, 256, [null], () => {
+    w.preamble(true);
+    w.preamble(true, false);
+    w.preamble(true, true, false, true, false);
+    w.preamble(false, false, true, false);
+    writeBeamformedCapabilityList(w);
+    w.sequenceOf(1, 32, [1, 2], id => w.int(0, 32, id));
+  });
+  w.sequenceOf(1, 32, [null, null], () => {
+    w.preamble(true, true, true);
+    w.int(0, 2, 1);
+    w.int(0, 2, 0);
+  });
+  w.sequenceOf(1, 256, [null], () => w.sequenceOf(1, 32, [1], id => w.int(0, 32, id)));
+  w.sequenceOf(1, 32, [null], () => {
+    w.preamble(true, true);
+    w.int(0, 1, 0);
+  });
+  const writePdcpNR = () => {
+    w.preamble(true, false, true, false, false, false);
+    w.bits(9, 0b110000000);
+    w.int(0, 15, 3);
+    w.bits(1, 1);
+  };
+  writePdcpNR();
+  w.preamble(true);
+  writePdcpNR();
+
+  // v1520
+  w.preamble(true);
+  w.preamble(true);
+  w.bits(8, 0xf0);
+
+  // v1530: meas, mac, phy (sTTI, not supported), rf (dl-1024QAM-r15)
+  w.preamble(true, false, false, true, !!ext.stti, true, false, false, false, false, false, false, false, false, false, false,
+    false, false);
+  w.preamble(true, false, true, false, false, false);
+  w.preamble(true, true, false, false, false, false, false, false);
+  w.sequenceOf(1, 3, [0, 1], set => w.int(0, 1, set));
+  w.preamble(true, false, false, true);
+  w.int(0, 3, 1);
+  w.int(0, 3, 2);
+  if (ext.stti) {
+    w.bits(16, 0xffff);
+    return;
+  }
+  const v1530 = ext.v1530 || {};
+  w.preamble(false, !!v1530.r10, false, !!v1530.reducedR13, false);
+  for (const list of [v1530.r10, v1530.reducedR13]) {
+    if (!list) continue;
+    w.sequenceOf(1, list === v1530.r10 ? 128 : 384, list, combo => {
+      w.preamble(!!combo, !!combo);
+      if (!combo) return;
+      w.sequenceOf(1, 64, combo, dl1024QAM => w.preamble(true, false, false, dl1024QAM, false, true, false));
+      w.preamble(true, true);
+      w.bits(3, 0b110);
+      w.int(1, 32, 2);
+    });
+  }
+};
+
+// ==================== MESSAGE ====================
+
+// UL-DCCH-Message: UECapabilityInformation with a UTRA and an E-UTRA container
+const writeUlDcchMessage = (capability) => {
+  const w = createBitWriter();
+  w.bits(1, 0);
+  w.bits(4, 7); // c1: ueCapabilityInformation
+  w.bits(2, 1); // rrc-TransactionIdentifier
+  w.bits(1, 0);
+  w.bits(3, 0); // ueCapabilityInformation-r8
+  w.preamble(false);
+  w.int(0, 8, 2);
+  w.bool(false);
+  w.int(0, 7, 1); // utra
+  w.octets([0x12, 0x34]);
+  w.bool(false);
+  w.int(0, 7, 0); // eutra
+  w.octets(capability);
+  return w.bytes();
+};
+
+// ==================== FIXTURES ====================
+
+const R10 = [
+  [{ band: 3, dl: [['A', 4]], ul: [['A', 1]] }, { band: 7, dl: [['C', 2]], ul: [] }],
+  [{ band: 64, dl: [['A', 2]], ul: [] }, { band: 1, dl: [['A', 4], ['B', 2]], ul: [['A', 2]] }],
+  [{ band: 20, dl: [['A', 2]], ul: [['A', 1]] }]
+];
+
+const ADD_R11 = [
+  { bands: [{ band: 66, dl: [['C', 4]], ul: [['A', 1]] }, { band: 2, dl: [['A', 2]], ul: [] }], bandwidthCombinationSet: '11' },
+  { bands: [{ band: 20, dl: [['A', 2]], ul: [['A', 1]] }] }
+];
+
+const REL11 = {
+  release: 'rel11',
+  category: 9,
+  bands: [[1], [3], [7], [20], [64, 66]],
+  r10: R10,
+  bandwidthSetsR10: ['101', null, null],
+  bandsV1090: [[null, null], [66, null], [null]],
+  fourLayerV10i0: [[[true], [false]], null, [[false]]],
+  addR11: ADD_R11
+};
+
+const REDUCED_R13 = [
+  {
+    bands: [
+      { band: 3, dl: ['C', 2, false, [{ mimo: 4, fourLayer: true }, { mimo: 2 }]], ul: ['A', 1] },
+      { band: 7, dl: ['A', 4, true, [{}]], ul: null }
+    ],
+    bandwidthCombinationSet: '1'
+  },
+  { bands: [{ band: 66, dl: ['B', 2, false, [{}, { mimo: 4 }]], ul: ['A', 2] }, { band: 46, dl: ['D', 2, false, [{}]], ul: null }] },
+  { bands: [{ band: 42, dl: ['C', 2, false, [{}, {}]], ul: ['C', 1] }] }
+];
+
+const REL15 = {
+  release: 'rel15',
+  category: 12,
+  bands: [[1], [3], [7], [20], [64, 66]],
+  r10: R10,
+  bandsV1090: [[null, null], [66, null], [null]],
+  fourLayerV10i0: [[[false], [false]], null, [[false]]],
+  addR11: ADD_R11,
+  rel12: {
+    r10Count: R10,
+    bandsV1250: [[true, false], [true, true], [false, false], [false, true], [true, true]],
+    v1270: [[[[{ mimo: 4 }, { mimo: 2, fourLayer: true }]], [[{}]]], null, [[[{}]]]],
+    reducedR13: REDUCED_R13,
+    v1430: {
+      r10: [[{ ul256QAM: true }, {}], null, [{ perCC: [false, true] }]],
+      reducedR13: [[{ ul256QAM: true }, {}], [{}, {}], null]
+    },
+    v1530: {
+      r10: [null, [true, false], null],
+      reducedR13: [[true, true], null, [false]]
+    }
+  }
+};
+
+const REL13_REDUCED = {
+  release: 'rel13',
+  category: 12,
+  bands: [[3], [7], [42], [46], [64, 66]],
+  rel12: { r10Count: [null], reducedR13: REDUCED_R13 }
+};
+
+const REL15_STTI = { ...REL15, rel12: { ...REL15.rel12, stti: true } };
+
+const hex = (bytes) => bytes.map(byte => byte.toString(16).padStart(2, '0')).join('').replace(/(.{64})/g, '$1\n').trim();
+
+const FIXTURES = {
+  'rel11-ul-dcch': writeUlDcchMessage(writeCapability(REL11)),
+  'rel15-ul-dcch': writeUlDcchMessage(writeCapability(REL15)),
+  'rel13-reduced': writeCapability(REL13_REDUCED),
+  'rel15-stti': writeCapability(REL15_STTI)
+};
+
+for (const [name, bytes] of Object.entries(FIXTURES)) {
+  writeFileSync(new URL(`./ueCapability/synthetic/${name}.hex`, import.meta.url), `${hex(bytes)}\n`);
+}
@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { compileQuery } from '../src/shared/index.js';
+import { parseComboFile } from '../src/encoder/28874encoder';
+import { encode, decode } from '../src/lib/index.js';
+
+describe('compileQuery desc field', () => {
+  it('does not match entries of a TXT list', () => {
+    const [entry] = parseComboFile('3A4A-7A2 10\n', false);
+    expect(entry.descType).toBe(null);
+    for (const query of ['desc:201', 'desc!=201', 'desc<333', '!desc:201 & desc>=137']) {
+      expect(compileQuery(query)(entry)).toBe(false);
+    }
+  });
+
+  it('matches the descriptor type of decoded combos', () => {
+    const [combo] = decode(encode(['3A4A-7A2'], { descriptorType: 333 })).combos;
+    expect(compileQuery('desc:333')(combo)).toBe(true);
+    expect(compileQuery('desc:201')(combo)).toBe(false);
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { parseComboString, parseValidationRules, validateCombo, getValidationRules } from '../src/shared/index.js';
+
+const FDD_TDD = parseComboString('1A-40A');
+
+const codes = (result) => [...result.errors, ...result.warnings].map(e => e.code);
+
+describe('rule overrides', () => {
+  it('rejects override fields other than enabled and severity', () => {
+    expect(() => parseValidationRules({ overrides: { FDD_TDD_MIX: { check: 'x' } } })).toThrow(/unknown override field\(s\) check/);
+    expect(() => parseValidationRules({ overrides: { FDD_TDD_MIX: { scope: 'list' } } })).toThrow(/unknown override field\(s\) scope/);
+    expect(() => parseValidationRules({ overrides: { FDD_TDD_MIX: { severty: 'warning' } } })).toThrow(/unknown override field\(s\) severty/);
+  });
+
+  it('applies only enabled and severity of an override', () => {
+    const config = {
+      rules: [],
+      overrides: { FDD_TDD_MIX: { severity: 'warning', check: 'x', scope: 'list' } }
+    };
+    const rule = getValidationRules(config).find(r => r.id === 'FDD_TDD_MIX');
+    expect(rule.severity).toBe('warning');
+    expect(rule.scope).toBe('combo');
+    expect(typeof rule.check).toBe('function');
+
+    const result = validateCombo(FDD_TDD.carriers, { rules: config });
+    expect(result.warnings.map(w => w.code)).toContain('FDD_TDD_MIX');
+  });
+
+  it('keeps the built-in rule without overrides', () => {
+    expect(codes(validateCombo(FDD_TDD.carriers, { rules: parseValidationRules({}) }))).toContain('FDD_TDD_MIX');
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+
+import { parseUeCapabilityHex, isUeCapabilityHex } from '../src/capability/ueCapabilityUper.js';
+import { comboToString } from '../src/shared/index.js';
+
+// Every <name>.hex of a fixture directory is decoded and compared with <name>.json:
+// captured/ holds UECapabilityInformation dumps of real devices, synthetic/ the
+// output of writeUperFixtures.js
+const CAPTURED = new URL('./fixtures/ueCapability/captured/', import.meta.url);
+const SYNTHETIC = new URL('./fixtures/ueCapability/synthetic/', import.meta.url);
+
+const readFixture = (name, dir = SYNTHETIC) => readFileSync(new URL(name, dir), 'utf8');
+
+const listFixtures = (dir) => (existsSync(dir) ? readdirSync(dir).filter(name => name.endsWith('.hex')) : []);
+
+const decode = (hex) => {
+  const { combos, lists, duplicates, warnings, accessStratumRelease, ueCategory } = parseUeCapabilityHex(hex);
+  return {
+    accessStratumRelease,
+    ueCategory,
+    lists,
+    duplicates,
+    warnings,
+    combos: combos.map(combo => ({ combo: comboToString(combo), meta: combo.meta }))
+  };
+};
+
+const checkFixtures = (dir) => {
+  for (const file of listFixtures(dir)) {
+    it(`decodes ${file}`, () => {
+      const hex = readFixture(file, dir);
+      expect(isUeCapabilityHex(hex)).toBe(true);
+      expect(decode(hex)).toEqual(JSON.parse(readFixture(file.replace(/\.hex$/, '.json'), dir)));
+    });
+  }
+};
+
+describe('parseUeCapabilityHex on captured dumps', () => {
+  if (listFixtures(CAPTURED).length === 0) {
+    it.todo('decodes captured UECapabilityInformation dumps (add <name>.hex and <name>.json to fixtures/ueCapability/captured)');
+  }
+  checkFixtures(CAPTURED);
+});
+
+describe('parseUeCapabilityHex', () => {
+  checkFixtures(SYNTHETIC);
+
+  it('reads bands above 64 of the r10 list from v1090', () => {
+    const { combos } = decode(readFixture('rel11-ul-dcch.hex'));
+    expect(combos.some(c => c.combo.startsWith('66A2-'))).toBe(true);
+    expect(combos.some(c => /(^|-)64[A-F]/.test(c.combo))).toBe(false);
+  });
+
+  it('keeps the lists read before a Rel-15 extension that fails to decode', () => {
+    const full = decode(readFixture('rel15-ul-dcch.hex'));
+    const stti = decode(readFixture('rel15-stti.hex'));
+    expect(stti.combos.map(c => c.combo)).toEqual(full.combos.map(c => c.combo));
+    expect(full.combos.some(c => c.meta.dl1024QAM)).toBe(true);
+    expect(stti.combos.some(c => c.meta.dl1024QAM)).toBe(false);
+    expect(stti.warnings[0]).toMatch(/^UE-EUTRA-Capability-v1530-IEs not decoded/);
+  });
+
+  it('fails on a capability cut short before the Rel-12 extensions', () => {
+    const hex = readFixture('rel13-reduced.hex').replace(/\s/g, '');
+    expect(() => parseUeCapabilityHex(hex.slice(0, 40))).toThrow(/UE-EUTRA-Capability decoding failed/);
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { encode, decode } from '../src/lib/index.js';
+
+const roundTrip = (combo, descriptorType) => {
+  const bytes = encode([combo], { descriptorType });
+  const result = decode(bytes);
+  return { bytes, result, combos: result.combos.map(c => c.text) };
+};
+
+describe('UL MIMO in UL descriptors', () => {
+  it('keeps a single UL layer through a 202 round trip', () => {
+    const { result, combos } = roundTrip('3A4A-7A2', 201);
+    expect(result.descriptorStats[202]).toBe(1);
+    expect(combos).toEqual(['3A4A-7A2']);
+    expect(result.combos[0].carriers.map(c => c.mimoUl)).toEqual([1, 0]);
+  });
+
+  it('stores UL MIMO above 2 in 202', () => {
+    const { result, combos } = roundTrip('3A4A4-7A2', 201);
+    expect(result.descriptorStats[202]).toBe(1);
+    expect(combos).toEqual(['3A4A4-7A2']);
+  });
+
+  it('picks 334 for UL MIMO 2 in auto mode', () => {
+    const { bytes, result, combos } = roundTrip('3A4A2-7A2', 'auto');
+    expect(result.descriptorStats[334]).toBe(1);
+    expect(combos).toEqual(['3A4A2-7A2']);
+    expect(bytes.warnings).toEqual([]);
+  });
+
+  it('warns that UL MIMO 2 is not stored in 202', () => {
+    const { bytes, combos } = roundTrip('3A4A2-7A2', 201);
+    expect(combos).toEqual(['3A4A-7A2']);
+    expect(bytes.warnings.map(w => w.code)).toEqual(['UL_MIMO_NOT_STORED']);
+  });
+});
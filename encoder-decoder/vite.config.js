@@ -2,6 +2,8 @@ import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
 // https://vite.dev/config/
-export default defineConfig({
+export default defineConfig(({ isSsrBuild }) => ({
   plugins: [react()],
-})
+  // The CLI (npm run build:cli) is an SSR build and needs no static assets
+  publicDir: isSsrBuild ? false : 'public',
+}))